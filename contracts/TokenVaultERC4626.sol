@@ -0,0 +1,402 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title TokenVaultERC4626
+ * @dev UUPS upgradeable ERC-4626 token vault, upgraded from TokenVaultV3. Positions are
+ * shares of the vault instead of token amounts: `balanceOf` returns the shares of an
+ * account, and `convertToAssets(balanceOf(account))` the tokens they are worth. At the
+ * upgrade every V3 balance is converted into the same number of shares, so `balanceOf`
+ * only starts to differ from the token amount once yield has raised the share price.
+ * Yield accrues on the total assets at the yield rate and is funded by tokens held
+ * beyond them (deposit fees and tokens sent to the vault).
+ */
+contract TokenVaultERC4626 is
+    Initializable,
+    UUPSUpgradeable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    ERC4626Upgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Role definitions
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // State variables from V1
+    IERC20 public token;
+    uint256 public depositFee;
+
+    // Emptied by initializeERC4626; positions are ERC-20 share balances
+    mapping(address => uint256) private _balances;
+    // Total assets backing the shares, including the yield accrued up to _lastAccrualTime
+    uint256 private _totalDeposits;
+
+    // State variables from V2
+    uint256 public yieldRate;
+    mapping(address => uint256) private _lastClaimTime;
+    bool public depositsPaused;
+
+    // State variables from V3; the withdrawal delay does not apply to ERC-4626 withdrawals
+    uint256 public withdrawalDelay;
+
+    struct WithdrawalRequest {
+        uint256 amount;
+        uint256 requestTime;
+    }
+
+    mapping(address => WithdrawalRequest) private _withdrawalRequests;
+
+    // New state variables for the ERC-4626 version
+    uint256 private _lastAccrualTime;
+
+    // Reduced storage gap (45 - 1 = 44) to account for _lastAccrualTime
+    uint256[44] private __gap;
+
+    // Events
+    event Deposited(address indexed user, uint256 amount, uint256 fee);
+    event YieldRateSet(uint256 newRate);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event YieldAccrued(uint256 amount);
+    event DepositsPaused();
+    event DepositsUnpaused();
+    event BalanceConverted(address indexed user, uint256 shares);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract with token, admin, and deposit fee
+     * @param _token The ERC20 token address
+     * @param _admin The admin address
+     * @param _depositFee The deposit fee in basis points
+     */
+    function initialize(
+        address _token,
+        address _admin,
+        uint256 _depositFee
+    ) external initializer {
+        require(_token != address(0), "Invalid token address");
+        require(_admin != address(0), "Invalid admin address");
+        require(_depositFee <= 10000, "Fee cannot exceed 100%");
+
+        __UUPSUpgradeable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __ERC20_init("TokenVault Shares", "tvSHARE");
+        __ERC4626_init(IERC20(_token));
+
+        token = IERC20(_token);
+        depositFee = _depositFee;
+        _lastAccrualTime = block.timestamp;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+
+    /**
+     * @dev Reinitializer for the upgrade from V3. Converts the balance of every depositor
+     * into shares at one share per token and pays out the V3 yield they had not claimed,
+     * capped by the tokens held beyond the deposits (in list order). Reverts unless every
+     * balance is converted, so the list must hold all depositors.
+     * Restricted to UPGRADER_ROLE and called atomically through upgradeToAndCall
+     * @param users Every account with a V3 balance
+     */
+    function initializeERC4626(address[] calldata users)
+        external
+        reinitializer(4)
+        onlyRole(UPGRADER_ROLE)
+    {
+        __ERC20_init("TokenVault Shares", "tvSHARE");
+        __ERC4626_init(token);
+
+        uint256 surplus = _surplus();
+        for (uint256 i = 0; i < users.length; i++) {
+            address user = users[i];
+            uint256 balance = _balances[user];
+            if (balance == 0) {
+                continue;
+            }
+
+            uint256 yield = Math.min(_legacyYield(user), surplus);
+            surplus -= yield;
+
+            delete _balances[user];
+            delete _lastClaimTime[user];
+            delete _withdrawalRequests[user];
+            _mint(user, balance);
+            emit BalanceConverted(user, balance);
+
+            if (yield > 0) {
+                token.safeTransfer(user, yield);
+                emit YieldClaimed(user, yield);
+            }
+        }
+        require(totalSupply() == _totalDeposits, "Unconverted balances remain");
+
+        _lastAccrualTime = block.timestamp;
+    }
+
+    /**
+     * @dev Returns the assets backing the shares, including yield accrued since the last
+     * deposit or withdrawal
+     */
+    function totalAssets() public view override returns (uint256) {
+        return _totalDeposits + _pendingYield();
+    }
+
+    /**
+     * @dev Returns 0 while deposits are paused
+     */
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        return depositsPaused ? 0 : super.maxDeposit(receiver);
+    }
+
+    /**
+     * @dev Returns 0 while deposits are paused or the deposit fee takes everything
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        return depositsPaused || depositFee >= 10000 ? 0 : super.maxMint(receiver);
+    }
+
+    /**
+     * @dev Returns the shares minted for `assets`, after the deposit fee
+     */
+    function previewDeposit(uint256 assets) public view override returns (uint256) {
+        return _convertToShares(assets - _feeOnTotal(assets), Math.Rounding.Floor);
+    }
+
+    /**
+     * @dev Returns the assets, including the deposit fee, needed to mint `shares`
+     */
+    function previewMint(uint256 shares) public view override returns (uint256) {
+        require(depositFee < 10000, "Fee cannot exceed 100%");
+        uint256 assets = _convertToAssets(shares, Math.Rounding.Ceil);
+        return Math.mulDiv(assets, 10000, 10000 - depositFee, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @dev Deposits `assets` for `receiver`, see IERC4626
+     */
+    function deposit(uint256 assets, address receiver)
+        public
+        override
+        nonReentrant
+        returns (uint256)
+    {
+        require(!depositsPaused, "Deposits are paused");
+        return super.deposit(assets, receiver);
+    }
+
+    /**
+     * @dev Mints `shares` for `receiver`, see IERC4626
+     */
+    function mint(uint256 shares, address receiver)
+        public
+        override
+        nonReentrant
+        returns (uint256)
+    {
+        require(!depositsPaused, "Deposits are paused");
+        return super.mint(shares, receiver);
+    }
+
+    /**
+     * @dev Withdraws `assets` to `receiver`, see IERC4626
+     */
+    function withdraw(uint256 assets, address receiver, address owner)
+        public
+        override
+        nonReentrant
+        returns (uint256)
+    {
+        return super.withdraw(assets, receiver, owner);
+    }
+
+    /**
+     * @dev Redeems `shares` to `receiver`, see IERC4626
+     */
+    function redeem(uint256 shares, address receiver, address owner)
+        public
+        override
+        nonReentrant
+        returns (uint256)
+    {
+        return super.redeem(shares, receiver, owner);
+    }
+
+    /**
+     * @dev Sets the yield rate (admin only). Yield up to now accrues at the previous rate.
+     * @param _yieldRate The new yield rate in basis points
+     */
+    function setYieldRate(uint256 _yieldRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
+        _accrueYield();
+        yieldRate = _yieldRate;
+        emit YieldRateSet(_yieldRate);
+    }
+
+    /**
+     * @dev Returns the current yield rate
+     * @return The yield rate in basis points
+     */
+    function getYieldRate() external view returns (uint256) {
+        return yieldRate;
+    }
+
+    /**
+     * @dev Pauses deposits and mints
+     */
+    function pauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(!depositsPaused, "Deposits already paused");
+        depositsPaused = true;
+        emit DepositsPaused();
+    }
+
+    /**
+     * @dev Unpauses deposits and mints
+     */
+    function unpauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(depositsPaused, "Deposits not paused");
+        depositsPaused = false;
+        emit DepositsUnpaused();
+    }
+
+    /**
+     * @dev Returns whether deposits are paused
+     * @return True if deposits are paused
+     */
+    function isDepositsPaused() external view returns (bool) {
+        return depositsPaused;
+    }
+
+    /**
+     * @dev Returns the total deposits in the vault, the same as totalAssets()
+     * @return The total deposits
+     */
+    function totalDeposits() external view returns (uint256) {
+        return totalAssets();
+    }
+
+    /**
+     * @dev Returns the current deposit fee
+     * @return The deposit fee in basis points
+     */
+    function getDepositFee() external view returns (uint256) {
+        return depositFee;
+    }
+
+    /**
+     * @dev Returns the implementation version
+     * @return The version string
+     */
+    function getImplementationVersion() external pure returns (string memory) {
+        return "erc4626-v1.0.0";
+    }
+
+    /**
+     * @dev Takes the deposit fee, which stays in the vault to fund yield, and adds the
+     * rest to the total assets. Emits Deposited for indexers of earlier versions.
+     */
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares)
+        internal
+        override
+    {
+        _accrueYield();
+        uint256 fee = _feeOnTotal(assets);
+        super._deposit(caller, receiver, assets, shares);
+        _totalDeposits += assets - fee;
+
+        emit Deposited(receiver, assets - fee, fee);
+    }
+
+    /**
+     * @dev Removes the withdrawn assets from the total assets
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        _accrueYield();
+        _totalDeposits -= assets;
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev Adds the yield accrued since the last accrual to the total assets
+     */
+    function _accrueYield() internal {
+        uint256 yield = _pendingYield();
+        _lastAccrualTime = block.timestamp;
+        if (yield > 0) {
+            _totalDeposits += yield;
+            emit YieldAccrued(yield);
+        }
+    }
+
+    /**
+     * @dev Yield accrued on the total assets since the last accrual, capped by the tokens
+     * held beyond them
+     */
+    function _pendingYield() internal view returns (uint256) {
+        if (yieldRate == 0 || _totalDeposits == 0) {
+            return 0;
+        }
+        uint256 timeElapsed = block.timestamp - _lastAccrualTime;
+        uint256 yield = (_totalDeposits * yieldRate * timeElapsed) / (365 days * 10000);
+        return Math.min(yield, _surplus());
+    }
+
+    /**
+     * @dev Tokens held beyond the total assets
+     */
+    function _surplus() internal view returns (uint256) {
+        uint256 balance = token.balanceOf(address(this));
+        return balance > _totalDeposits ? balance - _totalDeposits : 0;
+    }
+
+    /**
+     * @dev Unclaimed yield of a V3 depositor, as computed by TokenVaultV3.getUserYield
+     */
+    function _legacyYield(address user) internal view returns (uint256) {
+        uint256 lastClaim = _lastClaimTime[user];
+        if (yieldRate == 0 || lastClaim == 0) {
+            return 0;
+        }
+        uint256 timeElapsed = block.timestamp - lastClaim;
+        return (_balances[user] * yieldRate * timeElapsed) / (365 days * 10000);
+    }
+
+    /**
+     * @dev Deposit fee charged on a gross deposit of `assets`, as in V3
+     */
+    function _feeOnTotal(uint256 assets) internal view returns (uint256) {
+        return (assets * depositFee) / 10000;
+    }
+
+    /**
+     * @dev Authorizes upgrade to new implementation
+     * @param newImplementation The address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation)
+        internal
+        override
+        onlyRole(UPGRADER_ROLE)
+    {}
+}
@@ -0,0 +1,1363 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title TokenVaultV10
+ * @dev UUPS upgradeable multi-token vault crediting deposits and reserve fundings with the
+ * tokens that actually arrived, so that fee-on-transfer tokens cannot make the tracked
+ * totals exceed the vault's holdings. getReconciliation compares the holdings of an asset
+ * with what the vault owes.
+ */
+contract TokenVaultV10 is 
+    Initializable, 
+    UUPSUpgradeable, 
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable 
+{
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // Role definitions
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Upper bound for setDepositFee (10%)
+    uint256 public constant MAX_DEPOSIT_FEE = 1000;
+
+    // State variables from V1
+    IERC20 public token;
+    uint256 public depositFee;
+    
+    mapping(address => uint256) private _balances;
+    uint256 private _totalDeposits;
+
+    // State variables from V2
+    uint256 public yieldRate;
+    mapping(address => uint256) private _lastClaimTime; // Time of the last yield checkpoint since V6
+    bool public depositsPaused;
+
+    // State variables from V3
+    uint256 public withdrawalDelay;
+    
+    struct WithdrawalRequest {
+        uint256 amount;
+        uint256 requestTime;
+    }
+    
+    // Single request per user up to V7; migrated into the queue by initializeV8
+    mapping(address => WithdrawalRequest) private _withdrawalRequests;
+
+    // State variables from V4
+    address public treasury;
+    uint256 private _accruedFees; // Deposit fees collected since V4, not part of _totalDeposits
+
+    // State variables from V5
+    uint256 private _yieldReserve; // Tokens funded for yield payments, not part of _totalDeposits
+
+    // State variables from V6
+    mapping(address => uint256) private _accruedYield; // Yield checkpointed and not claimed yet
+
+    // Yield per token accrued at the successive yield rates, see _currentYieldIndex
+    struct YieldIndex {
+        uint256 value; // Index at the last rate change, in basis points times seconds
+        uint256 updatedAt; // Time of the last rate change, 0 until the first one since V6
+        uint256 legacyRate; // Rate in force until then, applied to checkpoints made before V6
+    }
+
+    YieldIndex private _yieldIndex;
+    mapping(address => uint256) private _userYieldIndex; // Index at the user's last checkpoint since V6
+
+    // State variables from V7
+    bool public emergencyMode; // Declared by the admin; enables emergencyWithdraw
+
+    // State variables from V8
+    struct QueuedWithdrawal {
+        uint256 id;
+        address user;
+        uint256 amount;
+        uint256 requestTime;
+    }
+
+    uint256 private _lastRequestId;
+    mapping(uint256 => QueuedWithdrawal) private _queuedWithdrawals; // Deleted once executed or cancelled
+    mapping(address => EnumerableSet.UintSet) private _pendingRequestIds;
+    mapping(address => uint256) private _lockedBalances; // Sum of the user's pending requests
+
+    // State variables from V9
+    struct AssetState {
+        bool supported;
+        uint256 depositFee;
+        uint256 yieldRate;
+        uint256 totalDeposits;
+        uint256 accruedFees;
+        uint256 yieldReserve;
+        mapping(address => uint256) balances;
+        mapping(address => uint256) lastCheckpoint;
+        mapping(address => uint256) accruedYield;
+        mapping(address => uint256) lockedBalances;
+        YieldIndex yieldIndex;
+        mapping(address => uint256) userYieldIndex;
+    }
+
+    // Settings and totals of an asset, see getAssetInfo
+    struct AssetInfo {
+        uint256 depositFee;
+        uint256 yieldRate;
+        uint256 totalDeposits;
+        uint256 accruedFees;
+        uint256 sweepableFees;
+        uint256 yieldReserve;
+    }
+
+    // Position of a user in an asset, see getAssetPosition
+    struct AssetPosition {
+        uint256 balance;
+        uint256 available;
+        uint256 locked;
+        uint256 yield;
+        uint256 checkpointTime;
+    }
+
+    // Token balance of an asset against the vault's liabilities, see getReconciliation
+    struct Reconciliation {
+        uint256 balance;
+        uint256 liabilities;
+        uint256 surplus;
+        uint256 deficit;
+    }
+
+    address[] private _addedAssets;
+    mapping(address => AssetState) private _assets; // Assets added since V9, not the primary token
+    mapping(uint256 => address) private _requestAssets; // Zero for requests of the primary token
+
+    // Storage gap unchanged, V10 adds no state variables
+    uint256[29] private __gap;
+
+    // Events
+    event Deposited(address indexed user, uint256 amount, uint256 fee);
+    event Withdrawn(address indexed user, uint256 amount);
+    event DepositFeeUpdated(uint256 newFee);
+    event YieldRateSet(uint256 newRate);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event DepositsPaused();
+    event DepositsUnpaused();
+    event WithdrawalDelaySet(uint256 newDelay);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 requestTime);
+    event WithdrawalExecuted(address indexed user, uint256 amount);
+    event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event FeesSwept(address indexed treasury, uint256 amount);
+    event YieldReserveFunded(address indexed funder, uint256 amount);
+    event EmergencyDeclared(address indexed admin);
+    event EmergencyResolved(address indexed admin);
+    event WithdrawalQueued(uint256 indexed requestId, address indexed user, uint256 amount, uint256 requestTime);
+    event WithdrawalCancelled(uint256 indexed requestId, address indexed user, uint256 amount);
+    // Operations on added assets; the primary token keeps emitting the events above
+    event AssetAdded(address indexed asset, uint256 depositFee, uint256 yieldRate);
+    event AssetDeposited(address indexed asset, address indexed user, uint256 amount, uint256 fee);
+    event AssetDepositFeeUpdated(address indexed asset, uint256 newFee);
+    event AssetYieldRateSet(address indexed asset, uint256 newRate);
+    event AssetYieldClaimed(address indexed asset, address indexed user, uint256 amount);
+    event AssetWithdrawalQueued(
+        uint256 indexed requestId,
+        address indexed asset,
+        address indexed user,
+        uint256 amount,
+        uint256 requestTime
+    );
+    event AssetWithdrawalExecuted(uint256 indexed requestId, address indexed asset, address indexed user, uint256 amount);
+    event AssetWithdrawalCancelled(uint256 indexed requestId, address indexed asset, address indexed user, uint256 amount);
+    event AssetEmergencyWithdrawal(address indexed asset, address indexed user, uint256 amount);
+    event AssetFeesSwept(address indexed asset, address indexed treasury, uint256 amount);
+    event AssetYieldReserveFunded(address indexed asset, address indexed funder, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract with token, admin, and deposit fee
+     * @param _token The ERC20 token address
+     * @param _admin The admin address
+     * @param _depositFee The deposit fee in basis points
+     */
+    function initialize(
+        address _token, 
+        address _admin, 
+        uint256 _depositFee
+    ) external initializer {
+        require(_token != address(0), "Invalid token address");
+        require(_admin != address(0), "Invalid admin address");
+        require(_depositFee <= 10000, "Fee cannot exceed 100%");
+
+        __UUPSUpgradeable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
+        token = IERC20(_token);
+        depositFee = _depositFee;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+
+    /**
+     * @dev Reinitializer for V2 upgrade
+     * Restricted to UPGRADER_ROLE so that nobody else can run it between the upgrade and
+     * its initialization; upgrades should call it atomically through upgradeToAndCall
+     */
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        // Grant PAUSER_ROLE to the admin for V2
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Reinitializer for V3 upgrade
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     */
+    function initializeV3() external reinitializer(3) onlyRole(UPGRADER_ROLE) {
+        withdrawalDelay = 1 days; // Default delay
+    }
+
+    /**
+     * @dev Reinitializer for V8 upgrade, moving the single withdrawal requests of the given
+     * users into the queue with their original request time.
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     * @param users Users holding a withdrawal request made before V8
+     */
+    function initializeV8(address[] calldata users) external reinitializer(4) onlyRole(UPGRADER_ROLE) {
+        _migrateWithdrawalRequests(users);
+    }
+
+    /**
+     * @dev Reinitializer for V9 upgrade, adding the given assets next to the primary token.
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     * @param assets The token addresses
+     * @param depositFees The deposit fee of each asset in basis points
+     * @param yieldRates The yield rate of each asset in basis points
+     */
+    function initializeV9(
+        address[] calldata assets,
+        uint256[] calldata depositFees,
+        uint256[] calldata yieldRates
+    ) external reinitializer(5) onlyRole(UPGRADER_ROLE) {
+        require(
+            assets.length == depositFees.length && assets.length == yieldRates.length,
+            "Array length mismatch"
+        );
+        for (uint256 i = 0; i < assets.length; i++) {
+            _addAsset(assets[i], depositFees[i], yieldRates[i]);
+        }
+    }
+
+    /**
+     * @dev Migrates single withdrawal requests missed by initializeV8 (upgrader only)
+     * @param users Users holding a withdrawal request made before V8
+     */
+    function migrateWithdrawalRequests(address[] calldata users) external onlyRole(UPGRADER_ROLE) {
+        _migrateWithdrawalRequests(users);
+    }
+
+    /**
+     * @dev Adds an asset to the whitelist (admin only)
+     * @param asset The token address
+     * @param _depositFee The deposit fee in basis points, at most MAX_DEPOSIT_FEE
+     * @param _yieldRate The yield rate in basis points
+     */
+    function addAsset(address asset, uint256 _depositFee, uint256 _yieldRate)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _addAsset(asset, _depositFee, _yieldRate);
+    }
+
+    /**
+     * @dev Returns every supported asset, the primary token first
+     * @return assets The token addresses
+     */
+    function getAssets() external view returns (address[] memory assets) {
+        assets = new address[](_addedAssets.length + 1);
+        assets[0] = address(token);
+        for (uint256 i = 0; i < _addedAssets.length; i++) {
+            assets[i + 1] = _addedAssets[i];
+        }
+    }
+
+    /**
+     * @dev Returns whether an asset can be deposited
+     * @param asset The token address
+     * @return True for the primary token and added assets
+     */
+    function isAssetSupported(address asset) public view returns (bool) {
+        return asset == address(token) || _assets[asset].supported;
+    }
+
+    /**
+     * @dev Deposits tokens into the vault
+     * @param amount The amount to deposit
+     */
+    function deposit(uint256 amount) external nonReentrant {
+        _deposit(address(token), amount);
+    }
+
+    /**
+     * @dev Deposits an asset into the vault
+     * @param asset The token address
+     * @param amount The amount to deposit
+     */
+    function depositAsset(address asset, uint256 amount) external nonReentrant {
+        _deposit(asset, amount);
+    }
+
+    /**
+     * @dev Withdraws tokens from the vault through the withdrawal delay: the amount is queued
+     * as a new withdrawal request and only paid out right away while the delay is 0
+     * @param amount The amount to withdraw
+     * @return requestId The ID of the queued request
+     */
+    function withdraw(uint256 amount) external nonReentrant returns (uint256 requestId) {
+        return _withdraw(address(token), amount);
+    }
+
+    /**
+     * @dev Withdraws an asset through the withdrawal delay, see withdraw
+     * @param asset The token address
+     * @param amount The amount to withdraw
+     * @return requestId The ID of the queued request
+     */
+    function withdrawAsset(address asset, uint256 amount)
+        external
+        nonReentrant
+        returns (uint256 requestId)
+    {
+        return _withdraw(asset, amount);
+    }
+
+    /**
+     * @dev Sets the deposit fee (admin only)
+     * @param _depositFee The new deposit fee in basis points, at most MAX_DEPOSIT_FEE
+     */
+    function setDepositFee(uint256 _depositFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setDepositFee(address(token), _depositFee);
+    }
+
+    /**
+     * @dev Sets the deposit fee of an asset (admin only)
+     * @param asset The token address
+     * @param _depositFee The new deposit fee in basis points, at most MAX_DEPOSIT_FEE
+     */
+    function setAssetDepositFee(address asset, uint256 _depositFee)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setDepositFee(asset, _depositFee);
+    }
+
+    /**
+     * @dev Sets the treasury receiving swept fees of every asset (admin only)
+     * @param _treasury The treasury address
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Returns the deposit fees collected since V4 and not swept yet
+     * @return The accrued fees
+     */
+    function getAccruedFees() external view returns (uint256) {
+        return _accruedFees;
+    }
+
+    /**
+     * @dev Returns the part of the accrued fees that can be swept. Sweeps are capped at the
+     * token balance exceeding _totalDeposits and the yield reserve, so they never touch user
+     * principal or funds set aside for yield.
+     * @return The sweepable amount
+     */
+    function getSweepableFees() external view returns (uint256) {
+        return _sweepableFees(address(token));
+    }
+
+    /**
+     * @dev Transfers the sweepable fees to the treasury (admin only)
+     * @return The amount swept
+     */
+    function sweepFees() external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant returns (uint256) {
+        return _sweepFees(address(token));
+    }
+
+    /**
+     * @dev Transfers the sweepable fees of an asset to the treasury (admin only)
+     * @param asset The token address
+     * @return The amount swept
+     */
+    function sweepAssetFees(address asset)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        nonReentrant
+        returns (uint256)
+    {
+        return _sweepFees(asset);
+    }
+
+    /**
+     * @dev Sets the withdrawal delay of every asset (admin only)
+     * @param _delaySeconds The new delay in seconds
+     */
+    function setWithdrawalDelay(uint256 _delaySeconds) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_delaySeconds <= 30 days, "Delay too long");
+        withdrawalDelay = _delaySeconds;
+        emit WithdrawalDelaySet(_delaySeconds);
+    }
+
+    /**
+     * @dev Returns the current withdrawal delay
+     * @return The withdrawal delay in seconds
+     */
+    function getWithdrawalDelay() external view returns (uint256) {
+        return withdrawalDelay;
+    }
+
+    /**
+     * @dev Queues a withdrawal request. The amount is locked until the request is executed
+     * or cancelled; every request has its own ID and delay.
+     * @param amount The amount to withdraw
+     * @return The ID of the queued request
+     */
+    function requestWithdrawal(uint256 amount) external returns (uint256) {
+        return _queueWithdrawal(address(token), msg.sender, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Queues a withdrawal request for an asset, see requestWithdrawal
+     * @param asset The token address
+     * @param amount The amount to withdraw
+     * @return The ID of the queued request
+     */
+    function requestAssetWithdrawal(address asset, uint256 amount) external returns (uint256) {
+        return _queueWithdrawal(asset, msg.sender, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Executes a pending withdrawal request of the caller after its delay, in the
+     * asset it was made for
+     * @param requestId The request ID
+     * @return The amount withdrawn
+     */
+    function executeWithdrawal(uint256 requestId) external nonReentrant returns (uint256) {
+        return _executeWithdrawal(msg.sender, requestId);
+    }
+
+    /**
+     * @dev Cancels a pending withdrawal request of the caller, unlocking its amount
+     * @param requestId The request ID
+     */
+    function cancelWithdrawal(uint256 requestId) external {
+        _cancelRequest(_pendingRequest(msg.sender, requestId));
+    }
+
+    /**
+     * @dev Emergency withdrawal of the primary token bypassing delay, only while an
+     * emergency is declared
+     * @return The amount withdrawn
+     */
+    function emergencyWithdraw() external nonReentrant returns (uint256) {
+        return _emergencyWithdraw(address(token));
+    }
+
+    /**
+     * @dev Emergency withdrawal of an asset, see emergencyWithdraw
+     * @param asset The token address
+     * @return The amount withdrawn
+     */
+    function emergencyWithdrawAsset(address asset) external nonReentrant returns (uint256) {
+        return _emergencyWithdraw(asset);
+    }
+
+    /**
+     * @dev Declares an emergency, letting every user withdraw without delay (admin only)
+     */
+    function declareEmergency() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!emergencyMode, "Emergency already declared");
+        emergencyMode = true;
+        emit EmergencyDeclared(msg.sender);
+    }
+
+    /**
+     * @dev Ends the emergency, enforcing the withdrawal delay again (admin only)
+     */
+    function resolveEmergency() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(emergencyMode, "No emergency declared");
+        emergencyMode = false;
+        emit EmergencyResolved(msg.sender);
+    }
+
+    /**
+     * @dev Returns the part of a user's balance not locked in withdrawal requests
+     * @param user The user address
+     * @return The unlocked balance
+     */
+    function getAvailableBalance(address user) external view returns (uint256) {
+        return _availableBalance(address(token), user);
+    }
+
+    /**
+     * @dev Returns the sum of a user's pending withdrawal requests
+     * @param user The user address
+     * @return The locked balance
+     */
+    function getLockedBalance(address user) external view returns (uint256) {
+        return _lockedBalances[user];
+    }
+
+    /**
+     * @dev Returns a withdrawal request by ID; all fields are zero once it was executed or cancelled
+     * @param requestId The request ID
+     * @return The request
+     */
+    function getQueuedWithdrawal(uint256 requestId) external view returns (QueuedWithdrawal memory) {
+        return _queuedWithdrawals[requestId];
+    }
+
+    /**
+     * @dev Returns the asset a withdrawal request was made for
+     * @param requestId The request ID
+     * @return The token address
+     */
+    function getWithdrawalAsset(uint256 requestId) public view returns (address) {
+        address asset = _requestAssets[requestId];
+        return asset == address(0) ? address(token) : asset;
+    }
+
+    /**
+     * @dev Returns the number of pending withdrawal requests of a user, in all assets
+     * @param user The user address
+     * @return The number of pending requests
+     */
+    function getPendingWithdrawalCount(address user) external view returns (uint256) {
+        return _pendingRequestIds[user].length();
+    }
+
+    /**
+     * @dev Returns a page of a user's pending withdrawal requests in all assets (see
+     * getWithdrawalAsset). The order is not stable: removing a request moves the last one
+     * into its place.
+     * @param user The user address
+     * @param offset Index of the first request to return
+     * @param limit Maximum number of requests to return
+     * @return requests The pending requests
+     */
+    function getPendingWithdrawals(address user, uint256 offset, uint256 limit)
+        external
+        view
+        returns (QueuedWithdrawal[] memory requests)
+    {
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[user];
+        uint256 total = pending.length();
+        if (offset >= total) {
+            return new QueuedWithdrawal[](0);
+        }
+        uint256 end = offset + limit > total ? total : offset + limit;
+
+        requests = new QueuedWithdrawal[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            requests[i - offset] = _queuedWithdrawals[pending.at(i)];
+        }
+    }
+
+    /**
+     * @dev Returns the withdrawal requests of a user for the primary token in the
+     * single-request shape of V3 to V7
+     * @param user The user address
+     * @return amount The sum of the pending requests
+     * @return requestTime The time of the most recent pending request
+     */
+    function getWithdrawalRequest(address user)
+        external
+        view
+        returns (uint256 amount, uint256 requestTime)
+    {
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[user];
+        for (uint256 i = 0; i < pending.length(); i++) {
+            uint256 requestId = pending.at(i);
+            uint256 time = _queuedWithdrawals[requestId].requestTime;
+            if (_requestAssets[requestId] == address(0) && time > requestTime) {
+                requestTime = time;
+            }
+        }
+        return (_lockedBalances[user], requestTime);
+    }
+
+    /**
+     * @dev Sets the yield rate (admin only)
+     * @param _yieldRate The new yield rate in basis points
+     */
+    function setYieldRate(uint256 _yieldRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setYieldRate(address(token), _yieldRate);
+    }
+
+    /**
+     * @dev Sets the yield rate of an asset (admin only)
+     * @param asset The token address
+     * @param _yieldRate The new yield rate in basis points
+     */
+    function setAssetYieldRate(address asset, uint256 _yieldRate)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setYieldRate(asset, _yieldRate);
+    }
+
+    /**
+     * @dev Returns the current yield rate
+     * @return The yield rate in basis points
+     */
+    function getYieldRate() external view returns (uint256) {
+        return yieldRate;
+    }
+
+    /**
+     * @dev Funds the yield reserve (admin only). Yield is only ever paid out of the reserve.
+     * @param amount The amount of tokens to add, transferred from the caller
+     */
+    function fundYieldReserve(uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        _fundYieldReserve(address(token), amount);
+    }
+
+    /**
+     * @dev Funds the yield reserve of an asset (admin only), see fundYieldReserve
+     * @param asset The token address
+     * @param amount The amount of tokens to add, transferred from the caller
+     */
+    function fundAssetYieldReserve(address asset, uint256 amount)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        nonReentrant
+    {
+        _fundYieldReserve(asset, amount);
+    }
+
+    /**
+     * @dev Returns the tokens available for yield payments
+     * @return The yield reserve
+     */
+    function getYieldReserve() external view returns (uint256) {
+        return _yieldReserve;
+    }
+
+    /**
+     * @dev Returns how long the yield reserve lasts at the current yield rate and total
+     * deposits. Yield accrued but not claimed yet is not deducted.
+     * @return The runway in seconds, type(uint256).max when no yield accrues
+     */
+    function getReserveRunway() external view returns (uint256) {
+        uint256 yieldPerYear = _totalDeposits * yieldRate;
+        if (yieldPerYear == 0) {
+            return type(uint256).max;
+        }
+        return (_yieldReserve * 365 days * 10000) / yieldPerYear;
+    }
+
+    /**
+     * @dev Claims accumulated yield for the caller, paid out of the yield reserve.
+     * When the reserve cannot cover the full yield, it is paid out completely and the
+     * rest remains claimable once the reserve is topped up.
+     * @return The amount of yield claimed
+     */
+    function claimYield() external nonReentrant returns (uint256) {
+        return _claimYield(address(token));
+    }
+
+    /**
+     * @dev Claims the accumulated yield of an asset, paid in that asset, see claimYield
+     * @param asset The token address
+     * @return The amount of yield claimed
+     */
+    function claimAssetYield(address asset) external nonReentrant returns (uint256) {
+        return _claimYield(asset);
+    }
+
+    /**
+     * @dev Calculates the yield for a user: the yield checkpointed so far plus the yield
+     * accrued on the current balance since the last checkpoint
+     * @param user The user address
+     * @return The calculated yield
+     */
+    function getUserYield(address user) external view returns (uint256) {
+        return _accruedYield[user] + _pendingYield(address(token), user);
+    }
+
+    /**
+     * @dev Returns the yield checkpoint of a user
+     * @param user The user address
+     * @return accrued Yield checkpointed and not claimed yet
+     * @return checkpointTime Time of the last checkpoint, 0 if the user never accrued yield
+     */
+    function getYieldCheckpoint(address user)
+        external
+        view
+        returns (uint256 accrued, uint256 checkpointTime)
+    {
+        return (_accruedYield[user], _lastClaimTime[user]);
+    }
+
+    /**
+     * @dev Checkpoints the primary token yield of existing users after the upgrade to V6
+     * (upgrader only). Users who deposited before V2 never started accruing and start
+     * from now on. Checkpointing is idempotent, so batches can be repeated.
+     * @param users The users to checkpoint
+     */
+    function checkpointUsers(address[] calldata users) external onlyRole(UPGRADER_ROLE) {
+        for (uint256 i = 0; i < users.length; i++) {
+            _checkpoint(address(token), users[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the settings and totals of an asset
+     * @param asset The token address
+     * @return info The deposit fee, yield rate, total deposits, accrued and sweepable fees
+     * and yield reserve
+     */
+    function getAssetInfo(address asset) external view returns (AssetInfo memory info) {
+        _requireSupported(asset);
+        info = AssetInfo({
+            depositFee: _depositFeeOf(asset),
+            yieldRate: _yieldRateOf(asset),
+            totalDeposits: _totalDepositsOf(asset),
+            accruedFees: _accruedFeesOf(asset),
+            sweepableFees: _sweepableFees(asset),
+            yieldReserve: _yieldReserveOf(asset)
+        });
+    }
+
+    /**
+     * @dev Returns the position of a user in an asset
+     * @param asset The token address
+     * @param user The user address
+     * @return position The balance, unlocked and locked balance, yield and time of the last
+     * yield checkpoint
+     */
+    function getAssetPosition(address asset, address user)
+        external
+        view
+        returns (AssetPosition memory position)
+    {
+        _requireSupported(asset);
+        position = AssetPosition({
+            balance: _balancesOf(asset)[user],
+            available: _availableBalance(asset, user),
+            locked: _lockedBalancesOf(asset)[user],
+            yield: _accruedYieldOf(asset)[user] + _pendingYield(asset, user),
+            checkpointTime: _checkpointTimesOf(asset)[user]
+        });
+    }
+
+    /**
+     * @dev Compares the token balance of an asset with the vault's liabilities in it: the
+     * deposits, the yield reserve and the accrued fees. Transfer fees charged on payouts and
+     * negative rebases show up as a deficit; fees collected before V4, tokens sent to the
+     * vault directly and positive rebases as a surplus.
+     * @param asset The token address
+     * @return The balance, liabilities and the difference between them
+     */
+    function getReconciliation(address asset) external view returns (Reconciliation memory) {
+        _requireSupported(asset);
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        uint256 liabilities = _totalDepositsOf(asset) + _yieldReserveOf(asset) + _accruedFeesOf(asset);
+        return Reconciliation({
+            balance: balance,
+            liabilities: liabilities,
+            surplus: balance > liabilities ? balance - liabilities : 0,
+            deficit: liabilities > balance ? liabilities - balance : 0
+        });
+    }
+
+    /**
+     * @dev Pauses deposits of every asset
+     */
+    function pauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(!depositsPaused, "Deposits already paused");
+        depositsPaused = true;
+        emit DepositsPaused();
+    }
+
+    /**
+     * @dev Unpauses deposits
+     */
+    function unpauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(depositsPaused, "Deposits not paused");
+        depositsPaused = false;
+        emit DepositsUnpaused();
+    }
+
+    /**
+     * @dev Returns whether deposits are paused
+     * @return True if deposits are paused
+     */
+    function isDepositsPaused() external view returns (bool) {
+        return depositsPaused;
+    }
+
+    /**
+     * @dev Returns the primary token balance of a user
+     * @param user The user address
+     * @return The user's balance
+     */
+    function balanceOf(address user) external view returns (uint256) {
+        return _balances[user];
+    }
+
+    /**
+     * @dev Returns the total deposits of the primary token in the vault
+     * @return The total deposits
+     */
+    function totalDeposits() external view returns (uint256) {
+        return _totalDeposits;
+    }
+
+    /**
+     * @dev Returns the current deposit fee
+     * @return The deposit fee in basis points
+     */
+    function getDepositFee() external view returns (uint256) {
+        return depositFee;
+    }
+
+    /**
+     * @dev Returns the implementation version
+     * @return The version string
+     */
+    function getImplementationVersion() external pure returns (string memory) {
+        return "v10.0.0";
+    }
+
+    /**
+     * @dev Whitelists an asset with its own fee and yield rate. Reverts for addresses without
+     * code, assets already supported and settings out of range.
+     */
+    function _addAsset(address asset, uint256 _depositFee, uint256 _yieldRate) internal {
+        require(asset.code.length > 0, "Invalid token address");
+        require(!isAssetSupported(asset), "Asset already supported");
+        require(_depositFee <= MAX_DEPOSIT_FEE, "Fee exceeds maximum");
+        require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
+
+        AssetState storage state = _assets[asset];
+        state.supported = true;
+        state.depositFee = _depositFee;
+        state.yieldRate = _yieldRate;
+        _addedAssets.push(asset);
+
+        emit AssetAdded(asset, _depositFee, _yieldRate);
+    }
+
+    /**
+     * @dev Credits the tokens that arrived minus the asset's deposit fee to the caller's balance and
+     * accrues the fee
+     */
+    function _deposit(address asset, uint256 amount) internal {
+        _requireSupported(asset);
+        require(!depositsPaused, "Deposits are paused");
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Transfer tokens from user; the fee is charged on what arrived
+        uint256 received = _pull(asset, amount);
+        uint256 fee = (received * _depositFeeOf(asset)) / 10000;
+        uint256 amountAfterFee = received - fee;
+
+        // Accrue yield on the balance held so far; starts accruing for new users
+        _checkpoint(asset, msg.sender);
+
+        // Update balances
+        _balancesOf(asset)[msg.sender] += amountAfterFee;
+        if (asset == address(token)) {
+            _totalDeposits += amountAfterFee;
+            _accruedFees += fee;
+            emit Deposited(msg.sender, amountAfterFee, fee);
+        } else {
+            _assets[asset].totalDeposits += amountAfterFee;
+            _assets[asset].accruedFees += fee;
+            emit AssetDeposited(asset, msg.sender, amountAfterFee, fee);
+        }
+    }
+
+    /**
+     * @dev Queues a withdrawal of an asset for the caller and executes it right away while the delay is 0
+     */
+    function _withdraw(address asset, uint256 amount) internal returns (uint256 requestId) {
+        requestId = _queueWithdrawal(asset, msg.sender, amount, block.timestamp);
+        if (withdrawalDelay == 0) {
+            _executeWithdrawal(msg.sender, requestId);
+        }
+    }
+
+    /**
+     * @dev Pays out the caller's whole balance of an asset during an emergency and cancels the
+     * caller's requests of that asset
+     */
+    function _emergencyWithdraw(address asset) internal returns (uint256) {
+        _requireSupported(asset);
+        require(emergencyMode, "No emergency declared");
+
+        uint256 balance = _balancesOf(asset)[msg.sender];
+        require(balance > 0, "No balance to withdraw");
+
+        // Cancel all pending withdrawal requests of the asset; a removed request is
+        // replaced by the last one, which was checked already
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[msg.sender];
+        for (uint256 i = pending.length(); i > 0; i--) {
+            uint256 requestId = pending.at(i - 1);
+            if (getWithdrawalAsset(requestId) == asset) {
+                _cancelRequest(_queuedWithdrawals[requestId]);
+            }
+        }
+
+        // Accrued yield stays claimable after the emergency withdrawal
+        _checkpoint(asset, msg.sender);
+
+        // Update balances
+        _balancesOf(asset)[msg.sender] = 0;
+        if (asset == address(token)) {
+            delete _withdrawalRequests[msg.sender];
+            _totalDeposits -= balance;
+            emit EmergencyWithdrawal(msg.sender, balance);
+        } else {
+            _assets[asset].totalDeposits -= balance;
+            emit AssetEmergencyWithdrawal(asset, msg.sender, balance);
+        }
+
+        // Transfer tokens to user
+        IERC20(asset).safeTransfer(msg.sender, balance);
+        return balance;
+    }
+
+    /**
+     * @dev Sets the deposit fee of an asset
+     */
+    function _setDepositFee(address asset, uint256 _depositFee) internal {
+        _requireSupported(asset);
+        require(_depositFee <= MAX_DEPOSIT_FEE, "Fee exceeds maximum");
+        if (asset == address(token)) {
+            depositFee = _depositFee;
+            emit DepositFeeUpdated(_depositFee);
+        } else {
+            _assets[asset].depositFee = _depositFee;
+            emit AssetDepositFeeUpdated(asset, _depositFee);
+        }
+    }
+
+    /**
+     * @dev Sets the yield rate of an asset. Yield up to now accrues at the previous rate.
+     */
+    function _setYieldRate(address asset, uint256 _yieldRate) internal {
+        _requireSupported(asset);
+        require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
+        _updateYieldIndex(asset);
+        if (asset == address(token)) {
+            yieldRate = _yieldRate;
+            emit YieldRateSet(_yieldRate);
+        } else {
+            _assets[asset].yieldRate = _yieldRate;
+            emit AssetYieldRateSet(asset, _yieldRate);
+        }
+    }
+
+    /**
+     * @dev Returns the accrued fees of an asset covered by the vault's holdings beyond its deposits
+     * and yield reserve
+     */
+    function _sweepableFees(address asset) internal view returns (uint256) {
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        uint256 reserved = _totalDepositsOf(asset) + _yieldReserveOf(asset);
+        if (balance <= reserved) {
+            return 0;
+        }
+        uint256 surplus = balance - reserved;
+        uint256 accrued = _accruedFeesOf(asset);
+        return accrued < surplus ? accrued : surplus;
+    }
+
+    /**
+     * @dev Transfers the sweepable fees of an asset to the treasury
+     */
+    function _sweepFees(address asset) internal returns (uint256) {
+        _requireSupported(asset);
+        require(treasury != address(0), "Treasury not set");
+        uint256 amount = _sweepableFees(asset);
+        require(amount > 0, "No fees to sweep");
+
+        if (asset == address(token)) {
+            _accruedFees -= amount;
+            emit FeesSwept(treasury, amount);
+        } else {
+            _assets[asset].accruedFees -= amount;
+            emit AssetFeesSwept(asset, treasury, amount);
+        }
+        IERC20(asset).safeTransfer(treasury, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Moves `amount` of an asset from the caller into its yield reserve, crediting what arrived
+     */
+    function _fundYieldReserve(address asset, uint256 amount) internal {
+        _requireSupported(asset);
+        require(amount > 0, "Amount must be greater than 0");
+
+        uint256 received = _pull(asset, amount);
+        if (asset == address(token)) {
+            _yieldReserve += received;
+            emit YieldReserveFunded(msg.sender, received);
+        } else {
+            _assets[asset].yieldReserve += received;
+            emit AssetYieldReserveFunded(asset, msg.sender, received);
+        }
+    }
+
+    /**
+     * @dev Transfers `amount` of an asset from the caller and returns the increase of the
+     * vault's balance, which is less than `amount` for fee-on-transfer tokens
+     */
+    function _pull(address asset, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(asset).balanceOf(address(this));
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(asset).balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "No tokens received");
+    }
+
+    /**
+     * @dev Pays the caller's accrued yield of an asset out of its yield reserve, as far as the
+     * reserve covers it
+     */
+    function _claimYield(address asset) internal returns (uint256) {
+        _requireSupported(asset);
+        _checkpoint(asset, msg.sender);
+
+        uint256 yield = _accruedYieldOf(asset)[msg.sender];
+        uint256 reserve = _yieldReserveOf(asset);
+        require(yield > 0, "No yield to claim");
+        require(reserve > 0, "Yield reserve empty");
+
+        uint256 payout = yield <= reserve ? yield : reserve;
+        _accruedYieldOf(asset)[msg.sender] -= payout;
+        if (asset == address(token)) {
+            _yieldReserve -= payout;
+            emit YieldClaimed(msg.sender, payout);
+        } else {
+            _assets[asset].yieldReserve -= payout;
+            emit AssetYieldClaimed(asset, msg.sender, payout);
+        }
+
+        // Transfer yield to user
+        IERC20(asset).safeTransfer(msg.sender, payout);
+        return payout;
+    }
+
+    /**
+     * @dev Returns a user's balance of an asset not locked by pending withdrawal requests
+     */
+    function _availableBalance(address asset, address user) internal view returns (uint256) {
+        uint256 balance = _balancesOf(asset)[user];
+        uint256 locked = _lockedBalancesOf(asset)[user];
+        return balance > locked ? balance - locked : 0;
+    }
+
+    /**
+     * @dev Queues a withdrawal request of an asset for `user` and locks its amount
+     */
+    function _queueWithdrawal(address asset, address user, uint256 amount, uint256 requestTime)
+        internal
+        returns (uint256 requestId)
+    {
+        _requireSupported(asset);
+        require(amount > 0, "Amount must be greater than 0");
+        require(_availableBalance(asset, user) >= amount, "Insufficient unlocked balance");
+
+        requestId = ++_lastRequestId;
+        _queuedWithdrawals[requestId] = QueuedWithdrawal({
+            id: requestId,
+            user: user,
+            amount: amount,
+            requestTime: requestTime
+        });
+        _pendingRequestIds[user].add(requestId);
+        _lockedBalancesOf(asset)[user] += amount;
+
+        if (asset == address(token)) {
+            emit WithdrawalQueued(requestId, user, amount, requestTime);
+        } else {
+            _requestAssets[requestId] = asset;
+            emit AssetWithdrawalQueued(requestId, asset, user, amount, requestTime);
+        }
+    }
+
+    /**
+     * @dev Pays out a pending request of `user` once its delay has passed
+     */
+    function _executeWithdrawal(address user, uint256 requestId) internal returns (uint256) {
+        QueuedWithdrawal memory request = _pendingRequest(user, requestId);
+        require(
+            block.timestamp >= request.requestTime + withdrawalDelay,
+            "Withdrawal delay not met"
+        );
+
+        address asset = getWithdrawalAsset(requestId);
+        uint256 amount = request.amount;
+        _removeRequest(asset, request);
+
+        _checkpoint(asset, user);
+
+        // Update balances
+        _balancesOf(asset)[user] -= amount;
+        if (asset == address(token)) {
+            _totalDeposits -= amount;
+            emit WithdrawalExecuted(user, amount);
+        } else {
+            _assets[asset].totalDeposits -= amount;
+            emit AssetWithdrawalExecuted(requestId, asset, user, amount);
+        }
+
+        // Transfer tokens to user
+        IERC20(asset).safeTransfer(user, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Returns a pending request, reverting unless it belongs to `user`
+     */
+    function _pendingRequest(address user, uint256 requestId)
+        internal
+        view
+        returns (QueuedWithdrawal memory)
+    {
+        require(_pendingRequestIds[user].contains(requestId), "No pending withdrawal");
+        return _queuedWithdrawals[requestId];
+    }
+
+    /**
+     * @dev Removes a pending request and emits the cancellation
+     */
+    function _cancelRequest(QueuedWithdrawal memory request) internal {
+        address asset = getWithdrawalAsset(request.id);
+        _removeRequest(asset, request);
+        if (asset == address(token)) {
+            emit WithdrawalCancelled(request.id, request.user, request.amount);
+        } else {
+            emit AssetWithdrawalCancelled(request.id, asset, request.user, request.amount);
+        }
+    }
+
+    /**
+     * @dev Removes a pending request and unlocks its amount
+     */
+    function _removeRequest(address asset, QueuedWithdrawal memory request) internal {
+        _pendingRequestIds[request.user].remove(request.id);
+        _lockedBalancesOf(asset)[request.user] -= request.amount;
+        delete _queuedWithdrawals[request.id];
+        delete _requestAssets[request.id];
+    }
+
+    /**
+     * @dev Moves single withdrawal requests made before V8 into the queue, keeping their
+     * request time. Requests made before V7 were not locked and are capped at the balance.
+     */
+    function _migrateWithdrawalRequests(address[] calldata users) internal {
+        for (uint256 i = 0; i < users.length; i++) {
+            WithdrawalRequest memory legacy = _withdrawalRequests[users[i]];
+            if (legacy.amount == 0) {
+                continue;
+            }
+            delete _withdrawalRequests[users[i]];
+
+            uint256 available = _availableBalance(address(token), users[i]);
+            uint256 amount = legacy.amount < available ? legacy.amount : available;
+            if (amount > 0) {
+                _queueWithdrawal(address(token), users[i], amount, legacy.requestTime);
+            }
+        }
+    }
+
+    /**
+     * @dev Moves the yield accrued since the last checkpoint into the accrued yield and
+     * starts a new period. Must run before every change to a user's balance.
+     */
+    function _checkpoint(address asset, address user) internal {
+        _accruedYieldOf(asset)[user] += _pendingYield(asset, user);
+        _checkpointTimesOf(asset)[user] = block.timestamp;
+        _userYieldIndexesOf(asset)[user] = _currentYieldIndex(asset);
+    }
+
+    /**
+     * @dev Yield accrued on the current balance since the last checkpoint, at the rates in
+     * force since then
+     */
+    function _pendingYield(address asset, address user) internal view returns (uint256) {
+        uint256 balance = _balancesOf(asset)[user];
+        uint256 lastCheckpoint = _checkpointTimesOf(asset)[user];
+        // If lastClaimTime is 0 (user existed before V2 and was not checkpointed), no yield yet
+        if (balance == 0 || lastCheckpoint == 0) {
+            return 0;
+        }
+
+        uint256 userIndex = _userYieldIndexesOf(asset)[user];
+        // Checkpoints of the primary token made before V6 recorded no index
+        if (userIndex == 0) {
+            YieldIndex storage index = _yieldIndexOf(asset);
+            userIndex = (index.updatedAt == 0 ? _yieldRateOf(asset) : index.legacyRate) * lastCheckpoint;
+        }
+        return (balance * (_currentYieldIndex(asset) - userIndex)) / (365 days * 10000);
+    }
+
+    /**
+     * @dev Yield accrued per token of an asset since time 0, in basis points times seconds.
+     * Until the first rate change, the current rate counts as applying all along, as it did
+     * for the primary token up to V5.
+     */
+    function _currentYieldIndex(address asset) internal view returns (uint256) {
+        YieldIndex storage index = _yieldIndexOf(asset);
+        uint256 rate = _yieldRateOf(asset);
+        if (index.updatedAt == 0) {
+            return rate * block.timestamp;
+        }
+        return index.value + rate * (block.timestamp - index.updatedAt);
+    }
+
+    /**
+     * @dev Closes the period of an asset's current rate. Must run before every rate change.
+     */
+    function _updateYieldIndex(address asset) internal {
+        YieldIndex storage index = _yieldIndexOf(asset);
+        if (index.updatedAt == 0) {
+            index.legacyRate = _yieldRateOf(asset);
+        }
+        index.value = _currentYieldIndex(asset);
+        index.updatedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Reverts unless the asset is the vault token or an added asset
+     */
+    function _requireSupported(address asset) internal view {
+        require(isAssetSupported(asset), "Unsupported asset");
+    }
+
+    // Storage of an asset: the V1 to V8 variables for the primary token, AssetState otherwise
+
+    /**
+     * @dev Returns the balances of an asset
+     */
+    function _balancesOf(address asset) internal view returns (mapping(address => uint256) storage) {
+        if (asset == address(token)) {
+            return _balances;
+        }
+        return _assets[asset].balances;
+    }
+
+    /**
+     * @dev Returns the time of each user's last yield checkpoint in an asset
+     */
+    function _checkpointTimesOf(address asset) internal view returns (mapping(address => uint256) storage) {
+        if (asset == address(token)) {
+            return _lastClaimTime;
+        }
+        return _assets[asset].lastCheckpoint;
+    }
+
+    /**
+     * @dev Returns the yield of an asset checkpointed and not claimed yet
+     */
+    function _accruedYieldOf(address asset) internal view returns (mapping(address => uint256) storage) {
+        if (asset == address(token)) {
+            return _accruedYield;
+        }
+        return _assets[asset].accruedYield;
+    }
+
+    /**
+     * @dev Returns the yield index of an asset
+     */
+    function _yieldIndexOf(address asset) internal view returns (YieldIndex storage) {
+        if (asset == address(token)) {
+            return _yieldIndex;
+        }
+        return _assets[asset].yieldIndex;
+    }
+
+    /**
+     * @dev Returns the yield index of an asset at each user's last checkpoint
+     */
+    function _userYieldIndexesOf(address asset) internal view returns (mapping(address => uint256) storage) {
+        if (asset == address(token)) {
+            return _userYieldIndex;
+        }
+        return _assets[asset].userYieldIndex;
+    }
+
+    /**
+     * @dev Returns the amounts of an asset locked by pending withdrawal requests
+     */
+    function _lockedBalancesOf(address asset) internal view returns (mapping(address => uint256) storage) {
+        if (asset == address(token)) {
+            return _lockedBalances;
+        }
+        return _assets[asset].lockedBalances;
+    }
+
+    /**
+     * @dev Returns the deposit fee of an asset in basis points
+     */
+    function _depositFeeOf(address asset) internal view returns (uint256) {
+        return asset == address(token) ? depositFee : _assets[asset].depositFee;
+    }
+
+    /**
+     * @dev Returns the yield rate of an asset in basis points
+     */
+    function _yieldRateOf(address asset) internal view returns (uint256) {
+        return asset == address(token) ? yieldRate : _assets[asset].yieldRate;
+    }
+
+    /**
+     * @dev Returns the total deposits of an asset
+     */
+    function _totalDepositsOf(address asset) internal view returns (uint256) {
+        return asset == address(token) ? _totalDeposits : _assets[asset].totalDeposits;
+    }
+
+    /**
+     * @dev Returns the deposit fees of an asset accrued and not swept yet
+     */
+    function _accruedFeesOf(address asset) internal view returns (uint256) {
+        return asset == address(token) ? _accruedFees : _assets[asset].accruedFees;
+    }
+
+    /**
+     * @dev Returns the yield reserve of an asset
+     */
+    function _yieldReserveOf(address asset) internal view returns (uint256) {
+        return asset == address(token) ? _yieldReserve : _assets[asset].yieldReserve;
+    }
+
+    /**
+     * @dev Authorizes upgrade to new implementation
+     * @param newImplementation The address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) 
+        internal 
+        override 
+        onlyRole(UPGRADER_ROLE) 
+    {}
+}
@@ -82,8 +82,10 @@ contract TokenVaultV2 is
 
     /**
      * @dev Reinitializer for V2 upgrade
+     * Restricted to UPGRADER_ROLE so that nobody else can run it between the upgrade and
+     * its initialization; upgrades should call it atomically through upgradeToAndCall
      */
-    function initializeV2() external reinitializer(2) {
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
         // Grant PAUSER_ROLE to the caller (admin) for V2
         _grantRole(PAUSER_ROLE, msg.sender);
     }
@@ -96,16 +96,19 @@ contract TokenVaultV3 is
 
     /**
      * @dev Reinitializer for V2 upgrade
+     * Restricted to UPGRADER_ROLE so that nobody else can run it between the upgrade and
+     * its initialization; upgrades should call it atomically through upgradeToAndCall
      */
-    function initializeV2() external reinitializer(2) {
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
         // Grant PAUSER_ROLE to the admin for V2
         _grantRole(PAUSER_ROLE, msg.sender);
     }
 
     /**
      * @dev Reinitializer for V3 upgrade
+     * Restricted to UPGRADER_ROLE, see initializeV2
      */
-    function initializeV3() external reinitializer(3) {
+    function initializeV3() external reinitializer(3) onlyRole(UPGRADER_ROLE) {
         withdrawalDelay = 1 days; // Default delay
     }
 
@@ -0,0 +1,587 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title TokenVaultV6
+ * @dev UUPS upgradeable token vault accruing yield per user at every balance change
+ */
+contract TokenVaultV6 is 
+    Initializable, 
+    UUPSUpgradeable, 
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable 
+{
+    using SafeERC20 for IERC20;
+
+    // Role definitions
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Upper bound for setDepositFee (10%)
+    uint256 public constant MAX_DEPOSIT_FEE = 1000;
+
+    // State variables from V1
+    IERC20 public token;
+    uint256 public depositFee;
+    
+    mapping(address => uint256) private _balances;
+    uint256 private _totalDeposits;
+
+    // State variables from V2
+    uint256 public yieldRate;
+    mapping(address => uint256) private _lastClaimTime; // Time of the last yield checkpoint since V6
+    bool public depositsPaused;
+
+    // State variables from V3
+    uint256 public withdrawalDelay;
+    
+    struct WithdrawalRequest {
+        uint256 amount;
+        uint256 requestTime;
+    }
+    
+    mapping(address => WithdrawalRequest) private _withdrawalRequests;
+
+    // State variables from V4
+    address public treasury;
+    uint256 private _accruedFees; // Deposit fees collected since V4, not part of _totalDeposits
+
+    // State variables from V5
+    uint256 private _yieldReserve; // Tokens funded for yield payments, not part of _totalDeposits
+
+    // New state variables for V6
+    mapping(address => uint256) private _accruedYield; // Yield checkpointed and not claimed yet
+
+    // Yield per token accrued at the successive yield rates, see _currentYieldIndex
+    struct YieldIndex {
+        uint256 value; // Index at the last rate change, in basis points times seconds
+        uint256 updatedAt; // Time of the last rate change, 0 until the first one since V6
+        uint256 legacyRate; // Rate in force until then, applied to checkpoints made before V6
+    }
+
+    YieldIndex private _yieldIndex;
+    mapping(address => uint256) private _userYieldIndex; // Index at the user's last checkpoint since V6
+
+    // Reduced storage gap (42 - 5 = 37) to account for the new variables
+    uint256[37] private __gap;
+
+    // Events
+    event Deposited(address indexed user, uint256 amount, uint256 fee);
+    event Withdrawn(address indexed user, uint256 amount);
+    event DepositFeeUpdated(uint256 newFee);
+    event YieldRateSet(uint256 newRate);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event DepositsPaused();
+    event DepositsUnpaused();
+    event WithdrawalDelaySet(uint256 newDelay);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 requestTime);
+    event WithdrawalExecuted(address indexed user, uint256 amount);
+    event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event FeesSwept(address indexed treasury, uint256 amount);
+    event YieldReserveFunded(address indexed funder, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract with token, admin, and deposit fee
+     * @param _token The ERC20 token address
+     * @param _admin The admin address
+     * @param _depositFee The deposit fee in basis points
+     */
+    function initialize(
+        address _token, 
+        address _admin, 
+        uint256 _depositFee
+    ) external initializer {
+        require(_token != address(0), "Invalid token address");
+        require(_admin != address(0), "Invalid admin address");
+        require(_depositFee <= 10000, "Fee cannot exceed 100%");
+
+        __UUPSUpgradeable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
+        token = IERC20(_token);
+        depositFee = _depositFee;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+
+    /**
+     * @dev Reinitializer for V2 upgrade
+     * Restricted to UPGRADER_ROLE so that nobody else can run it between the upgrade and
+     * its initialization; upgrades should call it atomically through upgradeToAndCall
+     */
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        // Grant PAUSER_ROLE to the admin for V2
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Reinitializer for V3 upgrade
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     */
+    function initializeV3() external reinitializer(3) onlyRole(UPGRADER_ROLE) {
+        withdrawalDelay = 1 days; // Default delay
+    }
+
+    /**
+     * @dev Deposits tokens into the vault
+     * @param amount The amount to deposit
+     */
+    function deposit(uint256 amount) external nonReentrant {
+        require(!depositsPaused, "Deposits are paused");
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Calculate fee
+        uint256 fee = (amount * depositFee) / 10000;
+        uint256 amountAfterFee = amount - fee;
+
+        // Transfer tokens from user
+        token.safeTransferFrom(msg.sender, address(this), amount);
+
+        // Accrue yield on the balance held so far; starts accruing for new users
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] += amountAfterFee;
+        _totalDeposits += amountAfterFee;
+        _accruedFees += fee;
+
+        emit Deposited(msg.sender, amountAfterFee, fee);
+    }
+
+    /**
+     * @dev Withdraws tokens from the vault (kept for backward compatibility)
+     * @param amount The amount to withdraw
+     */
+    function withdraw(uint256 amount) external nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        require(_balances[msg.sender] >= amount, "Insufficient balance");
+
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] -= amount;
+        _totalDeposits -= amount;
+
+        // Transfer tokens to user
+        token.safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Sets the deposit fee (admin only)
+     * @param _depositFee The new deposit fee in basis points, at most MAX_DEPOSIT_FEE
+     */
+    function setDepositFee(uint256 _depositFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_depositFee <= MAX_DEPOSIT_FEE, "Fee exceeds maximum");
+        depositFee = _depositFee;
+        emit DepositFeeUpdated(_depositFee);
+    }
+
+    /**
+     * @dev Sets the treasury receiving swept fees (admin only)
+     * @param _treasury The treasury address
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Returns the deposit fees collected since V4 and not swept yet
+     * @return The accrued fees
+     */
+    function getAccruedFees() external view returns (uint256) {
+        return _accruedFees;
+    }
+
+    /**
+     * @dev Returns the part of the accrued fees that can be swept. Sweeps are capped at the
+     * token balance exceeding _totalDeposits and the yield reserve, so they never touch user
+     * principal or funds set aside for yield.
+     * @return The sweepable amount
+     */
+    function getSweepableFees() public view returns (uint256) {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 reserved = _totalDeposits + _yieldReserve;
+        if (balance <= reserved) {
+            return 0;
+        }
+        uint256 surplus = balance - reserved;
+        return _accruedFees < surplus ? _accruedFees : surplus;
+    }
+
+    /**
+     * @dev Transfers the sweepable fees to the treasury (admin only)
+     * @return The amount swept
+     */
+    function sweepFees() external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant returns (uint256) {
+        require(treasury != address(0), "Treasury not set");
+        uint256 amount = getSweepableFees();
+        require(amount > 0, "No fees to sweep");
+
+        _accruedFees -= amount;
+        token.safeTransfer(treasury, amount);
+
+        emit FeesSwept(treasury, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Sets the withdrawal delay (admin only)
+     * @param _delaySeconds The new delay in seconds
+     */
+    function setWithdrawalDelay(uint256 _delaySeconds) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_delaySeconds <= 30 days, "Delay too long");
+        withdrawalDelay = _delaySeconds;
+        emit WithdrawalDelaySet(_delaySeconds);
+    }
+
+    /**
+     * @dev Returns the current withdrawal delay
+     * @return The withdrawal delay in seconds
+     */
+    function getWithdrawalDelay() external view returns (uint256) {
+        return withdrawalDelay;
+    }
+
+    /**
+     * @dev Requests a withdrawal
+     * @param amount The amount to withdraw
+     */
+    function requestWithdrawal(uint256 amount) external {
+        require(amount > 0, "Amount must be greater than 0");
+        require(_balances[msg.sender] >= amount, "Insufficient balance");
+
+        // Cancel any previous pending request and create new one
+        _withdrawalRequests[msg.sender] = WithdrawalRequest({
+            amount: amount,
+            requestTime: block.timestamp
+        });
+
+        emit WithdrawalRequested(msg.sender, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Executes a pending withdrawal after delay
+     * @return The amount withdrawn
+     */
+    function executeWithdrawal() external nonReentrant returns (uint256) {
+        WithdrawalRequest memory request = _withdrawalRequests[msg.sender];
+        
+        require(request.amount > 0, "No pending withdrawal");
+        require(
+            block.timestamp >= request.requestTime + withdrawalDelay,
+            "Withdrawal delay not met"
+        );
+        require(_balances[msg.sender] >= request.amount, "Insufficient balance");
+
+        uint256 amount = request.amount;
+
+        // Clear withdrawal request
+        delete _withdrawalRequests[msg.sender];
+
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] -= amount;
+        _totalDeposits -= amount;
+
+        // Transfer tokens to user
+        token.safeTransfer(msg.sender, amount);
+
+        emit WithdrawalExecuted(msg.sender, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Emergency withdrawal bypassing delay
+     * @return The amount withdrawn
+     */
+    function emergencyWithdraw() external nonReentrant returns (uint256) {
+        uint256 balance = _balances[msg.sender];
+        require(balance > 0, "No balance to withdraw");
+
+        // Clear any pending withdrawal request
+        delete _withdrawalRequests[msg.sender];
+
+        // Accrued yield stays claimable after the emergency withdrawal
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] = 0;
+        _totalDeposits -= balance;
+
+        // Transfer tokens to user
+        token.safeTransfer(msg.sender, balance);
+
+        emit EmergencyWithdrawal(msg.sender, balance);
+        return balance;
+    }
+
+    /**
+     * @dev Returns the withdrawal request for a user
+     * @param user The user address
+     * @return amount The requested amount
+     * @return requestTime The request timestamp
+     */
+    function getWithdrawalRequest(address user) 
+        external 
+        view 
+        returns (uint256 amount, uint256 requestTime) 
+    {
+        WithdrawalRequest memory request = _withdrawalRequests[user];
+        return (request.amount, request.requestTime);
+    }
+
+    /**
+     * @dev Sets the yield rate (admin only). Yield up to now accrues at the previous rate.
+     * @param _yieldRate The new yield rate in basis points
+     */
+    function setYieldRate(uint256 _yieldRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
+        _updateYieldIndex();
+        yieldRate = _yieldRate;
+        emit YieldRateSet(_yieldRate);
+    }
+
+    /**
+     * @dev Returns the current yield rate
+     * @return The yield rate in basis points
+     */
+    function getYieldRate() external view returns (uint256) {
+        return yieldRate;
+    }
+
+    /**
+     * @dev Funds the yield reserve (admin only). Yield is only ever paid out of the reserve.
+     * @param amount The amount of tokens to add, transferred from the caller
+     */
+    function fundYieldReserve(uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        _yieldReserve += amount;
+
+        emit YieldReserveFunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the tokens available for yield payments
+     * @return The yield reserve
+     */
+    function getYieldReserve() external view returns (uint256) {
+        return _yieldReserve;
+    }
+
+    /**
+     * @dev Returns how long the yield reserve lasts at the current yield rate and total
+     * deposits. Yield accrued but not claimed yet is not deducted.
+     * @return The runway in seconds, type(uint256).max when no yield accrues
+     */
+    function getReserveRunway() external view returns (uint256) {
+        uint256 yieldPerYear = _totalDeposits * yieldRate;
+        if (yieldPerYear == 0) {
+            return type(uint256).max;
+        }
+        return (_yieldReserve * 365 days * 10000) / yieldPerYear;
+    }
+
+    /**
+     * @dev Claims accumulated yield for the caller, paid out of the yield reserve.
+     * When the reserve cannot cover the full yield, it is paid out completely and the
+     * rest remains claimable once the reserve is topped up.
+     * @return The amount of yield claimed
+     */
+    function claimYield() external nonReentrant returns (uint256) {
+        _checkpoint(msg.sender);
+
+        uint256 yield = _accruedYield[msg.sender];
+        require(yield > 0, "No yield to claim");
+        require(_yieldReserve > 0, "Yield reserve empty");
+
+        uint256 payout = yield <= _yieldReserve ? yield : _yieldReserve;
+        _accruedYield[msg.sender] -= payout;
+        _yieldReserve -= payout;
+
+        // Transfer yield to user
+        token.safeTransfer(msg.sender, payout);
+
+        emit YieldClaimed(msg.sender, payout);
+        return payout;
+    }
+
+    /**
+     * @dev Calculates the yield for a user: the yield checkpointed so far plus the yield
+     * accrued on the current balance since the last checkpoint
+     * @param user The user address
+     * @return The calculated yield
+     */
+    function getUserYield(address user) public view returns (uint256) {
+        return _accruedYield[user] + _pendingYield(user);
+    }
+
+    /**
+     * @dev Returns the yield checkpoint of a user
+     * @param user The user address
+     * @return accrued Yield checkpointed and not claimed yet
+     * @return checkpointTime Time of the last checkpoint, 0 if the user never accrued yield
+     */
+    function getYieldCheckpoint(address user)
+        external
+        view
+        returns (uint256 accrued, uint256 checkpointTime)
+    {
+        return (_accruedYield[user], _lastClaimTime[user]);
+    }
+
+    /**
+     * @dev Checkpoints the yield of existing users after the upgrade to V6 (upgrader only).
+     * Users who deposited before V2 never started accruing and start from now on.
+     * Checkpointing is idempotent, so batches can be repeated.
+     * @param users The users to checkpoint
+     */
+    function checkpointUsers(address[] calldata users) external onlyRole(UPGRADER_ROLE) {
+        for (uint256 i = 0; i < users.length; i++) {
+            _checkpoint(users[i]);
+        }
+    }
+
+    /**
+     * @dev Moves the yield accrued since the last checkpoint into _accruedYield and starts
+     * a new period. Must run before every change to a user's balance.
+     */
+    function _checkpoint(address user) internal {
+        _accruedYield[user] += _pendingYield(user);
+        _lastClaimTime[user] = block.timestamp;
+        _userYieldIndex[user] = _currentYieldIndex();
+    }
+
+    /**
+     * @dev Yield accrued on the current balance since the last checkpoint, at the rates in
+     * force since then
+     */
+    function _pendingYield(address user) internal view returns (uint256) {
+        uint256 lastCheckpoint = _lastClaimTime[user];
+        // If lastClaimTime is 0 (user existed before V2 and was not checkpointed), no yield yet
+        if (_balances[user] == 0 || lastCheckpoint == 0) {
+            return 0;
+        }
+
+        uint256 userIndex = _userYieldIndex[user];
+        // Checkpoints made before V6 recorded no index
+        if (userIndex == 0) {
+            userIndex = (_yieldIndex.updatedAt == 0 ? yieldRate : _yieldIndex.legacyRate) * lastCheckpoint;
+        }
+        return (_balances[user] * (_currentYieldIndex() - userIndex)) / (365 days * 10000);
+    }
+
+    /**
+     * @dev Yield accrued per token since time 0, in basis points times seconds. Until the
+     * first rate change since V6, the current rate counts as applying all along, as it did
+     * up to V5.
+     */
+    function _currentYieldIndex() internal view returns (uint256) {
+        if (_yieldIndex.updatedAt == 0) {
+            return yieldRate * block.timestamp;
+        }
+        return _yieldIndex.value + yieldRate * (block.timestamp - _yieldIndex.updatedAt);
+    }
+
+    /**
+     * @dev Closes the period of the current rate. Must run before every rate change.
+     */
+    function _updateYieldIndex() internal {
+        if (_yieldIndex.updatedAt == 0) {
+            _yieldIndex.legacyRate = yieldRate;
+        }
+        _yieldIndex.value = _currentYieldIndex();
+        _yieldIndex.updatedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Pauses deposits
+     */
+    function pauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(!depositsPaused, "Deposits already paused");
+        depositsPaused = true;
+        emit DepositsPaused();
+    }
+
+    /**
+     * @dev Unpauses deposits
+     */
+    function unpauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(depositsPaused, "Deposits not paused");
+        depositsPaused = false;
+        emit DepositsUnpaused();
+    }
+
+    /**
+     * @dev Returns whether deposits are paused
+     * @return True if deposits are paused
+     */
+    function isDepositsPaused() external view returns (bool) {
+        return depositsPaused;
+    }
+
+    /**
+     * @dev Returns the balance of a user
+     * @param user The user address
+     * @return The user's balance
+     */
+    function balanceOf(address user) external view returns (uint256) {
+        return _balances[user];
+    }
+
+    /**
+     * @dev Returns the total deposits in the vault
+     * @return The total deposits
+     */
+    function totalDeposits() external view returns (uint256) {
+        return _totalDeposits;
+    }
+
+    /**
+     * @dev Returns the current deposit fee
+     * @return The deposit fee in basis points
+     */
+    function getDepositFee() external view returns (uint256) {
+        return depositFee;
+    }
+
+    /**
+     * @dev Returns the implementation version
+     * @return The version string
+     */
+    function getImplementationVersion() external pure returns (string memory) {
+        return "v6.0.0";
+    }
+
+    /**
+     * @dev Authorizes upgrade to new implementation
+     * @param newImplementation The address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) 
+        internal 
+        override 
+        onlyRole(UPGRADER_ROLE) 
+    {}
+}
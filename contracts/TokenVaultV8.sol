@@ -0,0 +1,786 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title TokenVaultV8
+ * @dev UUPS upgradeable token vault with a queue of independent withdrawal requests per user
+ */
+contract TokenVaultV8 is 
+    Initializable, 
+    UUPSUpgradeable, 
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable 
+{
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // Role definitions
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Upper bound for setDepositFee (10%)
+    uint256 public constant MAX_DEPOSIT_FEE = 1000;
+
+    // State variables from V1
+    IERC20 public token;
+    uint256 public depositFee;
+    
+    mapping(address => uint256) private _balances;
+    uint256 private _totalDeposits;
+
+    // State variables from V2
+    uint256 public yieldRate;
+    mapping(address => uint256) private _lastClaimTime; // Time of the last yield checkpoint since V6
+    bool public depositsPaused;
+
+    // State variables from V3
+    uint256 public withdrawalDelay;
+    
+    struct WithdrawalRequest {
+        uint256 amount;
+        uint256 requestTime;
+    }
+    
+    // Single request per user up to V7; migrated into the queue by initializeV8
+    mapping(address => WithdrawalRequest) private _withdrawalRequests;
+
+    // State variables from V4
+    address public treasury;
+    uint256 private _accruedFees; // Deposit fees collected since V4, not part of _totalDeposits
+
+    // State variables from V5
+    uint256 private _yieldReserve; // Tokens funded for yield payments, not part of _totalDeposits
+
+    // State variables from V6
+    mapping(address => uint256) private _accruedYield; // Yield checkpointed and not claimed yet
+
+    // Yield per token accrued at the successive yield rates, see _currentYieldIndex
+    struct YieldIndex {
+        uint256 value; // Index at the last rate change, in basis points times seconds
+        uint256 updatedAt; // Time of the last rate change, 0 until the first one since V6
+        uint256 legacyRate; // Rate in force until then, applied to checkpoints made before V6
+    }
+
+    YieldIndex private _yieldIndex;
+    mapping(address => uint256) private _userYieldIndex; // Index at the user's last checkpoint since V6
+
+    // State variables from V7
+    bool public emergencyMode; // Declared by the admin; enables emergencyWithdraw
+
+    // New state variables for V8
+    struct QueuedWithdrawal {
+        uint256 id;
+        address user;
+        uint256 amount;
+        uint256 requestTime;
+    }
+
+    uint256 private _lastRequestId;
+    mapping(uint256 => QueuedWithdrawal) private _queuedWithdrawals; // Deleted once executed or cancelled
+    mapping(address => EnumerableSet.UintSet) private _pendingRequestIds;
+    mapping(address => uint256) private _lockedBalances; // Sum of the user's pending requests
+
+    // Reduced storage gap (36 - 4 = 32) to account for the new variables
+    uint256[32] private __gap;
+
+    // Events
+    event Deposited(address indexed user, uint256 amount, uint256 fee);
+    event Withdrawn(address indexed user, uint256 amount);
+    event DepositFeeUpdated(uint256 newFee);
+    event YieldRateSet(uint256 newRate);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event DepositsPaused();
+    event DepositsUnpaused();
+    event WithdrawalDelaySet(uint256 newDelay);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 requestTime);
+    event WithdrawalExecuted(address indexed user, uint256 amount);
+    event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event FeesSwept(address indexed treasury, uint256 amount);
+    event YieldReserveFunded(address indexed funder, uint256 amount);
+    event EmergencyDeclared(address indexed admin);
+    event EmergencyResolved(address indexed admin);
+    event WithdrawalQueued(uint256 indexed requestId, address indexed user, uint256 amount, uint256 requestTime);
+    event WithdrawalCancelled(uint256 indexed requestId, address indexed user, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract with token, admin, and deposit fee
+     * @param _token The ERC20 token address
+     * @param _admin The admin address
+     * @param _depositFee The deposit fee in basis points
+     */
+    function initialize(
+        address _token, 
+        address _admin, 
+        uint256 _depositFee
+    ) external initializer {
+        require(_token != address(0), "Invalid token address");
+        require(_admin != address(0), "Invalid admin address");
+        require(_depositFee <= 10000, "Fee cannot exceed 100%");
+
+        __UUPSUpgradeable_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
+        token = IERC20(_token);
+        depositFee = _depositFee;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+
+    /**
+     * @dev Reinitializer for V2 upgrade
+     * Restricted to UPGRADER_ROLE so that nobody else can run it between the upgrade and
+     * its initialization; upgrades should call it atomically through upgradeToAndCall
+     */
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        // Grant PAUSER_ROLE to the admin for V2
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Reinitializer for V3 upgrade
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     */
+    function initializeV3() external reinitializer(3) onlyRole(UPGRADER_ROLE) {
+        withdrawalDelay = 1 days; // Default delay
+    }
+
+    /**
+     * @dev Reinitializer for V8 upgrade, moving the single withdrawal requests of the given
+     * users into the queue with their original request time.
+     * Restricted to UPGRADER_ROLE, see initializeV2
+     * @param users Users holding a withdrawal request made before V8
+     */
+    function initializeV8(address[] calldata users) external reinitializer(4) onlyRole(UPGRADER_ROLE) {
+        _migrateWithdrawalRequests(users);
+    }
+
+    /**
+     * @dev Migrates single withdrawal requests missed by initializeV8 (upgrader only)
+     * @param users Users holding a withdrawal request made before V8
+     */
+    function migrateWithdrawalRequests(address[] calldata users) external onlyRole(UPGRADER_ROLE) {
+        _migrateWithdrawalRequests(users);
+    }
+
+    /**
+     * @dev Deposits tokens into the vault
+     * @param amount The amount to deposit
+     */
+    function deposit(uint256 amount) external nonReentrant {
+        require(!depositsPaused, "Deposits are paused");
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Calculate fee
+        uint256 fee = (amount * depositFee) / 10000;
+        uint256 amountAfterFee = amount - fee;
+
+        // Transfer tokens from user
+        token.safeTransferFrom(msg.sender, address(this), amount);
+
+        // Accrue yield on the balance held so far; starts accruing for new users
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] += amountAfterFee;
+        _totalDeposits += amountAfterFee;
+        _accruedFees += fee;
+
+        emit Deposited(msg.sender, amountAfterFee, fee);
+    }
+
+    /**
+     * @dev Withdraws tokens from the vault through the withdrawal delay: the amount is queued
+     * as a new withdrawal request and only paid out right away while the delay is 0
+     * @param amount The amount to withdraw
+     * @return requestId The ID of the queued request
+     */
+    function withdraw(uint256 amount) external nonReentrant returns (uint256 requestId) {
+        requestId = _queueWithdrawal(msg.sender, amount, block.timestamp);
+        if (withdrawalDelay == 0) {
+            _executeWithdrawal(msg.sender, requestId);
+        }
+    }
+
+    /**
+     * @dev Sets the deposit fee (admin only)
+     * @param _depositFee The new deposit fee in basis points, at most MAX_DEPOSIT_FEE
+     */
+    function setDepositFee(uint256 _depositFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_depositFee <= MAX_DEPOSIT_FEE, "Fee exceeds maximum");
+        depositFee = _depositFee;
+        emit DepositFeeUpdated(_depositFee);
+    }
+
+    /**
+     * @dev Sets the treasury receiving swept fees (admin only)
+     * @param _treasury The treasury address
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Returns the deposit fees collected since V4 and not swept yet
+     * @return The accrued fees
+     */
+    function getAccruedFees() external view returns (uint256) {
+        return _accruedFees;
+    }
+
+    /**
+     * @dev Returns the part of the accrued fees that can be swept. Sweeps are capped at the
+     * token balance exceeding _totalDeposits and the yield reserve, so they never touch user
+     * principal or funds set aside for yield.
+     * @return The sweepable amount
+     */
+    function getSweepableFees() public view returns (uint256) {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 reserved = _totalDeposits + _yieldReserve;
+        if (balance <= reserved) {
+            return 0;
+        }
+        uint256 surplus = balance - reserved;
+        return _accruedFees < surplus ? _accruedFees : surplus;
+    }
+
+    /**
+     * @dev Transfers the sweepable fees to the treasury (admin only)
+     * @return The amount swept
+     */
+    function sweepFees() external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant returns (uint256) {
+        require(treasury != address(0), "Treasury not set");
+        uint256 amount = getSweepableFees();
+        require(amount > 0, "No fees to sweep");
+
+        _accruedFees -= amount;
+        token.safeTransfer(treasury, amount);
+
+        emit FeesSwept(treasury, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Sets the withdrawal delay (admin only)
+     * @param _delaySeconds The new delay in seconds
+     */
+    function setWithdrawalDelay(uint256 _delaySeconds) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_delaySeconds <= 30 days, "Delay too long");
+        withdrawalDelay = _delaySeconds;
+        emit WithdrawalDelaySet(_delaySeconds);
+    }
+
+    /**
+     * @dev Returns the current withdrawal delay
+     * @return The withdrawal delay in seconds
+     */
+    function getWithdrawalDelay() external view returns (uint256) {
+        return withdrawalDelay;
+    }
+
+    /**
+     * @dev Queues a withdrawal request. The amount is locked until the request is executed
+     * or cancelled; every request has its own ID and delay.
+     * @param amount The amount to withdraw
+     * @return The ID of the queued request
+     */
+    function requestWithdrawal(uint256 amount) external returns (uint256) {
+        return _queueWithdrawal(msg.sender, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Executes a pending withdrawal request of the caller after its delay
+     * @param requestId The request ID
+     * @return The amount withdrawn
+     */
+    function executeWithdrawal(uint256 requestId) external nonReentrant returns (uint256) {
+        return _executeWithdrawal(msg.sender, requestId);
+    }
+
+    /**
+     * @dev Cancels a pending withdrawal request of the caller, unlocking its amount
+     * @param requestId The request ID
+     */
+    function cancelWithdrawal(uint256 requestId) external {
+        QueuedWithdrawal memory request = _pendingRequest(msg.sender, requestId);
+        _removeRequest(request);
+        emit WithdrawalCancelled(requestId, msg.sender, request.amount);
+    }
+
+    /**
+     * @dev Emergency withdrawal bypassing delay, only while an emergency is declared
+     * @return The amount withdrawn
+     */
+    function emergencyWithdraw() external nonReentrant returns (uint256) {
+        require(emergencyMode, "No emergency declared");
+
+        uint256 balance = _balances[msg.sender];
+        require(balance > 0, "No balance to withdraw");
+
+        // Cancel all pending withdrawal requests
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[msg.sender];
+        while (pending.length() > 0) {
+            QueuedWithdrawal memory request = _queuedWithdrawals[pending.at(pending.length() - 1)];
+            _removeRequest(request);
+            emit WithdrawalCancelled(request.id, msg.sender, request.amount);
+        }
+        delete _withdrawalRequests[msg.sender];
+
+        // Accrued yield stays claimable after the emergency withdrawal
+        _checkpoint(msg.sender);
+
+        // Update balances
+        _balances[msg.sender] = 0;
+        _totalDeposits -= balance;
+
+        // Transfer tokens to user
+        token.safeTransfer(msg.sender, balance);
+
+        emit EmergencyWithdrawal(msg.sender, balance);
+        return balance;
+    }
+
+    /**
+     * @dev Declares an emergency, letting every user withdraw without delay (admin only)
+     */
+    function declareEmergency() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!emergencyMode, "Emergency already declared");
+        emergencyMode = true;
+        emit EmergencyDeclared(msg.sender);
+    }
+
+    /**
+     * @dev Ends the emergency, enforcing the withdrawal delay again (admin only)
+     */
+    function resolveEmergency() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(emergencyMode, "No emergency declared");
+        emergencyMode = false;
+        emit EmergencyResolved(msg.sender);
+    }
+
+    /**
+     * @dev Returns the part of a user's balance not locked in withdrawal requests
+     * @param user The user address
+     * @return The unlocked balance
+     */
+    function getAvailableBalance(address user) public view returns (uint256) {
+        uint256 locked = _lockedBalances[user];
+        return _balances[user] > locked ? _balances[user] - locked : 0;
+    }
+
+    /**
+     * @dev Returns the sum of a user's pending withdrawal requests
+     * @param user The user address
+     * @return The locked balance
+     */
+    function getLockedBalance(address user) external view returns (uint256) {
+        return _lockedBalances[user];
+    }
+
+    /**
+     * @dev Returns a withdrawal request by ID; all fields are zero once it was executed or cancelled
+     * @param requestId The request ID
+     * @return The request
+     */
+    function getQueuedWithdrawal(uint256 requestId) external view returns (QueuedWithdrawal memory) {
+        return _queuedWithdrawals[requestId];
+    }
+
+    /**
+     * @dev Returns the number of pending withdrawal requests of a user
+     * @param user The user address
+     * @return The number of pending requests
+     */
+    function getPendingWithdrawalCount(address user) external view returns (uint256) {
+        return _pendingRequestIds[user].length();
+    }
+
+    /**
+     * @dev Returns a page of a user's pending withdrawal requests. The order is not stable:
+     * removing a request moves the last one into its place.
+     * @param user The user address
+     * @param offset Index of the first request to return
+     * @param limit Maximum number of requests to return
+     * @return requests The pending requests
+     */
+    function getPendingWithdrawals(address user, uint256 offset, uint256 limit)
+        external
+        view
+        returns (QueuedWithdrawal[] memory requests)
+    {
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[user];
+        uint256 total = pending.length();
+        if (offset >= total) {
+            return new QueuedWithdrawal[](0);
+        }
+        uint256 end = offset + limit > total ? total : offset + limit;
+
+        requests = new QueuedWithdrawal[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            requests[i - offset] = _queuedWithdrawals[pending.at(i)];
+        }
+    }
+
+    /**
+     * @dev Queues a withdrawal request for `user` and locks its amount
+     */
+    function _queueWithdrawal(address user, uint256 amount, uint256 requestTime)
+        internal
+        returns (uint256 requestId)
+    {
+        require(amount > 0, "Amount must be greater than 0");
+        require(getAvailableBalance(user) >= amount, "Insufficient unlocked balance");
+
+        requestId = ++_lastRequestId;
+        _queuedWithdrawals[requestId] = QueuedWithdrawal({
+            id: requestId,
+            user: user,
+            amount: amount,
+            requestTime: requestTime
+        });
+        _pendingRequestIds[user].add(requestId);
+        _lockedBalances[user] += amount;
+
+        emit WithdrawalQueued(requestId, user, amount, requestTime);
+    }
+
+    /**
+     * @dev Pays out a pending request of `user` once its delay has passed
+     */
+    function _executeWithdrawal(address user, uint256 requestId) internal returns (uint256) {
+        QueuedWithdrawal memory request = _pendingRequest(user, requestId);
+        require(
+            block.timestamp >= request.requestTime + withdrawalDelay,
+            "Withdrawal delay not met"
+        );
+
+        uint256 amount = request.amount;
+        _removeRequest(request);
+
+        _checkpoint(user);
+
+        // Update balances
+        _balances[user] -= amount;
+        _totalDeposits -= amount;
+
+        // Transfer tokens to user
+        token.safeTransfer(user, amount);
+
+        emit WithdrawalExecuted(user, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Returns a pending request, reverting unless it belongs to `user`
+     */
+    function _pendingRequest(address user, uint256 requestId)
+        internal
+        view
+        returns (QueuedWithdrawal memory)
+    {
+        require(_pendingRequestIds[user].contains(requestId), "No pending withdrawal");
+        return _queuedWithdrawals[requestId];
+    }
+
+    /**
+     * @dev Removes a pending request and unlocks its amount
+     */
+    function _removeRequest(QueuedWithdrawal memory request) internal {
+        _pendingRequestIds[request.user].remove(request.id);
+        _lockedBalances[request.user] -= request.amount;
+        delete _queuedWithdrawals[request.id];
+    }
+
+    /**
+     * @dev Moves single withdrawal requests made before V8 into the queue, keeping their
+     * request time. Requests made before V7 were not locked and are capped at the balance.
+     */
+    function _migrateWithdrawalRequests(address[] calldata users) internal {
+        for (uint256 i = 0; i < users.length; i++) {
+            WithdrawalRequest memory legacy = _withdrawalRequests[users[i]];
+            if (legacy.amount == 0) {
+                continue;
+            }
+            delete _withdrawalRequests[users[i]];
+
+            uint256 available = getAvailableBalance(users[i]);
+            uint256 amount = legacy.amount < available ? legacy.amount : available;
+            if (amount > 0) {
+                _queueWithdrawal(users[i], amount, legacy.requestTime);
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the withdrawal requests of a user in the single-request shape of V3 to V7
+     * @param user The user address
+     * @return amount The sum of the pending requests
+     * @return requestTime The time of the most recent pending request
+     */
+    function getWithdrawalRequest(address user)
+        external
+        view
+        returns (uint256 amount, uint256 requestTime)
+    {
+        EnumerableSet.UintSet storage pending = _pendingRequestIds[user];
+        for (uint256 i = 0; i < pending.length(); i++) {
+            uint256 time = _queuedWithdrawals[pending.at(i)].requestTime;
+            if (time > requestTime) {
+                requestTime = time;
+            }
+        }
+        return (_lockedBalances[user], requestTime);
+    }
+
+    /**
+     * @dev Sets the yield rate (admin only). Yield up to now accrues at the previous rate.
+     * @param _yieldRate The new yield rate in basis points
+     */
+    function setYieldRate(uint256 _yieldRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
+        _updateYieldIndex();
+        yieldRate = _yieldRate;
+        emit YieldRateSet(_yieldRate);
+    }
+
+    /**
+     * @dev Returns the current yield rate
+     * @return The yield rate in basis points
+     */
+    function getYieldRate() external view returns (uint256) {
+        return yieldRate;
+    }
+
+    /**
+     * @dev Funds the yield reserve (admin only). Yield is only ever paid out of the reserve.
+     * @param amount The amount of tokens to add, transferred from the caller
+     */
+    function fundYieldReserve(uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        _yieldReserve += amount;
+
+        emit YieldReserveFunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the tokens available for yield payments
+     * @return The yield reserve
+     */
+    function getYieldReserve() external view returns (uint256) {
+        return _yieldReserve;
+    }
+
+    /**
+     * @dev Returns how long the yield reserve lasts at the current yield rate and total
+     * deposits. Yield accrued but not claimed yet is not deducted.
+     * @return The runway in seconds, type(uint256).max when no yield accrues
+     */
+    function getReserveRunway() external view returns (uint256) {
+        uint256 yieldPerYear = _totalDeposits * yieldRate;
+        if (yieldPerYear == 0) {
+            return type(uint256).max;
+        }
+        return (_yieldReserve * 365 days * 10000) / yieldPerYear;
+    }
+
+    /**
+     * @dev Claims accumulated yield for the caller, paid out of the yield reserve.
+     * When the reserve cannot cover the full yield, it is paid out completely and the
+     * rest remains claimable once the reserve is topped up.
+     * @return The amount of yield claimed
+     */
+    function claimYield() external nonReentrant returns (uint256) {
+        _checkpoint(msg.sender);
+
+        uint256 yield = _accruedYield[msg.sender];
+        require(yield > 0, "No yield to claim");
+        require(_yieldReserve > 0, "Yield reserve empty");
+
+        uint256 payout = yield <= _yieldReserve ? yield : _yieldReserve;
+        _accruedYield[msg.sender] -= payout;
+        _yieldReserve -= payout;
+
+        // Transfer yield to user
+        token.safeTransfer(msg.sender, payout);
+
+        emit YieldClaimed(msg.sender, payout);
+        return payout;
+    }
+
+    /**
+     * @dev Calculates the yield for a user: the yield checkpointed so far plus the yield
+     * accrued on the current balance since the last checkpoint
+     * @param user The user address
+     * @return The calculated yield
+     */
+    function getUserYield(address user) public view returns (uint256) {
+        return _accruedYield[user] + _pendingYield(user);
+    }
+
+    /**
+     * @dev Returns the yield checkpoint of a user
+     * @param user The user address
+     * @return accrued Yield checkpointed and not claimed yet
+     * @return checkpointTime Time of the last checkpoint, 0 if the user never accrued yield
+     */
+    function getYieldCheckpoint(address user)
+        external
+        view
+        returns (uint256 accrued, uint256 checkpointTime)
+    {
+        return (_accruedYield[user], _lastClaimTime[user]);
+    }
+
+    /**
+     * @dev Checkpoints the yield of existing users after the upgrade to V6 (upgrader only).
+     * Users who deposited before V2 never started accruing and start from now on.
+     * Checkpointing is idempotent, so batches can be repeated.
+     * @param users The users to checkpoint
+     */
+    function checkpointUsers(address[] calldata users) external onlyRole(UPGRADER_ROLE) {
+        for (uint256 i = 0; i < users.length; i++) {
+            _checkpoint(users[i]);
+        }
+    }
+
+    /**
+     * @dev Moves the yield accrued since the last checkpoint into _accruedYield and starts
+     * a new period. Must run before every change to a user's balance.
+     */
+    function _checkpoint(address user) internal {
+        _accruedYield[user] += _pendingYield(user);
+        _lastClaimTime[user] = block.timestamp;
+        _userYieldIndex[user] = _currentYieldIndex();
+    }
+
+    /**
+     * @dev Yield accrued on the current balance since the last checkpoint, at the rates in
+     * force since then
+     */
+    function _pendingYield(address user) internal view returns (uint256) {
+        uint256 lastCheckpoint = _lastClaimTime[user];
+        // If lastClaimTime is 0 (user existed before V2 and was not checkpointed), no yield yet
+        if (_balances[user] == 0 || lastCheckpoint == 0) {
+            return 0;
+        }
+
+        uint256 userIndex = _userYieldIndex[user];
+        // Checkpoints made before V6 recorded no index
+        if (userIndex == 0) {
+            userIndex = (_yieldIndex.updatedAt == 0 ? yieldRate : _yieldIndex.legacyRate) * lastCheckpoint;
+        }
+        return (_balances[user] * (_currentYieldIndex() - userIndex)) / (365 days * 10000);
+    }
+
+    /**
+     * @dev Yield accrued per token since time 0, in basis points times seconds. Until the
+     * first rate change since V6, the current rate counts as applying all along, as it did
+     * up to V5.
+     */
+    function _currentYieldIndex() internal view returns (uint256) {
+        if (_yieldIndex.updatedAt == 0) {
+            return yieldRate * block.timestamp;
+        }
+        return _yieldIndex.value + yieldRate * (block.timestamp - _yieldIndex.updatedAt);
+    }
+
+    /**
+     * @dev Closes the period of the current rate. Must run before every rate change.
+     */
+    function _updateYieldIndex() internal {
+        if (_yieldIndex.updatedAt == 0) {
+            _yieldIndex.legacyRate = yieldRate;
+        }
+        _yieldIndex.value = _currentYieldIndex();
+        _yieldIndex.updatedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Pauses deposits
+     */
+    function pauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(!depositsPaused, "Deposits already paused");
+        depositsPaused = true;
+        emit DepositsPaused();
+    }
+
+    /**
+     * @dev Unpauses deposits
+     */
+    function unpauseDeposits() external onlyRole(PAUSER_ROLE) {
+        require(depositsPaused, "Deposits not paused");
+        depositsPaused = false;
+        emit DepositsUnpaused();
+    }
+
+    /**
+     * @dev Returns whether deposits are paused
+     * @return True if deposits are paused
+     */
+    function isDepositsPaused() external view returns (bool) {
+        return depositsPaused;
+    }
+
+    /**
+     * @dev Returns the balance of a user
+     * @param user The user address
+     * @return The user's balance
+     */
+    function balanceOf(address user) external view returns (uint256) {
+        return _balances[user];
+    }
+
+    /**
+     * @dev Returns the total deposits in the vault
+     * @return The total deposits
+     */
+    function totalDeposits() external view returns (uint256) {
+        return _totalDeposits;
+    }
+
+    /**
+     * @dev Returns the current deposit fee
+     * @return The deposit fee in basis points
+     */
+    function getDepositFee() external view returns (uint256) {
+        return depositFee;
+    }
+
+    /**
+     * @dev Returns the implementation version
+     * @return The version string
+     */
+    function getImplementationVersion() external pure returns (string memory) {
+        return "v8.0.0";
+    }
+
+    /**
+     * @dev Authorizes upgrade to new implementation
+     * @param newImplementation The address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) 
+        internal 
+        override 
+        onlyRole(UPGRADER_ROLE) 
+    {}
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferERC20
+ * @dev ERC20 token burning a settable share of every transfer, for testing purposes.
+ * Mints and burns are not charged.
+ */
+contract MockFeeOnTransferERC20 is ERC20 {
+    uint256 public transferFee; // In basis points
+
+    constructor(string memory name, string memory symbol, uint256 _transferFee) ERC20(name, symbol) {
+        transferFee = _transferFee;
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setTransferFee(uint256 _transferFee) external {
+        transferFee = _transferFee;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0) || transferFee == 0) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = (value * transferFee) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockRebasingERC20
+ * @dev ERC20 token whose balances all scale with a settable index, for testing purposes.
+ * Holders own shares; transfers move the shares worth the amount, rounded down.
+ */
+contract MockRebasingERC20 is ERC20 {
+    uint256 private constant ONE = 1e18;
+
+    uint256 public index = ONE;
+    mapping(address => uint256) private _shares;
+    uint256 private _totalShares;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Scales every balance by `newIndex / 1e18` relative to the initial supply
+     */
+    function rebase(uint256 newIndex) external {
+        require(newIndex > 0, "Invalid index");
+        index = newIndex;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (_shares[account] * index) / ONE;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (_totalShares * index) / ONE;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        uint256 shares = (value * ONE) / index;
+        if (from == address(0)) {
+            _totalShares += shares;
+        } else {
+            uint256 fromShares = _shares[from];
+            if (fromShares < shares) {
+                revert ERC20InsufficientBalance(from, balanceOf(from), value);
+            }
+            _shares[from] = fromShares - shares;
+        }
+        if (to == address(0)) {
+            _totalShares -= shares;
+        } else {
+            _shares[to] += shares;
+        }
+        emit Transfer(from, to, value);
+    }
+}
@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+// Compiles OpenZeppelin's TimelockController so that upgrade proposals can be
+// encoded against it and the propose -> wait -> execute path can be tested locally
+import "@openzeppelin/contracts/governance/TimelockController.sol";
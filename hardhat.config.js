@@ -1,14 +1,26 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
+require("./tasks/vault");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.22",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
+    compilers: [
+      {
+        version: "0.8.22",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
+      },
+    ],
+    overrides: {
+      // TokenVaultV13 only fits the 24 KB code size limit when compiled through the IR pipeline
+      "contracts/TokenVaultV13.sol": {
+        version: "0.8.22",
+        settings: { viaIR: true, optimizer: { enabled: true, runs: 200 } },
       },
     },
   },
@@ -17,6 +29,9 @@ module.exports = {
       chainId: 31337,
     },
   },
+  etherscan: {
+    apiKey: process.env.ETHERSCAN_API_KEY || "",
+  },
   gasReporter: {
     enabled: process.env.REPORT_GAS !== undefined,
     currency: "USD",
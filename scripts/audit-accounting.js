@@ -0,0 +1,11 @@
+const hre = require("hardhat");
+const { runIndexer } = require("./lib/indexer");
+
+// Rebuilds the vault's accounting from its events, checks it against the chain and
+// exports it as JSON and CSV. AUDIT_OUT=<path> sets the exported files' path without extension.
+runIndexer(hre, { out: process.env.AUDIT_OUT })
+  .then(({ report }) => process.exit(report.ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
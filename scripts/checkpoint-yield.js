@@ -0,0 +1,11 @@
+const hre = require("hardhat");
+const { checkpointYield } = require("./lib/checkpoint");
+
+// Checkpoints the yield of existing depositors after the upgrade to V6.
+// BATCH_SIZE=<n> sets the users per transaction (default 100).
+checkpointYield(hre, { batchSize: Number(process.env.BATCH_SIZE || 100) })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,12 @@
+const hre = require("hardhat");
+const { runCaps } = require("./lib/caps");
+const { hasFlag } = require("./lib/upgrade-script");
+
+// Sets the deposit caps configured for the network where they differ from the vault's.
+// --report-only / REPORT_ONLY=true only lists the current caps.
+runCaps(hre, { apply: !hasFlag("report-only", "REPORT_ONLY") })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
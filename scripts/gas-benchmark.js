@@ -0,0 +1,16 @@
+const hre = require("hardhat");
+const { runGasBenchmark } = require("./lib/gas");
+const { hasFlag } = require("./lib/upgrade-script");
+
+// Measures the gas of V1 to V3 operations and upgrades and compares it with
+// benchmarks/gas-baseline.json. GAS_THRESHOLD=<percent> overrides the baseline's threshold;
+// --update / UPDATE_GAS_BASELINE=true writes the measurements as the new baseline.
+const threshold = process.env.GAS_THRESHOLD ? Number(process.env.GAS_THRESHOLD) : undefined;
+const update = hasFlag("update", "UPDATE_GAS_BASELINE");
+
+runGasBenchmark(hre, { threshold, update })
+  .then(({ report }) => process.exit(!report || report.ok || update ? 0 : 1))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
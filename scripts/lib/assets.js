@@ -0,0 +1,139 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { resolveDeployParams, validateAssets } = require("./deploy-config");
+
+const ERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * @dev Returns the vault contract, refusing versions without multi-asset support
+ */
+async function getAssetVault(hre, proxyAddress, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, signer);
+  if (!vault.interface.getFunction("addAsset")) {
+    throw new Error(`Proxy is at ${version.id}; multi-asset support requires v9 or later`);
+  }
+  return { vault, version };
+}
+
+/**
+ * @dev Lists the assets supported by the vault, the vault token first
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @return { proxy, version, assets } where every asset is { token, symbol, decimals,
+ *   depositFee, yieldRate, totalDeposits, accruedFees, sweepableFees, yieldReserve }
+ */
+async function getAssetReport(hre, proxyAddress) {
+  const { vault, version } = await getAssetVault(hre, proxyAddress);
+  const assets = [];
+  for (const token of await vault.getAssets()) {
+    const metadata = await hre.ethers.getContractAt(ERC20_METADATA, token);
+    const info = await vault.getAssetInfo(token);
+    assets.push({
+      token,
+      symbol: await metadata.symbol(),
+      decimals: Number(await metadata.decimals()),
+      depositFee: info.depositFee,
+      yieldRate: info.yieldRate,
+      totalDeposits: info.totalDeposits,
+      accruedFees: info.accruedFees,
+      sweepableFees: info.sweepableFees,
+      yieldReserve: info.yieldReserve,
+    });
+  }
+  return { proxy: proxyAddress, version, assets };
+}
+
+/**
+ * @dev Adds the given assets that the vault does not support yet. Each addition is
+ * recorded in the manifest as an "add-asset" entry.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param assets Validated assets, see validateAssets
+ * @param options.signer DEFAULT_ADMIN_ROLE holder, defaults to the first signer
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return Array of { token, depositFee, yieldRate, txHash } for the assets added
+ */
+async function registerAssets(hre, proxyAddress, assets, { signer, dir, log = console.log } = {}) {
+  const { vault, version } = await getAssetVault(hre, proxyAddress, signer);
+  const added = [];
+  for (const { token, depositFee, yieldRate } of assets) {
+    if (await vault.isAssetSupported(token)) {
+      continue;
+    }
+    const receipt = await (await vault.addAsset(token, depositFee, yieldRate)).wait();
+    log(`Added asset ${token} (fee ${depositFee} bps, yield rate ${yieldRate} bps)`);
+    await recordEntry(
+      hre,
+      {
+        action: "add-asset",
+        version: version.id,
+        asset: token,
+        depositFee,
+        yieldRate,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: receipt.from,
+      },
+      { dir, proxy: proxyAddress }
+    );
+    added.push({ token, depositFee, yieldRate, txHash: receipt.hash });
+  }
+  return added;
+}
+
+/**
+ * @dev Formats an asset report for the console, amounts in each asset's own decimals
+ */
+function formatAssetReport(report, { formatUnits }) {
+  const lines = [`Assets of ${report.proxy} (${report.version.id})`];
+  for (const asset of report.assets) {
+    const format = (value) => formatUnits(value, asset.decimals);
+    lines.push(
+      "",
+      `${asset.symbol} ${asset.token} (${asset.decimals} decimals)`,
+      `  Deposit fee: ${asset.depositFee} bps, yield rate: ${asset.yieldRate} bps`,
+      `  Total deposits: ${format(asset.totalDeposits)}`,
+      `  Accrued fees: ${format(asset.accruedFees)} (sweepable ${format(asset.sweepableFees)})`,
+      `  Yield reserve: ${format(asset.yieldReserve)}`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Registers the assets configured for the network (see deploy-config.js) when asked
+ * to, then reports the assets of the proxy recorded in the manifest
+ * @param options.register Add the configured assets the vault does not support yet
+ * @param options.dir Directory holding the manifests
+ * @param options.configDir Directory holding the per-network config files
+ * @param options.env Environment, defaults to process.env
+ * @param options.log Logger, defaults to console.log
+ * @return { report, added } with `added` empty when nothing was registered
+ */
+async function runAssets(hre, { register = false, dir, configDir, env, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  let added = [];
+  if (register) {
+    const { vault } = await getAssetVault(hre, manifest.proxy);
+    const { assets } = resolveDeployParams(hre, {}, { configDir, env });
+    const configured = await validateAssets(hre, assets, await vault.token());
+    added = await registerAssets(hre, manifest.proxy, configured, { dir, log });
+    if (added.length === 0) {
+      log("All configured assets are registered already");
+    }
+  }
+
+  const report = await getAssetReport(hre, manifest.proxy);
+  log(formatAssetReport(report, hre.ethers));
+  return { report, added };
+}
+
+module.exports = {
+  getAssetReport,
+  registerAssets,
+  formatAssetReport,
+  runAssets,
+};
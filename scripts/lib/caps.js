@@ -0,0 +1,150 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { resolveDeployParams, validateDepositCaps } = require("./deploy-config");
+
+const ERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * @dev Returns the vault contract, refusing versions without deposit caps
+ */
+async function getCapsVault(hre, proxyAddress, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, signer);
+  if (!vault.interface.getFunction("setDepositCaps")) {
+    throw new Error(`Proxy is at ${version.id}; deposit caps require v12 or later`);
+  }
+  return { vault, version };
+}
+
+/**
+ * @dev Lists the deposit limits of every asset, the vault token first
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @return { proxy, version, assets } where every asset is { token, symbol, decimals,
+ *   userCap, totalCap, minDeposit, totalDeposits, totalCapacity }; totalCapacity is
+ *   null without a total cap
+ */
+async function getCapsReport(hre, proxyAddress) {
+  const { vault, version } = await getCapsVault(hre, proxyAddress);
+  const assets = [];
+  for (const token of await vault.getAssets()) {
+    const metadata = await hre.ethers.getContractAt(ERC20_METADATA, token);
+    const { userCap, totalCap, minDeposit } = await vault.getDepositCaps(token);
+    const [, totalCapacity] = await vault.getDepositCapacity(token, hre.ethers.ZeroAddress);
+    assets.push({
+      token,
+      symbol: await metadata.symbol(),
+      decimals: Number(await metadata.decimals()),
+      userCap,
+      totalCap,
+      minDeposit,
+      totalDeposits: (await vault.getAssetInfo(token)).totalDeposits,
+      totalCapacity: totalCap > 0n ? totalCapacity : null,
+    });
+  }
+  return { proxy: proxyAddress, version, assets };
+}
+
+/**
+ * @dev Sets the given deposit limits where they differ from the vault's. Each change is
+ * recorded in the manifest as a "set-deposit-caps" entry.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param depositCaps Validated limits, see validateDepositCaps
+ * @param options.signer DEFAULT_ADMIN_ROLE holder, defaults to the first signer
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return Array of { token, userCap, totalCap, minDeposit, txHash } for the limits changed
+ */
+async function applyDepositCaps(hre, proxyAddress, depositCaps, { signer, dir, log = console.log } = {}) {
+  const { vault, version } = await getCapsVault(hre, proxyAddress, signer);
+  const changed = [];
+  for (const { token, userCap, totalCap, minDeposit } of depositCaps) {
+    const current = await vault.getDepositCaps(token);
+    if (
+      current.userCap === userCap &&
+      current.totalCap === totalCap &&
+      current.minDeposit === minDeposit
+    ) {
+      continue;
+    }
+    const receipt = await (await vault.setDepositCaps(token, userCap, totalCap, minDeposit)).wait();
+    log(`Set deposit caps of ${token} (user ${userCap}, total ${totalCap}, minimum ${minDeposit})`);
+    const limits = {
+      userCap: userCap.toString(),
+      totalCap: totalCap.toString(),
+      minDeposit: minDeposit.toString(),
+    };
+    await recordEntry(
+      hre,
+      {
+        action: "set-deposit-caps",
+        version: version.id,
+        asset: token,
+        ...limits,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: receipt.from,
+      },
+      { dir, proxy: proxyAddress }
+    );
+    changed.push({ token, ...limits, txHash: receipt.hash });
+  }
+  return changed;
+}
+
+/**
+ * @dev Formats a deposit caps report for the console, amounts in each asset's own decimals
+ */
+function formatCapsReport(report, { formatUnits }) {
+  const lines = [`Deposit caps of ${report.proxy} (${report.version.id})`];
+  for (const asset of report.assets) {
+    const format = (value) => formatUnits(value, asset.decimals);
+    const cap = (value) => (value > 0n ? format(value) : "none");
+    lines.push(
+      "",
+      `${asset.symbol} ${asset.token}`,
+      `  Per user: ${cap(asset.userCap)}, total: ${cap(asset.totalCap)}, ` +
+        `minimum deposit: ${format(asset.minDeposit)}`,
+      `  Total deposits: ${format(asset.totalDeposits)}` +
+        (asset.totalCapacity === null ? "" : ` (${format(asset.totalCapacity)} left)`)
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Applies the deposit limits configured for the network (see deploy-config.js) when
+ * asked to, then reports the limits of the proxy recorded in the manifest
+ * @param options.apply Set the configured limits that differ from the vault's
+ * @param options.dir Directory holding the manifests
+ * @param options.configDir Directory holding the per-network config files
+ * @param options.env Environment, defaults to process.env
+ * @param options.log Logger, defaults to console.log
+ * @return { report, changed } with `changed` empty when nothing was set
+ */
+async function runCaps(hre, { apply = false, dir, configDir, env, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  let changed = [];
+  if (apply) {
+    const { vault } = await getCapsVault(hre, manifest.proxy);
+    const { depositCaps } = resolveDeployParams(hre, {}, { configDir, env });
+    const configured = await validateDepositCaps(hre, depositCaps, await vault.getAssets());
+    changed = await applyDepositCaps(hre, manifest.proxy, configured, { dir, log });
+    if (changed.length === 0) {
+      log("The configured deposit caps are set already");
+    }
+  }
+
+  const report = await getCapsReport(hre, manifest.proxy);
+  log(formatCapsReport(report, hre.ethers));
+  return { report, changed };
+}
+
+module.exports = {
+  getCapsReport,
+  applyDepositCaps,
+  formatCapsReport,
+  runCaps,
+};
@@ -0,0 +1,61 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { getDepositors } = require("./snapshot");
+
+/**
+ * @dev Checkpoints the yield of every depositor still holding a balance after the upgrade
+ * to V6, in batches of `checkpointUsers` calls. Users who deposited before V2 start accruing
+ * yield from their checkpoint on; for everyone else the checkpoint locks in the yield accrued
+ * under the old formula. Checkpoints are idempotent, so an interrupted run can be repeated.
+ * The run is recorded in the manifest as a "migrate" entry.
+ * @param hre The Hardhat runtime environment
+ * @param options.batchSize Users per transaction
+ * @param options.signer UPGRADER_ROLE holder, defaults to the first signer
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { users, txHashes }
+ */
+async function checkpointYield(hre, { batchSize = 100, signer, dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const proxy = manifest.proxy;
+  const version = await getCurrentVersion(hre, proxy);
+  const vault = await hre.ethers.getContractAt(version.contract, proxy, signer);
+  if (!vault.interface.getFunction("checkpointUsers")) {
+    throw new Error(`Proxy is at ${version.id}; yield checkpoints require v6 or later`);
+  }
+
+  const users = [];
+  for (const user of await getDepositors(vault, manifest.history[0].blockNumber)) {
+    if ((await vault.balanceOf(user)) > 0n) {
+      users.push(user);
+    }
+  }
+
+  const txHashes = [];
+  for (let i = 0; i < users.length; i += batchSize) {
+    const batch = users.slice(i, i + batchSize);
+    const receipt = await (await vault.checkpointUsers(batch)).wait();
+    txHashes.push(receipt.hash);
+    log(`Checkpointed ${i + batch.length}/${users.length} users (${receipt.hash})`);
+  }
+
+  const [deployer] = signer ? [signer] : await hre.ethers.getSigners();
+  await recordEntry(
+    hre,
+    {
+      action: "migrate",
+      migration: "yield-checkpoints",
+      version: version.id,
+      users: users.length,
+      txHashes,
+      deployer: deployer.address,
+    },
+    { dir, proxy }
+  );
+
+  return { users, txHashes };
+}
+
+module.exports = {
+  checkpointYield,
+};
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+
+const ERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+// Networks on which a MockERC20 may be deployed when no token is configured
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_DEPOSIT_FEE = 500;
+
+// Delay between beginning and accepting a DEFAULT_ADMIN_ROLE transfer from V13 on
+const DEFAULT_ADMIN_DELAY = 2 * 24 * 60 * 60;
+
+// MAX_DEPOSIT_FEE of V4 and later, which also applies to added assets
+const MAX_ASSET_DEPOSIT_FEE = 1000;
+
+// Deployment parameters and the environment variables they can be set with
+const PARAMS = [
+  ["token", "VAULT_TOKEN"],
+  ["admin", "VAULT_ADMIN"],
+  ["depositFee", "VAULT_DEPOSIT_FEE"],
+  ["upgrader", "VAULT_UPGRADER"],
+  ["pauser", "VAULT_PAUSER"],
+  ["assets", "VAULT_ASSETS"],
+  ["depositCaps", "VAULT_DEPOSIT_CAPS"],
+  ["adminDelay", "VAULT_ADMIN_DELAY"],
+];
+
+/**
+ * @dev Returns the path of a network's deployment config, config/<network>.json
+ */
+function getConfigPath(hre, configDir) {
+  const base = configDir || path.join(hre.config.paths.root, "config");
+  return path.join(base, `${hre.network.name}.json`);
+}
+
+/**
+ * @dev Collects the deployment parameters. Each one is taken from the first source that
+ * sets it: explicit options (CLI params), environment variables, then config/<network>.json.
+ * @param hre The Hardhat runtime environment
+ * @param options Explicit values, e.g. the task params
+ * @param settings.configDir Directory holding the per-network config files
+ * @param settings.env Environment, defaults to process.env
+ * `assets` lists the tokens added next to the vault token from V9 on, as an array of
+ * { token, depositFee, yieldRate } or, from VAULT_ASSETS, the same array as JSON.
+ * `depositCaps` lists the deposit limits applied from V12 on, as an array of
+ * { token, userCap, totalCap, minDeposit } or, from VAULT_DEPOSIT_CAPS, the same array as JSON.
+ * `adminDelay` is the delay of DEFAULT_ADMIN_ROLE transfers set in V13, in seconds.
+ * @return { token, admin, depositFee, upgrader, pauser, assets, depositCaps, adminDelay,
+ * sources } with unset values undefined
+ */
+function resolveDeployParams(hre, options = {}, { configDir, env = process.env } = {}) {
+  const file = getConfigPath(hre, configDir);
+  const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+
+  const params = { sources: {} };
+  for (const [name, variable] of PARAMS) {
+    if (options[name] !== undefined) {
+      params[name] = options[name];
+      params.sources[name] = "option";
+    } else if (env[variable] !== undefined && env[variable] !== "") {
+      params[name] = env[variable];
+      params.sources[name] = variable;
+    } else if (config[name] !== undefined) {
+      params[name] = config[name];
+      params.sources[name] = file;
+    }
+  }
+  return params;
+}
+
+function checkAddress(hre, value, message) {
+  if (!hre.ethers.isAddress(value) || BigInt(value) === 0n) {
+    throw new Error(`${message}: ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+/**
+ * @dev Validates the deployment parameters the same way TokenVaultV1.initialize does and
+ * fills in the defaults: the deployer as admin, the admin as upgrader, a 5% fee and no
+ * separate pauser. Without a token only local networks are allowed, where a MockERC20
+ * is deployed instead.
+ * @param hre The Hardhat runtime environment
+ * @param params Values returned by resolveDeployParams
+ * @param deployer Address of the deploying account
+ * @return { token, admin, depositFee, upgrader, pauser } with `token` null for a mock
+ */
+async function validateDeployParams(hre, params, deployer) {
+  let token = null;
+  if (params.token !== undefined) {
+    token = checkAddress(hre, params.token, "Invalid token address");
+    if ((await hre.ethers.provider.getCode(token)) === "0x") {
+      throw new Error(`Invalid token address: no contract at ${token} on ${hre.network.name}`);
+    }
+  } else if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+    throw new Error(
+      `No vault token configured for network "${hre.network.name}"; pass --token, set VAULT_TOKEN ` +
+        `or add "token" to ${path.relative(hre.config.paths.root, getConfigPath(hre))}`
+    );
+  }
+
+  const admin =
+    params.admin !== undefined ? checkAddress(hre, params.admin, "Invalid admin address") : deployer;
+
+  const depositFee = params.depositFee !== undefined ? Number(params.depositFee) : DEFAULT_DEPOSIT_FEE;
+  if (!Number.isInteger(depositFee) || depositFee < 0) {
+    throw new Error(`Invalid deposit fee: ${params.depositFee}`);
+  }
+  if (depositFee > 10000) {
+    throw new Error("Fee cannot exceed 100%");
+  }
+
+  const upgrader =
+    params.upgrader !== undefined
+      ? checkAddress(hre, params.upgrader, "Invalid upgrader address")
+      : admin;
+  const pauser =
+    params.pauser !== undefined ? checkAddress(hre, params.pauser, "Invalid pauser address") : null;
+
+  return { token, admin, depositFee, upgrader, pauser };
+}
+
+/**
+ * @dev Validates the assets to add next to the vault token the same way
+ * TokenVaultV9.addAsset does: deployed contracts, fees of at most 10%, yield rates of at
+ * most 100%, no duplicates and not the vault token itself
+ * @param hre The Hardhat runtime environment
+ * @param assets The `assets` parameter returned by resolveDeployParams
+ * @param vaultToken Address of the vault token
+ * @return Array of { token, depositFee, yieldRate }, empty when no assets are configured
+ */
+async function validateAssets(hre, assets, vaultToken) {
+  if (assets === undefined) {
+    return [];
+  }
+  const list = typeof assets === "string" ? JSON.parse(assets) : assets;
+  if (!Array.isArray(list)) {
+    throw new Error("Invalid assets: expected an array of { token, depositFee, yieldRate }");
+  }
+
+  const seen = new Set([hre.ethers.getAddress(vaultToken)]);
+  const validated = [];
+  for (const asset of list) {
+    const token = checkAddress(hre, asset.token, "Invalid asset address");
+    if ((await hre.ethers.provider.getCode(token)) === "0x") {
+      throw new Error(`Invalid asset address: no contract at ${token} on ${hre.network.name}`);
+    }
+    if (seen.has(token)) {
+      throw new Error(`Asset ${token} is listed twice or is the vault token`);
+    }
+    seen.add(token);
+
+    const depositFee = Number(asset.depositFee || 0);
+    if (!Number.isInteger(depositFee) || depositFee < 0 || depositFee > MAX_ASSET_DEPOSIT_FEE) {
+      throw new Error(`Invalid deposit fee for asset ${token}: ${asset.depositFee}`);
+    }
+    const yieldRate = Number(asset.yieldRate || 0);
+    if (!Number.isInteger(yieldRate) || yieldRate < 0 || yieldRate > 10000) {
+      throw new Error(`Invalid yield rate for asset ${token}: ${asset.yieldRate}`);
+    }
+    validated.push({ token, depositFee, yieldRate });
+  }
+  return validated;
+}
+
+/**
+ * @dev Validates the deposit limits the same way TokenVaultV12.setDepositCaps does and
+ * converts them into base units. Amounts are given in whole tokens ("1000", "0.5") and a
+ * missing `token` stands for the vault token; unset limits are 0, i.e. no cap.
+ * @param hre The Hardhat runtime environment
+ * @param depositCaps The `depositCaps` parameter returned by resolveDeployParams
+ * @param supportedAssets Addresses of the assets the vault supports, the vault token first
+ * @return Array of { token, userCap, totalCap, minDeposit } with bigint limits, empty when
+ * no limits are configured
+ */
+async function validateDepositCaps(hre, depositCaps, supportedAssets) {
+  if (depositCaps === undefined) {
+    return [];
+  }
+  const list = typeof depositCaps === "string" ? JSON.parse(depositCaps) : depositCaps;
+  if (!Array.isArray(list)) {
+    throw new Error("Invalid deposit caps: expected an array of { token, userCap, totalCap, minDeposit }");
+  }
+
+  const supported = supportedAssets.map((asset) => hre.ethers.getAddress(asset));
+  const seen = new Set();
+  const validated = [];
+  for (const entry of list) {
+    const token =
+      entry.token !== undefined ? checkAddress(hre, entry.token, "Invalid deposit caps token") : supported[0];
+    if (!supported.includes(token)) {
+      throw new Error(`Deposit caps for ${token}: not an asset of the vault; register it first`);
+    }
+    if (seen.has(token)) {
+      throw new Error(`Deposit caps for ${token} are listed twice`);
+    }
+    seen.add(token);
+
+    const metadata = await hre.ethers.getContractAt(ERC20_METADATA, token);
+    const decimals = await metadata.decimals();
+    const limits = {};
+    for (const field of ["userCap", "totalCap", "minDeposit"]) {
+      try {
+        limits[field] = hre.ethers.parseUnits(String(entry[field] || 0), decimals);
+      } catch (error) {
+        limits[field] = -1n;
+      }
+      if (limits[field] < 0n) {
+        throw new Error(`Invalid ${field} for ${token}: ${entry[field]}`);
+      }
+    }
+    const { userCap, totalCap, minDeposit } = limits;
+    if ((userCap > 0n && minDeposit > userCap) || (totalCap > 0n && minDeposit > totalCap)) {
+      throw new Error(`Minimum deposit exceeds cap for ${token}`);
+    }
+    validated.push({ token, userCap, totalCap, minDeposit });
+  }
+  return validated;
+}
+
+/**
+ * @dev Validates the delay of DEFAULT_ADMIN_ROLE transfers, 2 days when unset
+ * @param adminDelay Seconds, as a number or a numeric string
+ * @return The delay in seconds
+ */
+function validateAdminDelay(adminDelay) {
+  if (adminDelay === undefined) {
+    return DEFAULT_ADMIN_DELAY;
+  }
+  const delay = Number(adminDelay);
+  // initializeV13 takes the delay as a uint48
+  if (!Number.isInteger(delay) || delay < 0 || delay >= 2 ** 48) {
+    throw new Error(`Invalid admin delay: ${adminDelay}`);
+  }
+  return delay;
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  getConfigPath,
+  resolveDeployParams,
+  validateDeployParams,
+  validateAssets,
+  validateDepositCaps,
+  validateAdminDelay,
+};
@@ -0,0 +1,172 @@
+const { readManifest, loadManifest } = require("./manifest");
+const { getVersion } = require("./versions");
+const {
+  getCurrentVersion,
+  assertUpgradePath,
+  readVaultState,
+  upgradeVault,
+} = require("./vault");
+const { takeSnapshot, diffSnapshots, formatDiff } = require("./snapshot");
+
+/**
+ * @dev Compares vault state read before and after an upgrade. Every value present
+ * before the upgrade must be unchanged; values only present afterwards are reported as new.
+ * @param before Array of [label, value] pairs (see readVaultState)
+ * @param after Array of [label, value] pairs (see readVaultState)
+ * @param options.allowRemoved Accept values the new version no longer exposes
+ * @return Array of { label, before, after, ok, added }
+ */
+function compareStates(before, after, { allowRemoved = false } = {}) {
+  const afterByLabel = new Map(after);
+  const beforeLabels = new Set(before.map(([label]) => label));
+
+  const checks = before.map(([label, value]) => ({
+    label,
+    before: value,
+    after: afterByLabel.get(label),
+    ok: afterByLabel.has(label) ? afterByLabel.get(label) === value : allowRemoved,
+    added: false,
+  }));
+  for (const [label, value] of after) {
+    if (!beforeLabels.has(label)) {
+      checks.push({ label, before: undefined, after: value, ok: true, added: true });
+    }
+  }
+  return checks;
+}
+
+/**
+ * @dev Returns an UPGRADER_ROLE holder to run the simulated upgrade from
+ * @param upgrader Explicit candidate; otherwise the deployers recorded in the manifest are tried
+ */
+async function findUpgrader(hre, proxyAddress, manifest, upgrader) {
+  const vault = await hre.ethers.getContractAt("TokenVaultV1", proxyAddress);
+  const role = await vault.UPGRADER_ROLE();
+  const candidates = upgrader
+    ? [upgrader]
+    : [...new Set(manifest.history.map((entry) => entry.deployer))];
+
+  for (const candidate of candidates) {
+    if (await vault.hasRole(role, candidate)) {
+      return candidate;
+    }
+  }
+  throw new Error(
+    upgrader
+      ? `${upgrader} does not hold UPGRADER_ROLE on ${proxyAddress}`
+      : "None of the deployers recorded in the manifest holds UPGRADER_ROLE; pass an upgrader address"
+  );
+}
+
+/**
+ * @dev Simulates an upgrade on the in-process Hardhat network and checks that the
+ * existing state, including every depositor's position, is preserved. All changes are
+ * reverted afterwards; nothing is broadcast.
+ * @param hre The Hardhat runtime environment (must be connected to the hardhat network)
+ * @param to The target version (see versions.js)
+ * @param options.fork Name of a configured network whose state is forked before simulating
+ * @param options.dir Directory holding the manifests
+ * @param options.upgrader Address to impersonate, defaults to a recorded deployer holding UPGRADER_ROLE
+ * @param options.log Logger, defaults to console.log
+ * @return The dry-run report
+ */
+async function simulateUpgrade(hre, to, { fork, dir, upgrader, log = console.log } = {}) {
+  const { ethers, network, upgrades } = hre;
+  if (network.name !== "hardhat") {
+    throw new Error(
+      `Dry runs execute on the in-process Hardhat network, not "${network.name}". ` +
+        "Run with --network hardhat and select the network to simulate with the fork option."
+    );
+  }
+
+  let manifest;
+  if (fork) {
+    const url = hre.config.networks[fork] && hre.config.networks[fork].url;
+    if (!url) {
+      throw new Error(`Network "${fork}" has no RPC url configured in hardhat.config.js`);
+    }
+    manifest = readManifest(hre, { dir, network: fork });
+    if (!manifest) {
+      throw new Error(`No deployment manifest found for network "${fork}"`);
+    }
+    log(`Forking ${fork} into the in-process Hardhat network...`);
+    await network.provider.request({
+      method: "hardhat_reset",
+      params: [{ forking: { jsonRpcUrl: url } }],
+    });
+  } else {
+    manifest = await loadManifest(hre, { dir });
+  }
+
+  const proxy = manifest.proxy;
+  const snapshot = await network.provider.request({ method: "evm_snapshot" });
+  try {
+    const current = await getCurrentVersion(hre, proxy);
+    const target = getVersion(to);
+    assertUpgradePath(current, target);
+    const before = await readVaultState(hre, proxy, current);
+    const fromBlock = manifest.history[0].blockNumber;
+    const snapshotBefore = await takeSnapshot(hre, proxy, current, { fromBlock });
+
+    const from = await findUpgrader(hre, proxy, manifest, upgrader);
+    const signer = await ethers.getImpersonatedSigner(from);
+    await network.provider.request({
+      method: "hardhat_setBalance",
+      params: [from, ethers.toQuantity(ethers.parseEther("100"))],
+    });
+    if (fork) {
+      // The forked proxy is unknown to the plugin's local network file
+      const factory = await ethers.getContractFactory(current.contract, signer);
+      await upgrades.forceImport(proxy, factory, { kind: "uups" });
+    }
+
+    await upgradeVault(hre, proxy, target.id, { signer, fromBlock, log });
+    const after = await readVaultState(hre, proxy, target);
+    const allowRemoved = Boolean(target.allowRemoved);
+    const checks = compareStates(before, after, { allowRemoved });
+    const diff = diffSnapshots(
+      snapshotBefore,
+      await takeSnapshot(hre, proxy, target, { fromBlock }),
+      { allowRemoved }
+    );
+
+    return {
+      network: fork || network.name,
+      proxy,
+      from: current,
+      version: target,
+      upgrader: from,
+      checks,
+      diff,
+      passed: checks.every((check) => check.ok) && diff.ok,
+    };
+  } finally {
+    await network.provider.request({ method: "evm_revert", params: [snapshot] });
+  }
+}
+
+/**
+ * @dev Formats a dry-run report as a pass/fail table
+ */
+function formatReport(report) {
+  const lines = [
+    `\nDry run: ${report.from.id} -> ${report.version.id} on ${report.network}`,
+    `Proxy: ${report.proxy}`,
+    `Simulated upgrader: ${report.upgrader}\n`,
+  ];
+  for (const check of report.checks) {
+    const status = check.added ? "NEW " : check.ok ? "PASS" : "FAIL";
+    const before = check.before === undefined ? "-" : check.before.toString();
+    const after = check.after === undefined ? "-" : check.after.toString();
+    lines.push(`[${status}] ${check.label}: ${before} -> ${after}`);
+  }
+  lines.push("", formatDiff(report.diff));
+  lines.push(`\nResult: ${report.passed ? "PASS" : "FAIL"} (nothing was broadcast)`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  compareStates,
+  simulateUpgrade,
+  formatReport,
+};
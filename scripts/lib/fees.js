@@ -0,0 +1,111 @@
+const { loadManifest } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+/**
+ * @dev Returns the vault contract, refusing versions without fee accounting
+ */
+async function getFeeVault(hre, proxyAddress, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, signer);
+  if (!vault.interface.getFunction("sweepFees")) {
+    throw new Error(`Proxy is at ${version.id}; fee accounting requires v4 or later`);
+  }
+  return { vault, version };
+}
+
+/**
+ * @dev Reports the deposit fees collected by the vault
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.fromBlock First block to scan for events, usually the deployment block
+ * @return { proxy, version, treasury, depositFee, collected, swept, accrued, sweepable, balance, totalDeposits }
+ *   where `collected` sums the fees of all Deposited events and `swept` all FeesSwept events
+ */
+async function getFeeReport(hre, proxyAddress, { fromBlock = 0 } = {}) {
+  const { vault, version } = await getFeeVault(hre, proxyAddress);
+  const token = await hre.ethers.getContractAt(IERC20, await vault.token());
+
+  const deposits = await vault.queryFilter(vault.filters.Deposited(), fromBlock);
+  const sweeps = await vault.queryFilter(vault.filters.FeesSwept(), fromBlock);
+
+  return {
+    proxy: proxyAddress,
+    version,
+    treasury: await vault.treasury(),
+    depositFee: await vault.getDepositFee(),
+    collected: deposits.reduce((sum, event) => sum + event.args.fee, 0n),
+    swept: sweeps.reduce((sum, event) => sum + event.args.amount, 0n),
+    accrued: await vault.getAccruedFees(),
+    sweepable: await vault.getSweepableFees(),
+    balance: await token.balanceOf(proxyAddress),
+    totalDeposits: await vault.totalDeposits(),
+  };
+}
+
+/**
+ * @dev Sweeps the sweepable fees to the treasury
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.signer DEFAULT_ADMIN_ROLE holder, defaults to the first signer
+ * @param options.log Logger, defaults to console.log
+ * @return { treasury, amount, txHash }
+ */
+async function sweepFees(hre, proxyAddress, { signer, log = console.log } = {}) {
+  const { vault } = await getFeeVault(hre, proxyAddress, signer);
+  const receipt = await (await vault.sweepFees()).wait();
+  const [event] = receipt.logs
+    .map((entry) => vault.interface.parseLog(entry))
+    .filter((parsed) => parsed && parsed.name === "FeesSwept");
+
+  const { treasury, amount } = event.args;
+  log(`Swept ${hre.ethers.formatEther(amount)} to treasury ${treasury}`);
+  return { treasury, amount, txHash: receipt.hash };
+}
+
+/**
+ * @dev Formats a fee report for the console
+ */
+function formatFeeReport(report, { formatEther }) {
+  return [
+    `Fees of ${report.proxy} (${report.version.id})`,
+    `Deposit fee: ${report.depositFee} bps`,
+    `Treasury: ${report.treasury}`,
+    `Collected (all deposits): ${formatEther(report.collected)}`,
+    `Swept to treasury: ${formatEther(report.swept)}`,
+    `Accrued since v4: ${formatEther(report.accrued)}`,
+    `Sweepable now: ${formatEther(report.sweepable)}`,
+    `Vault balance: ${formatEther(report.balance)} (principal ${formatEther(report.totalDeposits)})`,
+  ].join("\n");
+}
+
+/**
+ * @dev Reports the fees of the proxy recorded in the manifest and optionally sweeps them
+ * @param options.sweep Sweep the sweepable fees after reporting
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { report, sweep } with `sweep` null when nothing was swept
+ */
+async function runFees(hre, { sweep = false, dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const fromBlock = manifest.history[0].blockNumber;
+  const report = await getFeeReport(hre, manifest.proxy, { fromBlock });
+  log(formatFeeReport(report, hre.ethers));
+
+  if (sweep) {
+    if (report.sweepable === 0n) {
+      log("\nNothing to sweep");
+      return { report, sweep: null };
+    }
+    return { report, sweep: await sweepFees(hre, manifest.proxy, { log }) };
+  }
+  return { report, sweep: null };
+}
+
+module.exports = {
+  getFeeReport,
+  sweepFees,
+  formatFeeReport,
+  runFees,
+};
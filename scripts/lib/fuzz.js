@@ -0,0 +1,448 @@
+const { deployVault, upgradeVault, getCurrentVersion } = require("./vault");
+const { VERSIONS, getVersion, getNextVersion, versionIndex } = require("./versions");
+
+/**
+ * @dev Deterministic PRNG (mulberry32) returning floats in [0, 1), so that a sequence
+ * generated from a seed can be generated again
+ */
+function createRandom(seed) {
+  let state = seed | 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Relative weights of the generated actions. Amounts are whole tokens and shares are
+// percentages of the balance the user can withdraw when the step runs, so that a step
+// stays meaningful when the steps before it are shrunk away.
+const ACTIONS = {
+  deposit: { weight: 6, user: true, params: (next) => ({ amount: 1 + Math.floor(next() * 1000) }) },
+  withdraw: { weight: 3, user: true, params: (next) => ({ share: 1 + Math.floor(next() * 100) }) },
+  claimYield: { weight: 2, user: true },
+  requestWithdrawal: {
+    weight: 3,
+    user: true,
+    params: (next) => ({ share: 1 + Math.floor(next() * 100) }),
+  },
+  executeWithdrawal: { weight: 3, user: true },
+  cancelWithdrawal: { weight: 1, user: true },
+  emergencyWithdraw: { weight: 1, user: true },
+  setYieldRate: { weight: 1, params: (next) => ({ rate: Math.floor(next() * 2000) }) },
+  setDepositFee: { weight: 1, params: (next) => ({ fee: Math.floor(next() * 1000) }) },
+  setWithdrawalDelay: { weight: 1, params: (next) => ({ delay: Math.floor(next() * 4) * 12 * 3600 }) },
+  setDepositsPaused: { weight: 1, params: (next) => ({ paused: next() < 0.5 }) },
+  setEmergency: { weight: 1, params: (next) => ({ declared: next() < 0.5 }) },
+  fundYieldReserve: { weight: 1, params: (next) => ({ amount: 1 + Math.floor(next() * 100) }) },
+  sweepFees: { weight: 1 },
+  wait: { weight: 3, params: (next) => ({ seconds: Math.floor(next() * 3 * 24 * 3600) }) },
+  upgrade: { weight: 3 },
+};
+
+/**
+ * @dev Generates a random sequence of steps
+ * @param next PRNG, see createRandom
+ * @param options.length Number of steps
+ * @param options.users Number of users the steps are spread over
+ * @param options.weights Overrides of the ACTIONS weights, 0 to leave an action out
+ * @return Array of plain steps, e.g. { action: "deposit", user: 1, amount: 250 }
+ */
+function generateSequence(next, { length = 60, users = 4, weights = {} } = {}) {
+  const actions = Object.entries(ACTIONS)
+    .map(([action, spec]) => ({ action, spec, weight: weights[action] ?? spec.weight }))
+    .filter(({ weight }) => weight > 0);
+  const total = actions.reduce((sum, { weight }) => sum + weight, 0);
+
+  const steps = [];
+  for (let i = 0; i < length; i++) {
+    let pick = next() * total;
+    const { action, spec } = actions.find(({ weight }) => (pick -= weight) < 0) || actions.at(-1);
+    const step = { action };
+    if (spec.user) {
+      step.user = Math.floor(next() * users);
+    }
+    Object.assign(step, spec.params ? spec.params(next) : {});
+    steps.push(step);
+  }
+  return steps;
+}
+
+function has(vault, name) {
+  return vault.interface.getFunction(name) !== null;
+}
+
+// Balance a user can withdraw or request now; pending requests lock theirs from V7 on
+async function withdrawable(vault, user) {
+  return has(vault, "getAvailableBalance")
+    ? vault.getAvailableBalance(user)
+    : vault.balanceOf(user);
+}
+
+async function pendingRequests(vault, user) {
+  if (has(vault, "getLockedBalance")) {
+    return vault.getLockedBalance(user);
+  }
+  if (has(vault, "getWithdrawalRequest")) {
+    return (await vault.getWithdrawalRequest(user)).amount;
+  }
+  return 0n;
+}
+
+/**
+ * @dev Properties checked after every step. `since` is the first version guaranteeing the
+ * property; `check` returns a description of the violation, or null.
+ *  - balances-sum: the users' balances add up to totalDeposits
+ *  - solvency: the vault holds at least its liabilities, i.e. the deposits, the yield reserve
+ *    and the fees not swept yet (getReconciliation from V10 on). Up to V4, yield is paid out
+ *    of the vault's balance, so this only holds while tokens sent to the vault cover it.
+ *  - requests-covered: pending withdrawal requests do not exceed the balance. Up to V6,
+ *    `withdraw` ignores pending requests, and V7 keeps the requests made before it as they
+ *    are; the V8 migration caps them at the balance, so this is only guaranteed from V8 on.
+ */
+const INVARIANTS = [
+  {
+    name: "balances-sum",
+    since: "v1",
+    check: async ({ vault, users }) => {
+      let sum = 0n;
+      for (const user of users) {
+        sum += await vault.balanceOf(user.address);
+      }
+      const totalDeposits = await vault.totalDeposits();
+      return sum === totalDeposits ? null : `balances add up to ${sum}, totalDeposits is ${totalDeposits}`;
+    },
+  },
+  {
+    name: "solvency",
+    since: "v1",
+    check: async ({ vault, token }) => {
+      let liabilities = await vault.totalDeposits();
+      if (has(vault, "getAccruedFees")) {
+        liabilities += await vault.getAccruedFees();
+      }
+      if (has(vault, "getYieldReserve")) {
+        liabilities += await vault.getYieldReserve();
+      }
+      const balance = await token.balanceOf(await vault.getAddress());
+      return balance >= liabilities ? null : `token balance ${balance} is below liabilities ${liabilities}`;
+    },
+  },
+  {
+    name: "requests-covered",
+    since: "v8",
+    check: async ({ vault, users }) => {
+      for (const user of users) {
+        const pending = await pendingRequests(vault, user.address);
+        const balance = await vault.balanceOf(user.address);
+        if (pending > balance) {
+          return `user ${user.address} has ${pending} pending for a balance of ${balance}`;
+        }
+      }
+      return null;
+    },
+  },
+];
+
+/**
+ * @dev Runs one step against the current vault. Steps the current version has no function
+ * for are skipped; steps the vault rejects change no state and are reported as reverted.
+ * @return "ok", "skipped" or "reverted"
+ */
+async function runStep(hre, context, step) {
+  const { ethers } = hre;
+  const { vault, users, target, fromBlock } = context;
+  const user = step.user !== undefined ? users[step.user] : null;
+  const asUser = user ? vault.connect(user) : vault;
+
+  let send;
+  switch (step.action) {
+    case "deposit":
+      send = () => asUser.deposit(ethers.parseEther(String(step.amount)));
+      break;
+    case "withdraw":
+    case "requestWithdrawal": {
+      const amount = ((await withdrawable(vault, user.address)) * BigInt(step.share)) / 100n;
+      if (amount === 0n || !has(vault, step.action)) {
+        return "skipped";
+      }
+      send = () => asUser[step.action](amount);
+      break;
+    }
+    case "executeWithdrawal":
+    case "cancelWithdrawal":
+      if (has(vault, "getPendingWithdrawals")) {
+        const [request] = await vault.getPendingWithdrawals(user.address, 0, 1);
+        if (!request) {
+          return "skipped";
+        }
+        send = () => asUser[step.action](request.id);
+      } else if (step.action === "executeWithdrawal" && has(vault, "executeWithdrawal")) {
+        send = () => asUser.executeWithdrawal();
+      } else {
+        return "skipped";
+      }
+      break;
+    case "claimYield":
+    case "emergencyWithdraw":
+    case "sweepFees":
+      if (!has(vault, step.action)) {
+        return "skipped";
+      }
+      send = () => asUser[step.action]();
+      break;
+    case "setYieldRate":
+    case "setDepositFee":
+    case "setWithdrawalDelay": {
+      if (!has(vault, step.action)) {
+        return "skipped";
+      }
+      const value = step.rate ?? step.fee ?? step.delay;
+      send = () => vault[step.action](value);
+      break;
+    }
+    case "setDepositsPaused":
+      if (!has(vault, "pauseDeposits")) {
+        return "skipped";
+      }
+      send = () => (step.paused ? vault.pauseDeposits() : vault.unpauseDeposits());
+      break;
+    case "setEmergency":
+      if (!has(vault, "declareEmergency")) {
+        return "skipped";
+      }
+      send = () => (step.declared ? vault.declareEmergency() : vault.resolveEmergency());
+      break;
+    case "fundYieldReserve":
+      if (!has(vault, "fundYieldReserve")) {
+        return "skipped";
+      }
+      send = () => vault.fundYieldReserve(ethers.parseEther(String(step.amount)));
+      break;
+    case "wait":
+      await hre.network.provider.send("evm_increaseTime", [step.seconds]);
+      await hre.network.provider.send("evm_mine");
+      return "ok";
+    case "upgrade": {
+      const next = getNextVersion(context.version);
+      if (!next || versionIndex(context.version) >= versionIndex(getVersion(target))) {
+        return "skipped";
+      }
+      const result = await upgradeVault(hre, context.proxy, next.id, { fromBlock, log: () => {} });
+      context.vault = result.vault;
+      context.version = next;
+      return "ok";
+    }
+    default:
+      throw new Error(`Unknown fuzz action "${step.action}"`);
+  }
+
+  try {
+    await (await send()).wait();
+    return "ok";
+  } catch (error) {
+    if (!isRevert(error)) {
+      throw error;
+    }
+    return "reverted";
+  }
+}
+
+/**
+ * @dev Tells a contract revert, which a step is allowed to cause, from a failure of the
+ * harness or the network: the in-process network attaches the revert data to the error,
+ * ethers reports other networks' reverts as CALL_EXCEPTION
+ */
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || (typeof error.data === "string" && error.data.startsWith("0x"));
+}
+
+/**
+ * @dev Deploys V1 and funds the users once, then snapshots the chain so that every sequence
+ * starts from the same state
+ * @param options.users Number of users
+ * @param options.depositFee Deposit fee of the deployment, in basis points
+ * @param options.yieldBudget Whole tokens sent to the vault to pay yield out of up to V4
+ * @return Fuzz context passed to runSequence
+ */
+async function setupFuzz(hre, { users = 4, depositFee = 100, yieldBudget = 1000000 } = {}) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  if (signers.length < users + 1) {
+    throw new Error(`The network has ${signers.length} accounts, ${users + 1} are needed`);
+  }
+  const [admin, ...accounts] = signers.slice(0, users + 1);
+
+  const deployment = await deployVault(hre, { depositFee, log: () => {} });
+  const token = await ethers.getContractAt("MockERC20", deployment.token);
+  for (const account of [admin, ...accounts]) {
+    await token.mint(account.address, ethers.parseEther("10000000"));
+    await token.connect(account).approve(deployment.proxy, ethers.MaxUint256);
+  }
+  await token.mint(deployment.proxy, ethers.parseEther(String(yieldBudget)));
+
+  return {
+    proxy: deployment.proxy,
+    token,
+    admin,
+    users: accounts,
+    fromBlock: deployment.blockNumber,
+    snapshot: await hre.network.provider.send("evm_snapshot"),
+  };
+}
+
+/**
+ * @dev Runs a sequence from the state snapshotted by setupFuzz, checking the invariants
+ * after every step, and stops at the first violation
+ * @param options.invariants Invariants to check, defaults to INVARIANTS
+ * @param options.target Last version the upgrade steps may reach, defaults to the latest
+ * @return { ok, trace, failure } where `trace` lists each step's outcome and `failure` is
+ *   { index, step, invariant, version, message } or null
+ */
+async function runSequence(hre, fuzz, steps, { invariants = INVARIANTS, target = VERSIONS.at(-1).id } = {}) {
+  const { provider } = hre.network;
+  await provider.send("evm_revert", [fuzz.snapshot]);
+  fuzz.snapshot = await provider.send("evm_snapshot");
+
+  const context = { ...fuzz, target };
+  context.version = await getCurrentVersion(hre, fuzz.proxy);
+  context.vault = await hre.ethers.getContractAt(context.version.contract, fuzz.proxy, fuzz.admin);
+
+  const trace = [];
+  for (const [index, step] of steps.entries()) {
+    trace.push(await runStep(hre, context, step));
+    for (const invariant of invariants) {
+      if (versionIndex(context.version) < versionIndex(getVersion(invariant.since))) {
+        continue;
+      }
+      const message = await invariant.check(context);
+      if (message) {
+        return {
+          ok: false,
+          trace,
+          failure: { index, step, invariant: invariant.name, version: context.version.id, message },
+        };
+      }
+    }
+  }
+  return { ok: true, trace, failure: null };
+}
+
+/**
+ * @dev Shrinks a failing sequence: drops chunks of steps, then single steps, then halves
+ * amounts, shares and waits, keeping every change after which the same invariant still
+ * fails. Single steps are dropped again after each round of halving, so the result is
+ * 1-minimal (removing any single step makes the failure go away) unless shrinking hit
+ * `maxRuns` first, which `minimal` reports.
+ * @param options.maxRuns Upper bound on the sequences replayed
+ * @param options.invariants, options.target See runSequence
+ * @return { steps, failure, runs, minimal }
+ */
+async function shrinkSequence(hre, fuzz, steps, failure, { maxRuns = 500, ...options } = {}) {
+  let best = { steps: steps.slice(0, failure.index + 1), failure };
+  let runs = 0;
+  let capped = false;
+
+  const attempt = async (candidate) => {
+    if (runs >= maxRuns) {
+      capped = true;
+      return false;
+    }
+    runs++;
+    const result = await runSequence(hre, fuzz, candidate, options);
+    if (result.ok || result.failure.invariant !== failure.invariant) {
+      return false;
+    }
+    best = { steps: candidate.slice(0, result.failure.index + 1), failure: result.failure };
+    return true;
+  };
+
+  const dropChunks = async (chunk) => {
+    let dropped = false;
+    for (let start = 0; start < best.steps.length; ) {
+      const candidate = [...best.steps.slice(0, start), ...best.steps.slice(start + chunk)];
+      if (await attempt(candidate)) {
+        dropped = true;
+      } else {
+        start += chunk;
+      }
+    }
+    return dropped;
+  };
+
+  for (let chunk = Math.floor(best.steps.length / 2); chunk > 1; chunk = Math.floor(chunk / 2)) {
+    await dropChunks(chunk);
+  }
+
+  const numeric = ["amount", "share", "seconds"];
+  for (let progress = true; progress; ) {
+    progress = await dropChunks(1);
+    for (let i = 0; i < best.steps.length; i++) {
+      for (const key of numeric.filter((field) => best.steps[i][field] > 1)) {
+        // A successful attempt may cut the steps after the new failure
+        if (i >= best.steps.length) {
+          break;
+        }
+        const candidate = best.steps.map((s, j) => (j === i ? { ...s, [key]: Math.floor(s[key] / 2) } : s));
+        if (await attempt(candidate)) {
+          progress = true;
+        }
+      }
+    }
+  }
+  return { ...best, runs, minimal: !capped };
+}
+
+/**
+ * @dev Runs `runs` random sequences, the i-th generated from `seed + i`, and shrinks the first
+ * one violating an invariant
+ * @param options.seed Seed of the first sequence
+ * @param options.runs Number of sequences
+ * @param options.length Steps per sequence
+ * @param options.weights Action weights, see generateSequence
+ * @param options.invariants, options.target See runSequence
+ * @return { ok, runs, steps } or, on a violation, { ok: false, seed, steps, failure, shrunk }
+ *   where `seed` regenerates the failing sequence
+ */
+async function runFuzz(hre, fuzz, { seed, runs = 1, length, weights, ...options } = {}) {
+  let executed = 0;
+  for (let i = 0; i < runs; i++) {
+    const steps = generateSequence(createRandom(seed + i), { length, users: fuzz.users.length, weights });
+    const result = await runSequence(hre, fuzz, steps, options);
+    executed += result.trace.filter((outcome) => outcome === "ok").length;
+    if (!result.ok) {
+      const shrunk = await shrinkSequence(hre, fuzz, steps, result.failure, options);
+      return { ok: false, seed: seed + i, steps, failure: result.failure, shrunk };
+    }
+  }
+  return { ok: true, runs, steps: executed };
+}
+
+/**
+ * @dev Formats a failed fuzz run with the seed reproducing it and the shrunk sequence
+ */
+function formatFuzzFailure(result) {
+  const { failure, shrunk } = result;
+  return [
+    `Invariant "${failure.invariant}" violated on ${failure.version} at step ${failure.index + 1} ` +
+      `of seed ${result.seed}: ${failure.message}`,
+    `Shrunk to ${shrunk.steps.length} step(s), failing on ${shrunk.failure.version}: ` +
+      shrunk.failure.message,
+    ...(shrunk.minimal ? [] : [`Shrinking stopped after ${shrunk.runs} replays; the sequence may not be minimal`]),
+    ...shrunk.steps.map((step, i) => `  ${i + 1}. ${JSON.stringify(step)}`),
+    `Reproduce with FUZZ_SEED=${result.seed} FUZZ_RUNS=1 npm run test:fuzz`,
+  ].join("\n");
+}
+
+module.exports = {
+  ACTIONS,
+  INVARIANTS,
+  createRandom,
+  generateSequence,
+  setupFuzz,
+  runSequence,
+  shrinkSequence,
+  runFuzz,
+  formatFuzzFailure,
+};
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const path = require("path");
+const { deployVault, upgradeVault } = require("./vault");
+
+// Regression allowed over the baseline, in percent, when neither the caller nor the
+// baseline file sets one
+const DEFAULT_THRESHOLD = 5;
+
+/**
+ * @dev Operations measured on each benchmarked version, in the order they run. Each one is
+ * sent by a user who has not used the vault before, so that every version measures the
+ * same storage transitions: a first deposit, a partial withdrawal, a claim after a day of
+ * yield, then on V3 a request executed after the delay and an emergency withdrawal of the rest.
+ */
+const BENCHMARKS = {
+  v1: ["deposit", "withdraw"],
+  v2: ["deposit", "withdraw", "claimYield"],
+  v3: ["deposit", "withdraw", "claimYield", "requestWithdrawal", "executeWithdrawal", "emergencyWithdraw"],
+};
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * @dev Returns the default baseline file, benchmarks/gas-baseline.json
+ */
+function getBaselinePath(hre) {
+  return path.join(hre.config.paths.root, "benchmarks", "gas-baseline.json");
+}
+
+async function increaseTime(hre, seconds) {
+  await hre.network.provider.send("evm_increaseTime", [seconds]);
+  await hre.network.provider.send("evm_mine");
+}
+
+async function gasUsed(send) {
+  const receipt = await (await send()).wait();
+  return Number(receipt.gasUsed);
+}
+
+/**
+ * @dev Runs BENCHMARKS[version] for a new user and returns the gas used by each operation
+ */
+async function measureOperations(hre, vault, token, user, operations) {
+  const { ethers } = hre;
+  const vaultAsUser = vault.connect(user);
+  await token.mint(user.address, ethers.parseEther("10000"));
+  await token.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+
+  const gas = {};
+  for (const operation of operations) {
+    switch (operation) {
+      case "deposit":
+        gas.deposit = await gasUsed(() => vaultAsUser.deposit(ethers.parseEther("1000")));
+        await increaseTime(hre, DAY);
+        break;
+      case "withdraw":
+        gas.withdraw = await gasUsed(() => vaultAsUser.withdraw(ethers.parseEther("100")));
+        break;
+      case "claimYield":
+        gas.claimYield = await gasUsed(() => vaultAsUser.claimYield());
+        break;
+      case "requestWithdrawal":
+        gas.requestWithdrawal = await gasUsed(() => vaultAsUser.requestWithdrawal(ethers.parseEther("100")));
+        await increaseTime(hre, Number(await vault.getWithdrawalDelay()));
+        break;
+      case "executeWithdrawal":
+        gas.executeWithdrawal = await gasUsed(() => vaultAsUser.executeWithdrawal());
+        break;
+      case "emergencyWithdraw":
+        gas.emergencyWithdraw = await gasUsed(() => vaultAsUser.emergencyWithdraw());
+        break;
+      default:
+        throw new Error(`Unknown gas benchmark operation "${operation}"`);
+    }
+  }
+  return gas;
+}
+
+/**
+ * @dev Deploys a vault on the in-process network, runs the operations of BENCHMARKS on each
+ * version and measures the upgrade transactions between them (upgradeToAndCall, including
+ * the reinitializer). The chain is reverted to its previous state afterwards.
+ * @param hre The Hardhat runtime environment
+ * @return { [version]: { [operation]: gasUsed } }, with an `upgrade` entry from V2 on
+ */
+async function measureGas(hre) {
+  const { ethers } = hre;
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Gas benchmarks run on the in-process hardhat network, not ${hre.network.name}`);
+  }
+  const { provider } = hre.network;
+  const snapshot = await provider.send("evm_snapshot");
+  try {
+    const versions = Object.keys(BENCHMARKS);
+    const [admin, ...users] = await ethers.getSigners();
+    if (users.length < versions.length) {
+      throw new Error(`The network has ${users.length + 1} accounts, ${versions.length + 1} are needed`);
+    }
+    const silent = { log: () => {} };
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    const token = await ethers.getContractAt("MockERC20", deployment.token);
+    // Yield is paid out of the vault's balance up to V4; an existing deposit keeps the
+    // first deposit of each user from also being the vault's first
+    await token.mint(deployment.proxy, ethers.parseEther("100000"));
+    await token.mint(admin.address, ethers.parseEther("1000"));
+    await token.approve(deployment.proxy, ethers.MaxUint256);
+    await deployment.vault.deposit(ethers.parseEther("1000"));
+
+    const results = {};
+    let vault = deployment.vault;
+    for (const [index, version] of versions.entries()) {
+      results[version] = {};
+      if (index > 0) {
+        const upgrade = await upgradeVault(hre, deployment.proxy, version, {
+          fromBlock: deployment.blockNumber,
+          ...silent,
+        });
+        vault = upgrade.vault;
+        const receipt = await ethers.provider.getTransactionReceipt(upgrade.txHash);
+        results[version].upgrade = Number(receipt.gasUsed);
+      }
+      const operations = BENCHMARKS[version];
+      if (operations.includes("claimYield") && (await vault.getYieldRate()) === 0n) {
+        await vault.setYieldRate(500);
+      }
+      Object.assign(results[version], await measureOperations(hre, vault, token, users[index], operations));
+    }
+    return results;
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+  }
+}
+
+/**
+ * @dev Reads a baseline written by writeGasBaseline
+ * @return { threshold, versions } or null when the file does not exist
+ */
+function readGasBaseline(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Writes measured gas as the new baseline, keeping the threshold
+ */
+function writeGasBaseline(file, measured, { threshold = DEFAULT_THRESHOLD } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ threshold, versions: measured }, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @dev Compares measured gas with a baseline. An operation regresses when it uses more than
+ * `threshold` percent above its baseline; operations missing from either side are listed
+ * as "new" or "missing" without failing the comparison.
+ * @param baseline { threshold, versions } as written by writeGasBaseline
+ * @param measured { [version]: { [operation]: gasUsed } }
+ * @param options.threshold Percentage overriding the baseline's threshold
+ * @return { ok, threshold, rows } where every row is
+ *   { version, operation, baseline, gas, change, status } with `change` in percent
+ */
+function compareGas(baseline, measured, { threshold } = {}) {
+  const limit = threshold ?? baseline.threshold ?? DEFAULT_THRESHOLD;
+  const rows = [];
+  for (const [version, operations] of Object.entries(measured)) {
+    for (const [operation, gas] of Object.entries(operations)) {
+      const base = baseline.versions[version]?.[operation];
+      if (base === undefined) {
+        rows.push({ version, operation, baseline: null, gas, change: null, status: "new" });
+        continue;
+      }
+      const change = ((gas - base) / base) * 100;
+      const status = change > limit ? "regressed" : change < 0 ? "improved" : "ok";
+      rows.push({ version, operation, baseline: base, gas, change, status });
+    }
+  }
+  for (const [version, operations] of Object.entries(baseline.versions)) {
+    for (const [operation, base] of Object.entries(operations)) {
+      if (measured[version]?.[operation] === undefined) {
+        rows.push({ version, operation, baseline: base, gas: null, change: null, status: "missing" });
+      }
+    }
+  }
+  return { ok: rows.every((row) => row.status !== "regressed"), threshold: limit, rows };
+}
+
+/**
+ * @dev Formats a gas comparison for the console
+ */
+function formatGasReport(report) {
+  const lines = [`Gas per operation (regression threshold: ${report.threshold}%)`];
+  for (const row of report.rows) {
+    const change = row.change === null ? "" : ` (${row.change >= 0 ? "+" : ""}${row.change.toFixed(2)}%)`;
+    const values = row.status === "new" ? `${row.gas}` : `${row.baseline} -> ${row.gas ?? "-"}`;
+    const flag = row.status === "regressed" ? "[REGRESSED] " : row.status === "ok" ? "" : `[${row.status}] `;
+    lines.push(`  ${flag}${row.version} ${row.operation}: ${values}${change}`);
+  }
+  const regressed = report.rows.filter((row) => row.status === "regressed").length;
+  lines.push(
+    regressed
+      ? `${regressed} operation(s) regressed past ${report.threshold}%`
+      : "No operation regressed past the threshold"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @dev Measures gas and compares it with the baseline, writing the measurements as the
+ * new baseline when `update` is set
+ * @param hre The Hardhat runtime environment
+ * @param options.file Baseline file, defaults to benchmarks/gas-baseline.json
+ * @param options.threshold Percentage overriding the baseline's threshold
+ * @param options.update Write the measurements as the new baseline
+ * @param options.log Logger, defaults to console.log
+ * @return { measured, report, file } with `report` null when there was no baseline to compare with
+ */
+async function runGasBenchmark(
+  hre,
+  { file = getBaselinePath(hre), threshold, update = false, log = console.log } = {}
+) {
+  const baseline = readGasBaseline(file);
+  if (!baseline && !update) {
+    throw new Error(`No gas baseline at ${file}; create one with --update`);
+  }
+
+  const measured = await measureGas(hre);
+  const report = baseline ? compareGas(baseline, measured, { threshold }) : null;
+  if (report) {
+    log(formatGasReport(report));
+  }
+  if (update) {
+    writeGasBaseline(file, measured, { threshold: threshold ?? baseline?.threshold });
+    log(`Baseline written to ${file}`);
+  }
+  return { measured, report, file };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  BENCHMARKS,
+  getBaselinePath,
+  measureGas,
+  readGasBaseline,
+  writeGasBaseline,
+  compareGas,
+  formatGasReport,
+  runGasBenchmark,
+};
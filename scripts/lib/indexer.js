@@ -0,0 +1,321 @@
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { VERSIONS, isBranch } = require("./versions");
+
+// Events moving a user's balance; the primary token's events carry no asset
+const CREDITS = ["Deposited", "AssetDeposited"];
+const DEBITS = ["Withdrawn", "WithdrawalExecuted", "AssetWithdrawalExecuted"];
+const EMERGENCY_DEBITS = ["EmergencyWithdrawal", "AssetEmergencyWithdrawal"];
+const CLAIMS = ["YieldClaimed", "AssetYieldClaimed"];
+const REQUESTS = ["WithdrawalRequested", "WithdrawalQueued", "AssetWithdrawalQueued"];
+
+// Per-user fields, in CSV column order
+const USER_FIELDS = [
+  "balance",
+  "deposited",
+  "fees",
+  "withdrawn",
+  "emergencyWithdrawn",
+  "yieldClaimed",
+  "withdrawalRequests",
+];
+
+/**
+ * @dev Returns an interface holding the events of every TokenVault version, so that logs
+ * emitted under any implementation the proxy ran can be decoded
+ */
+async function getVaultEventsInterface(hre) {
+  const events = new Map();
+  for (const version of VERSIONS) {
+    const { interface: iface } = await hre.ethers.getContractFactory(version.contract);
+    iface.forEachEvent((event) => events.set(event.topicHash, event));
+  }
+  return new hre.ethers.Interface([...events.values()]);
+}
+
+/**
+ * @dev Fetches and decodes the logs emitted by the proxy, in chain order. Logs that no
+ * TokenVault version declares are skipped.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.fromBlock First block to scan, usually the deployment block
+ * @param options.toBlock Last block to scan, defaults to the latest block
+ * @param options.batchSize Blocks per eth_getLogs request
+ * @return Array of { blockNumber, txHash, logIndex, event, args } with plain args
+ */
+async function indexEvents(hre, proxyAddress, { fromBlock = 0, toBlock, batchSize = 10000 } = {}) {
+  const { provider } = hre.ethers;
+  const iface = await getVaultEventsInterface(hre);
+  const last = toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+
+  const events = [];
+  for (let start = fromBlock; start <= last; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, last);
+    const logs = await provider.getLogs({ address: proxyAddress, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = parsed.args[i];
+      });
+      events.push({
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        event: parsed.name,
+        args,
+      });
+    }
+  }
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * @dev Rebuilds per-user balances and per-asset totals from decoded events. Events not
+ * touching user positions (fee, pause, role, upgrade and emergency events, ...) are
+ * returned as the admin log.
+ * @param events Decoded events, see indexEvents
+ * @param primaryToken Address of the vault token, the asset of events without one
+ * @return { assets, adminEvents } where `assets` maps a token to { totalDeposits, fees,
+ *   yieldClaimed, users } and `users` maps an address to the USER_FIELDS
+ */
+function rebuildAccounting(events, primaryToken) {
+  const assets = {};
+  const adminEvents = [];
+
+  const position = (asset, user) => {
+    assets[asset] = assets[asset] || { totalDeposits: 0n, fees: 0n, yieldClaimed: 0n, users: {} };
+    const users = assets[asset].users;
+    if (!users[user]) {
+      users[user] = Object.fromEntries(USER_FIELDS.map((field) => [field, 0n]));
+    }
+    return { total: assets[asset], user: users[user] };
+  };
+
+  for (const entry of events) {
+    const { event, args } = entry;
+    const asset = args.asset || primaryToken;
+    if (CREDITS.includes(event)) {
+      const { total, user } = position(asset, args.user);
+      user.balance += args.amount;
+      user.deposited += args.amount;
+      user.fees += args.fee;
+      total.totalDeposits += args.amount;
+      total.fees += args.fee;
+    } else if (DEBITS.includes(event) || EMERGENCY_DEBITS.includes(event)) {
+      const { total, user } = position(asset, args.user);
+      user.balance -= args.amount;
+      user[DEBITS.includes(event) ? "withdrawn" : "emergencyWithdrawn"] += args.amount;
+      total.totalDeposits -= args.amount;
+    } else if (CLAIMS.includes(event)) {
+      const { total, user } = position(asset, args.user);
+      user.yieldClaimed += args.amount;
+      total.yieldClaimed += args.amount;
+    } else if (REQUESTS.includes(event)) {
+      position(asset, args.user).user.withdrawalRequests += 1n;
+    } else if (!event.endsWith("WithdrawalCancelled")) {
+      adminEvents.push(entry);
+    }
+  }
+  return { assets, adminEvents };
+}
+
+/**
+ * @dev Compares rebuilt balances and totals with the vault's own view: balanceOf and
+ * totalDeposits for the vault token, getAssetPosition and getAssetInfo for added assets
+ * @return Array of { asset, user, field, rebuilt, onChain } mismatches, user null for totals
+ */
+async function checkAccounting(vault, primaryToken, accounting) {
+  const mismatches = [];
+  for (const [asset, state] of Object.entries(accounting.assets)) {
+    const primary = asset === primaryToken;
+    const totalDeposits = primary
+      ? await vault.totalDeposits()
+      : (await vault.getAssetInfo(asset)).totalDeposits;
+    state.onChainTotalDeposits = totalDeposits;
+    if (totalDeposits !== state.totalDeposits) {
+      mismatches.push({
+        asset,
+        user: null,
+        field: "totalDeposits",
+        rebuilt: state.totalDeposits,
+        onChain: totalDeposits,
+      });
+    }
+
+    for (const [user, position] of Object.entries(state.users)) {
+      const balance = primary
+        ? await vault.balanceOf(user)
+        : (await vault.getAssetPosition(asset, user)).balance;
+      position.onChainBalance = balance;
+      if (balance !== position.balance) {
+        mismatches.push({ asset, user, field: "balance", rebuilt: position.balance, onChain: balance });
+      }
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * @dev Indexes the proxy's events across every implementation it ran, rebuilds the
+ * accounting and checks it against the chain
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.fromBlock First block to scan, usually the deployment block
+ * @param options.toBlock Last block to scan, defaults to the latest block
+ * @param options.batchSize Blocks per eth_getLogs request
+ * @return { network, proxy, version, token, fromBlock, toBlock, eventCount, assets,
+ *   adminEvents, mismatches, ok }
+ */
+async function getAccountingReport(hre, proxyAddress, { fromBlock = 0, toBlock, batchSize } = {}) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  if (isBranch(version)) {
+    throw new Error(
+      `Proxy is at ${version.id}; share-based versions cannot be reconstructed from balance events`
+    );
+  }
+  const last = toBlock !== undefined ? toBlock : await hre.ethers.provider.getBlockNumber();
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress);
+  const token = await vault.token();
+
+  const events = await indexEvents(hre, proxyAddress, { fromBlock, toBlock: last, batchSize });
+  const accounting = rebuildAccounting(events, token);
+  const mismatches = await checkAccounting(vault, token, accounting);
+
+  return {
+    network: hre.network.name,
+    proxy: proxyAddress,
+    version: version.id,
+    token,
+    fromBlock,
+    toBlock: last,
+    eventCount: events.length,
+    assets: accounting.assets,
+    adminEvents: accounting.adminEvents,
+    mismatches,
+    ok: mismatches.length === 0,
+  };
+}
+
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+/**
+ * @dev Returns the per-user accounting as CSV, one row per asset and user followed by a
+ * total row per asset (user "TOTAL"). Amounts are in base units.
+ */
+function toCsv(report) {
+  const rows = [["asset", "user", ...USER_FIELDS, "onChainBalance", "match"].join(",")];
+  for (const [asset, state] of Object.entries(report.assets)) {
+    for (const [user, position] of Object.entries(state.users)) {
+      rows.push(
+        [
+          asset,
+          user,
+          ...USER_FIELDS.map((field) => position[field].toString()),
+          position.onChainBalance.toString(),
+          position.onChainBalance === position.balance,
+        ].join(",")
+      );
+    }
+    const users = Object.values(state.users);
+    const sum = (field) => users.reduce((total, position) => total + position[field], 0n).toString();
+    rows.push(
+      [
+        asset,
+        "TOTAL",
+        ...USER_FIELDS.map((field) => (field === "balance" ? state.totalDeposits.toString() : sum(field))),
+        state.onChainTotalDeposits.toString(),
+        state.onChainTotalDeposits === state.totalDeposits,
+      ].join(",")
+    );
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * @dev Writes the report as JSON and the per-user accounting as CSV to
+ * deployments/audits/<network>-<toBlock>.{json,csv}, or next to `out` when given
+ * @param options.out Path of the files without extension
+ * @param options.dir Directory holding the manifests, defaults to <root>/deployments
+ * @return { json, csv } file paths
+ */
+function exportAccountingReport(hre, report, { out, dir } = {}) {
+  const base =
+    out ||
+    path.join(
+      dir || path.join(hre.config.paths.root, "deployments"),
+      "audits",
+      `${report.network}-${report.toBlock}`
+    );
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  const files = { json: `${base}.json`, csv: `${base}.csv` };
+  fs.writeFileSync(files.json, JSON.stringify(toPlain(report), null, 2) + "\n");
+  fs.writeFileSync(files.csv, toCsv(report));
+  return files;
+}
+
+/**
+ * @dev Formats an accounting report for the console
+ */
+function formatAccountingReport(report) {
+  const lines = [
+    `Accounting of ${report.proxy} (${report.version}), blocks ${report.fromBlock}-${report.toBlock}`,
+    `Events indexed: ${report.eventCount}, admin events: ${report.adminEvents.length}`,
+  ];
+  for (const [asset, state] of Object.entries(report.assets)) {
+    lines.push(
+      `${asset}: ${Object.keys(state.users).length} users, total deposits ${state.totalDeposits} ` +
+        `(on chain ${state.onChainTotalDeposits})`
+    );
+  }
+  for (const m of report.mismatches) {
+    lines.push(
+      `[MISMATCH] ${m.asset} ${m.user || "total"} ${m.field}: rebuilt ${m.rebuilt}, on chain ${m.onChain}`
+    );
+  }
+  lines.push(
+    report.ok
+      ? "The rebuilt accounting matches the chain"
+      : `${report.mismatches.length} mismatch(es) between the events and the chain`
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @dev Rebuilds the accounting of the proxy recorded in the manifest from the deployment
+ * block on and exports it
+ * @param options.out Path of the exported files without extension
+ * @param options.batchSize Blocks per eth_getLogs request
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { report, files }
+ */
+async function runIndexer(hre, { out, batchSize, dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const report = await getAccountingReport(hre, manifest.proxy, {
+    fromBlock: manifest.history[0].blockNumber,
+    batchSize,
+  });
+  const files = exportAccountingReport(hre, report, { out, dir });
+  log(formatAccountingReport(report));
+  log(`Exported to ${files.json} and ${files.csv}`);
+  return { report, files };
+}
+
+module.exports = {
+  indexEvents,
+  rebuildAccounting,
+  checkAccounting,
+  getAccountingReport,
+  exportAccountingReport,
+  formatAccountingReport,
+  toCsv,
+  runIndexer,
+};
@@ -0,0 +1,234 @@
+const {
+  getVersion,
+  getStorageLayout,
+  getUnlinkedBytecode,
+  getStorageUpgradeReport,
+  withValidationDefaults,
+} = require("@openzeppelin/upgrades-core");
+const { readValidations } = require("@openzeppelin/hardhat-upgrades/dist/utils/validations");
+
+/**
+ * @dev Returns the storage layout the upgrades plugin recorded for a contract at compile time
+ * @param hre The Hardhat runtime environment
+ * @param contractName The contract name
+ */
+async function getContractLayout(hre, contractName) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const validations = await readValidations(hre);
+  const unlinkedBytecode = getUnlinkedBytecode(validations, factory.bytecode);
+  return getStorageLayout(validations, getVersion(unlinkedBytecode, factory.bytecode));
+}
+
+/**
+ * @dev Flattens a storage layout into table rows
+ * @return Array of { slot, offset, label, type, contract }
+ */
+function describeLayout(layout) {
+  return layout.storage.map((item) => ({
+    slot: Number(item.slot),
+    offset: item.offset,
+    label: item.label,
+    type: layout.types[item.type] ? layout.types[item.type].label : item.type,
+    contract: item.contract,
+  }));
+}
+
+/**
+ * @dev Returns the size of a `uint256[N]` storage gap, or null for other types
+ */
+function gapSize(row) {
+  const match = /^__gap/.test(row.label) && /\[(\d+)\]$/.exec(row.type);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * @dev Returns a type label without the contract qualifier of structs and enums, which
+ * differs between versions that copy the same declaration (e.g. `struct TokenVaultV8.X`)
+ */
+function typeKey(type) {
+  return type.replace(/\b(struct|enum) \w+\./g, "$1 ");
+}
+
+/**
+ * @dev Compares two storage layouts variable by variable
+ * @param original Layout of the implementation currently behind the proxy
+ * @param updated Layout of the implementation to switch to
+ * @return { rows, removed, gaps } where every updated row carries a `change`:
+ *   "unchanged", "appended", "inserted", "moved", "retyped" or "resized" (storage gaps)
+ */
+function diffLayouts(original, updated) {
+  const before = describeLayout(original);
+  const after = describeLayout(updated);
+  const byLabel = new Map(before.map((row) => [row.label, row]));
+  const lastOriginalSlot = Math.max(
+    -1,
+    ...before.filter((row) => gapSize(row) === null).map((row) => row.slot)
+  );
+
+  const gaps = [];
+  const rows = after.map((row) => {
+    const previous = byLabel.get(row.label);
+    let change;
+    if (!previous) {
+      change = row.slot > lastOriginalSlot ? "appended" : "inserted";
+    } else if (gapSize(previous) !== null && gapSize(row) !== null) {
+      change = previous.slot === row.slot && gapSize(previous) === gapSize(row) ? "unchanged" : "resized";
+      gaps.push({
+        label: row.label,
+        from: gapSize(previous),
+        to: gapSize(row),
+        slotsFrom: previous.slot,
+        slotsTo: row.slot,
+      });
+    } else if (typeKey(previous.type) !== typeKey(row.type)) {
+      change = "retyped";
+    } else if (previous.slot !== row.slot || previous.offset !== row.offset) {
+      change = "moved";
+    } else {
+      change = "unchanged";
+    }
+    return { ...row, change, previous };
+  });
+
+  const updatedLabels = new Set(after.map((row) => row.label));
+  const removed = before.filter((row) => !updatedLabels.has(row.label));
+
+  return { rows, removed, gaps };
+}
+
+/**
+ * @dev Builds the storage layout compatibility report for switching a proxy from one
+ * contract to another. Compatibility is decided by the upgrades plugin; the variable
+ * table is derived from the same layout data.
+ * @param hre The Hardhat runtime environment
+ * @param fromContract Contract currently behind the proxy
+ * @param toContract Contract to upgrade to
+ * @return { from, to, ok, rows, removed, gaps, explanation }
+ */
+async function compareStorageLayouts(hre, fromContract, toContract) {
+  const original = await getContractLayout(hre, fromContract);
+  const updated = await getContractLayout(hre, toContract);
+  const report = getStorageUpgradeReport(original, updated, withValidationDefaults({}));
+
+  return {
+    from: fromContract,
+    to: toContract,
+    ok: report.ok,
+    ...diffLayouts(original, updated),
+    explanation: report.ok ? "" : report.explain(false),
+  };
+}
+
+/**
+ * @dev Builds the storage layout report for rolling a proxy back to an older contract.
+ * The upgrades plugin rejects every downgrade because variables disappear; a downgrade is
+ * safe when every variable of the older contract is unchanged and the variables it lacks
+ * fall inside its storage gap, where their data stays untouched until upgraded again.
+ * @param hre The Hardhat runtime environment
+ * @param fromContract Contract currently behind the proxy
+ * @param toContract Older contract to roll back to
+ * @return { from, to, ok, rows, removed, gaps, explanation }
+ */
+async function compareDowngradeLayouts(hre, fromContract, toContract) {
+  const original = await getContractLayout(hre, fromContract);
+  const updated = await getContractLayout(hre, toContract);
+  const diff = diffLayouts(original, updated);
+  const problems = [];
+
+  for (const row of diff.rows) {
+    if (gapSize(row) === null && row.change !== "unchanged") {
+      problems.push(`${toContract}: \`${row.label}\` is ${row.change} (slot ${row.slot})`);
+    }
+  }
+
+  const gap = diff.gaps[0];
+  if (!gap) {
+    problems.push(`${toContract}: no storage gap shared with ${fromContract}`);
+  } else {
+    if (gap.slotsTo + gap.to !== gap.slotsFrom + gap.from) {
+      problems.push(
+        `${toContract}: \`${gap.label}\` ends at slot ${gap.slotsTo + gap.to}, ` +
+          `${fromContract} reserves storage up to slot ${gap.slotsFrom + gap.from}`
+      );
+    }
+    for (const row of diff.removed) {
+      if (gapSize(row) === null && row.slot < gap.slotsTo) {
+        problems.push(
+          `${fromContract}: \`${row.label}\` (slot ${row.slot}) is not covered by the gap of ${toContract}`
+        );
+      }
+    }
+  }
+
+  return {
+    from: fromContract,
+    to: toContract,
+    ok: problems.length === 0,
+    ...diff,
+    explanation: problems.join("\n"),
+  };
+}
+
+function pad(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  return rows.map((row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd());
+}
+
+/**
+ * @dev Formats a layout report as a human-readable table
+ */
+function formatLayoutReport(report) {
+  const table = [["Slot", "Offset", "Variable", "Type", "Change"]];
+  for (const row of report.rows) {
+    let change = row.change;
+    if (row.change === "retyped") {
+      change = `retyped from ${row.previous.type}`;
+    } else if (row.change === "moved") {
+      change = `moved from slot ${row.previous.slot}`;
+    }
+    table.push([row.slot, row.offset, row.label, row.type, change]);
+  }
+  for (const row of report.removed) {
+    table.push([row.slot, row.offset, row.label, row.type, "removed"]);
+  }
+
+  const lines = [`Storage layout ${report.from} -> ${report.to}`, "", ...pad(table), ""];
+  for (const gap of report.gaps) {
+    const used = gap.from - gap.to;
+    lines.push(
+      `${gap.label}: ${gap.from} -> ${gap.to} slots ` +
+        `(${used >= 0 ? `${used} used by new variables` : `grew by ${-used}`}), ` +
+        `starts at slot ${gap.slotsTo}`
+    );
+  }
+  lines.push(
+    report.ok
+      ? `Compatible: ${report.to} can safely replace ${report.from}`
+      : `Incompatible: ${report.to} cannot replace ${report.from}\n\n${report.explanation}`
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @dev Compares the storage layouts of two contracts and logs the report
+ * @param hre The Hardhat runtime environment
+ * @param fromContract Contract currently behind the proxy
+ * @param toContract Contract to upgrade to
+ * @param options.log Logger, defaults to console.log
+ * @return The report of compareStorageLayouts
+ */
+async function runLayoutCheck(hre, fromContract, toContract, { log = console.log } = {}) {
+  const report = await compareStorageLayouts(hre, fromContract, toContract);
+  log(formatLayoutReport(report));
+  return report;
+}
+
+module.exports = {
+  getContractLayout,
+  describeLayout,
+  diffLayouts,
+  compareStorageLayouts,
+  compareDowngradeLayouts,
+  formatLayoutReport,
+  runLayoutCheck,
+};
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @dev Per-network deployment manifest, stored at deployments/<network>.json:
+ *
+ *   {
+ *     "network": "sepolia",
+ *     "chainId": 11155111,
+ *     "proxy": "0x...",
+ *     "token": "0x...",
+ *     "history": [
+ *       {
+ *         "action": "deploy" | "upgrade" | "rollback" | "propose" | "verify" | "migrate" | "add-asset"
+ *                   | "set-deposit-caps" | "grant-role" | "revoke-role" | "begin-admin-transfer"
+ *                   | "accept-admin-transfer" | "cancel-admin-transfer",
+ *         "version": "v2", "tag": "v2.0.0", "contract": "TokenVaultV2",
+ *         "implementation": "0x...",
+ *         "initializer": { "fn": "initializeV2", "args": [], "txHash": "0x...", "blockNumber": 123 },
+ *         "txHash": "0x...", "blockNumber": 123,
+ *         "deployer": "0x...",
+ *         "timestamp": "2024-01-01T00:00:00.000Z"
+ *       }
+ *     ]
+ *   }
+ *
+ * History entries are only ever appended, never rewritten.
+ */
+
+/**
+ * @dev Returns the manifest path of a network
+ * @param hre The Hardhat runtime environment
+ * @param dir Directory holding the manifests, defaults to <root>/deployments
+ * @param network Network name, defaults to the current network
+ */
+function getManifestPath(hre, dir, network = hre.network.name) {
+  const base = dir || path.join(hre.config.paths.root, "deployments");
+  return path.join(base, `${network}.json`);
+}
+
+/**
+ * @dev Reads the manifest of a network (the current one by default), or returns null if there is none
+ */
+function readManifest(hre, { dir, network } = {}) {
+  const file = getManifestPath(hre, dir, network);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Reads the manifest of the current network and checks it belongs to the connected chain
+ */
+async function loadManifest(hre, { dir } = {}) {
+  const manifest = readManifest(hre, { dir });
+  if (!manifest) {
+    throw new Error(
+      `No deployment manifest found at ${getManifestPath(hre, dir)}. Please deploy V1 first.`
+    );
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (BigInt(manifest.chainId) !== chainId) {
+    throw new Error(
+      `Manifest ${getManifestPath(hre, dir)} belongs to chain ${manifest.chainId}, ` +
+        `but network "${hre.network.name}" is chain ${chainId}`
+    );
+  }
+  return manifest;
+}
+
+function writeManifest(hre, manifest, dir) {
+  const file = getManifestPath(hre, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @dev Appends an entry to the manifest history. A deploy entry starts a new manifest,
+ * unless the recorded proxy still exists on chain.
+ * @param hre The Hardhat runtime environment
+ * @param entry The history entry (see above)
+ * @param options.dir Directory holding the manifests
+ * @param options.proxy Proxy address, required for deploy entries
+ * @param options.token Vault token address, recorded on deploy
+ * @return The manifest file path
+ */
+async function recordEntry(hre, entry, { dir, proxy, token } = {}) {
+  let manifest = readManifest(hre, { dir });
+
+  if (entry.action === "deploy") {
+    if (manifest && (await hre.ethers.provider.getCode(manifest.proxy)) !== "0x") {
+      throw new Error(
+        `${getManifestPath(hre, dir)} already records proxy ${manifest.proxy}; ` +
+          "move it away before deploying a new vault on this network"
+      );
+    }
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    manifest = {
+      network: hre.network.name,
+      chainId: Number(chainId),
+      proxy,
+      token,
+      history: [],
+    };
+  } else {
+    manifest = await loadManifest(hre, { dir });
+    if (proxy && proxy.toLowerCase() !== manifest.proxy.toLowerCase()) {
+      throw new Error(
+        `${getManifestPath(hre, dir)} records proxy ${manifest.proxy}, not ${proxy}`
+      );
+    }
+  }
+
+  manifest.history.push({ ...entry, timestamp: new Date().toISOString() });
+  return writeManifest(hre, manifest, dir);
+}
+
+// History actions that point the proxy at a new implementation
+const IMPLEMENTATION_ACTIONS = ["deploy", "upgrade", "rollback"];
+
+/**
+ * @dev Returns the most recent history entry that changed the implementation
+ */
+function getLatestDeployment(manifest) {
+  return [...manifest.history]
+    .reverse()
+    .find((entry) => IMPLEMENTATION_ACTIONS.includes(entry.action));
+}
+
+module.exports = {
+  IMPLEMENTATION_ACTIONS,
+  getManifestPath,
+  readManifest,
+  loadManifest,
+  recordEntry,
+  getLatestDeployment,
+};
@@ -0,0 +1,125 @@
+const {
+  resolveDeployParams,
+  validateAssets,
+  validateDepositCaps,
+  validateAdminDelay,
+} = require("./deploy-config");
+
+/**
+ * @dev Resolvers computing reinitializer arguments from the state of the proxy before the
+ * upgrade, referenced by name from the `initializerArgs` field of versions.js.
+ * Each resolver receives the vault at its current version and returns the argument list.
+ */
+const RESOLVERS = {
+  /**
+   * Users holding a single withdrawal request (V3 to V7), found through WithdrawalRequested events
+   */
+  async withdrawalRequestHolders(hre, vault, { fromBlock }) {
+    const events = await vault.queryFilter(vault.filters.WithdrawalRequested(), fromBlock);
+    const holders = [];
+    for (const user of new Set(events.map((event) => event.args.user))) {
+      const [amount] = await vault.getWithdrawalRequest(user);
+      if (amount > 0n) {
+        holders.push(user);
+      }
+    }
+    return [holders];
+  },
+
+  /**
+   * Users with a non-zero balance, found through Deposited events
+   */
+  async depositors(hre, vault, { fromBlock }) {
+    const events = await vault.queryFilter(vault.filters.Deposited(), fromBlock);
+    const depositors = [];
+    for (const user of new Set(events.map((event) => event.args.user))) {
+      if ((await vault.balanceOf(user)) > 0n) {
+        depositors.push(user);
+      }
+    }
+    return [depositors];
+  },
+
+  /**
+   * Assets configured for the network (see deploy-config.js), as parallel arrays of
+   * tokens, deposit fees and yield rates
+   */
+  async configuredAssets(hre, vault) {
+    const { assets } = resolveDeployParams(hre);
+    const validated = await validateAssets(hre, assets, await vault.token());
+    return [
+      validated.map((asset) => asset.token),
+      validated.map((asset) => asset.depositFee),
+      validated.map((asset) => asset.yieldRate),
+    ];
+  },
+
+  /**
+   * Deposit limits configured for the network (see deploy-config.js), as parallel arrays of
+   * tokens, user caps, total caps and minimum deposits in base units
+   */
+  async configuredDepositCaps(hre, vault) {
+    const { depositCaps } = resolveDeployParams(hre);
+    const validated = await validateDepositCaps(hre, depositCaps, await vault.getAssets());
+    return [
+      validated.map((caps) => caps.token),
+      validated.map((caps) => caps.userCap.toString()),
+      validated.map((caps) => caps.totalCap.toString()),
+      validated.map((caps) => caps.minDeposit.toString()),
+    ];
+  },
+
+  /**
+   * The DEFAULT_ADMIN_ROLE holder kept as the default admin, the other holders revoked by
+   * initializeV13, found through RoleGranted events, and the admin delay configured for the
+   * network. With several holders, the admin configured for the network (see
+   * deploy-config.js) picks the one to keep, so that nobody loses the role implicitly.
+   */
+  async defaultAdmin(hre, vault, { fromBlock }) {
+    const role = hre.ethers.ZeroHash;
+    const events = await vault.queryFilter(vault.filters.RoleGranted(role), fromBlock);
+    const admins = [];
+    for (const account of new Set(events.map((event) => event.args.account))) {
+      if (await vault.hasRole(role, account)) {
+        admins.push(account);
+      }
+    }
+    const { admin: configured, adminDelay } = resolveDeployParams(hre);
+    let admin = admins.length === 1 ? admins[0] : undefined;
+    if (admins.length > 1 && configured !== undefined) {
+      admin = admins.find((account) => account.toLowerCase() === String(configured).toLowerCase());
+    }
+    if (!admin) {
+      throw new Error(
+        `V13 needs exactly one DEFAULT_ADMIN_ROLE holder, found ${admins.length}` +
+          (admins.length
+            ? ` (${admins.join(", ")}); set VAULT_ADMIN to the one to keep, or revoke the others first` +
+              " with `vault roles --revoke admin --account <address>`"
+            : "")
+      );
+    }
+    return [admin, admins.filter((account) => account !== admin), validateAdminDelay(adminDelay)];
+  },
+};
+
+/**
+ * @dev Returns the arguments of `target`'s reinitializer for the proxy
+ * @param hre The Hardhat runtime environment
+ * @param vault The vault contract at its current version
+ * @param target Registry entry of the version being upgraded to
+ * @param options.fromBlock First block to scan for events, usually the deployment block
+ */
+async function resolveInitializerArgs(hre, vault, target, { fromBlock = 0 } = {}) {
+  if (!target.initializerArgs) {
+    return [];
+  }
+  const resolver = RESOLVERS[target.initializerArgs];
+  if (!resolver) {
+    throw new Error(`Unknown initializer argument resolver "${target.initializerArgs}" for ${target.id}`);
+  }
+  return resolver(hre, vault, { fromBlock });
+}
+
+module.exports = {
+  resolveInitializerArgs,
+};
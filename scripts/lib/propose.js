@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { loadManifest, recordEntry } = require("./manifest");
+const { getVersion } = require("./versions");
+const { getCurrentVersion, getInitializerCall, assertUpgradePath } = require("./vault");
+
+/**
+ * @dev Encodes the TimelockController schedule/execute calls for a single proxy call
+ * @param timelock Address of the TimelockController holding UPGRADER_ROLE
+ * @param call { target, value, data } of the call the timelock forwards
+ * @param salt Salt distinguishing this operation from identical earlier ones
+ */
+async function encodeTimelockCalls(hre, timelock, call, salt) {
+  const controller = await hre.ethers.getContractAt("TimelockController", timelock);
+  const delay = await controller.getMinDelay();
+  const predecessor = hre.ethers.ZeroHash;
+  const operation = [call.target, call.value, call.data, predecessor, salt];
+
+  return {
+    address: timelock,
+    delay: delay.toString(),
+    predecessor,
+    salt,
+    operationId: await controller.hashOperation(...operation),
+    schedule: controller.interface.encodeFunctionData("schedule", [...operation, delay]),
+    execute: controller.interface.encodeFunctionData("execute", operation),
+  };
+}
+
+/**
+ * @dev Deploys the implementation of the next version without touching the proxy and
+ * writes a proposal holding the `upgradeToAndCall` calldata (including the encoded
+ * reinitializer) for submission to a multisig or timelock holding UPGRADER_ROLE.
+ * The proposal is written to deployments/proposals/ and recorded in the manifest.
+ * @param hre The Hardhat runtime environment
+ * @param to The target version (see versions.js)
+ * @param options.timelock TimelockController address; adds its schedule/execute calldata
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { proposal, file }
+ */
+async function proposeUpgrade(hre, to, { timelock, dir, log = console.log } = {}) {
+  const { ethers, upgrades } = hre;
+  const manifest = await loadManifest(hre, { dir });
+  const proxy = manifest.proxy;
+  const current = await getCurrentVersion(hre, proxy);
+  const target = getVersion(to);
+  assertUpgradePath(current, target);
+
+  log(`Deploying ${target.contract} implementation for proxy ${proxy}...`);
+  const factory = await ethers.getContractFactory(target.contract);
+  const implementation = await upgrades.prepareUpgrade(proxy, factory, { kind: "uups" });
+  log("Implementation:", implementation);
+
+  const initializer = await getInitializerCall(hre, proxy, target, {
+    fromBlock: manifest.history[0].blockNumber,
+  });
+  const initData = initializer
+    ? factory.interface.encodeFunctionData(initializer.fn, initializer.args)
+    : "0x";
+  const call = {
+    target: proxy,
+    value: "0",
+    data: factory.interface.encodeFunctionData("upgradeToAndCall", [implementation, initData]),
+  };
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const proposal = {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    proxy,
+    from: current.id,
+    to: target.id,
+    tag: target.tag,
+    contract: target.contract,
+    implementation,
+    initializer: initializer ? { ...initializer, data: initData } : null,
+    ...call,
+    timelock: timelock
+      ? await encodeTimelockCalls(
+          hre,
+          timelock,
+          call,
+          ethers.id(`${proxy}:${target.id}:${implementation}`)
+        )
+      : null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const base = dir || path.join(hre.config.paths.root, "deployments");
+  const file = path.join(
+    base,
+    "proposals",
+    `${hre.network.name}-upgrade-${current.id}-${target.id}-${proposal.createdAt.replace(/[:.]/g, "-")}.json`
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(proposal, null, 2) + "\n");
+
+  const [deployer] = await ethers.getSigners();
+  await recordEntry(
+    hre,
+    {
+      action: "propose",
+      version: target.id,
+      tag: target.tag,
+      contract: target.contract,
+      implementation,
+      initializer: proposal.initializer,
+      proposal: path.relative(base, file),
+      deployer: deployer.address,
+    },
+    { dir, proxy }
+  );
+
+  return { proposal, file };
+}
+
+/**
+ * @dev Formats a proposal for the console
+ */
+function formatProposal(proposal, file) {
+  const lines = [
+    `\nUpgrade proposal ${proposal.from} -> ${proposal.to} written to ${file}`,
+    `Target: ${proposal.target}`,
+    `Value: ${proposal.value}`,
+    `Data: ${proposal.data}`,
+  ];
+  if (proposal.timelock) {
+    lines.push(
+      "",
+      `Timelock ${proposal.timelock.address} (min delay ${proposal.timelock.delay}s)`,
+      `Operation id: ${proposal.timelock.operationId}`,
+      `schedule() calldata: ${proposal.timelock.schedule}`,
+      `execute() calldata: ${proposal.timelock.execute}`
+    );
+  }
+  lines.push("", "The proxy is not upgraded until an UPGRADER_ROLE holder submits this call.");
+  return lines.join("\n");
+}
+
+module.exports = {
+  proposeUpgrade,
+  formatProposal,
+};
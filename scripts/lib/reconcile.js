@@ -0,0 +1,81 @@
+const { loadManifest } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+
+const ERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * @dev Compares the holdings of every asset with the vault's liabilities in it
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @return { proxy, version, assets, balanced } where every asset is { token, symbol,
+ *   decimals, balance, liabilities, surplus, deficit } and `balanced` tells whether no
+ *   asset has a deficit
+ */
+async function getReconciliationReport(hre, proxyAddress) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress);
+  if (!vault.interface.getFunction("getReconciliation")) {
+    throw new Error(`Proxy is at ${version.id}; reconciliation requires v10 or later`);
+  }
+
+  const assets = [];
+  for (const token of await vault.getAssets()) {
+    const metadata = await hre.ethers.getContractAt(ERC20_METADATA, token);
+    const { balance, liabilities, surplus, deficit } = await vault.getReconciliation(token);
+    assets.push({
+      token,
+      symbol: await metadata.symbol(),
+      decimals: Number(await metadata.decimals()),
+      balance,
+      liabilities,
+      surplus,
+      deficit,
+    });
+  }
+  return {
+    proxy: proxyAddress,
+    version,
+    assets,
+    balanced: assets.every((asset) => asset.deficit === 0n),
+  };
+}
+
+/**
+ * @dev Formats a reconciliation report for the console, amounts in each asset's own decimals
+ */
+function formatReconciliationReport(report, { formatUnits }) {
+  const lines = [`Reconciliation of ${report.proxy} (${report.version.id})`];
+  for (const asset of report.assets) {
+    const format = (value) => formatUnits(value, asset.decimals);
+    lines.push(
+      "",
+      `${asset.symbol} ${asset.token}`,
+      `  Vault balance: ${format(asset.balance)}`,
+      `  Liabilities (deposits, yield reserve, accrued fees): ${format(asset.liabilities)}`,
+      asset.deficit > 0n
+        ? `  Deficit: ${format(asset.deficit)} [WARNING] the vault holds less than it owes`
+        : `  Surplus: ${format(asset.surplus)}`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Reports the reconciliation of the proxy recorded in the manifest
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return The report, see getReconciliationReport
+ */
+async function runReconcile(hre, { dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const report = await getReconciliationReport(hre, manifest.proxy);
+  log(formatReconciliationReport(report, hre.ethers));
+  return report;
+}
+
+module.exports = {
+  getReconciliationReport,
+  formatReconciliationReport,
+  runReconcile,
+};
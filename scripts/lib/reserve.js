@@ -0,0 +1,128 @@
+const { loadManifest } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { getDepositors } = require("./snapshot");
+
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+// getReserveRunway() when no yield accrues
+const UNLIMITED = 2n ** 256n - 1n;
+
+/**
+ * @dev Returns the vault contract, refusing versions without a yield reserve
+ */
+async function getReserveVault(hre, proxyAddress, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, signer);
+  if (!vault.interface.getFunction("fundYieldReserve")) {
+    throw new Error(`Proxy is at ${version.id}; the yield reserve requires v5 or later`);
+  }
+  return { vault, version };
+}
+
+/**
+ * @dev Reports the health of the yield reserve
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.fromBlock First block to scan for events, usually the deployment block
+ * @return { proxy, version, reserve, funded, outstanding, covered, runway, yieldRate,
+ *   totalDeposits, balance, backed } where `outstanding` sums the unclaimed yield of every
+ *   depositor, `runway` is in seconds (null when no yield accrues) and `backed` tells
+ *   whether the balance covers principal and reserve
+ */
+async function getReserveHealth(hre, proxyAddress, { fromBlock = 0 } = {}) {
+  const { vault, version } = await getReserveVault(hre, proxyAddress);
+  const token = await hre.ethers.getContractAt(IERC20, await vault.token());
+
+  const fundings = await vault.queryFilter(vault.filters.YieldReserveFunded(), fromBlock);
+  let outstanding = 0n;
+  for (const user of await getDepositors(vault, fromBlock)) {
+    outstanding += await vault.getUserYield(user);
+  }
+
+  const reserve = await vault.getYieldReserve();
+  const runway = await vault.getReserveRunway();
+  const totalDeposits = await vault.totalDeposits();
+  const balance = await token.balanceOf(proxyAddress);
+
+  return {
+    proxy: proxyAddress,
+    version,
+    reserve,
+    funded: fundings.reduce((sum, event) => sum + event.args.amount, 0n),
+    outstanding,
+    covered: reserve >= outstanding,
+    runway: runway === UNLIMITED ? null : runway,
+    yieldRate: await vault.getYieldRate(),
+    totalDeposits,
+    balance,
+    backed: balance >= totalDeposits + reserve,
+  };
+}
+
+/**
+ * @dev Tops up the yield reserve, approving the vault first
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param amount Amount in token units
+ * @param options.signer DEFAULT_ADMIN_ROLE holder, defaults to the first signer
+ * @param options.log Logger, defaults to console.log
+ * @return { amount, txHash }
+ */
+async function fundReserve(hre, proxyAddress, amount, { signer, log = console.log } = {}) {
+  const funder = signer || (await hre.ethers.getSigners())[0];
+  const { vault } = await getReserveVault(hre, proxyAddress, funder);
+  const token = await hre.ethers.getContractAt(IERC20, await vault.token(), funder);
+
+  await (await token.approve(proxyAddress, amount)).wait();
+  const receipt = await (await vault.fundYieldReserve(amount)).wait();
+
+  log(`Added ${hre.ethers.formatEther(amount)} to the yield reserve`);
+  return { amount, txHash: receipt.hash };
+}
+
+function formatDuration(seconds) {
+  const days = Number(seconds) / (24 * 60 * 60);
+  return days >= 365 ? `${(days / 365).toFixed(1)} years` : `${days.toFixed(1)} days`;
+}
+
+/**
+ * @dev Formats a reserve health report for the console
+ */
+function formatReserveHealth(health, { formatEther }) {
+  return [
+    `Yield reserve of ${health.proxy} (${health.version.id})`,
+    `Yield rate: ${health.yieldRate} bps`,
+    `Reserve: ${formatEther(health.reserve)} (funded in total: ${formatEther(health.funded)})`,
+    `Unclaimed yield: ${formatEther(health.outstanding)}` +
+      (health.covered ? "" : " [WARNING] exceeds the reserve"),
+    `Runway: ${health.runway === null ? "unlimited (no yield accrues)" : formatDuration(health.runway)}`,
+    `Vault balance: ${formatEther(health.balance)} (principal ${formatEther(health.totalDeposits)})` +
+      (health.backed ? "" : " [WARNING] does not cover principal and reserve"),
+  ].join("\n");
+}
+
+/**
+ * @dev Reports the yield reserve of the proxy recorded in the manifest and optionally tops it up
+ * @param options.fund Amount to add to the reserve before reporting, in whole tokens (e.g. "1000")
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { health, funding } with `funding` null when the reserve was not topped up
+ */
+async function runReserve(hre, { fund, dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const fromBlock = manifest.history[0].blockNumber;
+
+  const funding = fund
+    ? await fundReserve(hre, manifest.proxy, hre.ethers.parseEther(String(fund)), { log })
+    : null;
+  const health = await getReserveHealth(hre, manifest.proxy, { fromBlock });
+  log(formatReserveHealth(health, hre.ethers));
+  return { health, funding };
+}
+
+module.exports = {
+  getReserveHealth,
+  fundReserve,
+  formatReserveHealth,
+  runReserve,
+};
@@ -0,0 +1,488 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { getCurrentVersion } = require("./vault");
+const { ROLE_NAMES, roleName } = require("./snapshot");
+
+// Roles the vault cannot do without: no one could upgrade it or manage the other roles
+const PROTECTED_ROLES = ["DEFAULT_ADMIN_ROLE", "UPGRADER_ROLE"];
+
+/**
+ * @dev Resolves a role name, case-insensitive and with or without the _ROLE suffix
+ * ("upgrader", "UPGRADER_ROLE"); "admin" stands for DEFAULT_ADMIN_ROLE
+ * @return { name, hash }
+ */
+function resolveRole(hre, role) {
+  let name = String(role).toUpperCase();
+  if (name === "ADMIN" || name === "DEFAULT_ADMIN") {
+    name = "DEFAULT_ADMIN_ROLE";
+  } else if (!name.endsWith("_ROLE")) {
+    name = `${name}_ROLE`;
+  }
+  if (!ROLE_NAMES.includes(name)) {
+    throw new Error(`Unknown role "${role}". Known roles: ${ROLE_NAMES.join(", ")}`);
+  }
+  // DEFAULT_ADMIN_ROLE is bytes32(0) rather than a hash
+  return { name, hash: name === "DEFAULT_ADMIN_ROLE" ? hre.ethers.ZeroHash : hre.ethers.id(name) };
+}
+
+/**
+ * @dev Whether the vault version transfers DEFAULT_ADMIN_ROLE in two steps (V13 on)
+ */
+function hasAdminRules(vault) {
+  return Boolean(vault.interface.getFunction("beginDefaultAdminTransfer"));
+}
+
+/**
+ * @dev Replays RoleGranted/RoleRevoked events in chain order
+ * @return Map of role hash => Set of accounts holding it after the last event
+ */
+async function rebuildRoleHolders(vault, fromBlock) {
+  const events = [
+    ...(await vault.queryFilter(vault.filters.RoleGranted(), fromBlock)),
+    ...(await vault.queryFilter(vault.filters.RoleRevoked(), fromBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders = new Map();
+  for (const event of events) {
+    const { role, account } = event.args;
+    if (!holders.has(role)) {
+      holders.set(role, new Set());
+    }
+    if (event.eventName === "RoleGranted") {
+      holders.get(role).add(account);
+    } else {
+      holders.get(role).delete(account);
+    }
+  }
+  return holders;
+}
+
+/**
+ * @dev Lists the holders of every role the current version declares or that was ever
+ * granted, rebuilt from RoleGranted/RoleRevoked events. Every holder is confirmed with
+ * hasRole; accounts the events report but hasRole denies are listed as stale, a sign of
+ * logs missing from the scan.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param options.fromBlock First block to scan, usually the deployment block
+ * @return { proxy, version, roles, adminTransfer } where every role is
+ * { name, hash, admin, holders, stale }, and adminTransfer, null before V13, is
+ * { defaultAdmin, delay, pendingAdmin, schedule } with pendingAdmin null when no transfer is pending
+ */
+async function getRoleReport(hre, proxyAddress, { fromBlock = 0 } = {}) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress);
+  const rebuilt = await rebuildRoleHolders(vault, fromBlock);
+
+  const hashes = ROLE_NAMES.filter(
+    (name) => name === "DEFAULT_ADMIN_ROLE" || vault.interface.getFunction(name)
+  ).map((name) => resolveRole(hre, name).hash);
+  for (const hash of rebuilt.keys()) {
+    if (!hashes.includes(hash)) {
+      hashes.push(hash);
+    }
+  }
+
+  const roles = [];
+  for (const hash of hashes) {
+    const holders = [];
+    const stale = [];
+    for (const account of rebuilt.get(hash) || []) {
+      ((await vault.hasRole(hash, account)) ? holders : stale).push(account);
+    }
+    roles.push({
+      name: roleName(hre, hash),
+      hash,
+      admin: roleName(hre, await vault.getRoleAdmin(hash)),
+      holders: holders.sort(),
+      stale: stale.sort(),
+    });
+  }
+  return { proxy: proxyAddress, version, roles, adminTransfer: await getAdminTransfer(hre, vault) };
+}
+
+/**
+ * @dev Returns the default admin, the admin delay and the pending admin transfer, or null
+ * before V13
+ */
+async function getAdminTransfer(hre, vault) {
+  if (!hasAdminRules(vault)) {
+    return null;
+  }
+  const [pendingAdmin, schedule] = await vault.pendingDefaultAdmin();
+  return {
+    defaultAdmin: await vault.defaultAdmin(),
+    delay: Number(await vault.defaultAdminDelay()),
+    pendingAdmin: pendingAdmin === hre.ethers.ZeroAddress ? null : pendingAdmin,
+    schedule: Number(schedule),
+  };
+}
+
+/**
+ * @dev Returns the vault connected to the signer, checking it holds the admin role of `role`.
+ * From V13 on, DEFAULT_ADMIN_ROLE can only move through the two-step admin transfer.
+ */
+async function getRoleVault(hre, proxyAddress, role, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const account = signer || (await hre.ethers.getSigners())[0];
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, account);
+  if (role.name === "DEFAULT_ADMIN_ROLE" && hasAdminRules(vault)) {
+    throw new Error(
+      `DEFAULT_ADMIN_ROLE changes hands in two steps on ${version.id}; ` +
+        "use --begin-admin-transfer and --accept-admin-transfer instead"
+    );
+  }
+  const adminRole = await vault.getRoleAdmin(role.hash);
+  if (!(await vault.hasRole(adminRole, account.address))) {
+    throw new Error(
+      `${account.address} does not hold ${roleName(hre, adminRole)}, the admin role of ${role.name}`
+    );
+  }
+  return { vault, version, signer: account };
+}
+
+/**
+ * @dev Sends one role change and appends it to the manifest as a "grant-role" or
+ * "revoke-role" entry. The signer's own roles are renounced rather than revoked.
+ */
+async function sendRoleChange(hre, context, grant, role, account, { dir, log }) {
+  const { vault, version, signer } = context;
+  const fn = grant ? "grantRole" : account === signer.address ? "renounceRole" : "revokeRole";
+  const receipt = await (await vault[fn](role.hash, account)).wait();
+  log(`${fn}(${role.name}, ${account})`);
+  await recordEntry(
+    hre,
+    {
+      action: grant ? "grant-role" : "revoke-role",
+      version: version.id,
+      role: role.name,
+      account,
+      fn,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: receipt.from,
+    },
+    { dir, proxy: await vault.getAddress() }
+  );
+  return { fn, role: role.name, account, txHash: receipt.hash };
+}
+
+/**
+ * @dev Refuses to take the last holder's PROTECTED_ROLES role away
+ */
+async function assertNotLastHolder(hre, vault, role, account, fromBlock) {
+  if (!PROTECTED_ROLES.includes(role.name)) {
+    return;
+  }
+  const rebuilt = (await rebuildRoleHolders(vault, fromBlock)).get(role.hash) || new Set();
+  const others = [];
+  for (const holder of rebuilt) {
+    if (holder !== account && (await vault.hasRole(role.hash, holder))) {
+      others.push(holder);
+    }
+  }
+  if (others.length === 0) {
+    throw new Error(`${account} is the last ${role.name} holder; refusing to leave the vault without one`);
+  }
+}
+
+function checkAccount(hre, account, label) {
+  if (!hre.ethers.isAddress(account) || account === hre.ethers.ZeroAddress) {
+    throw new Error(`Invalid ${label} address: ${account}`);
+  }
+  return hre.ethers.getAddress(account);
+}
+
+/**
+ * @dev Grants a role
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param role Role name, see resolveRole
+ * @param account Account to grant it to
+ * @param options.signer Holder of the role's admin role, defaults to the first signer
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function grantRole(hre, proxyAddress, role, account, { signer, dir, log = console.log } = {}) {
+  const resolved = resolveRole(hre, role);
+  const grantee = checkAccount(hre, account, "account");
+  const context = await getRoleVault(hre, proxyAddress, resolved, signer);
+  if (await context.vault.hasRole(resolved.hash, grantee)) {
+    throw new Error(`${grantee} already holds ${resolved.name}`);
+  }
+  return [await sendRoleChange(hre, context, true, resolved, grantee, { dir, log })];
+}
+
+/**
+ * @dev Revokes a role, or renounces it when the account is the signer. Taking away the
+ * last DEFAULT_ADMIN_ROLE or UPGRADER_ROLE holder is refused.
+ * @param options.fromBlock First block to scan for the other holders, usually the deployment block
+ * @param options.signer, options.dir, options.log See grantRole
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function revokeRole(
+  hre,
+  proxyAddress,
+  role,
+  account,
+  { signer, fromBlock = 0, dir, log = console.log } = {}
+) {
+  const resolved = resolveRole(hre, role);
+  const holder = checkAccount(hre, account, "account");
+  const context = await getRoleVault(hre, proxyAddress, resolved, signer);
+  if (!(await context.vault.hasRole(resolved.hash, holder))) {
+    throw new Error(`${holder} does not hold ${resolved.name}`);
+  }
+  await assertNotLastHolder(hre, context.vault, resolved, holder, fromBlock);
+  return [await sendRoleChange(hre, context, false, resolved, holder, { dir, log })];
+}
+
+/**
+ * @dev Moves a role from one account to another: grants it to `to` first, then revokes it
+ * from `from`, so that the role always has a holder
+ * @param options.from Current holder, defaults to the signer
+ * @param options.signer, options.dir, options.log See grantRole
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function transferRole(hre, proxyAddress, role, to, { from, signer, dir, log = console.log } = {}) {
+  const resolved = resolveRole(hre, role);
+  const recipient = checkAccount(hre, to, "recipient");
+  const context = await getRoleVault(hre, proxyAddress, resolved, signer);
+  const holder = from ? checkAccount(hre, from, "holder") : context.signer.address;
+  if (holder === recipient) {
+    throw new Error(`${holder} cannot transfer ${resolved.name} to itself`);
+  }
+  if (!(await context.vault.hasRole(resolved.hash, holder))) {
+    throw new Error(`${holder} does not hold ${resolved.name}`);
+  }
+  if (await context.vault.hasRole(resolved.hash, recipient)) {
+    throw new Error(`${recipient} already holds ${resolved.name}`);
+  }
+  return [
+    await sendRoleChange(hre, context, true, resolved, recipient, { dir, log }),
+    await sendRoleChange(hre, context, false, resolved, holder, { dir, log }),
+  ];
+}
+
+/**
+ * @dev Returns the V13+ vault connected to the signer with its pending admin transfer
+ */
+async function getAdminRulesVault(hre, proxyAddress, signer) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const account = signer || (await hre.ethers.getSigners())[0];
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress, account);
+  if (!hasAdminRules(vault)) {
+    throw new Error(`${version.id} has no two-step admin transfer; upgrade to v13 first`);
+  }
+  const transfer = await getAdminTransfer(hre, vault);
+  return { vault, version, signer: account, transfer };
+}
+
+function assertDefaultAdmin(context) {
+  const { signer, transfer } = context;
+  if (signer.address !== transfer.defaultAdmin) {
+    throw new Error(`${signer.address} is not the default admin (${transfer.defaultAdmin})`);
+  }
+}
+
+/**
+ * @dev Sends one admin transfer step and appends it to the manifest as a "begin-admin-transfer",
+ * "accept-admin-transfer" or "cancel-admin-transfer" entry
+ * @param step "begin", "accept" or "cancel"
+ * @param account The pending admin the step concerns
+ */
+async function sendAdminTransferStep(hre, context, step, args, account, { dir, log }) {
+  const { vault, version } = context;
+  const fn = `${step}DefaultAdminTransfer`;
+  const receipt = await (await vault[fn](...args)).wait();
+  const [, schedule] = await vault.pendingDefaultAdmin();
+  log(`${fn}(${args.join(", ")})`);
+  await recordEntry(
+    hre,
+    {
+      action: `${step}-admin-transfer`,
+      version: version.id,
+      role: "DEFAULT_ADMIN_ROLE",
+      account,
+      fn,
+      ...(step === "begin" ? { schedule: Number(schedule) } : {}),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: receipt.from,
+    },
+    { dir, proxy: await vault.getAddress() }
+  );
+  return { fn, role: "DEFAULT_ADMIN_ROLE", account, txHash: receipt.hash };
+}
+
+/**
+ * @dev Begins moving DEFAULT_ADMIN_ROLE to `newAdmin` (V13 on). The new admin accepts it once
+ * the admin delay has passed; beginning again replaces a pending transfer.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param newAdmin Account to hand the role to
+ * @param options.signer The default admin, defaults to the first signer
+ * @param options.dir, options.log See grantRole
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function beginAdminTransfer(hre, proxyAddress, newAdmin, { signer, dir, log = console.log } = {}) {
+  const recipient = checkAccount(hre, newAdmin, "admin");
+  const context = await getAdminRulesVault(hre, proxyAddress, signer);
+  assertDefaultAdmin(context);
+  if (recipient === context.transfer.defaultAdmin) {
+    throw new Error(`${recipient} is already the default admin`);
+  }
+  return [
+    await sendAdminTransferStep(hre, context, "begin", [recipient], recipient, { dir, log }),
+  ];
+}
+
+/**
+ * @dev Accepts the pending admin transfer; the signer must be the pending admin and the
+ * admin delay must have passed
+ * @param options.signer The pending admin, defaults to the first signer
+ * @param options.dir, options.log See grantRole
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function acceptAdminTransfer(hre, proxyAddress, { signer, dir, log = console.log } = {}) {
+  const context = await getAdminRulesVault(hre, proxyAddress, signer);
+  const { pendingAdmin, schedule } = context.transfer;
+  if (!pendingAdmin) {
+    throw new Error("No admin transfer is pending");
+  }
+  if (context.signer.address !== pendingAdmin) {
+    throw new Error(`${context.signer.address} is not the pending admin (${pendingAdmin})`);
+  }
+  // The transfer can be accepted in any block after the schedule
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  if (schedule > timestamp) {
+    throw new Error(
+      `The admin transfer to ${pendingAdmin} can be accepted after ${new Date(schedule * 1000).toISOString()}`
+    );
+  }
+  return [
+    await sendAdminTransferStep(hre, context, "accept", [], pendingAdmin, { dir, log }),
+  ];
+}
+
+/**
+ * @dev Cancels the pending admin transfer
+ * @param options.signer The default admin, defaults to the first signer
+ * @param options.dir, options.log See grantRole
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function cancelAdminTransfer(hre, proxyAddress, { signer, dir, log = console.log } = {}) {
+  const context = await getAdminRulesVault(hre, proxyAddress, signer);
+  assertDefaultAdmin(context);
+  if (!context.transfer.pendingAdmin) {
+    throw new Error("No admin transfer is pending");
+  }
+  const { pendingAdmin } = context.transfer;
+  return [
+    await sendAdminTransferStep(hre, context, "cancel", [], pendingAdmin, { dir, log }),
+  ];
+}
+
+/**
+ * @dev Formats a role report for the console
+ */
+function formatRoleReport(report) {
+  const lines = [`Roles of ${report.proxy} (${report.version.id})`];
+  for (const role of report.roles) {
+    lines.push("", `${role.name} (admin: ${role.admin})`);
+    lines.push(...(role.holders.length ? role.holders.map((holder) => `  ${holder}`) : ["  none"]));
+    for (const account of role.stale) {
+      lines.push(`  [WARNING] ${account} was granted ${role.name} in the scanned events but does not hold it`);
+    }
+  }
+  const transfer = report.adminTransfer;
+  if (transfer) {
+    lines.push("", `Default admin: ${transfer.defaultAdmin} (transfer delay: ${transfer.delay}s)`);
+    lines.push(
+      transfer.pendingAdmin
+        ? `Pending admin: ${transfer.pendingAdmin}, ` +
+            `can accept after ${new Date(transfer.schedule * 1000).toISOString()}`
+        : "No admin transfer pending"
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @dev Applies a role change to the proxy recorded in the manifest when one is given, then
+ * lists the role holders from the deployment block on
+ * @param options.grant, options.revoke, options.transfer Role to grant, revoke or transfer
+ * @param options.account Account to grant the role to or revoke it from
+ * @param options.to Recipient of a transferred role
+ * @param options.from Holder a role is transferred from, defaults to the signer
+ * @param options.beginAdminTransfer Account to begin moving DEFAULT_ADMIN_ROLE to (V13 on)
+ * @param options.acceptAdminTransfer, options.cancelAdminTransfer Accept or cancel the pending
+ * admin transfer
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { report, changed } with `changed` empty when no role changed
+ */
+async function runRoles(
+  hre,
+  {
+    grant,
+    revoke,
+    transfer,
+    account,
+    to,
+    from,
+    beginAdminTransfer: newAdmin,
+    acceptAdminTransfer: accept,
+    cancelAdminTransfer: cancel,
+    dir,
+    log = console.log,
+  } = {}
+) {
+  if ([grant, revoke, transfer].filter(Boolean).length > 1) {
+    throw new Error("Only one of grant, revoke and transfer can be given at a time");
+  }
+  if ([grant || revoke || transfer, newAdmin, accept, cancel].filter(Boolean).length > 1) {
+    throw new Error("Only one role change or admin transfer step can be given at a time");
+  }
+  if ((grant || revoke) && !account) {
+    throw new Error(`An account is required to ${grant ? "grant" : "revoke"} a role`);
+  }
+  if (transfer && !to) {
+    throw new Error("A recipient is required to transfer a role");
+  }
+
+  const manifest = await loadManifest(hre, { dir });
+  const fromBlock = manifest.history[0].blockNumber;
+  let changed = [];
+  if (grant) {
+    changed = await grantRole(hre, manifest.proxy, grant, account, { dir, log });
+  } else if (revoke) {
+    changed = await revokeRole(hre, manifest.proxy, revoke, account, { fromBlock, dir, log });
+  } else if (transfer) {
+    changed = await transferRole(hre, manifest.proxy, transfer, to, { from, dir, log });
+  } else if (newAdmin) {
+    changed = await beginAdminTransfer(hre, manifest.proxy, newAdmin, { dir, log });
+  } else if (accept) {
+    changed = await acceptAdminTransfer(hre, manifest.proxy, { dir, log });
+  } else if (cancel) {
+    changed = await cancelAdminTransfer(hre, manifest.proxy, { dir, log });
+  }
+
+  const report = await getRoleReport(hre, manifest.proxy, { fromBlock });
+  log(formatRoleReport(report));
+  return { report, changed };
+}
+
+module.exports = {
+  PROTECTED_ROLES,
+  resolveRole,
+  getRoleReport,
+  grantRole,
+  revokeRole,
+  transferRole,
+  beginAdminTransfer,
+  acceptAdminTransfer,
+  cancelAdminTransfer,
+  formatRoleReport,
+  runRoles,
+};
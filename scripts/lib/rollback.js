@@ -0,0 +1,220 @@
+const { loadManifest, recordEntry, IMPLEMENTATION_ACTIONS } = require("./manifest");
+const { VERSIONS, getVersion, isBranch, versionIndex } = require("./versions");
+const { getCurrentVersion } = require("./vault");
+const { compareDowngradeLayouts } = require("./layout");
+const { USER_GETTERS, takeSnapshot, diffSnapshots, saveDiff, formatDiff } = require("./snapshot");
+
+function isEmpty(value) {
+  if (value !== null && typeof value === "object") {
+    return Object.values(value).every(isEmpty);
+  }
+  return value === "0" || value === false || /^0x0*$/.test(String(value));
+}
+
+/**
+ * @dev Returns the most recent history entry that pointed the proxy at `version`
+ */
+function findRecordedImplementation(manifest, version) {
+  const entry = [...manifest.history]
+    .reverse()
+    .find((e) => IMPLEMENTATION_ACTIONS.includes(e.action) && e.version === version.id);
+  if (!entry) {
+    throw new Error(`The manifest records no ${version.id} implementation to roll back to`);
+  }
+  return entry;
+}
+
+/**
+ * @dev Lists the non-empty values of a snapshot that `target` has no getter for. Their
+ * storage is left untouched by the rollback but cannot be read or acted on (e.g. pending
+ * withdrawal requests) until the proxy is upgraded again.
+ * @return Array of { path, value }
+ */
+async function findInaccessibleState(hre, snapshot, target) {
+  const { interface: iface } = await hre.ethers.getContractFactory(target.contract);
+  const inaccessible = [];
+
+  for (const [getter, value] of Object.entries(snapshot.global)) {
+    if (!iface.getFunction(getter) && !isEmpty(value)) {
+      inaccessible.push({ path: `global.${getter}`, value });
+    }
+  }
+  for (const [user, values] of Object.entries(snapshot.users)) {
+    for (const [key, getter] of USER_GETTERS) {
+      if (key in values && !iface.getFunction(getter) && !isEmpty(values[key])) {
+        inaccessible.push({ path: `users.${user}.${key}`, value: values[key] });
+      }
+    }
+  }
+  return inaccessible;
+}
+
+/**
+ * @dev Lists the added assets (V9 and later) still holding deposits. Versions without
+ * multi-asset support would treat their withdrawal requests as requests for the vault
+ * token, so a rollback to them is refused until these deposits are withdrawn.
+ * @return Array of token addresses
+ */
+async function findFundedAssets(hre, proxy, current, target) {
+  const { interface: iface } = await hre.ethers.getContractFactory(target.contract);
+  if (iface.getFunction("getAssets")) {
+    return [];
+  }
+  const vault = await hre.ethers.getContractAt(current.contract, proxy);
+  if (!vault.interface.getFunction("getAssets")) {
+    return [];
+  }
+  const funded = [];
+  for (const asset of (await vault.getAssets()).slice(1)) {
+    if ((await vault.getAssetInfo(asset)).totalDeposits > 0n) {
+      funded.push(asset);
+    }
+  }
+  return funded;
+}
+
+/**
+ * @dev Lists the users holding queued withdrawal requests (V8 and later). Versions without
+ * the queue only read the single request of V3 to V7, so a rollback to them would drop
+ * these requests and unlock their amounts; it is refused unless forced.
+ * @return Array of { user, amount } with `amount` the user's locked balance
+ */
+async function findQueuedWithdrawals(hre, snapshot, current, target) {
+  const { interface: iface } = await hre.ethers.getContractFactory(target.contract);
+  if (iface.getFunction("getLockedBalance")) {
+    return [];
+  }
+  const vault = await hre.ethers.getContractAt(current.contract, snapshot.proxy);
+  if (!vault.interface.getFunction("getLockedBalance")) {
+    return [];
+  }
+  const queued = [];
+  for (const user of Object.keys(snapshot.users)) {
+    const amount = await vault.getLockedBalance(user);
+    if (amount > 0n) {
+      queued.push({ user, amount });
+    }
+  }
+  return queued;
+}
+
+/**
+ * @dev Points the proxy back at the implementation of an earlier version recorded in the
+ * manifest. The downgrade is refused unless the storage layouts are compatible in that
+ * direction; state the older version cannot read is reported, and the state snapshot is
+ * diffed afterwards like for an upgrade (values the older version does not expose are
+ * allowed to disappear). The rollback is recorded in the manifest.
+ * @param hre The Hardhat runtime environment
+ * @param to Version to roll back to, defaults to the one preceding the current version
+ * @param options.signer Account sending the upgrade, defaults to the first signer
+ * @param options.force Roll back even though queued withdrawal requests would be dropped
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { result, layout, inaccessible, queued, diff, file }
+ */
+async function rollbackVault(hre, to, { signer, force = false, dir, log = console.log } = {}) {
+  const { ethers } = hre;
+  const manifest = await loadManifest(hre, { dir });
+  const proxy = manifest.proxy;
+  const fromBlock = manifest.history[0].blockNumber;
+  const current = await getCurrentVersion(hre, proxy);
+  if (isBranch(current)) {
+    throw new Error(`${current.id} converts the state of ${current.from} and cannot be rolled back`);
+  }
+  const target = to ? getVersion(to) : VERSIONS[versionIndex(current) - 1];
+  if (!target || isBranch(target) || versionIndex(target) >= versionIndex(current)) {
+    throw new Error(
+      `Cannot roll back to ${target ? target.id : "an earlier version"}: proxy is at ${current.id}`
+    );
+  }
+
+  const entry = findRecordedImplementation(manifest, target);
+  const implementation = await ethers.getContractAt(target.contract, entry.implementation);
+  if ((await implementation.getImplementationVersion()) !== target.tag) {
+    throw new Error(`${entry.implementation} does not report version ${target.tag}`);
+  }
+
+  const layout = await compareDowngradeLayouts(hre, current.contract, target.contract);
+  if (!layout.ok) {
+    throw new Error(
+      `Storage layout of ${target.contract} is incompatible with ${current.contract}:\n${layout.explanation}`
+    );
+  }
+
+  const funded = await findFundedAssets(hre, proxy, current, target);
+  if (funded.length > 0) {
+    throw new Error(
+      `Cannot roll back to ${target.id}: added assets ${funded.join(", ")} still hold deposits, ` +
+        `which ${target.id} would treat as deposits of the vault token`
+    );
+  }
+
+  const before = await takeSnapshot(hre, proxy, current, { fromBlock });
+  const queued = await findQueuedWithdrawals(hre, before, current, target);
+  if (queued.length > 0 && !force) {
+    throw new Error(
+      `Cannot roll back to ${target.id}: ${queued.map(({ user }) => user).join(", ")} still hold ` +
+        `queued withdrawal requests, which ${target.id} would drop; execute or cancel them first, ` +
+        "or pass --force"
+    );
+  }
+  for (const { user, amount } of queued) {
+    log(`[WARNING] ${ethers.formatEther(amount)} requested by ${user} will be unlocked on ${target.id}`);
+  }
+  const inaccessible = await findInaccessibleState(hre, before, target);
+  for (const { path, value } of inaccessible) {
+    log(`[WARNING] ${path} = ${JSON.stringify(value)} will be inaccessible on ${target.id}`);
+  }
+
+  log(`Rolling back TokenVault at ${proxy} from ${current.id} to ${target.id}...`);
+  const vault = await ethers.getContractAt(
+    current.contract,
+    proxy,
+    signer || (await ethers.getSigners())[0]
+  );
+  const tx = await vault.upgradeToAndCall(entry.implementation, "0x");
+  const receipt = await tx.wait();
+  log("Implementation:", entry.implementation);
+
+  const result = {
+    vault: await ethers.getContractAt(target.contract, proxy),
+    from: current,
+    version: target,
+    proxy,
+    implementation: entry.implementation,
+    deployer: receipt.from,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+  const manifestFile = await recordEntry(
+    hre,
+    {
+      action: "rollback",
+      version: target.id,
+      tag: target.tag,
+      contract: target.contract,
+      implementation: entry.implementation,
+      initializer: null,
+      from: current.id,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: receipt.from,
+    },
+    { dir, proxy }
+  );
+  log(`Rollback recorded in ${manifestFile}`);
+
+  const after = await takeSnapshot(hre, proxy, target, { fromBlock });
+  const diff = diffSnapshots(before, after, { allowRemoved: true });
+  const file = saveDiff(hre, `rollback-${current.id}-${target.id}`, { before, after, diff }, { dir });
+  log(formatDiff(diff));
+  log(`State diff saved to ${file}`);
+
+  return { result, layout, inaccessible, queued, diff, file };
+}
+
+module.exports = {
+  findInaccessibleState,
+  findQueuedWithdrawals,
+  rollbackVault,
+};
@@ -0,0 +1,224 @@
+const fs = require("fs");
+const path = require("path");
+const { STATE_GETTERS } = require("./vault");
+
+// Per-depositor view functions, read only when the version exposes them
+const USER_GETTERS = [
+  ["balance", "balanceOf"],
+  ["yield", "getUserYield"],
+  ["withdrawalRequest", "getWithdrawalRequest"],
+];
+
+// Role names resolved from the role hashes found in RoleGranted/RoleRevoked events
+const ROLE_NAMES = [
+  "DEFAULT_ADMIN_ROLE",
+  "UPGRADER_ROLE",
+  "PAUSER_ROLE",
+  "WITHDRAWAL_PAUSER_ROLE",
+  "EXECUTION_PAUSER_ROLE",
+  "CLAIM_PAUSER_ROLE",
+  "UPGRADE_PAUSER_ROLE",
+  "GUARDIAN_ROLE",
+];
+
+// Values that grow with time and may only increase across an upgrade
+const ACCRUING = [/^users\.[^.]+\.yield$/];
+
+function toPlain(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value && typeof value.toObject === "function") {
+    const object = value.toObject();
+    return Object.fromEntries(Object.entries(object).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+function roleName(hre, role) {
+  const name = ROLE_NAMES.find((n) =>
+    n === "DEFAULT_ADMIN_ROLE" ? role === hre.ethers.ZeroHash : role === hre.ethers.id(n)
+  );
+  return name || role;
+}
+
+/**
+ * @dev Reconstructs the depositors from Deposited events
+ */
+async function getDepositors(vault, fromBlock) {
+  const events = await vault.queryFilter(vault.filters.Deposited(), fromBlock);
+  return [...new Set(events.map((event) => event.args.user))];
+}
+
+/**
+ * @dev Reconstructs the current role members from RoleGranted/RoleRevoked events,
+ * confirming every candidate with hasRole
+ */
+async function getRoleMembers(hre, vault, fromBlock) {
+  const granted = await vault.queryFilter(vault.filters.RoleGranted(), fromBlock);
+  const revoked = await vault.queryFilter(vault.filters.RoleRevoked(), fromBlock);
+  const candidates = new Map();
+  for (const event of [...granted, ...revoked]) {
+    const { role, account } = event.args;
+    if (!candidates.has(role)) {
+      candidates.set(role, new Set());
+    }
+    candidates.get(role).add(account);
+  }
+
+  const members = {};
+  for (const [role, accounts] of candidates) {
+    const holders = [];
+    for (const account of accounts) {
+      if (await vault.hasRole(role, account)) {
+        holders.push(account);
+      }
+    }
+    members[roleName(hre, role)] = holders.sort();
+  }
+  return members;
+}
+
+/**
+ * @dev Captures the vault state: global values, every depositor's position and the role members
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param version Registry entry of the implementation behind the proxy
+ * @param options.fromBlock First block to scan for events, usually the deployment block
+ * @return JSON-serializable snapshot
+ */
+async function takeSnapshot(hre, proxyAddress, version, { fromBlock = 0 } = {}) {
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress);
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+  const global = {};
+  for (const [, getter] of STATE_GETTERS) {
+    if (vault.interface.getFunction(getter)) {
+      global[getter] = toPlain(await vault[getter]());
+    }
+  }
+
+  const users = {};
+  for (const user of await getDepositors(vault, fromBlock)) {
+    users[user] = {};
+    for (const [key, getter] of USER_GETTERS) {
+      if (vault.interface.getFunction(getter)) {
+        users[user][key] = toPlain(await vault[getter](user));
+      }
+    }
+  }
+
+  return {
+    proxy: proxyAddress,
+    version: version.id,
+    blockNumber,
+    global,
+    users,
+    roles: await getRoleMembers(hre, vault, fromBlock),
+  };
+}
+
+/**
+ * @dev Flattens a snapshot into "path" => value pairs. Role members become
+ * `roles.<ROLE>.<account>` entries so that new members show up as additions.
+ */
+function flatten(snapshot) {
+  const entries = {};
+  const walk = (prefix, value) => {
+    if (value !== null && typeof value === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        walk(prefix ? `${prefix}.${key}` : key, child);
+      }
+    } else {
+      entries[prefix] = value;
+    }
+  };
+  walk("global", snapshot.global);
+  walk("users", snapshot.users);
+  for (const [role, members] of Object.entries(snapshot.roles)) {
+    for (const member of members) {
+      entries[`roles.${role}.${member}`] = true;
+    }
+  }
+  return entries;
+}
+
+/**
+ * @dev Diffs two snapshots. Any preserved value that changed or disappeared is a violation,
+ * except accruing values (pending yield) which may increase. Values that only exist in the
+ * second snapshot are reported as additions.
+ * @param before Snapshot taken before the upgrade
+ * @param after Snapshot taken after the upgrade
+ * @param options.allowRemoved Do not count removed values as violations
+ * @return { ok, violations, changes: [{ path, kind, before, after, violation }] }
+ */
+function diffSnapshots(before, after, { allowRemoved = false } = {}) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const changes = [];
+
+  for (const [key, value] of Object.entries(a)) {
+    if (!(key in b)) {
+      changes.push({ path: key, kind: "removed", before: value, after: null, violation: !allowRemoved });
+    } else if (b[key] !== value) {
+      const accruing = ACCRUING.some((pattern) => pattern.test(key));
+      const violation = !accruing || BigInt(b[key]) < BigInt(value);
+      changes.push({ path: key, kind: "changed", before: value, after: b[key], violation });
+    }
+  }
+  for (const [key, value] of Object.entries(b)) {
+    if (!(key in a)) {
+      changes.push({ path: key, kind: "added", before: null, after: value, violation: false });
+    }
+  }
+
+  const violations = changes.filter((change) => change.violation).length;
+  return { ok: violations === 0, violations, changes };
+}
+
+/**
+ * @dev Writes the snapshots and their diff to deployments/snapshots/
+ * @param hre The Hardhat runtime environment
+ * @param name File name prefix, e.g. "upgrade-v1-v2"
+ * @param dir Directory holding the manifests, defaults to <root>/deployments
+ * @return The file path
+ */
+function saveDiff(hre, name, { before, after, diff }, { dir } = {}) {
+  const base = dir || path.join(hre.config.paths.root, "deployments");
+  const file = path.join(
+    base,
+    "snapshots",
+    `${hre.network.name}-${name}-${new Date().toISOString().replace(/[:.]/g, "-")}.json`
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ diff, before, after }, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @dev Formats the violations and additions of a diff for the console
+ */
+function formatDiff(diff) {
+  const lines = [];
+  for (const change of diff.changes) {
+    const tag = change.violation ? "VIOLATION" : change.kind;
+    lines.push(`[${tag}] ${change.path}: ${change.before} -> ${change.after}`);
+  }
+  lines.push(
+    diff.ok
+      ? "State snapshot: all preserved values unchanged"
+      : `State snapshot: ${diff.violations} preserved value(s) changed`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  USER_GETTERS,
+  ROLE_NAMES,
+  roleName,
+  getDepositors,
+  takeSnapshot,
+  diffSnapshots,
+  saveDiff,
+  formatDiff,
+};
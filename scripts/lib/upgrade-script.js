@@ -0,0 +1,91 @@
+const { loadManifest } = require("./manifest");
+const { getCurrentVersion, upgradeVault, recordDeployment } = require("./vault");
+const { simulateUpgrade, formatReport } = require("./dry-run");
+const { proposeUpgrade, formatProposal } = require("./propose");
+const { verifyDeployment, assertVerified } = require("./verify");
+const { takeSnapshot, diffSnapshots, saveDiff, formatDiff } = require("./snapshot");
+
+/**
+ * @dev Returns true when `--<flag>` is on the command line or `<env>=true` is set.
+ * `npx hardhat run` rejects unknown flags, so scripts run through it use the environment.
+ */
+function hasFlag(flag, env) {
+  return process.argv.includes(`--${flag}`) || process.env[env] === "true";
+}
+
+/**
+ * @dev Upgrades the proxy recorded in the manifest, records the upgrade and diffs a full
+ * state snapshot taken before and after it. The diff is written to deployments/snapshots/.
+ * @param hre The Hardhat runtime environment
+ * @param to The target version (see versions.js)
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return { result, diff, file }
+ */
+async function performUpgrade(hre, to, { dir, log = console.log } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  const proxy = manifest.proxy;
+  const fromBlock = manifest.history[0].blockNumber;
+
+  const before = await takeSnapshot(hre, proxy, await getCurrentVersion(hre, proxy), {
+    fromBlock,
+  });
+  const result = await upgradeVault(hre, proxy, to, { fromBlock, log });
+  const manifestFile = await recordDeployment(hre, "upgrade", result, { dir });
+  log(`Upgrade recorded in ${manifestFile}`);
+
+  const after = await takeSnapshot(hre, proxy, result.version, { fromBlock });
+  const diff = diffSnapshots(before, after, { allowRemoved: Boolean(result.version.allowRemoved) });
+  const file = saveDiff(hre, `upgrade-${result.from.id}-${result.version.id}`, { before, after, diff }, { dir });
+  log(formatDiff(diff));
+  log(`State diff saved to ${file}`);
+
+  return { result, diff, file };
+}
+
+/**
+ * @dev Shared body of the upgrade-to-vN.js scripts
+ *
+ * Options:
+ *   --dry-run / DRY_RUN=true   simulate the upgrade on the in-process network, broadcast nothing
+ *   FORK_NETWORK=<network>     network whose state is forked for the dry run
+ *   --propose / PROPOSE=true   deploy the implementation and write an upgrade proposal
+ *                              instead of upgrading (see propose.js)
+ *   TIMELOCK=<address>         TimelockController to encode the proposal for
+ *   --verify / VERIFY=true     verify the new implementation and link the proxy afterwards
+ *
+ * Exits non-zero when a value that should be preserved changed.
+ * @param hre The Hardhat runtime environment
+ * @param to The target version (see versions.js)
+ */
+async function runUpgradeScript(hre, to) {
+  if (hasFlag("dry-run", "DRY_RUN")) {
+    const report = await simulateUpgrade(hre, to, { fork: process.env.FORK_NETWORK });
+    console.log(formatReport(report));
+    if (!report.passed) {
+      throw new Error("Dry run failed: existing state was not preserved");
+    }
+    return;
+  }
+
+  if (hasFlag("propose", "PROPOSE")) {
+    const { proposal, file } = await proposeUpgrade(hre, to, { timelock: process.env.TIMELOCK });
+    console.log(formatProposal(proposal, file));
+  } else {
+    const { result, diff } = await performUpgrade(hre, to);
+    console.log("Version:", await result.vault.getImplementationVersion());
+    if (!diff.ok) {
+      throw new Error(`Upgrade changed ${diff.violations} value(s) that should have been preserved`);
+    }
+  }
+
+  if (hasFlag("verify", "VERIFY")) {
+    assertVerified(await verifyDeployment(hre));
+  }
+}
+
+module.exports = {
+  hasFlag,
+  performUpgrade,
+  runUpgradeScript,
+};
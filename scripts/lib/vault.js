@@ -0,0 +1,353 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { validateDeployParams } = require("./deploy-config");
+const { resolveInitializerArgs } = require("./migrations");
+const {
+  VERSIONS,
+  getVersion,
+  getVersionByTag,
+  getNextVersion,
+  getBranches,
+  isBranch,
+  versionIndex,
+} = require("./versions");
+
+// View functions reported by `vault status`, read only when the version exposes them
+const STATE_GETTERS = [
+  ["Token", "token"],
+  ["Deposit Fee", "getDepositFee"],
+  ["Total Deposits", "totalDeposits"],
+  ["Yield Rate", "getYieldRate"],
+  ["Deposits Paused", "isDepositsPaused"],
+  ["Withdrawal Delay", "getWithdrawalDelay"],
+  ["Treasury", "treasury"],
+  ["Accrued Fees", "getAccruedFees"],
+  ["Yield Reserve", "getYieldReserve"],
+  ["Emergency Mode", "emergencyMode"],
+  ["Circuit Breaker", "circuitBreakerTripped"],
+  ["Default Admin", "defaultAdmin"],
+  ["Admin Delay", "defaultAdminDelay"],
+];
+
+// ERC-7201 storage slot of OpenZeppelin's Initializable ("openzeppelin.storage.Initializable")
+const INITIALIZABLE_STORAGE =
+  "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+
+/**
+ * @dev Returns the registry entry of the implementation currently behind the proxy
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ */
+async function getCurrentVersion(hre, proxyAddress) {
+  const vault = await hre.ethers.getContractAt(VERSIONS[0].contract, proxyAddress);
+  return getVersionByTag(await vault.getImplementationVersion());
+}
+
+/**
+ * @dev Returns the highest (re)initializer version that ran on the proxy
+ */
+async function getInitializedVersion(hre, proxyAddress) {
+  const raw = await hre.ethers.provider.getStorage(proxyAddress, INITIALIZABLE_STORAGE);
+  // uint64 _initialized is the lowest field of the struct
+  return Number(BigInt(raw) & 0xffffffffffffffffn);
+}
+
+/**
+ * @dev Returns the reinitializer to call when upgrading to `target`, or null when the
+ * version has none or it already ran (e.g. when upgrading again after a rollback)
+ */
+async function getPendingInitializer(hre, proxyAddress, target) {
+  if (!target.initializer) {
+    return null;
+  }
+  const initialized = await getInitializedVersion(hre, proxyAddress);
+  return initialized >= target.initVersion ? null : target.initializer;
+}
+
+/**
+ * @dev Returns the reinitializer call to make when upgrading to `target`, with its
+ * arguments resolved from the proxy's current state, or null when there is none to call
+ * @param options.fromBlock First block to scan for events, usually the deployment block
+ * @return { fn, args } or null
+ */
+async function getInitializerCall(hre, proxyAddress, target, { fromBlock = 0 } = {}) {
+  const fn = await getPendingInitializer(hre, proxyAddress, target);
+  if (!fn) {
+    return null;
+  }
+  const current = await getCurrentVersion(hre, proxyAddress);
+  const vault = await hre.ethers.getContractAt(current.contract, proxyAddress);
+  return { fn, args: await resolveInitializerArgs(hre, vault, target, { fromBlock }) };
+}
+
+/**
+ * @dev Throws unless `target` is the version directly following `current` or a branch
+ * off `current`
+ */
+function assertUpgradePath(current, target) {
+  if (isBranch(target) || isBranch(current)) {
+    if (target.from !== current.id) {
+      throw new Error(
+        target.from
+          ? `${target.id} can only be upgraded to from ${target.from}; proxy is at ${current.id}`
+          : `Proxy is at ${current.id}, which has no further upgrades`
+      );
+    }
+    return;
+  }
+  if (versionIndex(target) <= versionIndex(current)) {
+    throw new Error(
+      `Proxy is already at ${current.id} (${current.tag}); refusing to upgrade to ${target.id}`
+    );
+  }
+  const next = getNextVersion(current);
+  if (target !== next) {
+    throw new Error(
+      `Cannot skip versions: proxy is at ${current.id}, upgrade to ${next.id} first`
+    );
+  }
+}
+
+/**
+ * @dev Reads the state exposed by the given version of the vault
+ * @return Array of [label, value] pairs
+ */
+async function readVaultState(hre, proxyAddress, version) {
+  const vault = await hre.ethers.getContractAt(version.contract, proxyAddress);
+  const state = [];
+  for (const [label, getter] of STATE_GETTERS) {
+    if (vault.interface.getFunction(getter)) {
+      state.push([label, await vault[getter]()]);
+    }
+  }
+  return state;
+}
+
+/**
+ * @dev Grants the roles that differ from what initialize() set up and hands DEFAULT_ADMIN_ROLE
+ * over to the configured admin when the deployer bootstrapped the vault as admin
+ * @return Array of { fn, role, account, txHash } for the transactions sent
+ */
+async function setupRoles(hre, vault, initialAdmin, { admin, upgrader, pauser }) {
+  const { ethers } = hre;
+  const roles = [];
+  const send = async (fn, role, account) => {
+    // DEFAULT_ADMIN_ROLE is bytes32(0) rather than a hash
+    const hash = role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+    const receipt = await (await vault[fn](hash, account)).wait();
+    roles.push({ fn, role, account, txHash: receipt.hash });
+  };
+
+  if (upgrader !== initialAdmin) {
+    await send("grantRole", "UPGRADER_ROLE", upgrader);
+    await send("revokeRole", "UPGRADER_ROLE", initialAdmin);
+  }
+  if (pauser) {
+    await send("grantRole", "PAUSER_ROLE", pauser);
+  }
+  if (admin !== initialAdmin) {
+    await send("grantRole", "DEFAULT_ADMIN_ROLE", admin);
+    await send("renounceRole", "DEFAULT_ADMIN_ROLE", initialAdmin);
+  }
+  return roles;
+}
+
+/**
+ * @dev Deploys the first TokenVault version behind a UUPS proxy. Parameters are validated
+ * like initialize() validates them (see deploy-config.js); without a token, a MockERC20 is
+ * deployed on local networks. When UPGRADER_ROLE or PAUSER_ROLE go to other accounts than
+ * an admin who is not the deployer, the deployer initializes the vault as admin, sets up
+ * the roles and then hands DEFAULT_ADMIN_ROLE over.
+ * @param hre The Hardhat runtime environment
+ * @param options.token Vault token address
+ * @param options.admin DEFAULT_ADMIN_ROLE holder, defaults to the deployer
+ * @param options.depositFee The deposit fee in basis points, defaults to 500
+ * @param options.upgrader UPGRADER_ROLE holder, defaults to the admin
+ * @param options.pauser PAUSER_ROLE holder, none by default (V2 grants it to the upgrader)
+ * @param options.log Logger, defaults to console.log
+ */
+async function deployVault(hre, { log = console.log, ...options } = {}) {
+  const { ethers, upgrades } = hre;
+  const [deployer] = await ethers.getSigners();
+  const version = VERSIONS[0];
+  const params = await validateDeployParams(hre, options, deployer.address);
+
+  log(`Deploying ${version.contract} with account:`, deployer.address);
+
+  let token = params.token;
+  if (!token) {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+    token = await mockToken.getAddress();
+    log("MockERC20 deployed to:", token);
+  }
+
+  const separateRoles = params.upgrader !== params.admin || params.pauser !== null;
+  const initialAdmin = separateRoles ? deployer.address : params.admin;
+  const initializerArgs = [token, initialAdmin, params.depositFee];
+  const factory = await ethers.getContractFactory(version.contract);
+  const vault = await upgrades.deployProxy(
+    factory,
+    initializerArgs,
+    {
+      initializer: "initialize",
+      kind: "uups",
+    }
+  );
+  await vault.waitForDeployment();
+
+  const proxy = await vault.getAddress();
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+  const receipt = await vault.deploymentTransaction().wait();
+  log(`${version.contract} Proxy deployed to:`, proxy);
+  log(`${version.contract} Implementation deployed to:`, implementation);
+
+  const roles = await setupRoles(hre, vault, initialAdmin, params);
+  for (const { fn, role, account } of roles) {
+    log(`${fn}(${role}, ${account})`);
+  }
+
+  return {
+    vault,
+    version,
+    proxy,
+    implementation,
+    token,
+    admin: params.admin,
+    depositFee: params.depositFee,
+    upgrader: params.upgrader,
+    pauser: params.pauser,
+    roles,
+    deployer: deployer.address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    // The initializer runs as part of the proxy deployment
+    initializer: {
+      fn: "initialize",
+      args: initializerArgs,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    },
+  };
+}
+
+/**
+ * @dev Upgrades the proxy to `to` and calls the version's reinitializer in the same
+ * upgradeToAndCall transaction, so that nobody can call it in between.
+ * Refuses to skip versions or to re-run an upgrade that already happened.
+ * @param hre The Hardhat runtime environment
+ * @param proxyAddress The vault proxy address
+ * @param to The target version (see versions.js)
+ * @param options.signer Account sending the upgrade, defaults to the first signer
+ * @param options.fromBlock First block to scan for the reinitializer's arguments
+ * @param options.log Logger, defaults to console.log
+ */
+async function upgradeVault(hre, proxyAddress, to, { signer, fromBlock, log = console.log } = {}) {
+  const { ethers, upgrades } = hre;
+  const current = await getCurrentVersion(hre, proxyAddress);
+  const target = getVersion(to);
+  assertUpgradePath(current, target);
+
+  log(`Upgrading TokenVault at ${proxyAddress} from ${current.id} to ${target.id}...`);
+  const call = await getInitializerCall(hre, proxyAddress, target, { fromBlock });
+  if (target.initializer && !call && isBranch(target)) {
+    throw new Error(
+      `${target.initializer}() already ran on this proxy, but ${target.id} cannot be used without it`
+    );
+  }
+  if (target.initializer && !call) {
+    log(`${target.initializer}() already ran on this proxy, upgrading without calling it`);
+  }
+  const factory = await ethers.getContractFactory(target.contract, signer);
+  const vault = await upgrades.upgradeProxy(proxyAddress, factory, call ? { call } : {});
+  await vault.waitForDeployment();
+
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const receipt = await vault.deployTransaction.wait();
+  log("New implementation deployed to:", implementation);
+
+  // The reinitializer runs as part of the upgrade transaction
+  const initializer = call
+    ? {
+        ...call,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      }
+    : null;
+
+  return {
+    vault,
+    from: current,
+    version: target,
+    proxy: proxyAddress,
+    implementation,
+    deployer: receipt.from,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    initializer,
+  };
+}
+
+/**
+ * @dev Returns the version, implementation and readable state of the proxy
+ */
+async function getVaultStatus(hre, proxyAddress) {
+  const version = await getCurrentVersion(hre, proxyAddress);
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const pending = isBranch(version) ? [] : VERSIONS.slice(versionIndex(version) + 1);
+  return {
+    proxy: proxyAddress,
+    implementation,
+    version,
+    pending,
+    branches: getBranches(version),
+    state: await readVaultState(hre, proxyAddress, version),
+  };
+}
+
+/**
+ * @dev Appends a deploy or upgrade result to the network's deployment manifest
+ * @param hre The Hardhat runtime environment
+ * @param action "deploy" or "upgrade"
+ * @param result The value returned by deployVault/upgradeVault
+ * @param options.dir Directory holding the manifests
+ * @return The manifest file path
+ */
+async function recordDeployment(hre, action, result, { dir } = {}) {
+  const entry = {
+    action,
+    version: result.version.id,
+    tag: result.version.tag,
+    contract: result.version.contract,
+    implementation: result.implementation,
+    initializer: result.initializer,
+    txHash: result.txHash,
+    blockNumber: result.blockNumber,
+    deployer: result.deployer,
+    roles: result.roles,
+  };
+  return recordEntry(hre, entry, { dir, proxy: result.proxy, token: result.token });
+}
+
+/**
+ * @dev Returns the proxy address recorded in the network's deployment manifest
+ */
+async function findProxyAddress(hre, { dir } = {}) {
+  const manifest = await loadManifest(hre, { dir });
+  return manifest.proxy;
+}
+
+module.exports = {
+  STATE_GETTERS,
+  getCurrentVersion,
+  getInitializedVersion,
+  getPendingInitializer,
+  getInitializerCall,
+  assertUpgradePath,
+  readVaultState,
+  deployVault,
+  upgradeVault,
+  getVaultStatus,
+  recordDeployment,
+  findProxyAddress,
+};
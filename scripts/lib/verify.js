@@ -0,0 +1,198 @@
+const { loadManifest, recordEntry } = require("./manifest");
+const { LOCAL_NETWORKS } = require("./deploy-config");
+
+// Manifest actions whose implementation is deployed and can be verified
+const VERIFIABLE_ACTIONS = ["deploy", "upgrade", "propose"];
+
+// Statuses that need no further verification attempts
+const DONE = ["verified", "already-verified", "linked"];
+
+function isAlreadyVerified(error) {
+  return /already (been )?verified/i.test(error.message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @dev Block explorer verifier backed by hardhat-verify. Proxies are verified through the
+ * upgrades plugin's override of verify:etherscan, which verifies the ERC1967Proxy and links
+ * it to the implementation ABI.
+ *
+ * A verifier is any object with:
+ *   verifyContract({ address, contract, constructorArguments }) => "verified" | "already-verified"
+ *   linkProxy({ proxy, implementation, constructorArguments }) => "linked"
+ * and may throw to signal a failed attempt.
+ */
+function createEtherscanVerifier(hre) {
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    throw new Error(`Contract verification is not available on the local "${hre.network.name}" network`);
+  }
+  const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+
+  async function isVerified(address) {
+    const chainConfig = await Etherscan.getCurrentChainConfig(
+      hre.network.name,
+      hre.network.provider,
+      hre.config.etherscan.customChains
+    );
+    return Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig).isVerified(address);
+  }
+
+  return {
+    async verifyContract({ address, contract, constructorArguments }) {
+      if (await isVerified(address)) {
+        return "already-verified";
+      }
+      await hre.run("verify:verify", { address, contract, constructorArguments });
+      return "verified";
+    },
+    async linkProxy({ proxy }) {
+      await hre.run("verify:verify", { address: proxy });
+      return "linked";
+    },
+  };
+}
+
+/**
+ * @dev Runs a verification step, retrying failed attempts. "Already verified" answers
+ * count as success.
+ * @return { status, attempts, error }
+ */
+async function withRetries(step, { attempts, delayMs }) {
+  let error;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return { status: await step(), attempts: attempt };
+    } catch (err) {
+      if (isAlreadyVerified(err)) {
+        return { status: "already-verified", attempts: attempt };
+      }
+      error = err;
+      if (attempt < attempts) {
+        await sleep(delayMs * attempt);
+      }
+    }
+  }
+  return { status: "failed", attempts, error: error.message };
+}
+
+/**
+ * @dev Returns the latest verification status recorded for an address (and, for the
+ * proxy, the implementation it was linked to)
+ */
+function getVerificationStatus(manifest, address, implementation) {
+  const entry = [...manifest.history]
+    .reverse()
+    .find(
+      (e) =>
+        e.action === "verify" &&
+        e.address === address &&
+        (!implementation || e.implementation === implementation)
+    );
+  return entry ? entry.status : null;
+}
+
+/**
+ * @dev Returns the ABI-encoded initializer call the proxy was deployed with
+ */
+async function getInitializerData(hre, deployEntry) {
+  const factory = await hre.ethers.getContractFactory(deployEntry.contract);
+  const { fn, args } = deployEntry.initializer;
+  return factory.interface.encodeFunctionData(fn, args);
+}
+
+/**
+ * @dev Verifies every implementation recorded in the manifest that is not verified yet and
+ * links the proxy to its current implementation. Constructor and initializer arguments come
+ * from the manifest. Every result is appended to the manifest history as a "verify" entry.
+ * @param hre The Hardhat runtime environment
+ * @param options.verifier Verifier to use, defaults to createEtherscanVerifier(hre)
+ * @param options.attempts Attempts per contract before giving up
+ * @param options.delayMs Delay before the first retry, growing linearly
+ * @param options.dir Directory holding the manifests
+ * @param options.log Logger, defaults to console.log
+ * @return Array of { target, address, contract, status, attempts, error }
+ */
+async function verifyDeployment(
+  hre,
+  { verifier, attempts = 3, delayMs = 5000, dir, log = console.log } = {}
+) {
+  const manifest = await loadManifest(hre, { dir });
+  const explorer = verifier || createEtherscanVerifier(hre);
+  const results = [];
+
+  const record = async (result) => {
+    results.push(result);
+    await recordEntry(hre, { action: "verify", ...result }, { dir, proxy: manifest.proxy });
+    log(
+      `${result.contract} at ${result.address}: ${result.status}` +
+        (result.error ? ` (${result.error})` : "")
+    );
+  };
+
+  const implementations = new Map();
+  for (const entry of manifest.history) {
+    if (VERIFIABLE_ACTIONS.includes(entry.action) && !implementations.has(entry.implementation)) {
+      implementations.set(entry.implementation, entry.contract);
+    }
+  }
+
+  for (const [address, contract] of implementations) {
+    if (DONE.includes(getVerificationStatus(manifest, address))) {
+      continue;
+    }
+    log(`Verifying ${contract} implementation at ${address}...`);
+    const fqn = `contracts/${contract}.sol:${contract}`;
+    await record({
+      target: "implementation",
+      address,
+      contract,
+      ...(await withRetries(
+        () => explorer.verifyContract({ address, contract: fqn, constructorArguments: [] }),
+        { attempts, delayMs }
+      )),
+    });
+  }
+
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(manifest.proxy);
+  if (!DONE.includes(getVerificationStatus(manifest, manifest.proxy, implementation))) {
+    const deployEntry = manifest.history.find((e) => e.action === "deploy");
+    const constructorArguments = [
+      deployEntry.implementation,
+      await getInitializerData(hre, deployEntry),
+    ];
+    log(`Verifying proxy at ${manifest.proxy} and linking it to ${implementation}...`);
+    await record({
+      target: "proxy",
+      address: manifest.proxy,
+      contract: "ERC1967Proxy",
+      implementation,
+      constructorArguments,
+      ...(await withRetries(
+        () => explorer.linkProxy({ proxy: manifest.proxy, implementation, constructorArguments }),
+        { attempts, delayMs }
+      )),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * @dev Throws when any verification step failed
+ */
+function assertVerified(results) {
+  const failed = results.filter((result) => result.status === "failed");
+  if (failed.length > 0) {
+    throw new Error(
+      `Verification failed for ${failed.map((r) => `${r.contract} at ${r.address}`).join(", ")}; ` +
+        "run `npx hardhat vault verify` to retry"
+    );
+  }
+}
+
+module.exports = {
+  createEtherscanVerifier,
+  verifyDeployment,
+  assertVerified,
+};
@@ -0,0 +1,203 @@
+/**
+ * @dev Registry of TokenVault implementations, in upgrade order.
+ * Supporting a new version only requires appending an entry here:
+ *  - id:          short name used on the command line (e.g. "v2")
+ *  - contract:    contract name passed to getContractFactory
+ *  - tag:         value returned by getImplementationVersion()
+ *  - initializer: reinitializer called right after the upgrade (null for the initial version)
+ *  - initializerArgs: optional name of the resolver in migrations.js computing the
+ *                 reinitializer's arguments from the proxy's state
+ *  - initVersion: Initializable version of the proxy once this version is live
+ *                 (unchanged from the previous version when there is no reinitializer)
+ */
+const VERSIONS = [
+  {
+    id: "v1",
+    contract: "TokenVaultV1",
+    tag: "v1.0.0",
+    initializer: null,
+    initVersion: 1,
+  },
+  {
+    id: "v2",
+    contract: "TokenVaultV2",
+    tag: "v2.0.0",
+    initializer: "initializeV2",
+    initVersion: 2,
+  },
+  {
+    id: "v3",
+    contract: "TokenVaultV3",
+    tag: "v3.0.0",
+    initializer: "initializeV3",
+    initVersion: 3,
+  },
+  {
+    id: "v4",
+    contract: "TokenVaultV4",
+    tag: "v4.0.0",
+    initializer: null,
+    initVersion: 3,
+  },
+  {
+    id: "v5",
+    contract: "TokenVaultV5",
+    tag: "v5.0.0",
+    initializer: null,
+    initVersion: 3,
+  },
+  {
+    id: "v6",
+    contract: "TokenVaultV6",
+    tag: "v6.0.0",
+    initializer: null,
+    initVersion: 3,
+  },
+  {
+    id: "v7",
+    contract: "TokenVaultV7",
+    tag: "v7.0.0",
+    initializer: null,
+    initVersion: 3,
+  },
+  {
+    id: "v8",
+    contract: "TokenVaultV8",
+    tag: "v8.0.0",
+    initializer: "initializeV8",
+    initializerArgs: "withdrawalRequestHolders",
+    initVersion: 4,
+  },
+  {
+    id: "v9",
+    contract: "TokenVaultV9",
+    tag: "v9.0.0",
+    initializer: "initializeV9",
+    initializerArgs: "configuredAssets",
+    initVersion: 5,
+  },
+  {
+    id: "v10",
+    contract: "TokenVaultV10",
+    tag: "v10.0.0",
+    initializer: null,
+    initVersion: 5,
+  },
+  {
+    id: "v11",
+    contract: "TokenVaultV11",
+    tag: "v11.0.0",
+    initializer: "initializeV11",
+    initVersion: 6,
+  },
+  {
+    id: "v12",
+    contract: "TokenVaultV12",
+    tag: "v12.0.0",
+    initializer: "initializeV12",
+    initializerArgs: "configuredDepositCaps",
+    initVersion: 7,
+  },
+  {
+    id: "v13",
+    contract: "TokenVaultV13",
+    tag: "v13.0.0",
+    initializer: "initializeV13",
+    initializerArgs: "defaultAdmin",
+    initVersion: 8,
+  },
+];
+
+/**
+ * @dev Versions branching off the upgrade order. Each is reached by upgrading from the
+ * version named in `from`, has no further upgrades and cannot be rolled back. Besides the
+ * fields above:
+ *  - from:         id of the only version that can be upgraded to it
+ *  - allowRemoved: values of the previous version the branch no longer exposes may
+ *                  disappear from the state snapshot without counting as violations
+ */
+const BRANCHES = [
+  {
+    id: "erc4626",
+    contract: "TokenVaultERC4626",
+    tag: "erc4626-v1.0.0",
+    from: "v3",
+    initializer: "initializeERC4626",
+    initializerArgs: "depositors",
+    initVersion: 4,
+    allowRemoved: true,
+  },
+];
+
+const ALL_VERSIONS = [...VERSIONS, ...BRANCHES];
+
+/**
+ * @dev Resolves a version from its id ("v2"), number ("2") or contract name
+ * @param name The version identifier
+ * @return The registry entry
+ */
+function getVersion(name) {
+  const key = String(name).toLowerCase();
+  const version = ALL_VERSIONS.find(
+    (v) => v.id === key || v.id === `v${key}` || v.contract.toLowerCase() === key
+  );
+  if (!version) {
+    throw new Error(
+      `Unknown TokenVault version "${name}". Known versions: ${ALL_VERSIONS.map((v) => v.id).join(", ")}`
+    );
+  }
+  return version;
+}
+
+/**
+ * @dev Resolves a version from the tag reported by getImplementationVersion()
+ * @param tag The implementation version string
+ * @return The registry entry
+ */
+function getVersionByTag(tag) {
+  const version = ALL_VERSIONS.find((v) => v.tag === tag);
+  if (!version) {
+    throw new Error(`Proxy reports unknown implementation version "${tag}"`);
+  }
+  return version;
+}
+
+/**
+ * @dev Returns the version directly following the given one, or undefined for the latest
+ * version and for branches
+ */
+function getNextVersion(version) {
+  return isBranch(version) ? undefined : VERSIONS[VERSIONS.indexOf(version) + 1];
+}
+
+/**
+ * @dev Returns the branches that can be upgraded to from the given version
+ */
+function getBranches(version) {
+  return BRANCHES.filter((branch) => branch.from === version.id);
+}
+
+/**
+ * @dev Returns true for versions outside the upgrade order (see BRANCHES)
+ */
+function isBranch(version) {
+  return BRANCHES.includes(version);
+}
+
+/**
+ * @dev Returns the position of a version in the upgrade order, -1 for branches
+ */
+function versionIndex(version) {
+  return VERSIONS.indexOf(version);
+}
+
+module.exports = {
+  VERSIONS,
+  BRANCHES,
+  getVersion,
+  getVersionByTag,
+  getNextVersion,
+  getBranches,
+  isBranch,
+  versionIndex,
+};
@@ -0,0 +1,12 @@
+const hre = require("hardhat");
+const { runAssets } = require("./lib/assets");
+const { hasFlag } = require("./lib/upgrade-script");
+
+// Adds the assets configured for the network that the vault does not support yet.
+// --report-only / REPORT_ONLY=true only lists the supported assets.
+runAssets(hre, { register: !hasFlag("report-only", "REPORT_ONLY") })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
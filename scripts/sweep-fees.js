@@ -0,0 +1,12 @@
+const hre = require("hardhat");
+const { runFees } = require("./lib/fees");
+const { hasFlag } = require("./lib/upgrade-script");
+
+// Reports the collected fees and sweeps them to the treasury.
+// --report-only / REPORT_ONLY=true only prints the report.
+runFees(hre, { sweep: !hasFlag("report-only", "REPORT_ONLY") })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,11 @@
+const hre = require("hardhat");
+const { runReserve } = require("./lib/reserve");
+
+// Reports the health of the yield reserve.
+// FUND=<amount> tops the reserve up by <amount> whole tokens first.
+runReserve(hre, { fund: process.env.FUND })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
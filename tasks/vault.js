@@ -0,0 +1,236 @@
+const { scope, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+  deployVault,
+  getVaultStatus,
+  recordDeployment,
+  findProxyAddress,
+} = require("../scripts/lib/vault");
+const { simulateUpgrade, formatReport } = require("../scripts/lib/dry-run");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { proposeUpgrade, formatProposal } = require("../scripts/lib/propose");
+const { rollbackVault } = require("../scripts/lib/rollback");
+const { verifyDeployment, assertVerified } = require("../scripts/lib/verify");
+const { resolveDeployParams } = require("../scripts/lib/deploy-config");
+const { runFees } = require("../scripts/lib/fees");
+const { runReserve } = require("../scripts/lib/reserve");
+const { checkpointYield } = require("../scripts/lib/checkpoint");
+const { runAssets } = require("../scripts/lib/assets");
+const { runReconcile } = require("../scripts/lib/reconcile");
+const { runCaps } = require("../scripts/lib/caps");
+const { runIndexer } = require("../scripts/lib/indexer");
+const { runRoles } = require("../scripts/lib/roles");
+const { runGasBenchmark } = require("../scripts/lib/gas");
+const { runLayoutCheck } = require("../scripts/lib/layout");
+const { getVersion } = require("../scripts/lib/versions");
+
+const vaultScope = scope("vault", "Deploy, upgrade and inspect the TokenVault proxy");
+
+vaultScope
+  .task("deploy", "Deploys the first TokenVault version behind a UUPS proxy")
+  .addOptionalParam("token", "Vault token address (a MockERC20 is deployed on local networks if unset)")
+  .addOptionalParam("admin", "DEFAULT_ADMIN_ROLE holder (defaults to the deployer)")
+  .addOptionalParam("fee", "Deposit fee in basis points (defaults to 500)", undefined, types.int)
+  .addOptionalParam("upgrader", "UPGRADER_ROLE holder (defaults to the admin)")
+  .addOptionalParam("pauser", "PAUSER_ROLE holder")
+  .addFlag("verify", "Verify the implementation and link the proxy on the block explorer")
+  .setAction(async ({ token, admin, fee, upgrader, pauser, verify }, hre) => {
+    const params = resolveDeployParams(hre, { token, admin, depositFee: fee, upgrader, pauser });
+    const result = await deployVault(hre, params);
+    const file = await recordDeployment(hre, "deploy", result);
+    console.log(`\nDeployment recorded in ${file}`);
+    if (verify) {
+      assertVerified(await verifyDeployment(hre));
+    }
+    return result;
+  });
+
+vaultScope
+  .task("upgrade", "Upgrades the proxy to the next TokenVault version")
+  .addParam("to", "Target version (e.g. v2)")
+  .addFlag("dryRun", "Simulate the upgrade on the in-process network without broadcasting")
+  .addOptionalParam("fork", "Network whose state is forked for the dry run")
+  .addFlag("propose", "Deploy the implementation and write an upgradeToAndCall proposal instead")
+  .addOptionalParam("timelock", "TimelockController to encode the proposal for")
+  .addFlag("verify", "Verify the new implementation and link the proxy on the block explorer")
+  .setAction(async ({ to, dryRun, fork, propose, timelock, verify }, hre) => {
+    if (propose) {
+      const { proposal, file } = await proposeUpgrade(hre, to, { timelock });
+      console.log(formatProposal(proposal, file));
+      if (verify) {
+        assertVerified(await verifyDeployment(hre));
+      }
+      return proposal;
+    }
+    if (dryRun) {
+      const report = await simulateUpgrade(hre, to, { fork });
+      console.log(formatReport(report));
+      if (!report.passed) {
+        throw new Error("Dry run failed: existing state was not preserved");
+      }
+      return report;
+    }
+
+    const { result, diff } = await performUpgrade(hre, to);
+    console.log("Version:", await result.vault.getImplementationVersion());
+    if (!diff.ok) {
+      throw new Error(`Upgrade changed ${diff.violations} value(s) that should have been preserved`);
+    }
+    if (verify) {
+      assertVerified(await verifyDeployment(hre));
+    }
+    return result;
+  });
+
+vaultScope
+  .task("verify", "Verifies the recorded implementations and links the proxy on the block explorer")
+  .addOptionalParam("attempts", "Attempts per contract before giving up", 3, types.int)
+  .setAction(async ({ attempts }, hre) => {
+    const results = await verifyDeployment(hre, { attempts });
+    assertVerified(results);
+    return results;
+  });
+
+vaultScope
+  .task("rollback", "Points the proxy back at an earlier implementation from the manifest")
+  .addOptionalParam("to", "Version to roll back to (defaults to the previous version)")
+  .addFlag("force", "Roll back even though queued withdrawal requests would be dropped")
+  .setAction(async ({ to, force }, hre) => {
+    const { result, diff } = await rollbackVault(hre, to, { force });
+    console.log("Version:", await result.vault.getImplementationVersion());
+    if (!diff.ok) {
+      throw new Error(`Rollback changed ${diff.violations} value(s) that should have been preserved`);
+    }
+    return result;
+  });
+
+vaultScope
+  .task("status", "Shows the version and state of the proxy")
+  .addOptionalParam("proxy", "Proxy address (defaults to the one in the deployment manifest)")
+  .setAction(async ({ proxy }, hre) => {
+    const status = await getVaultStatus(hre, proxy || (await findProxyAddress(hre)));
+    console.log("Proxy:", status.proxy);
+    console.log("Implementation:", status.implementation);
+    console.log(`Version: ${status.version.tag} (${status.version.contract})`);
+    for (const [label, value] of status.state) {
+      console.log(`${label}:`, value.toString());
+    }
+    console.log(
+      "Pending upgrades:",
+      status.pending.length ? status.pending.map((v) => v.id).join(" -> ") : "none"
+    );
+    if (status.branches.length) {
+      console.log("Branches:", status.branches.map((v) => v.id).join(", "));
+    }
+    return status;
+  });
+
+vaultScope
+  .task("fees", "Reports the collected deposit fees")
+  .addFlag("sweep", "Sweep the sweepable fees to the treasury")
+  .setAction(async ({ sweep }, hre) => runFees(hre, { sweep }));
+
+vaultScope
+  .task("reserve", "Reports the health of the yield reserve")
+  .addOptionalParam("fund", "Whole tokens to add to the reserve first (e.g. 1000)")
+  .setAction(async ({ fund }, hre) => runReserve(hre, { fund }));
+
+vaultScope
+  .task("assets", "Lists the assets supported by the vault (v9 and later)")
+  .addFlag("register", "Add the assets configured for the network that are not supported yet")
+  .setAction(async ({ register }, hre) => runAssets(hre, { register }));
+
+vaultScope
+  .task("reconcile", "Compares the vault's token balances with its liabilities (v10 and later)")
+  .setAction(async (args, hre) => runReconcile(hre));
+
+vaultScope
+  .task("caps", "Lists the deposit caps of every asset (v12 and later)")
+  .addFlag("apply", "Set the deposit caps configured for the network")
+  .setAction(async ({ apply }, hre) => runCaps(hre, { apply }));
+
+vaultScope
+  .task("audit", "Rebuilds balances and totals from the vault's events and checks them against the chain")
+  .addOptionalParam("out", "Path of the exported JSON and CSV files, without extension")
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", 10000, types.int)
+  .setAction(async ({ out, batchSize }, hre) => {
+    const { report } = await runIndexer(hre, { out, batchSize });
+    if (!report.ok) {
+      throw new HardhatPluginError(
+        "vault",
+        `The rebuilt accounting differs from the chain in ${report.mismatches.length} place(s)`
+      );
+    }
+    return report;
+  });
+
+vaultScope
+  .task("roles", "Lists the holders of every role, rebuilt from RoleGranted/RoleRevoked events")
+  .addOptionalParam("grant", "Role to grant to --account (e.g. UPGRADER_ROLE)")
+  .addOptionalParam("revoke", "Role to revoke from --account")
+  .addOptionalParam("transfer", "Role to move from --from to --to")
+  .addOptionalParam("account", "Account to grant the role to or revoke it from")
+  .addOptionalParam("to", "Recipient of the transferred role")
+  .addOptionalParam("from", "Holder of the transferred role (defaults to the signer)")
+  .addOptionalParam("beginAdminTransfer", "Account to begin moving DEFAULT_ADMIN_ROLE to (V13 on)")
+  .addFlag("acceptAdminTransfer", "Accept the pending admin transfer as the new admin")
+  .addFlag("cancelAdminTransfer", "Cancel the pending admin transfer")
+  .setAction(
+    async (
+      { grant, revoke, transfer, account, to, from, beginAdminTransfer, acceptAdminTransfer, cancelAdminTransfer },
+      hre
+    ) =>
+      runRoles(hre, {
+        grant,
+        revoke,
+        transfer,
+        account,
+        to,
+        from,
+        beginAdminTransfer,
+        acceptAdminTransfer,
+        cancelAdminTransfer,
+      })
+  );
+
+vaultScope
+  .task("checkpoint", "Checkpoints the yield of existing depositors after the upgrade to V6")
+  .addOptionalParam("batchSize", "Users per transaction", 100, types.int)
+  .setAction(async ({ batchSize }, hre) => checkpointYield(hre, { batchSize }));
+
+vaultScope
+  .task("gas", "Measures the gas of V1 to V3 operations and upgrades and compares it with the baseline")
+  .addOptionalParam(
+    "threshold",
+    "Regression allowed in percent (defaults to the baseline's)",
+    undefined,
+    types.float
+  )
+  .addFlag("update", "Write the measurements as the new baseline")
+  .setAction(async ({ threshold, update }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const { report } = await runGasBenchmark(hre, { threshold, update });
+    if (report && !report.ok && !update) {
+      throw new HardhatPluginError(
+        "vault",
+        `Gas regressed past ${report.threshold}% over the baseline; see the report above`
+      );
+    }
+    return report;
+  });
+
+vaultScope
+  .task("layout", "Compares the storage layouts of two TokenVault versions")
+  .addParam("from", "Version currently behind the proxy (e.g. v2)")
+  .addParam("to", "Version to upgrade to (e.g. v3)")
+  .setAction(async ({ from, to }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const report = await runLayoutCheck(hre, getVersion(from).contract, getVersion(to).contract);
+    if (!report.ok) {
+      throw new HardhatPluginError(
+        "vault",
+        `The storage layout of ${report.to} is incompatible with ${report.from}; see the report above`
+      );
+    }
+    return report;
+  });
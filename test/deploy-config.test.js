@@ -0,0 +1,297 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVault, recordDeployment, upgradeVault } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const {
+  resolveDeployParams,
+  validateDeployParams,
+  validateAssets,
+  validateDepositCaps,
+  validateAdminDelay,
+} = require("../scripts/lib/deploy-config");
+
+describe("Deploy Config", function () {
+  let configDir;
+  let mockToken;
+  let deployer;
+  let admin;
+  let upgrader;
+  let pauser;
+
+  const silent = { log: () => {} };
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+  const UPGRADER_ROLE = ethers.id("UPGRADER_ROLE");
+  const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
+  beforeEach(async function () {
+    [deployer, admin, upgrader, pauser] = await ethers.getSigners();
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-config-"));
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+  });
+
+  afterEach(function () {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(config) {
+    fs.writeFileSync(path.join(configDir, "hardhat.json"), JSON.stringify(config));
+  }
+
+  describe("Sources", function () {
+    it("should read the per-network config file", function () {
+      writeConfig({ token: "0x1", depositFee: 250 });
+
+      const params = resolveDeployParams(hre, {}, { configDir, env: {} });
+
+      expect(params).to.include({ token: "0x1", depositFee: 250 });
+      expect(params.sources.depositFee).to.equal(path.join(configDir, "hardhat.json"));
+    });
+
+    it("should prefer options over environment over config file", function () {
+      writeConfig({ admin: "0xconfig", depositFee: 250, upgrader: "0xconfig" });
+      const env = { VAULT_ADMIN: "0xenv", VAULT_DEPOSIT_FEE: "100" };
+
+      const params = resolveDeployParams(hre, { depositFee: 50 }, { configDir, env });
+
+      expect(params).to.include({ admin: "0xenv", depositFee: 50, upgrader: "0xconfig" });
+      expect(params.sources).to.include({ admin: "VAULT_ADMIN", depositFee: "option" });
+    });
+
+    it("should leave unset parameters undefined", function () {
+      const params = resolveDeployParams(hre, { token: undefined }, { configDir, env: {} });
+
+      expect(params.token).to.be.undefined;
+      expect(params.sources).to.deep.equal({});
+    });
+  });
+
+  describe("Validation", function () {
+    const validate = (params) => validateDeployParams(hre, params, deployer.address);
+
+    it("should fill in defaults", async function () {
+      expect(await validate({})).to.deep.equal({
+        token: null,
+        admin: deployer.address,
+        depositFee: 500,
+        upgrader: deployer.address,
+        pauser: null,
+      });
+    });
+
+    it("should validate like initialize", async function () {
+      await expect(validate({ token: ethers.ZeroAddress })).to.be.rejectedWith("Invalid token address");
+      await expect(validate({ admin: ethers.ZeroAddress })).to.be.rejectedWith("Invalid admin address");
+      await expect(validate({ depositFee: 10001 })).to.be.rejectedWith("Fee cannot exceed 100%");
+    });
+
+    it("should reject malformed values", async function () {
+      await expect(validate({ admin: "0x1234" })).to.be.rejectedWith("Invalid admin address: 0x1234");
+      await expect(validate({ depositFee: "5%" })).to.be.rejectedWith("Invalid deposit fee: 5%");
+      await expect(validate({ depositFee: -1 })).to.be.rejectedWith("Invalid deposit fee");
+      await expect(validate({ upgrader: ethers.ZeroAddress })).to.be.rejectedWith(
+        "Invalid upgrader address"
+      );
+      await expect(validate({ pauser: "pauser" })).to.be.rejectedWith("Invalid pauser address");
+    });
+
+    it("should reject a token address without code", async function () {
+      await expect(validate({ token: admin.address })).to.be.rejectedWith(
+        `Invalid token address: no contract at ${admin.address}`
+      );
+    });
+
+    it("should parse fees from the environment", async function () {
+      const params = resolveDeployParams(hre, {}, { configDir, env: { VAULT_DEPOSIT_FEE: "250" } });
+
+      expect((await validate(params)).depositFee).to.equal(250);
+    });
+
+    it("should require a token on non-local networks", async function () {
+      const remote = { ...hre, network: { ...hre.network, name: "sepolia" } };
+
+      await expect(validateDeployParams(remote, {}, deployer.address)).to.be.rejectedWith(
+        'No vault token configured for network "sepolia"'
+      );
+    });
+  });
+
+  describe("Assets", function () {
+    let vaultToken;
+    let asset;
+
+    beforeEach(async function () {
+      vaultToken = await mockToken.getAddress();
+      const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+      asset = await (await MockERC20Decimals.deploy("Mock USD", "mUSD", 6)).getAddress();
+    });
+
+    it("should read assets as JSON from the environment or as an array from the config file", async function () {
+      const list = [{ token: asset, depositFee: 100, yieldRate: 500 }];
+      writeConfig({ assets: list });
+      const fromEnv = resolveDeployParams(hre, {}, {
+        configDir,
+        env: { VAULT_ASSETS: JSON.stringify(list) },
+      });
+      const fromConfig = resolveDeployParams(hre, {}, { configDir, env: {} });
+
+      expect(await validateAssets(hre, fromEnv.assets, vaultToken)).to.deep.equal(list);
+      expect(await validateAssets(hre, fromConfig.assets, vaultToken)).to.deep.equal(list);
+    });
+
+    it("should default fees and yield rates to 0 and no assets to an empty list", async function () {
+      expect(await validateAssets(hre, [{ token: asset }], vaultToken)).to.deep.equal([
+        { token: asset, depositFee: 0, yieldRate: 0 },
+      ]);
+      expect(await validateAssets(hre, undefined, vaultToken)).to.deep.equal([]);
+    });
+
+    it("should validate like addAsset", async function () {
+      const check = (assets) => validateAssets(hre, assets, vaultToken);
+
+      await expect(check([{ token: admin.address }])).to.be.rejectedWith("no contract at");
+      await expect(check([{ token: vaultToken }])).to.be.rejectedWith("is the vault token");
+      await expect(check([{ token: asset }, { token: asset }])).to.be.rejectedWith("listed twice");
+      await expect(check([{ token: asset, depositFee: 1001 }])).to.be.rejectedWith(
+        "Invalid deposit fee"
+      );
+      await expect(check([{ token: asset, yieldRate: 10001 }])).to.be.rejectedWith(
+        "Invalid yield rate"
+      );
+      await expect(check({ token: asset })).to.be.rejectedWith("expected an array");
+    });
+  });
+
+  describe("Deposit Caps", function () {
+    let vaultToken;
+    let asset;
+
+    beforeEach(async function () {
+      vaultToken = await mockToken.getAddress();
+      const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+      asset = await (await MockERC20Decimals.deploy("Mock USD", "mUSD", 6)).getAddress();
+    });
+
+    it("should convert whole tokens in each asset's decimals, defaulting to the vault token", async function () {
+      const list = [{ userCap: "1000", totalCap: 50000 }, { token: asset, minDeposit: "0.5" }];
+      const { depositCaps } = resolveDeployParams(hre, {}, {
+        configDir,
+        env: { VAULT_DEPOSIT_CAPS: JSON.stringify(list) },
+      });
+
+      expect(await validateDepositCaps(hre, depositCaps, [vaultToken, asset])).to.deep.equal([
+        {
+          token: vaultToken,
+          userCap: ethers.parseEther("1000"),
+          totalCap: ethers.parseEther("50000"),
+          minDeposit: 0n,
+        },
+        { token: asset, userCap: 0n, totalCap: 0n, minDeposit: 500000n },
+      ]);
+      expect(await validateDepositCaps(hre, undefined, [vaultToken])).to.deep.equal([]);
+    });
+
+    it("should validate like setDepositCaps", async function () {
+      const check = (caps) => validateDepositCaps(hre, caps, [vaultToken]);
+
+      await expect(check([{ token: asset }])).to.be.rejectedWith("not an asset of the vault");
+      await expect(check([{}, { token: vaultToken }])).to.be.rejectedWith("listed twice");
+      await expect(check([{ userCap: "-1" }])).to.be.rejectedWith("Invalid userCap");
+      await expect(check([{ totalCap: "lots" }])).to.be.rejectedWith("Invalid totalCap");
+      await expect(check([{ userCap: 10, minDeposit: 11 }])).to.be.rejectedWith(
+        "Minimum deposit exceeds cap"
+      );
+      await expect(check({ userCap: 10 })).to.be.rejectedWith("expected an array");
+    });
+  });
+
+  describe("Admin Delay", function () {
+    it("should read the delay from the environment, defaulting to 2 days", function () {
+      const { adminDelay } = resolveDeployParams(hre, {}, { configDir, env: { VAULT_ADMIN_DELAY: "3600" } });
+
+      expect(validateAdminDelay(adminDelay)).to.equal(3600);
+      expect(validateAdminDelay(undefined)).to.equal(2 * 24 * 60 * 60);
+      expect(validateAdminDelay(0)).to.equal(0);
+      expect(() => validateAdminDelay("-1")).to.throw("Invalid admin delay: -1");
+      expect(() => validateAdminDelay(2 ** 48)).to.throw("Invalid admin delay");
+    });
+  });
+
+  describe("Deploy", function () {
+    it("should use the configured token instead of a mock", async function () {
+      const token = await mockToken.getAddress();
+
+      const result = await deployVault(hre, { token, depositFee: 250, ...silent });
+
+      expect(result.token).to.equal(token);
+      expect(await result.vault.token()).to.equal(token);
+      expect(await result.vault.getDepositFee()).to.equal(250);
+    });
+
+    it("should initialize with an admin other than the deployer", async function () {
+      const result = await deployVault(hre, { admin: admin.address, ...silent });
+
+      expect(result.initializer.args[1]).to.equal(admin.address);
+      expect(result.roles).to.be.empty;
+      expect(await result.vault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.true;
+      expect(await result.vault.hasRole(UPGRADER_ROLE, admin.address)).to.be.true;
+      expect(await result.vault.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.be.false;
+    });
+
+    it("should hand out separate upgrader and pauser roles", async function () {
+      const result = await deployVault(hre, {
+        admin: admin.address,
+        upgrader: upgrader.address,
+        pauser: pauser.address,
+        ...silent,
+      });
+      const vault = result.vault;
+
+      expect(await vault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.true;
+      expect(await vault.hasRole(UPGRADER_ROLE, upgrader.address)).to.be.true;
+      expect(await vault.hasRole(PAUSER_ROLE, pauser.address)).to.be.true;
+      expect(await vault.hasRole(UPGRADER_ROLE, admin.address)).to.be.false;
+      // The deployer only bootstrapped the roles
+      expect(await vault.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.be.false;
+      expect(await vault.hasRole(UPGRADER_ROLE, deployer.address)).to.be.false;
+      expect(result.roles.map((r) => `${r.fn} ${r.role}`)).to.deep.equal([
+        "grantRole UPGRADER_ROLE",
+        "revokeRole UPGRADER_ROLE",
+        "grantRole PAUSER_ROLE",
+        "grantRole DEFAULT_ADMIN_ROLE",
+        "renounceRole DEFAULT_ADMIN_ROLE",
+      ]);
+    });
+
+    it("should record the role setup in the manifest", async function () {
+      const dir = path.join(configDir, "deployments");
+      const result = await deployVault(hre, { upgrader: upgrader.address, ...silent });
+
+      await recordDeployment(hre, "deploy", result, { dir });
+
+      const entry = readManifest(hre, { dir }).history[0];
+      expect(entry.roles).to.deep.equal(result.roles);
+      expect(entry.roles[0]).to.include({ role: "UPGRADER_ROLE", account: upgrader.address });
+    });
+
+    it("should let the configured holders upgrade and pause after V2", async function () {
+      const result = await deployVault(hre, {
+        upgrader: upgrader.address,
+        pauser: pauser.address,
+        ...silent,
+      });
+
+      await expect(upgradeVault(hre, result.proxy, "v2", silent)).to.be.rejected;
+      const v2 = await upgradeVault(hre, result.proxy, "v2", { signer: upgrader, ...silent });
+
+      await v2.vault.connect(pauser).pauseDeposits();
+      expect(await v2.vault.isDepositsPaused()).to.be.true;
+    });
+  });
+});
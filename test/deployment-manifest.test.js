@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  getManifestPath,
+  readManifest,
+  loadManifest,
+  getLatestDeployment,
+} = require("../scripts/lib/manifest");
+const {
+  deployVault,
+  upgradeVault,
+  recordDeployment,
+  findProxyAddress,
+} = require("../scripts/lib/vault");
+
+describe("Deployment Manifest", function () {
+  let dir;
+  let admin;
+  let deployment;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-manifest-"));
+
+    deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Deploy", function () {
+    it("should write one manifest per network", async function () {
+      expect(getManifestPath(hre, dir)).to.equal(path.join(dir, "hardhat.json"));
+      expect(fs.existsSync(path.join(dir, "hardhat.json"))).to.be.true;
+    });
+
+    it("should record the proxy, token and initial deployment", async function () {
+      const manifest = readManifest(hre, { dir });
+
+      expect(manifest.network).to.equal("hardhat");
+      expect(manifest.chainId).to.equal(31337);
+      expect(manifest.proxy).to.equal(deployment.proxy);
+      expect(manifest.token).to.equal(deployment.token);
+      expect(manifest.history).to.have.lengthOf(1);
+
+      const [entry] = manifest.history;
+      expect(entry.action).to.equal("deploy");
+      expect(entry.version).to.equal("v1");
+      expect(entry.contract).to.equal("TokenVaultV1");
+      expect(entry.implementation).to.equal(deployment.implementation);
+      expect(entry.deployer).to.equal(admin.address);
+      expect(entry.initializer.fn).to.equal("initialize");
+      expect(entry.initializer.args).to.deep.equal([deployment.token, admin.address, 500]);
+      expect(entry.timestamp).to.be.a("string");
+
+      const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+      expect(receipt.blockNumber).to.equal(entry.blockNumber);
+    });
+
+    it("should refuse to replace a manifest whose proxy is still live", async function () {
+      const other = await deployVault(hre, { depositFee: 500, ...silent });
+
+      await expect(recordDeployment(hre, "deploy", other, { dir })).to.be.rejectedWith(
+        `already records proxy ${deployment.proxy}`
+      );
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("should append upgrades to the history", async function () {
+      const proxy = await findProxyAddress(hre, { dir });
+      expect(proxy).to.equal(deployment.proxy);
+
+      const v2 = await upgradeVault(hre, proxy, "v2", silent);
+      await recordDeployment(hre, "upgrade", v2, { dir });
+      const v3 = await upgradeVault(hre, proxy, "v3", silent);
+      await recordDeployment(hre, "upgrade", v3, { dir });
+
+      const manifest = readManifest(hre, { dir });
+      expect(manifest.history.map((e) => e.version)).to.deep.equal(["v1", "v2", "v3"]);
+      expect(manifest.history[0].implementation).to.equal(deployment.implementation);
+      expect(manifest.history[1].implementation).to.equal(v2.implementation);
+      expect(manifest.history[2].implementation).to.equal(v3.implementation);
+      expect(manifest.history[2].initializer.fn).to.equal("initializeV3");
+      // The reinitializer is called atomically with the upgrade
+      expect(manifest.history[2].initializer.txHash).to.equal(manifest.history[2].txHash);
+      expect(getLatestDeployment(manifest).version).to.equal("v3");
+    });
+
+    it("should refuse to record an upgrade of a different proxy", async function () {
+      const other = await deployVault(hre, { depositFee: 500, ...silent });
+      const v2 = await upgradeVault(hre, other.proxy, "v2", silent);
+
+      await expect(recordDeployment(hre, "upgrade", v2, { dir })).to.be.rejectedWith(
+        `records proxy ${deployment.proxy}, not ${other.proxy}`
+      );
+    });
+  });
+
+  describe("Loading", function () {
+    it("should fail when the network has no manifest", async function () {
+      fs.rmSync(path.join(dir, "hardhat.json"));
+
+      await expect(loadManifest(hre, { dir })).to.be.rejectedWith(
+        "No deployment manifest found"
+      );
+    });
+
+    it("should refuse a manifest recorded on another chain", async function () {
+      const file = path.join(dir, "hardhat.json");
+      const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+      fs.writeFileSync(file, JSON.stringify({ ...manifest, chainId: 1 }));
+
+      await expect(findProxyAddress(hre, { dir })).to.be.rejectedWith(
+        'belongs to chain 1, but network "hardhat" is chain 31337'
+      );
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { compareStates, simulateUpgrade, formatReport } = require("../scripts/lib/dry-run");
+const { deployVault, upgradeVault, recordDeployment } = require("../scripts/lib/vault");
+
+describe("Upgrade Dry Run", function () {
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let proxy;
+  let admin;
+  let user1;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin, user1] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-dry-run-"));
+
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.connect(user1).approve(proxy, ethers.MaxUint256);
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Simulation", function () {
+    it("should report preserved state for V1 to V2", async function () {
+      const report = await simulateUpgrade(hre, "v2", { dir, ...silent });
+
+      expect(report.passed).to.be.true;
+      expect(report.from.id).to.equal("v1");
+      expect(report.version.id).to.equal("v2");
+      expect(report.upgrader).to.equal(admin.address);
+
+      const totalDeposits = report.checks.find((c) => c.label === "Total Deposits");
+      expect(totalDeposits.before).to.equal(ethers.parseEther("950"));
+      expect(totalDeposits.after).to.equal(ethers.parseEther("950"));
+
+      const yieldRate = report.checks.find((c) => c.label === "Yield Rate");
+      expect(yieldRate.added).to.be.true;
+    });
+
+    it("should not change the proxy", async function () {
+      const implementationBefore = await upgrades.erc1967.getImplementationAddress(proxy);
+
+      await simulateUpgrade(hre, "v2", { dir, ...silent });
+
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(
+        implementationBefore
+      );
+      expect(await tokenVault.getImplementationVersion()).to.equal("v1.0.0");
+
+      // The real upgrade still works afterwards
+      const result = await upgradeVault(hre, proxy, "v2", silent);
+      await expect(result.vault.initializeV2()).to.be.revertedWithCustomError(
+        result.vault,
+        "InvalidInitialization"
+      );
+    });
+
+    it("should simulate V2 to V3 with V2 state", async function () {
+      const v2 = await upgradeVault(hre, proxy, "v2", silent);
+      await recordDeployment(hre, "upgrade", v2, { dir });
+      await v2.vault.setYieldRate(1000);
+      await v2.vault.pauseDeposits();
+
+      const report = await simulateUpgrade(hre, "v3", { dir, ...silent });
+
+      expect(report.passed).to.be.true;
+      const labels = report.checks.filter((c) => !c.added).map((c) => c.label);
+      expect(labels).to.include.members(["Yield Rate", "Deposits Paused"]);
+      expect(await v2.vault.getImplementationVersion()).to.equal("v2.0.0");
+    });
+
+    it("should refuse to skip versions", async function () {
+      await expect(simulateUpgrade(hre, "v3", { dir, ...silent })).to.be.rejectedWith(
+        "Cannot skip versions"
+      );
+    });
+
+    it("should require an upgrader", async function () {
+      await expect(
+        simulateUpgrade(hre, "v2", { dir, upgrader: user1.address, ...silent })
+      ).to.be.rejectedWith(`${user1.address} does not hold UPGRADER_ROLE`);
+    });
+
+    it("should reject unknown fork networks", async function () {
+      await expect(
+        simulateUpgrade(hre, "v2", { dir, fork: "nope", ...silent })
+      ).to.be.rejectedWith('Network "nope" has no RPC url configured');
+    });
+  });
+
+  describe("Report", function () {
+    it("should fail when a preserved value changed", async function () {
+      const checks = compareStates(
+        [["Total Deposits", 100n], ["Deposit Fee", 500n]],
+        [["Total Deposits", 100n], ["Deposit Fee", 0n], ["Yield Rate", 0n]]
+      );
+
+      expect(checks.map((c) => [c.label, c.ok, c.added])).to.deep.equal([
+        ["Total Deposits", true, false],
+        ["Deposit Fee", false, false],
+        ["Yield Rate", true, true],
+      ]);
+    });
+
+    it("should fail when a preserved value disappeared", async function () {
+      const [check] = compareStates([["Token", "0x01"]], []);
+      expect(check.ok).to.be.false;
+    });
+
+    it("should format a pass/fail table", async function () {
+      const report = await simulateUpgrade(hre, "v2", { dir, ...silent });
+      const output = formatReport(report);
+
+      expect(output).to.include("Dry run: v1 -> v2 on hardhat");
+      expect(output).to.include(`[PASS] Total Deposits: ${ethers.parseEther("950")}`);
+      expect(output).to.include("[NEW ] Yield Rate: - -> 0");
+      expect(output).to.include("Result: PASS (nothing was broadcast)");
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * ERC-4626 property checks, after the a16z ERC-4626 property tests, run against a proxy
+ * upgraded from V3. Amounts are drawn from a seeded pseudo-random sequence spanning 1 wei
+ * to millions of tokens. Unless stated otherwise the yield rate is 0 once the share price
+ * has moved away from 1, so previews and executions see the same price.
+ */
+describe("ERC-4626 Conformance", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let alice;
+  let bob;
+  let seed;
+
+  const ITERATIONS = 10;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  // Deterministic pseudo-random sequence
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return Math.floor(seed / 2 ** 16) % n;
+  };
+
+  // Amount between 1 wei and `max`, spread over all orders of magnitude
+  const randomAmount = (max) => {
+    const amount = BigInt(1 + random(1000)) * 10n ** BigInt(random(22));
+    return amount > max ? 1n + (amount % max) : amount;
+  };
+
+  // Deposit fee of 5% taken from a gross deposit, as in the vault
+  const fee = (assets) => (assets * 500n) / 10000n;
+
+  async function logArgs(tx, name) {
+    const receipt = await tx.wait();
+    return receipt.logs
+      .map((log) => tokenVault.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === name).args;
+  }
+
+  const deposit = async (user, assets) =>
+    (await logArgs(await tokenVault.connect(user).deposit(assets, user.address), "Deposit")).shares;
+  const mint = async (user, shares) =>
+    (await logArgs(await tokenVault.connect(user).mint(shares, user.address), "Deposit")).assets;
+  const withdraw = async (user, assets) =>
+    (
+      await logArgs(
+        await tokenVault.connect(user).withdraw(assets, user.address, user.address),
+        "Withdraw"
+      )
+    ).shares;
+  const redeem = async (user, shares) =>
+    (
+      await logArgs(
+        await tokenVault.connect(user).redeem(shares, user.address, user.address),
+        "Withdraw"
+      )
+    ).assets;
+
+  beforeEach(async function () {
+    [admin, alice, bob] = await ethers.getSigners();
+    seed = 4626;
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    for (const user of [alice, bob]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000000"));
+    }
+
+    // Deploy V1 with a 5% deposit fee and upgrade to V3
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 500],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    for (const [contract, fn] of [
+      ["TokenVaultV2", "initializeV2"],
+      ["TokenVaultV3", "initializeV3"],
+    ]) {
+      const factory = await ethers.getContractFactory(contract);
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), factory, {
+        call: { fn },
+      });
+    }
+    for (const user of [alice, bob]) {
+      await mockToken.connect(user).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    }
+    await tokenVault.connect(alice).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(bob).deposit(ethers.parseEther("3333"));
+
+    // Upgrade to the ERC-4626 version
+    const TokenVaultERC4626 = await ethers.getContractFactory("TokenVaultERC4626");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultERC4626, {
+      call: { fn: "initializeERC4626", args: [[alice.address, bob.address]] },
+    });
+
+    // Move the share price away from 1 and freeze it
+    await mockToken.transfer(await tokenVault.getAddress(), ethers.parseEther("1000"));
+    await tokenVault.setYieldRate(777);
+    await time.increase(YEAR);
+    await tokenVault.setYieldRate(0);
+    expect(await tokenVault.convertToAssets(ethers.parseEther("1"))).to.be.greaterThan(
+      ethers.parseEther("1")
+    );
+  });
+
+  describe("Views", function () {
+    it("should report the vault token as asset", async function () {
+      expect(await tokenVault.asset()).to.equal(await mockToken.getAddress());
+      expect(await tokenVault.decimals()).to.equal(await mockToken.decimals());
+    });
+
+    it("should back the total assets with tokens", async function () {
+      expect(await tokenVault.totalAssets()).to.be.lessThanOrEqual(
+        await mockToken.balanceOf(await tokenVault.getAddress())
+      );
+    });
+
+    it("should convert independently of the caller", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const amount = randomAmount(ethers.parseEther("1000000"));
+        expect(await tokenVault.connect(alice).convertToShares(amount)).to.equal(
+          await tokenVault.connect(bob).convertToShares(amount)
+        );
+        expect(await tokenVault.connect(alice).convertToAssets(amount)).to.equal(
+          await tokenVault.connect(bob).convertToAssets(amount)
+        );
+      }
+    });
+
+    it("should round conversions down", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const amount = randomAmount(ethers.parseEther("1000000"));
+        expect(
+          await tokenVault.convertToAssets(await tokenVault.convertToShares(amount))
+        ).to.be.lessThanOrEqual(amount);
+        expect(
+          await tokenVault.convertToShares(await tokenVault.convertToAssets(amount))
+        ).to.be.lessThanOrEqual(amount);
+      }
+    });
+
+    it("should bound the max views by the owner's position", async function () {
+      for (const user of [alice, bob, admin]) {
+        const shares = await tokenVault.balanceOf(user.address);
+        expect(await tokenVault.maxDeposit(user.address)).to.equal(ethers.MaxUint256);
+        expect(await tokenVault.maxMint(user.address)).to.equal(ethers.MaxUint256);
+        expect(await tokenVault.maxRedeem(user.address)).to.be.lessThanOrEqual(shares);
+        expect(await tokenVault.maxWithdraw(user.address)).to.be.lessThanOrEqual(
+          await tokenVault.convertToAssets(shares)
+        );
+      }
+    });
+  });
+
+  describe("Previews", function () {
+    it("should not mint fewer shares than previewDeposit", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(ethers.parseEther("100000"));
+        const preview = await tokenVault.previewDeposit(assets);
+        expect(await deposit(alice, assets)).to.be.greaterThanOrEqual(preview);
+      }
+    });
+
+    it("should not take more assets than previewMint", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(ethers.parseEther("100000"));
+        const preview = await tokenVault.previewMint(shares);
+        expect(await mint(alice, shares)).to.be.lessThanOrEqual(preview);
+      }
+    });
+
+    it("should not burn more shares than previewWithdraw", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(await tokenVault.maxWithdraw(bob.address));
+        const preview = await tokenVault.previewWithdraw(assets);
+        expect(await withdraw(bob, assets)).to.be.lessThanOrEqual(preview);
+      }
+    });
+
+    it("should not pay fewer assets than previewRedeem", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(await tokenVault.maxRedeem(bob.address));
+        const preview = await tokenVault.previewRedeem(shares);
+        expect(await redeem(bob, shares)).to.be.greaterThanOrEqual(preview);
+      }
+    });
+
+    it("should include the deposit fee in previewDeposit and previewMint", async function () {
+      const assets = ethers.parseEther("100");
+      expect(await tokenVault.previewDeposit(assets)).to.equal(
+        await tokenVault.convertToShares(ethers.parseEther("95"))
+      );
+      expect(await tokenVault.previewMint(await tokenVault.previewDeposit(assets))).to.be.closeTo(
+        assets,
+        2n
+      );
+    });
+
+    it("should keep withdraw and redeem previews conservative while yield accrues", async function () {
+      await tokenVault.setYieldRate(1000);
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(await tokenVault.maxRedeem(bob.address));
+        const previewRedeem = await tokenVault.previewRedeem(shares);
+        await time.increase(1 + random(30 * 24 * 60 * 60));
+        expect(await redeem(bob, shares)).to.be.greaterThanOrEqual(previewRedeem);
+
+        const assets = randomAmount(await tokenVault.maxWithdraw(bob.address));
+        const previewWithdraw = await tokenVault.previewWithdraw(assets);
+        await time.increase(1 + random(30 * 24 * 60 * 60));
+        expect(await withdraw(bob, assets)).to.be.lessThanOrEqual(previewWithdraw);
+      }
+    });
+  });
+
+  describe("Round Trips", function () {
+    it("should not return more than deposited when redeeming", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(ethers.parseEther("100000"));
+        const shares = await deposit(alice, assets);
+        expect(await redeem(alice, shares)).to.be.lessThanOrEqual(assets);
+      }
+    });
+
+    it("should not burn fewer shares than minted when withdrawing a deposit", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(ethers.parseEther("100000"));
+        const minted = await deposit(alice, assets);
+        expect(await withdraw(alice, assets - fee(assets))).to.be.greaterThanOrEqual(minted);
+      }
+    });
+
+    it("should not return more than paid for minted shares", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(ethers.parseEther("100000"));
+        const paid = await mint(alice, shares);
+        expect(await redeem(alice, shares)).to.be.lessThanOrEqual(paid);
+      }
+    });
+
+    it("should not burn fewer shares than minted when withdrawing a mint", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(ethers.parseEther("100000"));
+        const paid = await mint(alice, shares);
+        expect(await withdraw(alice, paid - fee(paid))).to.be.greaterThanOrEqual(shares);
+      }
+    });
+
+    it("should not mint more shares than redeemed for the redeemed assets", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(await tokenVault.maxRedeem(bob.address));
+        const assets = await redeem(bob, shares);
+        expect(await deposit(bob, assets)).to.be.lessThanOrEqual(shares);
+      }
+    });
+
+    it("should not mint shares back for less than redeemed", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const shares = randomAmount(await tokenVault.maxRedeem(bob.address));
+        const assets = await redeem(bob, shares);
+        expect(await mint(bob, shares)).to.be.greaterThanOrEqual(assets);
+      }
+    });
+
+    it("should not mint burned shares back for less than withdrawn", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(await tokenVault.maxWithdraw(bob.address));
+        const burned = await withdraw(bob, assets);
+        expect(await mint(bob, burned)).to.be.greaterThanOrEqual(assets);
+      }
+    });
+
+    it("should not deposit withdrawn assets for more shares than burned", async function () {
+      for (let i = 0; i < ITERATIONS; i++) {
+        const assets = randomAmount(await tokenVault.maxWithdraw(bob.address));
+        const burned = await withdraw(bob, assets);
+        expect(await deposit(bob, assets)).to.be.lessThanOrEqual(burned);
+      }
+    });
+
+    it("should withdraw and redeem the full position", async function () {
+      await withdraw(alice, await tokenVault.maxWithdraw(alice.address));
+      expect(await tokenVault.convertToAssets(await tokenVault.balanceOf(alice.address))).to.equal(0);
+
+      await redeem(bob, await tokenVault.maxRedeem(bob.address));
+      expect(await tokenVault.balanceOf(bob.address)).to.equal(0);
+      expect(await tokenVault.totalSupply()).to.equal(0);
+      expect(await mockToken.balanceOf(await tokenVault.getAddress())).to.be.greaterThanOrEqual(
+        await tokenVault.totalAssets()
+      );
+    });
+  });
+});
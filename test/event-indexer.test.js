@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const {
+  indexEvents,
+  rebuildAccounting,
+  checkAccounting,
+  runIndexer,
+} = require("../scripts/lib/indexer");
+const { createRandom } = require("../scripts/lib/fuzz");
+
+describe("Event Indexer", function () {
+  let dir;
+  let deployment;
+  let token;
+  let admin;
+  let users;
+
+  const SEED = 20240601;
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin, ...users] = (await ethers.getSigners()).slice(0, 6);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-indexer-"));
+    deployment = await deployVault(hre, { depositFee: 250, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+
+    token = await ethers.getContractAt("MockERC20", deployment.token);
+    for (const user of users) {
+      await token.mint(user.address, ethers.parseEther("100000"));
+      await token.connect(user).approve(deployment.proxy, ethers.MaxUint256);
+    }
+    // Up to V4, yield is paid out of the vault's balance; keep it from eating into deposits
+    await token.mint(deployment.proxy, ethers.parseEther("100000"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Random Scenario", function () {
+    // Sends the transaction, skipping steps the vault rejects (e.g. withdrawing more than
+    // the balance); a rejected step changes no state
+    async function attempt(send) {
+      try {
+        await (await send()).wait();
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    async function runSteps(vault, next, steps, actions) {
+      let succeeded = 0;
+      for (let i = 0; i < steps; i++) {
+        const user = users[Math.floor(next() * users.length)];
+        const action = actions[Math.floor(next() * actions.length)];
+        const balance = await vault.balanceOf(user.address);
+        const amount = ethers.parseEther(String(1 + Math.floor(next() * 500)));
+        const part = balance > 0n ? (balance * BigInt(1 + Math.floor(next() * 100))) / 100n : amount;
+        if (await attempt(() => action(vault, user, { amount, part }))) {
+          succeeded++;
+        }
+        if (next() < 0.2) {
+          await time.increase(Math.floor(next() * 2 * 24 * 60 * 60));
+        }
+      }
+      return succeeded;
+    }
+
+    const deposit = (vault, user, { amount }) => vault.connect(user).deposit(amount);
+    const withdraw = (vault, user, { part }) => vault.connect(user).withdraw(part);
+    const claim = (vault, user) => vault.connect(user).claimYield();
+    const request = (vault, user, { part }) => vault.connect(user).requestWithdrawal(part);
+    const execute = (vault, user) => vault.connect(user).executeWithdrawal();
+    const emergency = (vault, user) => vault.connect(user).emergencyWithdraw();
+
+    it("should rebuild every balance through the V1 to V3 upgrades", async function () {
+      const next = createRandom(SEED);
+      let succeeded = 0;
+
+      // V1: deposits and withdrawals
+      succeeded += await runSteps(deployment.vault, next, 40, [deposit, deposit, withdraw]);
+
+      // V2: yield claims, pausing and yield rate changes
+      const v2 = (await performUpgrade(hre, "v2", { dir, ...silent })).result.vault;
+      await v2.setYieldRate(500);
+      succeeded += await runSteps(v2, next, 40, [
+        deposit,
+        deposit,
+        withdraw,
+        claim,
+        () => (next() < 0.5 ? v2.pauseDeposits() : v2.unpauseDeposits()),
+        () => v2.setYieldRate(Math.floor(next() * 1000)),
+      ]);
+      if (await v2.isDepositsPaused()) {
+        await v2.unpauseDeposits();
+      }
+
+      // V3: delayed withdrawals and emergency withdrawals
+      const v3 = (await performUpgrade(hre, "v3", { dir, ...silent })).result.vault;
+      succeeded += await runSteps(v3, next, 60, [
+        deposit,
+        deposit,
+        withdraw,
+        claim,
+        request,
+        request,
+        execute,
+        execute,
+        emergency,
+        () => v3.setWithdrawalDelay(Math.floor(next() * 3) * 12 * 60 * 60),
+      ]);
+      expect(succeeded).to.be.greaterThan(80);
+
+      const lines = [];
+      const { report, files } = await runIndexer(hre, { dir, log: (line) => lines.push(line) });
+
+      expect(report.mismatches).to.deep.equal([]);
+      expect(report.ok).to.be.true;
+      expect(report.version).to.equal("v3");
+
+      const vaultToken = report.assets[deployment.token];
+      for (const user of users) {
+        const position = vaultToken.users[user.address];
+        if (position) {
+          expect(position.balance).to.equal(await v3.balanceOf(user.address));
+          expect(position.balance).to.equal(
+            position.deposited - position.withdrawn - position.emergencyWithdrawn
+          );
+        }
+      }
+      expect(vaultToken.totalDeposits).to.equal(await v3.totalDeposits());
+
+      // Admin events of every version are kept in order
+      const names = report.adminEvents.map((entry) => entry.event);
+      expect(names.filter((name) => name === "Upgraded")).to.have.lengthOf(3);
+      expect(names).to.include.members(["RoleGranted", "YieldRateSet", "WithdrawalDelaySet"]);
+
+      // Exports
+      const csv = fs.readFileSync(files.csv, "utf8").trim().split("\n");
+      expect(csv[0]).to.equal(
+        "asset,user,balance,deposited,fees,withdrawn,emergencyWithdrawn,yieldClaimed," +
+          "withdrawalRequests,onChainBalance,match"
+      );
+      expect(csv).to.have.lengthOf(Object.keys(vaultToken.users).length + 2);
+      expect(csv.at(-1)).to.match(/,TOTAL,.*,true$/);
+      const json = JSON.parse(fs.readFileSync(files.json, "utf8"));
+      expect(json.assets[deployment.token].totalDeposits).to.equal(vaultToken.totalDeposits.toString());
+      expect(lines.join("\n")).to.include("The rebuilt accounting matches the chain");
+    });
+
+    it("should flag balances the events do not explain", async function () {
+      const vault = deployment.vault;
+      await vault.connect(users[0]).deposit(ethers.parseEther("100"));
+      await vault.connect(users[1]).deposit(ethers.parseEther("200"));
+
+      const events = await indexEvents(hre, deployment.proxy, { fromBlock: deployment.blockNumber });
+      const accounting = rebuildAccounting(
+        events.filter((entry) => !(entry.event === "Deposited" && entry.args.user === users[1].address)),
+        deployment.token
+      );
+      const mismatches = await checkAccounting(vault, deployment.token, accounting);
+
+      expect(mismatches).to.deep.equal([
+        {
+          asset: deployment.token,
+          user: null,
+          field: "totalDeposits",
+          rebuilt: ethers.parseEther("97.5"),
+          onChain: ethers.parseEther("292.5"),
+        },
+      ]);
+    });
+  });
+
+  describe("Rebuild", function () {
+    it("should keep added assets apart from the vault token", function () {
+      const [vaultToken, asset, user] = [1, 2, 3].map((n) => ethers.zeroPadValue(ethers.toBeHex(n), 20));
+      const event = (name, args) => ({ blockNumber: 1, txHash: "0x", logIndex: 0, event: name, args });
+
+      const { assets, adminEvents } = rebuildAccounting(
+        [
+          event("Deposited", { user, amount: 100n, fee: 5n }),
+          event("AssetDeposited", { asset, user, amount: 40n, fee: 0n }),
+          event("WithdrawalQueued", { requestId: 1n, user, amount: 30n, requestTime: 0n }),
+          event("WithdrawalExecuted", { user, amount: 30n }),
+          event("AssetEmergencyWithdrawal", { asset, user, amount: 40n }),
+          event("AssetYieldClaimed", { asset, user, amount: 2n }),
+          event("FeesSwept", { treasury: user, amount: 5n }),
+        ],
+        vaultToken
+      );
+
+      expect(assets[vaultToken].users[user]).to.include({
+        balance: 70n,
+        deposited: 100n,
+        fees: 5n,
+        withdrawn: 30n,
+        withdrawalRequests: 1n,
+      });
+      expect(assets[asset].users[user]).to.include({ balance: 0n, emergencyWithdrawn: 40n, yieldClaimed: 2n });
+      expect(assets[asset].totalDeposits).to.equal(0n);
+      expect(adminEvents.map((entry) => entry.event)).to.deep.equal(["FeesSwept"]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { getFeeReport, formatFeeReport, runFees } = require("../scripts/lib/fees");
+
+describe("Fee Sweep", function () {
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let proxy;
+  let admin;
+  let user1;
+  let treasury;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin, user1, treasury] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-fees-"));
+
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.connect(user1).approve(proxy, ethers.MaxUint256);
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function upgradeToV4() {
+    for (const to of ["v2", "v3", "v4"]) {
+      await performUpgrade(hre, to, { dir, ...silent });
+    }
+    tokenVault = await ethers.getContractAt("TokenVaultV4", proxy);
+    await tokenVault.setTreasury(treasury.address);
+  }
+
+  it("should refuse versions without fee accounting", async function () {
+    await expect(getFeeReport(hre, proxy)).to.be.rejectedWith(
+      "Proxy is at v1; fee accounting requires v4 or later"
+    );
+  });
+
+  it("should report collected, accrued and sweepable fees", async function () {
+    await upgradeToV4();
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    const report = await getFeeReport(hre, proxy);
+
+    expect(report.version.id).to.equal("v4");
+    expect(report.treasury).to.equal(treasury.address);
+    // Fees of deposits made before V4 are collected but never accrued
+    expect(report.collected).to.equal(ethers.parseEther("100"));
+    expect(report.accrued).to.equal(ethers.parseEther("50"));
+    expect(report.sweepable).to.equal(ethers.parseEther("50"));
+    expect(report.swept).to.equal(0);
+    expect(report.totalDeposits).to.equal(ethers.parseEther("1900"));
+    expect(formatFeeReport(report, ethers)).to.include("Sweepable now: 50.0");
+  });
+
+  it("should sweep the fees and record them as swept", async function () {
+    await upgradeToV4();
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    const { sweep } = await runFees(hre, { sweep: true, dir, ...silent });
+
+    expect(sweep.treasury).to.equal(treasury.address);
+    expect(sweep.amount).to.equal(ethers.parseEther("50"));
+    expect(await mockToken.balanceOf(treasury.address)).to.equal(ethers.parseEther("50"));
+
+    const { report } = await runFees(hre, { dir, ...silent });
+    expect(report.swept).to.equal(ethers.parseEther("50"));
+    expect(report.accrued).to.equal(0);
+  });
+
+  it("should skip the sweep when nothing is sweepable", async function () {
+    await upgradeToV4();
+
+    const { sweep } = await runFees(hre, { sweep: true, dir, ...silent });
+
+    expect(sweep).to.be.null;
+  });
+});
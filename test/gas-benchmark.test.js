@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  BENCHMARKS,
+  getBaselinePath,
+  measureGas,
+  readGasBaseline,
+  compareGas,
+  formatGasReport,
+  runGasBenchmark,
+} = require("../scripts/lib/gas");
+
+describe("Gas Benchmarks", function () {
+  let measured;
+
+  before(async function () {
+    this.timeout(0);
+    measured = await measureGas(hre);
+  });
+
+  describe("Measurements", function () {
+    it("should measure every operation of V1 to V3 and the upgrades between them", function () {
+      expect(Object.keys(measured)).to.deep.equal(["v1", "v2", "v3"]);
+      for (const [version, operations] of Object.entries(BENCHMARKS)) {
+        const expected = version === "v1" ? operations : ["upgrade", ...operations];
+        expect(Object.keys(measured[version])).to.deep.equal(expected);
+      }
+      expect(Object.values(measured).flatMap(Object.values).every((gas) => gas > 21000)).to.be.true;
+    });
+
+    it("should measure the same gas on every run, leaving the chain untouched", async function () {
+      this.timeout(0);
+      const block = await hre.ethers.provider.getBlockNumber();
+
+      expect(await measureGas(hre)).to.deep.equal(measured);
+      expect(await hre.ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("should stay within the threshold of the committed baseline", function () {
+      // Coverage instrumentation inflates the gas of every call
+      if (hre.__SOLIDITY_COVERAGE_RUNNING) {
+        this.skip();
+      }
+      const report = compareGas(readGasBaseline(getBaselinePath(hre)), measured);
+
+      expect(report.ok, formatGasReport(report)).to.be.true;
+      expect(report.rows.filter((row) => row.status === "new" || row.status === "missing")).to.deep.equal([]);
+    });
+  });
+
+  describe("Comparison", function () {
+    const baseline = {
+      threshold: 5,
+      versions: { v1: { deposit: 100000, withdraw: 50000 }, v2: { upgrade: 70000 } },
+    };
+
+    it("should flag operations using more gas than the threshold allows", function () {
+      const report = compareGas(baseline, {
+        v1: { deposit: 105000, withdraw: 52600 },
+        v2: { upgrade: 60000, claimYield: 55000 },
+      });
+
+      expect(report.ok).to.be.false;
+      expect(report.threshold).to.equal(5);
+      expect(report.rows.map((row) => [row.version, row.operation, row.status])).to.deep.equal([
+        ["v1", "deposit", "ok"],
+        ["v1", "withdraw", "regressed"],
+        ["v2", "upgrade", "improved"],
+        ["v2", "claimYield", "new"],
+      ]);
+      expect(report.rows[1].change).to.be.closeTo(5.2, 1e-9);
+      const text = formatGasReport(report);
+      expect(text).to.include("[REGRESSED] v1 withdraw: 50000 -> 52600 (+5.20%)");
+      expect(text).to.include("1 operation(s) regressed past 5%");
+    });
+
+    it("should let the caller override the threshold and list missing operations", function () {
+      const measurements = { v1: { deposit: 105000 } };
+
+      expect(compareGas(baseline, measurements).ok).to.be.true;
+      const report = compareGas(baseline, measurements, { threshold: 2 });
+      expect(report.ok).to.be.false;
+      const missing = report.rows.filter((row) => row.status === "missing");
+      expect(missing.map((row) => row.operation)).to.deep.equal(["withdraw", "upgrade"]);
+    });
+  });
+
+  describe("Baseline", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-gas-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should write a baseline with update and compare later runs with it", async function () {
+      this.timeout(0);
+      const file = path.join(dir, "gas-baseline.json");
+      const silent = { log: () => {} };
+      await expect(runGasBenchmark(hre, { file, ...silent })).to.be.rejectedWith(
+        `No gas baseline at ${file}; create one with --update`
+      );
+
+      const written = await runGasBenchmark(hre, { file, update: true, threshold: 2, ...silent });
+      expect(written.report).to.be.null;
+      expect(readGasBaseline(file)).to.deep.equal({ threshold: 2, versions: written.measured });
+
+      const lines = [];
+      const { report } = await runGasBenchmark(hre, { file, log: (line) => lines.push(line) });
+      expect(report.ok).to.be.true;
+      expect(report.threshold).to.equal(2);
+      expect(lines.join("\n")).to.include("No operation regressed past the threshold");
+    });
+  });
+});
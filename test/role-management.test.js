@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { readManifest } = require("../scripts/lib/manifest");
+const {
+  resolveRole,
+  getRoleReport,
+  grantRole,
+  revokeRole,
+  transferRole,
+  runRoles,
+} = require("../scripts/lib/roles");
+
+describe("Role Management", function () {
+  let dir;
+  let deployment;
+  let proxy;
+  let vault;
+  let admin;
+  let user1;
+  let user2;
+
+  const silent = { log: () => {} };
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+  const UPGRADER_ROLE = ethers.id("UPGRADER_ROLE");
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-roles-"));
+
+    deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    proxy = deployment.proxy;
+    vault = deployment.vault;
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function holders(report, name) {
+    return report.roles.find((role) => role.name === name).holders;
+  }
+
+  function roleEntries() {
+    return readManifest(hre, { dir }).history.filter((entry) => entry.action.endsWith("-role"));
+  }
+
+  describe("Listing", function () {
+    it("should resolve role names with or without the _ROLE suffix", function () {
+      expect(resolveRole(hre, "upgrader")).to.deep.equal({ name: "UPGRADER_ROLE", hash: UPGRADER_ROLE });
+      expect(resolveRole(hre, "admin").hash).to.equal(DEFAULT_ADMIN_ROLE);
+      expect(resolveRole(hre, "guardian_role").name).to.equal("GUARDIAN_ROLE");
+      expect(() => resolveRole(hre, "OWNER")).to.throw('Unknown role "OWNER"');
+    });
+
+    it("should rebuild the holders of every role from the events", async function () {
+      await vault.grantRole(UPGRADER_ROLE, user1.address);
+      await vault.grantRole(UPGRADER_ROLE, user2.address);
+      await vault.revokeRole(UPGRADER_ROLE, user1.address);
+
+      const report = await getRoleReport(hre, proxy, { fromBlock: deployment.blockNumber });
+
+      expect(report.version.id).to.equal("v1");
+      expect(report.roles.map((role) => role.name)).to.deep.equal(["DEFAULT_ADMIN_ROLE", "UPGRADER_ROLE"]);
+      expect(holders(report, "DEFAULT_ADMIN_ROLE")).to.deep.equal([admin.address]);
+      expect(holders(report, "UPGRADER_ROLE")).to.deep.equal([admin.address, user2.address].sort());
+      expect(report.roles.every((role) => role.admin === "DEFAULT_ADMIN_ROLE")).to.be.true;
+      expect(report.roles.every((role) => role.stale.length === 0)).to.be.true;
+    });
+
+    it("should list the roles added by later versions", async function () {
+      for (const to of ["v2", "v3"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+
+      const report = await getRoleReport(hre, proxy, { fromBlock: deployment.blockNumber });
+
+      // initializeV2 grants PAUSER_ROLE to the upgrader
+      expect(holders(report, "PAUSER_ROLE")).to.deep.equal([admin.address]);
+      const lines = [];
+      await runRoles(hre, { dir, log: (line) => lines.push(line) });
+      expect(lines.join("\n")).to.include(`PAUSER_ROLE (admin: DEFAULT_ADMIN_ROLE)\n  ${admin.address}`);
+    });
+  });
+
+  describe("Changes", function () {
+    it("should grant a role and log it to the manifest", async function () {
+      const changed = await grantRole(hre, proxy, "UPGRADER_ROLE", user1.address, { dir, ...silent });
+
+      expect(await vault.hasRole(UPGRADER_ROLE, user1.address)).to.be.true;
+      expect(changed).to.have.lengthOf(1);
+      expect(changed[0]).to.include({ fn: "grantRole", role: "UPGRADER_ROLE", account: user1.address });
+      const [entry] = roleEntries();
+      expect(entry).to.include({
+        action: "grant-role",
+        version: "v1",
+        role: "UPGRADER_ROLE",
+        account: user1.address,
+        fn: "grantRole",
+        txHash: changed[0].txHash,
+        deployer: admin.address,
+      });
+    });
+
+    it("should transfer the admin role, granting before renouncing", async function () {
+      const changed = await transferRole(hre, proxy, "admin", user1.address, { dir, ...silent });
+
+      expect(changed.map((change) => change.fn)).to.deep.equal(["grantRole", "renounceRole"]);
+      expect(await vault.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.true;
+      expect(await vault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.false;
+      expect(roleEntries().map((entry) => [entry.action, entry.account])).to.deep.equal([
+        ["grant-role", user1.address],
+        ["revoke-role", admin.address],
+      ]);
+
+      const report = await getRoleReport(hre, proxy, { fromBlock: deployment.blockNumber });
+      expect(holders(report, "DEFAULT_ADMIN_ROLE")).to.deep.equal([user1.address]);
+    });
+
+    it("should transfer a role held by another account", async function () {
+      await vault.grantRole(UPGRADER_ROLE, user1.address);
+
+      const changed = await transferRole(hre, proxy, "UPGRADER_ROLE", user2.address, {
+        from: user1.address,
+        dir,
+        ...silent,
+      });
+
+      expect(changed.map((change) => change.fn)).to.deep.equal(["grantRole", "revokeRole"]);
+      expect(await vault.hasRole(UPGRADER_ROLE, user1.address)).to.be.false;
+      expect(await vault.hasRole(UPGRADER_ROLE, user2.address)).to.be.true;
+    });
+
+    it("should refuse to leave the vault without an admin or an upgrader", async function () {
+      const options = { fromBlock: deployment.blockNumber, dir, ...silent };
+      await expect(revokeRole(hre, proxy, "DEFAULT_ADMIN_ROLE", admin.address, options)).to.be.rejectedWith(
+        `${admin.address} is the last DEFAULT_ADMIN_ROLE holder; refusing to leave the vault without one`
+      );
+      await expect(revokeRole(hre, proxy, "UPGRADER_ROLE", admin.address, options)).to.be.rejectedWith(
+        "is the last UPGRADER_ROLE holder"
+      );
+
+      await grantRole(hre, proxy, "UPGRADER_ROLE", user1.address, options);
+      const changed = await revokeRole(hre, proxy, "UPGRADER_ROLE", admin.address, options);
+
+      expect(changed[0].fn).to.equal("renounceRole");
+      expect(await vault.hasRole(UPGRADER_ROLE, admin.address)).to.be.false;
+      expect(roleEntries().map((entry) => entry.action)).to.deep.equal(["grant-role", "revoke-role"]);
+    });
+
+    it("should allow revoking the last holder of other roles", async function () {
+      await performUpgrade(hre, "v2", { dir, ...silent });
+
+      await revokeRole(hre, proxy, "pauser", admin.address, { fromBlock: deployment.blockNumber, dir, ...silent });
+
+      const report = await getRoleReport(hre, proxy, { fromBlock: deployment.blockNumber });
+      expect(holders(report, "PAUSER_ROLE")).to.deep.equal([]);
+    });
+
+    it("should refuse changes that would not change anything or that the signer cannot make", async function () {
+      const options = { dir, ...silent };
+      await expect(grantRole(hre, proxy, "UPGRADER_ROLE", admin.address, options)).to.be.rejectedWith(
+        `${admin.address} already holds UPGRADER_ROLE`
+      );
+      await expect(revokeRole(hre, proxy, "UPGRADER_ROLE", user1.address, options)).to.be.rejectedWith(
+        `${user1.address} does not hold UPGRADER_ROLE`
+      );
+      await expect(grantRole(hre, proxy, "UPGRADER_ROLE", ethers.ZeroAddress, options)).to.be.rejectedWith(
+        "Invalid account address"
+      );
+      await expect(transferRole(hre, proxy, "UPGRADER_ROLE", admin.address, options)).to.be.rejectedWith(
+        "cannot transfer UPGRADER_ROLE to itself"
+      );
+      await expect(
+        grantRole(hre, proxy, "UPGRADER_ROLE", user2.address, { signer: user1, ...options })
+      ).to.be.rejectedWith(`${user1.address} does not hold DEFAULT_ADMIN_ROLE, the admin role of UPGRADER_ROLE`);
+      expect(roleEntries()).to.deep.equal([]);
+    });
+  });
+
+  describe("Role Tool", function () {
+    it("should apply one change and list the holders afterwards", async function () {
+      const { report, changed } = await runRoles(hre, {
+        grant: "upgrader",
+        account: user1.address,
+        dir,
+        ...silent,
+      });
+
+      expect(changed).to.have.lengthOf(1);
+      expect(holders(report, "UPGRADER_ROLE")).to.include(user1.address);
+    });
+
+    it("should refuse ambiguous or incomplete changes", async function () {
+      await expect(
+        runRoles(hre, { grant: "upgrader", revoke: "upgrader", account: user1.address, dir, ...silent })
+      ).to.be.rejectedWith("Only one of grant, revoke and transfer can be given at a time");
+      await expect(runRoles(hre, { revoke: "upgrader", dir, ...silent })).to.be.rejectedWith(
+        "An account is required to revoke a role"
+      );
+      await expect(runRoles(hre, { transfer: "admin", dir, ...silent })).to.be.rejectedWith(
+        "A recipient is required to transfer a role"
+      );
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment, upgradeVault } = require("../scripts/lib/vault");
+const { readManifest, getLatestDeployment } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { compareDowngradeLayouts } = require("../scripts/lib/layout");
+const { rollbackVault } = require("../scripts/lib/rollback");
+
+describe("Rollback", function () {
+  const LAST_CLAIM_TIME_SLOT = 5;
+
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let proxy;
+  let admin;
+  let user1;
+  let user2;
+
+  const silent = { log: () => {} };
+
+  // Reads _lastClaimTime[user] straight from storage, V2 has no getter for it
+  async function lastClaimTime(user) {
+    const slot = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [user, LAST_CLAIM_TIME_SLOT])
+    );
+    return BigInt(await ethers.provider.getStorage(proxy, slot));
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-rollback-"));
+
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    proxy = deployment.proxy;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000"));
+      await mockToken.connect(user).approve(proxy, ethers.MaxUint256);
+    }
+    await deployment.vault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    const v2 = await performUpgrade(hre, "v2", { dir, ...silent });
+    await v2.result.vault.setYieldRate(1000);
+    await v2.result.vault.connect(user2).deposit(ethers.parseEther("2000"));
+    await time.increase(30 * 24 * 60 * 60);
+
+    const v3 = await performUpgrade(hre, "v3", { dir, ...silent });
+    tokenVault = v3.result.vault;
+    await tokenVault.setWithdrawalDelay(2 * 24 * 60 * 60);
+    await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("V3 -> V2", function () {
+    it("should point the proxy back at the recorded V2 implementation", async function () {
+      const recorded = readManifest(hre, { dir }).history[1].implementation;
+
+      const { result } = await rollbackVault(hre, "v2", { dir, ...silent });
+
+      expect(await result.vault.getImplementationVersion()).to.equal("v2.0.0");
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(recorded);
+    });
+
+    it("should keep balances, totals and yield timestamps", async function () {
+      const balances = [
+        await tokenVault.balanceOf(user1.address),
+        await tokenVault.balanceOf(user2.address),
+      ];
+      const totalDeposits = await tokenVault.totalDeposits();
+      const claimTimes = [await lastClaimTime(user1.address), await lastClaimTime(user2.address)];
+      expect(claimTimes[1]).to.be.greaterThan(0n);
+
+      const { result, diff } = await rollbackVault(hre, "v2", { dir, ...silent });
+      const vault = result.vault;
+
+      expect(diff.ok).to.be.true;
+      expect(await vault.balanceOf(user1.address)).to.equal(balances[0]);
+      expect(await vault.balanceOf(user2.address)).to.equal(balances[1]);
+      expect(await vault.totalDeposits()).to.equal(totalDeposits);
+      expect(await vault.getYieldRate()).to.equal(1000);
+      expect(await lastClaimTime(user1.address)).to.equal(claimTimes[0]);
+      expect(await lastClaimTime(user2.address)).to.equal(claimTimes[1]);
+
+      // Yield keeps working on the older version
+      await expect(vault.connect(user2).claimYield()).to.emit(vault, "YieldClaimed");
+    });
+
+    it("should warn about V3-only state that becomes inaccessible", async function () {
+      const logs = [];
+
+      const { inaccessible, diff } = await rollbackVault(hre, "v2", {
+        dir,
+        log: (...args) => logs.push(args.join(" ")),
+      });
+
+      expect(inaccessible.map((i) => i.path)).to.deep.equal([
+        "global.getWithdrawalDelay",
+        `users.${user1.address}.withdrawalRequest`,
+      ]);
+      expect(inaccessible[1].value.amount).to.equal(ethers.parseEther("100").toString());
+      expect(logs.some((line) => line.startsWith(`[WARNING] users.${user1.address}.withdrawalRequest`)))
+        .to.be.true;
+      // Removed values are reported but not counted as violations
+      expect(diff.changes.find((c) => c.path === "global.getWithdrawalDelay")).to.include({
+        kind: "removed",
+        violation: false,
+      });
+    });
+
+    it("should record the rollback in the manifest", async function () {
+      const { result, file } = await rollbackVault(hre, undefined, { dir, ...silent });
+
+      const manifest = readManifest(hre, { dir });
+      const entry = manifest.history.at(-1);
+      expect(entry).to.include({
+        action: "rollback",
+        version: "v2",
+        from: "v3",
+        implementation: result.implementation,
+        txHash: result.txHash,
+      });
+      expect(getLatestDeployment(manifest)).to.equal(entry);
+      expect(path.basename(file)).to.match(/^hardhat-rollback-v3-v2-/);
+    });
+
+    it("should restore V3 state when upgrading again", async function () {
+      await rollbackVault(hre, "v2", { dir, ...silent });
+
+      const result = await upgradeVault(hre, proxy, "v3", silent);
+
+      // initializeV3 already ran and is skipped, so the custom delay survives
+      expect(result.initializer).to.be.null;
+      expect(await result.vault.getWithdrawalDelay()).to.equal(2 * 24 * 60 * 60);
+      const [amount] = await result.vault.getWithdrawalRequest(user1.address);
+      expect(amount).to.equal(ethers.parseEther("100"));
+    });
+  });
+
+  describe("V8 -> V7", function () {
+    let v8;
+
+    beforeEach(async function () {
+      for (const to of ["v4", "v5", "v6", "v7", "v8"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+      v8 = await ethers.getContractAt("TokenVaultV8", proxy);
+      // user1's V3 request was migrated into the queue as request 1
+      expect(await v8.getLockedBalance(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should refuse to drop queued withdrawal requests", async function () {
+      await expect(rollbackVault(hre, "v7", { dir, ...silent })).to.be.rejectedWith(
+        `Cannot roll back to v7: ${user1.address} still hold queued withdrawal requests`
+      );
+      expect(await v8.getImplementationVersion()).to.equal("v8.0.0");
+    });
+
+    it("should roll back once the requests are cancelled", async function () {
+      await v8.connect(user1).cancelWithdrawal(1);
+
+      const { result, queued } = await rollbackVault(hre, "v7", { dir, ...silent });
+
+      expect(queued).to.deep.equal([]);
+      expect(await result.vault.getImplementationVersion()).to.equal("v7.0.0");
+    });
+
+    it("should roll back with force, warning about the unlocked requests", async function () {
+      const logs = [];
+
+      const { result, queued } = await rollbackVault(hre, "v7", {
+        force: true,
+        dir,
+        log: (...args) => logs.push(args.join(" ")),
+      });
+
+      expect(queued).to.deep.equal([{ user: user1.address, amount: ethers.parseEther("100") }]);
+      expect(logs).to.include(`[WARNING] 100.0 requested by ${user1.address} will be unlocked on v7`);
+      expect(await result.vault.getAvailableBalance(user1.address)).to.equal(
+        await result.vault.balanceOf(user1.address)
+      );
+    });
+  });
+
+  describe("Checks", function () {
+    it("should roll back more than one version", async function () {
+      const balance = await tokenVault.balanceOf(user1.address);
+
+      const { result, diff } = await rollbackVault(hre, "v1", { dir, ...silent });
+
+      expect(diff.ok).to.be.true;
+      expect(await result.vault.getImplementationVersion()).to.equal("v1.0.0");
+      expect(await result.vault.balanceOf(user1.address)).to.equal(balance);
+    });
+
+    it("should refuse to roll forward", async function () {
+      await expect(rollbackVault(hre, "v3", { dir, ...silent })).to.be.rejectedWith(
+        "Cannot roll back to v3: proxy is at v3"
+      );
+    });
+
+    it("should refuse rollbacks from accounts without UPGRADER_ROLE", async function () {
+      await expect(
+        rollbackVault(hre, "v2", { signer: user1, dir, ...silent })
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should accept downgrades that keep the older layout", async function () {
+      expect((await compareDowngradeLayouts(hre, "TokenVaultV3", "TokenVaultV2")).ok).to.be.true;
+      expect((await compareDowngradeLayouts(hre, "TokenVaultV3", "TokenVaultV1")).ok).to.be.true;
+    });
+
+    it("should reject downgrades to a diverging layout", async function () {
+      const report = await compareDowngradeLayouts(hre, "TokenVaultV2", "TokenVaultBadLayout");
+
+      expect(report.ok).to.be.false;
+      expect(report.explanation).to.include("`_totalDeposits` is retyped");
+      expect(report.explanation).to.include("`treasury` is inserted");
+    });
+  });
+});
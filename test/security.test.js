@@ -82,6 +82,75 @@ describe("Security Tests", function () {
         )
       ).to.be.revertedWith("Fee cannot exceed 100%");
     });
+
+    it("should prevent an attacker from running initializeV2 between upgrade and initialization", async function () {
+      const PAUSER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE"));
+      const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+      tokenVault = await upgrades.deployProxy(
+        TokenVaultV1,
+        [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await tokenVault.waitForDeployment();
+
+      // Upgrade without calling the reinitializer, leaving it open
+      const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2);
+
+      await expect(
+        tokenVault.connect(attacker).initializeV2()
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      expect(await tokenVault.hasRole(PAUSER_ROLE, attacker.address)).to.be.false;
+
+      // The upgrader can still complete the initialization
+      await tokenVault.initializeV2();
+      expect(await tokenVault.hasRole(PAUSER_ROLE, admin.address)).to.be.true;
+    });
+
+    it("should prevent an attacker from running initializeV3 between upgrade and initialization", async function () {
+      const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+      tokenVault = await upgrades.deployProxy(
+        TokenVaultV1,
+        [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await tokenVault.waitForDeployment();
+
+      const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2, {
+        call: { fn: "initializeV2" },
+      });
+      const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3");
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV3);
+
+      await expect(
+        tokenVault.connect(attacker).initializeV3()
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      expect(await tokenVault.getWithdrawalDelay()).to.equal(0);
+    });
+
+    it("should leave no window when upgrading with the reinitializer call", async function () {
+      const PAUSER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE"));
+      const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+      tokenVault = await upgrades.deployProxy(
+        TokenVaultV1,
+        [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await tokenVault.waitForDeployment();
+
+      const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2, {
+        call: { fn: "initializeV2" },
+      });
+
+      // Already initialized by the upgrade transaction itself
+      await expect(
+        tokenVault.connect(attacker).initializeV2()
+      ).to.be.revertedWithCustomError(tokenVault, "InvalidInitialization");
+      expect(await tokenVault.hasRole(PAUSER_ROLE, admin.address)).to.be.true;
+      expect(await tokenVault.hasRole(PAUSER_ROLE, attacker.address)).to.be.false;
+    });
   });
 
   describe("Upgrade Authorization", function () {
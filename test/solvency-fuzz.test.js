@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  INVARIANTS,
+  createRandom,
+  generateSequence,
+  setupFuzz,
+  runSequence,
+  shrinkSequence,
+  runFuzz,
+  formatFuzzFailure,
+} = require("../scripts/lib/fuzz");
+
+// FUZZ_SEED replays a reported failure and FUZZ_SEED=random explores new sequences; the
+// fixed default keeps `npm test` deterministic
+const SEED =
+  process.env.FUZZ_SEED === "random"
+    ? Math.floor(Math.random() * 2 ** 31)
+    : Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 3);
+const LENGTH = Number(process.env.FUZZ_LENGTH || 120);
+
+describe("Solvency Fuzzing", function () {
+  let fuzz;
+
+  before(async function () {
+    fuzz = await setupFuzz(hre, { users: 4 });
+  });
+
+  describe("Sequences", function () {
+    it("should generate the same sequence from the same seed", function () {
+      const first = generateSequence(createRandom(42), { length: 50 });
+      expect(generateSequence(createRandom(42), { length: 50 })).to.deep.equal(first);
+      expect(generateSequence(createRandom(43), { length: 50 })).to.not.deep.equal(first);
+      expect(first.every((step) => step.user === undefined || (step.user >= 0 && step.user < 4))).to.be
+        .true;
+    });
+
+    it("should start every sequence from the same state", async function () {
+      const steps = [{ action: "deposit", user: 0, amount: 100 }];
+      await runSequence(hre, fuzz, steps);
+      const { trace } = await runSequence(hre, fuzz, [...steps, { action: "withdraw", user: 0, share: 100 }]);
+
+      expect(trace).to.deep.equal(["ok", "ok"]);
+      const vault = await hre.ethers.getContractAt("TokenVaultV1", fuzz.proxy);
+      expect(await vault.totalDeposits()).to.equal(0n);
+    });
+
+    it("should count contract reverts as outcomes and rethrow other errors", async function () {
+      const { trace } = await runSequence(hre, fuzz, [{ action: "deposit", user: 0, amount: 20000000 }]);
+      expect(trace).to.deep.equal(["reverted"]);
+
+      await expect(runSequence(hre, fuzz, [{ action: "deposit", user: 0, amount: -1 }])).to.be.rejectedWith(
+        "value out-of-bounds"
+      );
+    });
+  });
+
+  describe("Invariants", function () {
+    it("should hold across random sequences of user actions, admin changes and upgrades", async function () {
+      this.timeout(0);
+      const result = await runFuzz(hre, fuzz, { seed: SEED, runs: RUNS, length: LENGTH });
+
+      expect(result.ok, result.ok ? "" : formatFuzzFailure(result)).to.be.true;
+      expect(result.steps).to.be.greaterThan(0);
+    });
+
+    it("should follow the upgrades up to the latest version", async function () {
+      this.timeout(0);
+      const upgrade = { action: "upgrade" };
+      const steps = [
+        { action: "deposit", user: 0, amount: 500 },
+        ...Array(2).fill(upgrade),
+        { action: "requestWithdrawal", user: 0, share: 50 },
+        ...Array(4).fill(upgrade),
+        { action: "deposit", user: 1, amount: 300 },
+        ...Array(6).fill(upgrade),
+        { action: "wait", seconds: 86400 },
+        { action: "executeWithdrawal", user: 0 },
+        upgrade,
+      ];
+      const { ok, trace } = await runSequence(hre, fuzz, steps);
+
+      expect(ok).to.be.true;
+      expect(trace).to.deep.equal([...Array(steps.length - 1).fill("ok"), "skipped"]);
+    });
+  });
+
+  describe("Shrinking", function () {
+    // Up to V6, withdraw ignores pending requests; checking requests-covered from V3 on
+    // gives the fuzzer a violation to find
+    const invariants = INVARIANTS.map((invariant) =>
+      invariant.name === "requests-covered" ? { ...invariant, since: "v3" } : invariant
+    );
+    const options = {
+      seed: 1,
+      runs: 20,
+      length: 40,
+      weights: { upgrade: 6, requestWithdrawal: 6, withdraw: 6 },
+      target: "v3",
+      invariants,
+    };
+
+    it("should shrink a violation to a minimal sequence reproducible from its seed", async function () {
+      this.timeout(0);
+      const result = await runFuzz(hre, fuzz, options);
+
+      expect(result.ok).to.be.false;
+      expect(result.failure.invariant).to.equal("requests-covered");
+      const { steps, failure } = result.shrunk;
+      expect(steps.length).to.be.lessThan(result.failure.index + 1);
+      expect(failure.invariant).to.equal("requests-covered");
+      const actions = steps.map((step) => step.action);
+      expect(actions).to.include.members(["upgrade", "deposit", "requestWithdrawal", "withdraw"]);
+
+      // Removing any single step makes the violation go away
+      for (let i = 0; i < steps.length; i++) {
+        const reduced = await runSequence(hre, fuzz, steps.toSpliced(i, 1), options);
+        expect(reduced.ok || reduced.failure.invariant !== "requests-covered").to.be.true;
+      }
+
+      // The reported seed regenerates the failing sequence
+      const replayed = await runSequence(
+        hre,
+        fuzz,
+        generateSequence(createRandom(result.seed), { ...options, users: 4 }),
+        options
+      );
+      expect(replayed.failure).to.deep.equal(result.failure);
+
+      const report = formatFuzzFailure(result);
+      expect(report).to.include(`Invariant "requests-covered" violated on v3`);
+      expect(report).to.include(`Shrunk to ${steps.length} step(s)`);
+      expect(report).to.include(`FUZZ_SEED=${result.seed} FUZZ_RUNS=1`);
+      expect(report).to.not.include("may not be minimal");
+      expect(result.shrunk.minimal).to.be.true;
+
+      // Shrinking cut short by maxRuns says so
+      const capped = await shrinkSequence(hre, fuzz, result.steps, result.failure, { ...options, maxRuns: 3 });
+      expect(capped).to.include({ runs: 3, minimal: false });
+      expect(formatFuzzFailure({ ...result, shrunk: capped })).to.include(
+        "Shrinking stopped after 3 replays; the sequence may not be minimal"
+      );
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getVersion } = require("../scripts/lib/versions");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { takeSnapshot, diffSnapshots } = require("../scripts/lib/snapshot");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+
+describe("State Snapshot", function () {
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let proxy;
+  let fromBlock;
+  let admin;
+  let user1;
+  let user2;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-snapshot-"));
+
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+    fromBlock = deployment.blockNumber;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000"));
+      await mockToken.connect(user).approve(proxy, ethers.MaxUint256);
+    }
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Snapshot", function () {
+    it("should capture globals, depositors and role members", async function () {
+      const snapshot = await takeSnapshot(hre, proxy, getVersion("v1"), { fromBlock });
+
+      expect(snapshot.version).to.equal("v1");
+      expect(snapshot.global).to.deep.equal({
+        token: await mockToken.getAddress(),
+        getDepositFee: "500",
+        totalDeposits: ethers.parseEther("2850").toString(),
+      });
+      expect(snapshot.users).to.deep.equal({
+        [user1.address]: { balance: ethers.parseEther("950").toString() },
+        [user2.address]: { balance: ethers.parseEther("1900").toString() },
+      });
+      expect(snapshot.roles).to.deep.equal({
+        DEFAULT_ADMIN_ROLE: [admin.address],
+        UPGRADER_ROLE: [admin.address],
+      });
+    });
+
+    it("should keep depositors that withdrew everything", async function () {
+      await tokenVault.connect(user1).withdraw(ethers.parseEther("950"));
+
+      const snapshot = await takeSnapshot(hre, proxy, getVersion("v1"), { fromBlock });
+
+      expect(snapshot.users[user1.address].balance).to.equal("0");
+    });
+
+    it("should drop revoked role members", async function () {
+      const UPGRADER_ROLE = await tokenVault.UPGRADER_ROLE();
+      await tokenVault.grantRole(UPGRADER_ROLE, user1.address);
+      await tokenVault.grantRole(UPGRADER_ROLE, user2.address);
+      await tokenVault.revokeRole(UPGRADER_ROLE, user1.address);
+
+      const snapshot = await takeSnapshot(hre, proxy, getVersion("v1"), { fromBlock });
+
+      expect(snapshot.roles.UPGRADER_ROLE).to.have.members([admin.address, user2.address]);
+    });
+  });
+
+  describe("Upgrade Diff", function () {
+    it("should find no violations when upgrading through V3", async function () {
+      const v2 = await performUpgrade(hre, "v2", { dir, ...silent });
+      expect(v2.diff.ok).to.be.true;
+
+      await v2.result.vault.setYieldRate(1000);
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1"));
+      await time.increase(30 * 24 * 60 * 60);
+
+      const v3 = await performUpgrade(hre, "v3", { dir, ...silent });
+      expect(v3.diff.ok).to.be.true;
+
+      // Pending yield keeps accruing across the upgrade
+      const yieldChange = v3.diff.changes.find(
+        (c) => c.path === `users.${user1.address}.yield`
+      );
+      expect(yieldChange.kind).to.equal("changed");
+      expect(yieldChange.violation).to.be.false;
+      expect(v3.diff.changes).to.deep.include({
+        path: `users.${user1.address}.withdrawalRequest.amount`,
+        kind: "added",
+        before: null,
+        after: "0",
+        violation: false,
+      });
+    });
+
+    it("should write a machine-readable diff", async function () {
+      const { file } = await performUpgrade(hre, "v2", { dir, ...silent });
+
+      expect(path.dirname(file)).to.equal(path.join(dir, "snapshots"));
+      expect(path.basename(file)).to.match(/^hardhat-upgrade-v1-v2-/);
+
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(saved.diff.ok).to.be.true;
+      expect(saved.before.version).to.equal("v1");
+      expect(saved.after.version).to.equal("v2");
+      expect(saved.diff.changes.map((c) => c.path)).to.include(
+        `roles.PAUSER_ROLE.${admin.address}`
+      );
+    });
+  });
+
+  describe("Violations", function () {
+    let before;
+
+    beforeEach(async function () {
+      before = await takeSnapshot(hre, proxy, getVersion("v1"), { fromBlock });
+    });
+
+    it("should flag changed balances", async function () {
+      const after = structuredClone(before);
+      after.users[user1.address].balance = "0";
+
+      const diff = diffSnapshots(before, after);
+
+      expect(diff.ok).to.be.false;
+      expect(diff.violations).to.equal(1);
+      expect(diff.changes[0]).to.include({
+        path: `users.${user1.address}.balance`,
+        kind: "changed",
+        violation: true,
+      });
+    });
+
+    it("should flag decreasing yield", async function () {
+      before.users[user1.address].yield = "100";
+      const grown = structuredClone(before);
+      grown.users[user1.address].yield = "150";
+      const shrunk = structuredClone(before);
+      shrunk.users[user1.address].yield = "50";
+
+      expect(diffSnapshots(before, grown).ok).to.be.true;
+      expect(diffSnapshots(before, shrunk).ok).to.be.false;
+    });
+
+    it("should flag lost role members unless removals are allowed", async function () {
+      const after = structuredClone(before);
+      after.roles.UPGRADER_ROLE = [];
+
+      expect(diffSnapshots(before, after).violations).to.equal(1);
+      expect(diffSnapshots(before, after, { allowRemoved: true }).ok).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { compareStorageLayouts, formatLayoutReport, runLayoutCheck } = require("../scripts/lib/layout");
+
+describe("Storage Layout", function () {
+  const row = (report, label) => report.rows.find((r) => r.label === label);
+
+  describe("Compatible Upgrades", function () {
+    it("should report V2 -> V3 as compatible with appended variables", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultV3");
+
+      expect(report.ok).to.be.true;
+      expect(report.removed).to.be.empty;
+      expect(row(report, "token")).to.include({ slot: 0, change: "unchanged" });
+      expect(row(report, "depositsPaused")).to.include({ slot: 6, change: "unchanged" });
+      expect(row(report, "withdrawalDelay")).to.include({ slot: 7, change: "appended" });
+      expect(row(report, "_withdrawalRequests")).to.include({ slot: 8, change: "appended" });
+    });
+
+    it("should report the gap shrinking by the slots the new variables use", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultV3");
+
+      expect(report.gaps).to.deep.equal([
+        { label: "__gap", from: 47, to: 45, slotsFrom: 7, slotsTo: 9 },
+      ]);
+      expect(row(report, "__gap").change).to.equal("resized");
+    });
+
+    it("should report V1 -> V3 as compatible", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV1", "TokenVaultV3");
+
+      expect(report.ok).to.be.true;
+      expect(report.gaps[0]).to.include({ from: 50, to: 45 });
+      expect(report.rows.filter((r) => r.change === "appended").map((r) => r.label)).to.deep.equal([
+        "yieldRate",
+        "_lastClaimTime",
+        "depositsPaused",
+        "withdrawalDelay",
+        "_withdrawalRequests",
+      ]);
+    });
+
+    it("should not flag structs copied from the previous version as retyped", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV8", "TokenVaultV9");
+
+      expect(report.ok).to.be.true;
+      expect(row(report, "_withdrawalRequests")).to.include({ slot: 8, change: "unchanged" });
+      expect(row(report, "_yieldIndex")).to.include({ slot: 13, change: "unchanged" });
+      expect(row(report, "_queuedWithdrawals")).to.include({ slot: 19, change: "unchanged" });
+      expect(row(report, "_assets")).to.include({ slot: 23, change: "appended" });
+    });
+  });
+
+  describe("Incompatible Upgrades", function () {
+    it("should flag retyped, inserted, moved and removed variables", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultBadLayout");
+
+      expect(report.ok).to.be.false;
+      expect(row(report, "_totalDeposits")).to.include({ change: "retyped", type: "uint128" });
+      expect(row(report, "treasury")).to.include({ slot: 4, change: "inserted" });
+      expect(row(report, "yieldRate")).to.include({ slot: 5, change: "moved" });
+      expect(report.removed.map((r) => r.label)).to.deep.equal(["depositsPaused"]);
+    });
+
+    it("should explain why the layout is incompatible", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultBadLayout");
+
+      expect(report.explanation).to.include("Upgraded `_totalDeposits` to an incompatible type");
+      expect(report.explanation).to.include("Inserted `treasury`");
+      expect(report.explanation).to.include("Deleted `depositsPaused`");
+    });
+
+    it("should reject downgrading V3 -> V2", async function () {
+      const report = await compareStorageLayouts(hre, "TokenVaultV3", "TokenVaultV2");
+
+      expect(report.ok).to.be.false;
+      expect(report.removed.map((r) => r.label)).to.deep.equal([
+        "withdrawalDelay",
+        "_withdrawalRequests",
+      ]);
+      expect(report.explanation).to.include("Bad storage gap resize from 45 to 47");
+    });
+  });
+
+  describe("Report", function () {
+    it("should print a table with a verdict", async function () {
+      const ok = formatLayoutReport(await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultV3"));
+      const bad = formatLayoutReport(
+        await compareStorageLayouts(hre, "TokenVaultV2", "TokenVaultBadLayout")
+      );
+
+      expect(ok).to.match(/^7\s+0\s+withdrawalDelay\s+uint256\s+appended$/m);
+      expect(ok).to.include("__gap: 47 -> 45 slots (2 used by new variables), starts at slot 9");
+      expect(ok).to.include("Compatible: TokenVaultV3 can safely replace TokenVaultV2");
+      expect(bad).to.include("retyped from uint256");
+      expect(bad).to.include("Incompatible: TokenVaultBadLayout cannot replace TokenVaultV2");
+    });
+
+    it("should log the report of a layout check", async function () {
+      const lines = [];
+      const log = (line) => lines.push(line);
+
+      const bad = await runLayoutCheck(hre, "TokenVaultV3", "TokenVaultV2", { log });
+      expect(bad.ok).to.be.false;
+      expect(lines.join("\n")).to.include("Incompatible: TokenVaultV2 cannot replace TokenVaultV3");
+      const ok = await runLayoutCheck(hre, "TokenVaultV1", "TokenVaultV2", { log });
+      expect(ok.ok).to.be.true;
+      expect(lines.at(-1)).to.include("Compatible: TokenVaultV2 can safely replace TokenVaultV1");
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { proposeUpgrade, formatProposal } = require("../scripts/lib/propose");
+
+describe("Upgrade Proposals", function () {
+  const MIN_DELAY = 2 * 24 * 60 * 60;
+
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let timelock;
+  let proxy;
+  let admin;
+  let proposer;
+  let executor;
+  let user1;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin, proposer, executor, user1] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-proposal-"));
+
+    const deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    await mockToken.mint(user1.address, ethers.parseEther("1000"));
+    await mockToken.connect(user1).approve(proxy, ethers.MaxUint256);
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    timelock = await TimelockController.deploy(
+      MIN_DELAY,
+      [proposer.address],
+      [executor.address],
+      ethers.ZeroAddress
+    );
+    await timelock.waitForDeployment();
+
+    // Hand upgrade rights to the timelock
+    const UPGRADER_ROLE = await tokenVault.UPGRADER_ROLE();
+    await tokenVault.grantRole(UPGRADER_ROLE, await timelock.getAddress());
+    await tokenVault.revokeRole(UPGRADER_ROLE, admin.address);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function propose(to) {
+    return proposeUpgrade(hre, to, { timelock: await timelock.getAddress(), dir, ...silent });
+  }
+
+  async function scheduleAndExecute(proposal) {
+    await proposer.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.schedule });
+    await time.increase(MIN_DELAY);
+    await executor.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.execute });
+  }
+
+  describe("Propose", function () {
+    it("should deploy the implementation without upgrading the proxy", async function () {
+      const { proposal } = await propose("v2");
+
+      expect(await tokenVault.getImplementationVersion()).to.equal("v1.0.0");
+      expect(await ethers.provider.getCode(proposal.implementation)).to.not.equal("0x");
+      expect(proposal.implementation).to.not.equal(
+        await upgrades.erc1967.getImplementationAddress(proxy)
+      );
+    });
+
+    it("should encode upgradeToAndCall with the reinitializer", async function () {
+      const { proposal } = await propose("v2");
+      const V2 = await ethers.getContractFactory("TokenVaultV2");
+
+      expect(proposal).to.include({ target: proxy, value: "0", from: "v1", to: "v2" });
+      const [implementation, data] = V2.interface.decodeFunctionData(
+        "upgradeToAndCall",
+        proposal.data
+      );
+      expect(implementation).to.equal(proposal.implementation);
+      expect(data).to.equal(V2.interface.encodeFunctionData("initializeV2"));
+      expect(proposal.initializer).to.deep.equal({ fn: "initializeV2", args: [], data });
+    });
+
+    it("should write the proposal file and record it in the manifest", async function () {
+      const { proposal, file } = await propose("v2");
+
+      expect(path.dirname(file)).to.equal(path.join(dir, "proposals"));
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal(proposal);
+
+      const entry = readManifest(hre, { dir }).history.at(-1);
+      expect(entry).to.include({
+        action: "propose",
+        version: "v2",
+        implementation: proposal.implementation,
+        proposal: path.relative(dir, file),
+      });
+    });
+
+    it("should encode the timelock operation", async function () {
+      const { proposal } = await propose("v2");
+
+      expect(proposal.timelock.delay).to.equal(MIN_DELAY.toString());
+      expect(proposal.timelock.operationId).to.equal(
+        await timelock.hashOperation(
+          proxy,
+          0,
+          proposal.data,
+          ethers.ZeroHash,
+          proposal.timelock.salt
+        )
+      );
+      expect(formatProposal(proposal, "p.json")).to.include(proposal.timelock.operationId);
+    });
+
+    it("should leave out the timelock section when no timelock is given", async function () {
+      const { proposal } = await proposeUpgrade(hre, "v2", { dir, ...silent });
+
+      expect(proposal.timelock).to.be.null;
+    });
+
+    it("should refuse to skip versions", async function () {
+      await expect(propose("v3")).to.be.rejectedWith(
+        "Cannot skip versions: proxy is at v1, upgrade to v2 first"
+      );
+    });
+  });
+
+  describe("Timelock Execution", function () {
+    it("should upgrade through propose -> wait -> execute", async function () {
+      const { proposal } = await propose("v2");
+
+      await proposer.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.schedule });
+      expect(await timelock.isOperationPending(proposal.timelock.operationId)).to.be.true;
+
+      await expect(
+        executor.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.execute })
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(MIN_DELAY);
+      await executor.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.execute });
+
+      const vault = await ethers.getContractAt("TokenVaultV2", proxy);
+      expect(await vault.getImplementationVersion()).to.equal("v2.0.0");
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(
+        proposal.implementation
+      );
+      expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      // initializeV2 ran inside the upgrade, with the timelock as caller
+      expect(await vault.hasRole(await vault.PAUSER_ROLE(), await timelock.getAddress())).to.be.true;
+    });
+
+    it("should continue with the next proposal after execution", async function () {
+      await scheduleAndExecute((await propose("v2")).proposal);
+      const { proposal } = await propose("v3");
+      await scheduleAndExecute(proposal);
+
+      const vault = await ethers.getContractAt("TokenVaultV3", proxy);
+      expect(await vault.getImplementationVersion()).to.equal("v3.0.0");
+      expect(await vault.getWithdrawalDelay()).to.equal(24 * 60 * 60);
+    });
+
+    it("should reject the proposal when sent by an account without UPGRADER_ROLE", async function () {
+      const { proposal } = await propose("v2");
+
+      await expect(
+        admin.sendTransaction({ to: proposal.target, data: proposal.data })
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should only let executors run the operation", async function () {
+      const { proposal } = await propose("v2");
+
+      await expect(
+        proposer.sendTransaction({ to: proposal.timelock.address, data: proposal.timelock.execute })
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
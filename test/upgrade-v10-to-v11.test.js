@@ -0,0 +1,481 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment, readVaultState } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { takeSnapshot } = require("../scripts/lib/snapshot");
+const { getVersion } = require("../scripts/lib/versions");
+
+// Mirrors TokenVaultV11.Action
+const Action = { Deposits: 0, Withdrawals: 1, Executions: 2, Claims: 3, Upgrades: 4 };
+
+describe("Upgrade V10 to V11", function () {
+  let tokenVault;
+  let mockToken;
+  let assetToken;
+  let asset;
+  let admin;
+  let user1;
+  let user2;
+  let primaryRequest;
+  let assetRequest;
+
+  const YEAR = 365 * 24 * 60 * 60;
+  const ONE = ethers.parseEther("1");
+
+  async function requestId(tx) {
+    const receipt = await (await tx).wait();
+    return receipt.logs
+      .map((log) => tokenVault.interface.parseLog(log))
+      .find((event) => event && /WithdrawalQueued$/.test(event.name)).args.requestId;
+  }
+
+  // Deploys V1 and upgrades it to V10 with a second asset; user1 holds deposits, pending
+  // requests and accrued yield in both assets
+  async function deployV10() {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    assetToken = await MockERC20.deploy("Asset Token", "AST");
+    asset = await assetToken.getAddress();
+
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    for (let v = 2; v <= 10; v++) {
+      const factory = await ethers.getContractFactory(`TokenVaultV${v}`);
+      const call = {
+        2: { fn: "initializeV2" },
+        3: { fn: "initializeV3" },
+        8: { fn: "initializeV8", args: [[]] },
+        9: { fn: "initializeV9", args: [[asset], [0], [1000]] },
+      }[v];
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), factory, call ? { call } : {});
+    }
+    await tokenVault.setWithdrawalDelay(0);
+    await tokenVault.setYieldRate(1000);
+
+    const vaultAddress = await tokenVault.getAddress();
+    for (const token of [mockToken, assetToken]) {
+      for (const account of [admin, user1]) {
+        await token.mint(account.address, ethers.parseEther("10000"));
+        await token.connect(account).approve(vaultAddress, ethers.MaxUint256);
+      }
+    }
+    await tokenVault.fundYieldReserve(ethers.parseEther("1000"));
+    await tokenVault.fundAssetYieldReserve(asset, ethers.parseEther("1000"));
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000"));
+    primaryRequest = await requestId(tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100")));
+    assetRequest = await requestId(
+      tokenVault.connect(user1).requestAssetWithdrawal(asset, ethers.parseEther("100"))
+    );
+    await time.increase(YEAR);
+  }
+
+  async function upgradeToV11() {
+    const TokenVaultV11 = await ethers.getContractFactory("TokenVaultV11");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV11, {
+      call: { fn: "initializeV11" },
+    });
+  }
+
+  describe("Migration", function () {
+    beforeEach(async function () {
+      await deployV10();
+    });
+
+    it("should preserve all V10 state after upgrade", async function () {
+      const positionBefore = await tokenVault.getAssetPosition(asset, user1.address);
+
+      await upgradeToV11();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("100"));
+      expect((await tokenVault.getAssetPosition(asset, user1.address)).balance).to.equal(
+        positionBefore.balance
+      );
+      expect(await tokenVault.getImplementationVersion()).to.equal("v11.0.0");
+    });
+
+    it("should start with nothing paused", async function () {
+      await upgradeToV11();
+
+      expect(await tokenVault.getPauseState()).to.deep.equal([false, false, false, false, false, false]);
+      expect(await tokenVault.circuitBreakerTripped()).to.be.false;
+    });
+
+    it("should keep deposits paused before the upgrade paused", async function () {
+      await tokenVault.pauseDeposits();
+
+      await upgradeToV11();
+
+      expect(await tokenVault.isPaused(Action.Deposits)).to.be.true;
+      expect((await tokenVault.getPauseState()).deposits).to.be.true;
+    });
+
+    it("should grant the new pauser roles and GUARDIAN_ROLE to the upgrader", async function () {
+      await upgradeToV11();
+
+      for (const role of [
+        "WITHDRAWAL_PAUSER_ROLE",
+        "EXECUTION_PAUSER_ROLE",
+        "CLAIM_PAUSER_ROLE",
+        "UPGRADE_PAUSER_ROLE",
+        "GUARDIAN_ROLE",
+      ]) {
+        expect(await tokenVault.hasRole(await tokenVault[role](), admin.address)).to.be.true;
+        expect(await tokenVault.hasRole(await tokenVault[role](), user1.address)).to.be.false;
+      }
+    });
+
+    it("should not allow initializeV11 to be called twice", async function () {
+      await upgradeToV11();
+
+      await expect(tokenVault.initializeV11()).to.be.revertedWithCustomError(
+        tokenVault,
+        "InvalidInitialization"
+      );
+    });
+  });
+
+  // Every operation is simulated with staticCall, so the state set up once serves all cases
+  describe("Pause Matrix", function () {
+    const OPERATIONS = [
+      { name: "deposit", call: (v) => v.deposit.staticCall(ONE), gate: "Deposits" },
+      { name: "depositAsset", call: (v) => v.depositAsset.staticCall(asset, ONE), gate: "Deposits" },
+      { name: "withdraw", call: (v) => v.withdraw.staticCall(ONE), gate: ["Withdrawals", "Executions"] },
+      {
+        name: "withdrawAsset",
+        call: (v) => v.withdrawAsset.staticCall(asset, ONE),
+        gate: ["Withdrawals", "Executions"],
+      },
+      { name: "requestWithdrawal", call: (v) => v.requestWithdrawal.staticCall(ONE), gate: "Withdrawals" },
+      {
+        name: "requestAssetWithdrawal",
+        call: (v) => v.requestAssetWithdrawal.staticCall(asset, ONE),
+        gate: "Withdrawals",
+      },
+      {
+        name: "executeWithdrawal",
+        call: (v) => v.executeWithdrawal.staticCall(primaryRequest),
+        gate: "Executions",
+      },
+      {
+        name: "executeWithdrawal of an asset request",
+        call: (v) => v.executeWithdrawal.staticCall(assetRequest),
+        gate: "Executions",
+      },
+      { name: "claimYield", call: (v) => v.claimYield.staticCall(), gate: "Claims" },
+      { name: "claimAssetYield", call: (v) => v.claimAssetYield.staticCall(asset), gate: "Claims" },
+      { name: "cancelWithdrawal", call: (v) => v.cancelWithdrawal.staticCall(primaryRequest) },
+      { name: "emergencyWithdraw", call: (v) => v.emergencyWithdraw.staticCall(), breaker: true },
+      {
+        name: "emergencyWithdrawAsset",
+        call: (v) => v.emergencyWithdrawAsset.staticCall(asset),
+        breaker: true,
+      },
+    ];
+
+    const REASONS = {
+      Deposits: "Deposits are paused",
+      Withdrawals: "Withdrawals are paused",
+      Executions: "Withdrawal execution is paused",
+      Claims: "Yield claims are paused",
+    };
+
+    before(async function () {
+      await deployV10();
+      await upgradeToV11();
+      await tokenVault.declareEmergency();
+    });
+
+    it("should allow every operation while nothing is paused", async function () {
+      for (const operation of OPERATIONS) {
+        await expect(operation.call(tokenVault.connect(user1)), operation.name).not.to.be.reverted;
+      }
+    });
+
+    for (const action of Object.keys(Action)) {
+      describe(`${action} paused`, function () {
+        before(async function () {
+          await tokenVault.pause(Action[action]);
+        });
+
+        after(async function () {
+          await tokenVault.unpause(Action[action]);
+        });
+
+        for (const operation of OPERATIONS) {
+          const gates = [].concat(operation.gate || []);
+          const blocked = gates.includes(action);
+
+          it(`should ${blocked ? "block" : "allow"} ${operation.name}`, async function () {
+            const call = operation.call(tokenVault.connect(user1));
+            if (blocked) {
+              await expect(call).to.be.revertedWith(REASONS[action]);
+            } else {
+              await expect(call).not.to.be.reverted;
+            }
+          });
+        }
+      });
+    }
+
+    describe("Circuit breaker tripped", function () {
+      before(async function () {
+        await tokenVault.tripCircuitBreaker();
+      });
+
+      after(async function () {
+        await tokenVault.resetCircuitBreaker();
+      });
+
+      for (const operation of OPERATIONS) {
+        const blocked = Boolean(operation.gate || operation.breaker);
+
+        it(`should ${blocked ? "block" : "allow"} ${operation.name}`, async function () {
+          const call = operation.call(tokenVault.connect(user1));
+          if (blocked) {
+            await expect(call).to.be.revertedWith("Circuit breaker tripped");
+          } else {
+            await expect(call).not.to.be.reverted;
+          }
+        });
+      }
+    });
+  });
+
+  describe("Pause Controls", function () {
+    beforeEach(async function () {
+      await deployV10();
+      await upgradeToV11();
+    });
+
+    it("should require the pauser role of each action", async function () {
+      for (const action of Object.values(Action)) {
+        const role = await tokenVault.pauserRole(action);
+        await expect(tokenVault.connect(user2).pause(action))
+          .to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount")
+          .withArgs(user2.address, role);
+      }
+      expect(await tokenVault.pauserRole(Action.Deposits)).to.equal(await tokenVault.PAUSER_ROLE());
+      expect(await tokenVault.pauserRole(Action.Claims)).to.equal(await tokenVault.CLAIM_PAUSER_ROLE());
+    });
+
+    it("should let a pauser control only its own action", async function () {
+      await tokenVault.grantRole(await tokenVault.CLAIM_PAUSER_ROLE(), user2.address);
+
+      await tokenVault.connect(user2).pause(Action.Claims);
+      await expect(tokenVault.connect(user2).pause(Action.Withdrawals)).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlUnauthorizedAccount"
+      );
+      await tokenVault.connect(user2).unpause(Action.Claims);
+
+      expect(await tokenVault.isPaused(Action.Claims)).to.be.false;
+    });
+
+    it("should emit events and expose the pause state", async function () {
+      await expect(tokenVault.pause(Action.Executions))
+        .to.emit(tokenVault, "ActionPaused")
+        .withArgs(Action.Executions, admin.address);
+      await tokenVault.pause(Action.Upgrades);
+
+      expect(await tokenVault.isPaused(Action.Executions)).to.be.true;
+      expect(await tokenVault.isPaused(Action.Withdrawals)).to.be.false;
+      expect(await tokenVault.getPauseState()).to.deep.equal([false, false, true, false, true, false]);
+
+      await expect(tokenVault.unpause(Action.Executions))
+        .to.emit(tokenVault, "ActionUnpaused")
+        .withArgs(Action.Executions, admin.address);
+      expect(await tokenVault.isPaused(Action.Executions)).to.be.false;
+    });
+
+    it("should keep pauseDeposits and pause(Deposits) in sync", async function () {
+      await expect(tokenVault.pause(Action.Deposits))
+        .to.emit(tokenVault, "DepositsPaused")
+        .and.to.emit(tokenVault, "ActionPaused")
+        .withArgs(Action.Deposits, admin.address);
+      expect(await tokenVault.isDepositsPaused()).to.be.true;
+      await expect(tokenVault.pauseDeposits()).to.be.revertedWith("Deposits already paused");
+
+      await expect(tokenVault.unpauseDeposits())
+        .to.emit(tokenVault, "DepositsUnpaused")
+        .and.to.emit(tokenVault, "ActionUnpaused")
+        .withArgs(Action.Deposits, admin.address);
+      expect(await tokenVault.isPaused(Action.Deposits)).to.be.false;
+    });
+
+    it("should reject pausing twice and unpausing what is not paused", async function () {
+      await tokenVault.pause(Action.Withdrawals);
+
+      await expect(tokenVault.pause(Action.Withdrawals)).to.be.revertedWith("Action already paused");
+      await expect(tokenVault.unpause(Action.Claims)).to.be.revertedWith("Action not paused");
+    });
+  });
+
+  describe("Circuit Breaker", function () {
+    beforeEach(async function () {
+      await deployV10();
+      await upgradeToV11();
+    });
+
+    it("should only be tripped by guardians and reset by admins", async function () {
+      await expect(tokenVault.connect(user2).tripCircuitBreaker())
+        .to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount")
+        .withArgs(user2.address, await tokenVault.GUARDIAN_ROLE());
+
+      await tokenVault.grantRole(await tokenVault.GUARDIAN_ROLE(), user2.address);
+      await expect(tokenVault.connect(user2).tripCircuitBreaker())
+        .to.emit(tokenVault, "CircuitBreakerTripped")
+        .withArgs(user2.address);
+      await expect(tokenVault.connect(user2).resetCircuitBreaker()).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await expect(tokenVault.resetCircuitBreaker())
+        .to.emit(tokenVault, "CircuitBreakerReset")
+        .withArgs(admin.address);
+      expect(await tokenVault.circuitBreakerTripped()).to.be.false;
+    });
+
+    it("should reject tripping twice and resetting what is not tripped", async function () {
+      await expect(tokenVault.resetCircuitBreaker()).to.be.revertedWith("Circuit breaker not tripped");
+      await tokenVault.tripCircuitBreaker();
+      await expect(tokenVault.tripCircuitBreaker()).to.be.revertedWith("Circuit breaker already tripped");
+    });
+
+    it("should keep the per-action pauses when reset", async function () {
+      await tokenVault.pause(Action.Claims);
+      await tokenVault.tripCircuitBreaker();
+      expect((await tokenVault.getPauseState()).circuitBreaker).to.be.true;
+
+      await tokenVault.resetCircuitBreaker();
+
+      expect(await tokenVault.getPauseState()).to.deep.equal([false, false, false, true, false, false]);
+      await expect(tokenVault.connect(user1).claimYield()).to.be.revertedWith("Yield claims are paused");
+    });
+
+    it("should block fee sweeps but not reserve funding", async function () {
+      await tokenVault.setTreasury(user2.address);
+      await tokenVault.setDepositFee(100);
+      await tokenVault.connect(user1).deposit(ethers.parseEther("100"));
+      await tokenVault.tripCircuitBreaker();
+
+      await expect(tokenVault.sweepFees()).to.be.revertedWith("Circuit breaker tripped");
+      await expect(tokenVault.fundYieldReserve(ONE))
+        .to.emit(tokenVault, "YieldReserveFunded")
+        .withArgs(admin.address, ONE);
+    });
+  });
+
+  describe("Emergency Withdrawals", function () {
+    beforeEach(async function () {
+      await deployV10();
+      await upgradeToV11();
+      await tokenVault.declareEmergency();
+    });
+
+    it("should pay out while withdrawals and executions are paused", async function () {
+      await tokenVault.pause(Action.Withdrawals);
+      await tokenVault.pause(Action.Executions);
+
+      await expect(tokenVault.connect(user1).emergencyWithdraw())
+        .to.emit(tokenVault, "EmergencyWithdrawal")
+        .withArgs(user1.address, ethers.parseEther("1000"));
+      await expect(tokenVault.connect(user1).emergencyWithdrawAsset(asset))
+        .to.emit(tokenVault, "AssetEmergencyWithdrawal")
+        .withArgs(asset, user1.address, ethers.parseEther("1000"));
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(0);
+    });
+
+    it("should wait for the circuit breaker to be reset", async function () {
+      await tokenVault.tripCircuitBreaker();
+      await expect(tokenVault.connect(user1).emergencyWithdraw()).to.be.revertedWith(
+        "Circuit breaker tripped"
+      );
+
+      await tokenVault.resetCircuitBreaker();
+
+      await expect(tokenVault.connect(user1).emergencyWithdraw()).to.emit(tokenVault, "EmergencyWithdrawal");
+    });
+
+    it("should still require a declared emergency", async function () {
+      await tokenVault.resolveEmergency();
+      await tokenVault.pause(Action.Withdrawals);
+
+      await expect(tokenVault.connect(user1).emergencyWithdraw()).to.be.revertedWith("No emergency declared");
+    });
+  });
+
+  describe("Upgrades", function () {
+    beforeEach(async function () {
+      await deployV10();
+      await upgradeToV11();
+    });
+
+    it("should reject upgrades while paused", async function () {
+      const TokenVaultV11 = await ethers.getContractFactory("TokenVaultV11");
+      const implementation = await upgrades.deployImplementation(TokenVaultV11, { kind: "uups" });
+      await tokenVault.pause(Action.Upgrades);
+
+      await expect(tokenVault.upgradeToAndCall(implementation, "0x")).to.be.revertedWith(
+        "Upgrades are paused"
+      );
+
+      await tokenVault.unpause(Action.Upgrades);
+      await expect(tokenVault.upgradeToAndCall(implementation, "0x")).to.emit(tokenVault, "Upgraded");
+    });
+
+    it("should allow upgrades while the circuit breaker is tripped", async function () {
+      const TokenVaultV11 = await ethers.getContractFactory("TokenVaultV11");
+      const implementation = await upgrades.deployImplementation(TokenVaultV11, { kind: "uups" });
+      await tokenVault.tripCircuitBreaker();
+
+      await expect(tokenVault.upgradeToAndCall(implementation, "0x")).to.emit(tokenVault, "Upgraded");
+    });
+  });
+
+  describe("Pause Tooling", function () {
+    let dir;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-pause-"));
+      const deployment = await deployVault(hre, { depositFee: 0, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      for (const to of ["v2", "v3", "v4", "v5", "v6", "v7", "v8", "v9", "v10"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should upgrade and report the circuit breaker and the new roles", async function () {
+      const { result, diff } = await performUpgrade(hre, "v11", { dir, ...silent });
+      expect(diff.ok).to.be.true;
+
+      await result.vault.tripCircuitBreaker();
+      const state = await readVaultState(hre, result.proxy, getVersion("v11"));
+      expect(state).to.deep.include(["Circuit Breaker", true]);
+
+      const snapshot = await takeSnapshot(hre, result.proxy, getVersion("v11"));
+      expect(snapshot.roles.GUARDIAN_ROLE).to.include(admin.address);
+      expect(snapshot.roles.WITHDRAWAL_PAUSER_ROLE).to.include(admin.address);
+    });
+  });
+});
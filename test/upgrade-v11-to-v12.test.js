@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { readManifest } = require("../scripts/lib/manifest");
+const { runCaps } = require("../scripts/lib/caps");
+
+describe("Upgrade V11 to V12", function () {
+  let tokenVault;
+  let mockToken;
+  let usdc;
+  let admin;
+  let user1;
+  let user2;
+
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+
+  async function upgradeThrough(vault, contracts) {
+    for (const contract of contracts) {
+      const factory = await ethers.getContractFactory(contract);
+      const call = {
+        TokenVaultV2: { fn: "initializeV2" },
+        TokenVaultV3: { fn: "initializeV3" },
+        TokenVaultV8: { fn: "initializeV8", args: [[]] },
+        TokenVaultV9: { fn: "initializeV9", args: [[await usdc.getAddress()], [0], [0]] },
+        TokenVaultV11: { fn: "initializeV11" },
+      }[contract];
+      vault = await upgrades.upgradeProxy(await vault.getAddress(), factory, call ? { call } : {});
+    }
+    return vault;
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    // Deploy the vault token and a 6-decimal asset
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+    usdc = await MockERC20Decimals.deploy("Mock USD", "mUSD", 6);
+
+    // Deploy V1 with a 5% deposit fee and upgrade to V11
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 500],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    tokenVault = await upgradeThrough(
+      tokenVault,
+      [2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map((v) => `TokenVaultV${v}`)
+    );
+    await tokenVault.setWithdrawalDelay(0);
+
+    // Mint tokens and setup approvals
+    const vaultAddress = await tokenVault.getAddress();
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000"));
+      await mockToken.connect(user).approve(vaultAddress, ethers.MaxUint256);
+      await usdc.mint(user.address, usd("10000"));
+      await usdc.connect(user).approve(vaultAddress, ethers.MaxUint256);
+    }
+
+    // User1 deposits 1000 tokens, 950 credited after the fee
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  async function upgradeToV12(caps = []) {
+    const TokenVaultV12 = await ethers.getContractFactory("TokenVaultV12");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV12, {
+      call: {
+        fn: "initializeV12",
+        args: [
+          caps.map((c) => c.token),
+          caps.map((c) => c.userCap),
+          caps.map((c) => c.totalCap),
+          caps.map((c) => c.minDeposit),
+        ],
+      },
+    });
+  }
+
+  describe("Migration", function () {
+    it("should preserve all V11 state after upgrade", async function () {
+      await upgradeToV12();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.totalDeposits()).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.getAssets()).to.deep.equal([
+        await mockToken.getAddress(),
+        await usdc.getAddress(),
+      ]);
+      expect(await tokenVault.getImplementationVersion()).to.equal("v12.0.0");
+    });
+
+    it("should leave every asset uncapped without configured caps", async function () {
+      await upgradeToV12();
+
+      const token = await mockToken.getAddress();
+      expect(await tokenVault.getDepositCaps(token)).to.deep.equal([0n, 0n, 0n]);
+      expect(await tokenVault.getDepositCapacity(token, user1.address)).to.deep.equal([
+        ethers.MaxUint256,
+        ethers.MaxUint256,
+      ]);
+    });
+
+    it("should set the caps passed to initializeV12", async function () {
+      const asset = await usdc.getAddress();
+      await upgradeToV12([{ token: asset, userCap: usd("500"), totalCap: usd("1000"), minDeposit: usd("10") }]);
+
+      expect(await tokenVault.getDepositCaps(asset)).to.deep.equal([usd("500"), usd("1000"), usd("10")]);
+      await expect(tokenVault.initializeV12([], [], [], [])).to.be.revertedWithCustomError(
+        tokenVault,
+        "InvalidInitialization"
+      );
+    });
+
+    it("should reject mismatched arrays and unsupported assets", async function () {
+      const TokenVaultV12 = await ethers.getContractFactory("TokenVaultV12");
+      const proxy = await tokenVault.getAddress();
+
+      await expect(
+        upgrades.upgradeProxy(proxy, TokenVaultV12, {
+          call: { fn: "initializeV12", args: [[await usdc.getAddress()], [1], [], [0]] },
+        })
+      ).to.be.revertedWith("Array length mismatch");
+      await expect(
+        upgrades.upgradeProxy(proxy, TokenVaultV12, {
+          call: { fn: "initializeV12", args: [[user2.address], [1], [1], [0]] },
+        })
+      ).to.be.revertedWith("Unsupported asset");
+    });
+  });
+
+  describe("Deposit Limits", function () {
+    let token;
+    let asset;
+
+    beforeEach(async function () {
+      await upgradeToV12();
+      token = await mockToken.getAddress();
+      asset = await usdc.getAddress();
+    });
+
+    it("should reject deposits below the minimum", async function () {
+      await tokenVault.setDepositCaps(token, 0, 0, ethers.parseEther("100"));
+
+      await expect(
+        tokenVault.connect(user2).deposit(ethers.parseEther("99"))
+      ).to.be.revertedWith("Deposit below minimum");
+      await expect(tokenVault.connect(user2).deposit(ethers.parseEther("100"))).to.emit(
+        tokenVault,
+        "Deposited"
+      );
+    });
+
+    it("should cap each user's balance after the deposit fee", async function () {
+      await tokenVault.setDepositCaps(token, ethers.parseEther("1900"), 0, 0);
+
+      // 950 credited already, 950 more fit exactly: 1000 minus the 5% fee
+      expect((await tokenVault.getDepositCapacity(token, user1.address))[0]).to.equal(
+        ethers.parseEther("950")
+      );
+      await expect(
+        tokenVault.connect(user1).deposit(ethers.parseEther("1001"))
+      ).to.be.revertedWith("User deposit cap exceeded");
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1900"));
+      expect((await tokenVault.getDepositCapacity(token, user1.address))[0]).to.equal(0);
+      // Other users have their own room
+      expect((await tokenVault.getDepositCapacity(token, user2.address))[0]).to.equal(
+        ethers.parseEther("1900")
+      );
+    });
+
+    it("should cap the total deposits across users", async function () {
+      await tokenVault.setDepositCaps(token, 0, ethers.parseEther("1425"), 0);
+
+      await expect(
+        tokenVault.connect(user2).deposit(ethers.parseEther("600"))
+      ).to.be.revertedWith("Total deposit cap exceeded");
+      await tokenVault.connect(user2).deposit(ethers.parseEther("500"));
+
+      expect(await tokenVault.totalDeposits()).to.equal(ethers.parseEther("1425"));
+      expect(await tokenVault.getDepositCapacity(token, user2.address)).to.deep.equal([
+        ethers.MaxUint256,
+        0n,
+      ]);
+    });
+
+    it("should limit each asset on its own", async function () {
+      await tokenVault.setDepositCaps(asset, usd("100"), usd("150"), usd("1"));
+
+      await expect(tokenVault.connect(user1).depositAsset(asset, usd("0.5"))).to.be.revertedWith(
+        "Deposit below minimum"
+      );
+      await expect(tokenVault.connect(user1).depositAsset(asset, usd("101"))).to.be.revertedWith(
+        "User deposit cap exceeded"
+      );
+      await tokenVault.connect(user1).depositAsset(asset, usd("100"));
+      await expect(tokenVault.connect(user2).depositAsset(asset, usd("51"))).to.be.revertedWith(
+        "Total deposit cap exceeded"
+      );
+
+      // The vault token stays uncapped
+      await tokenVault.connect(user2).deposit(ethers.parseEther("5000"));
+    });
+
+    it("should keep balances above a lowered cap and still allow withdrawals", async function () {
+      await tokenVault.setDepositCaps(token, ethers.parseEther("100"), ethers.parseEther("100"), 0);
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.getDepositCapacity(token, user1.address)).to.deep.equal([0n, 0n]);
+      await expect(tokenVault.connect(user1).deposit(ethers.parseEther("1"))).to.be.revertedWith(
+        "User deposit cap exceeded"
+      );
+
+      await tokenVault.connect(user1).withdraw(ethers.parseEther("900"));
+      expect((await tokenVault.getDepositCapacity(token, user1.address))[0]).to.equal(
+        ethers.parseEther("50")
+      );
+    });
+
+    it("should emit an event and validate the caps", async function () {
+      await expect(tokenVault.setDepositCaps(asset, usd("100"), usd("1000"), usd("5")))
+        .to.emit(tokenVault, "DepositCapsUpdated")
+        .withArgs(asset, usd("100"), usd("1000"), usd("5"));
+
+      await expect(tokenVault.setDepositCaps(asset, usd("100"), 0, usd("101"))).to.be.revertedWith(
+        "Minimum deposit exceeds cap"
+      );
+      await expect(tokenVault.setDepositCaps(asset, 0, usd("100"), usd("101"))).to.be.revertedWith(
+        "Minimum deposit exceeds cap"
+      );
+      await expect(tokenVault.setDepositCaps(user2.address, 0, 0, 0)).to.be.revertedWith(
+        "Unsupported asset"
+      );
+      await expect(tokenVault.getDepositCaps(user2.address)).to.be.revertedWith("Unsupported asset");
+    });
+
+    it("should only allow the admin to set caps", async function () {
+      await expect(
+        tokenVault.connect(user1).setDepositCaps(token, 1, 1, 0)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Caps Tooling", function () {
+    let dir;
+    let configDir;
+    let deployment;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-caps-"));
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-caps-config-"));
+      deployment = await deployVault(hre, { depositFee: 0, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+
+      process.env.VAULT_ASSETS = JSON.stringify([{ token: await usdc.getAddress() }]);
+      for (const to of ["v2", "v3", "v4", "v5", "v6", "v7", "v8", "v9", "v10", "v11"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+    });
+
+    afterEach(function () {
+      delete process.env.VAULT_ASSETS;
+      delete process.env.VAULT_DEPOSIT_CAPS;
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it("should set the configured caps during the upgrade", async function () {
+      process.env.VAULT_DEPOSIT_CAPS = JSON.stringify([
+        { userCap: "1000", totalCap: "100000", minDeposit: "10" },
+        { token: await usdc.getAddress(), totalCap: "5000" },
+      ]);
+
+      const { result, diff } = await performUpgrade(hre, "v12", { dir, ...silent });
+
+      expect(diff.ok).to.be.true;
+      expect(await result.vault.getDepositCaps(deployment.token)).to.deep.equal([
+        ethers.parseEther("1000"),
+        ethers.parseEther("100000"),
+        ethers.parseEther("10"),
+      ]);
+      expect((await result.vault.getDepositCaps(await usdc.getAddress())).totalCap).to.equal(usd("5000"));
+
+      const entry = readManifest(hre, { dir }).history.at(-1);
+      expect(entry.initializer.fn).to.equal("initializeV12");
+      expect(entry.initializer.args[1]).to.deep.equal([ethers.parseEther("1000").toString(), "0"]);
+    });
+
+    it("should apply changed caps from the config and report them", async function () {
+      await performUpgrade(hre, "v12", { dir, ...silent });
+      fs.writeFileSync(
+        path.join(configDir, "hardhat.json"),
+        JSON.stringify({ depositCaps: [{ token: await usdc.getAddress(), userCap: "250" }] })
+      );
+
+      const lines = [];
+      const { changed, report } = await runCaps(hre, {
+        apply: true,
+        dir,
+        configDir,
+        env: {},
+        log: (line) => lines.push(line),
+      });
+
+      expect(changed).to.have.lengthOf(1);
+      expect(changed[0]).to.include({ userCap: usd("250").toString(), totalCap: "0" });
+      expect(report.assets[1].userCap).to.equal(usd("250"));
+      expect(report.assets[0].totalCapacity).to.be.null;
+      expect(lines.join("\n")).to.include("Per user: 250.0, total: none");
+      expect(readManifest(hre, { dir }).history.at(-1)).to.include({
+        action: "set-deposit-caps",
+        asset: await usdc.getAddress(),
+        userCap: usd("250").toString(),
+      });
+
+      const again = await runCaps(hre, { apply: true, dir, configDir, env: {}, ...silent });
+      expect(again.changed).to.be.empty;
+    });
+
+    it("should refuse to report caps before V12", async function () {
+      await expect(runCaps(hre, { dir, ...silent })).to.be.rejectedWith(
+        "deposit caps require v12 or later"
+      );
+    });
+  });
+});
@@ -0,0 +1,352 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { readManifest } = require("../scripts/lib/manifest");
+const {
+  grantRole,
+  transferRole,
+  beginAdminTransfer,
+  acceptAdminTransfer,
+  cancelAdminTransfer,
+  runRoles,
+} = require("../scripts/lib/roles");
+
+describe("Upgrade V12 to V13", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+  const UPGRADER_ROLE = ethers.id("UPGRADER_ROLE");
+  const DELAY = 2 * 24 * 60 * 60;
+
+  async function upgradeThrough(vault, contracts) {
+    for (const contract of contracts) {
+      const factory = await ethers.getContractFactory(contract);
+      const call = {
+        TokenVaultV2: { fn: "initializeV2" },
+        TokenVaultV3: { fn: "initializeV3" },
+        TokenVaultV8: { fn: "initializeV8", args: [[]] },
+        TokenVaultV9: { fn: "initializeV9", args: [[], [], []] },
+        TokenVaultV11: { fn: "initializeV11" },
+        TokenVaultV12: { fn: "initializeV12", args: [[], [], [], []] },
+      }[contract];
+      vault = await upgrades.upgradeProxy(await vault.getAddress(), factory, call ? { call } : {});
+    }
+    return vault;
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+
+    // Deploy V1 with a 5% deposit fee and upgrade to V12
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 500],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    tokenVault = await upgradeThrough(
+      tokenVault,
+      [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((v) => `TokenVaultV${v}`)
+    );
+
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.connect(user1).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    // User1 deposits 1000 tokens, 950 credited after the fee
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  async function upgradeToV13(newAdmin = admin.address, delay = DELAY, otherAdmins = []) {
+    const TokenVaultV13 = await ethers.getContractFactory("TokenVaultV13");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV13, {
+      call: { fn: "initializeV13", args: [newAdmin, otherAdmins, delay] },
+    });
+  }
+
+  describe("Migration", function () {
+    it("should preserve all V12 state and make the admin the default admin", async function () {
+      await upgradeToV13();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.totalDeposits()).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.hasRole(UPGRADER_ROLE, admin.address)).to.be.true;
+      expect(await tokenVault.defaultAdmin()).to.equal(admin.address);
+      expect(await tokenVault.owner()).to.equal(admin.address);
+      expect(await tokenVault.defaultAdminDelay()).to.equal(BigInt(DELAY));
+      expect(await tokenVault.pendingDefaultAdmin()).to.deep.equal([ethers.ZeroAddress, 0n]);
+      expect(await tokenVault.getImplementationVersion()).to.equal("v13.0.0");
+    });
+
+    it("should only migrate a current admin, once", async function () {
+      const TokenVaultV13 = await ethers.getContractFactory("TokenVaultV13");
+      await expect(
+        upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV13, {
+          call: { fn: "initializeV13", args: [user1.address, [], DELAY] },
+        })
+      ).to.be.revertedWith("Not the current admin");
+      await expect(upgradeToV13(admin.address, DELAY, [admin.address])).to.be.revertedWith(
+        "Cannot revoke the admin"
+      );
+
+      await upgradeToV13();
+      await expect(tokenVault.initializeV13(admin.address, [], 0)).to.be.revertedWithCustomError(
+        tokenVault,
+        "InvalidInitialization"
+      );
+    });
+
+    it("should revoke the other pre-V13 admins", async function () {
+      await tokenVault.grantRole(DEFAULT_ADMIN_ROLE, user2.address);
+      const fromBlock = await ethers.provider.getBlockNumber();
+
+      await upgradeToV13(admin.address, DELAY, [user2.address]);
+
+      const revoked = await tokenVault.queryFilter(tokenVault.filters.RoleRevoked(DEFAULT_ADMIN_ROLE), fromBlock);
+      expect(revoked.map((event) => [event.args.account, event.args.sender])).to.deep.equal([
+        [user2.address, admin.address],
+      ]);
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.true;
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, user2.address)).to.be.false;
+      await expect(tokenVault.connect(user2).setDepositFee(0))
+        .to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount")
+        .withArgs(user2.address, DEFAULT_ADMIN_ROLE);
+    });
+
+    it("should keep previous admins without the role after a transfer and a rollback to V12", async function () {
+      await tokenVault.grantRole(DEFAULT_ADMIN_ROLE, user2.address);
+      const proxy = await tokenVault.getAddress();
+      const v12Implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+      await upgradeToV13(admin.address, DELAY, [user2.address]);
+
+      await tokenVault.beginDefaultAdminTransfer(user1.address);
+      await time.increase(DELAY + 1);
+      await expect(tokenVault.connect(user1).acceptDefaultAdminTransfer())
+        .to.emit(tokenVault, "RoleRevoked")
+        .withArgs(DEFAULT_ADMIN_ROLE, admin.address, user1.address)
+        .and.to.emit(tokenVault, "RoleGranted")
+        .withArgs(DEFAULT_ADMIN_ROLE, user1.address, user1.address);
+
+      // Rolled back the way `vault rollback` does, to the V12 implementation already deployed
+      await tokenVault.upgradeToAndCall(v12Implementation, "0x");
+      tokenVault = await ethers.getContractAt("TokenVaultV12", proxy);
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.true;
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.false;
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, user2.address)).to.be.false;
+    });
+  });
+
+  describe("Admin Transfer", function () {
+    beforeEach(async function () {
+      await upgradeToV13();
+    });
+
+    it("should hand the admin role over only after the delay", async function () {
+      await expect(tokenVault.beginDefaultAdminTransfer(user1.address)).to.emit(
+        tokenVault,
+        "DefaultAdminTransferScheduled"
+      );
+      const [pendingAdmin, schedule] = await tokenVault.pendingDefaultAdmin();
+      expect(pendingAdmin).to.equal(user1.address);
+      expect(schedule).to.equal(BigInt((await time.latest()) + DELAY));
+
+      await expect(tokenVault.connect(user1).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(tokenVault, "AccessControlEnforcedDefaultAdminDelay")
+        .withArgs(schedule);
+      // The admin keeps its powers while the transfer is pending
+      await tokenVault.setDepositFee(100);
+
+      await time.increaseTo(schedule + 1n);
+      await expect(tokenVault.connect(user2).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(tokenVault, "AccessControlInvalidDefaultAdmin")
+        .withArgs(user2.address);
+      await tokenVault.connect(user1).acceptDefaultAdminTransfer();
+
+      expect(await tokenVault.defaultAdmin()).to.equal(user1.address);
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.false;
+      expect(await tokenVault.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.true;
+      await expect(tokenVault.setDepositFee(200)).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlUnauthorizedAccount"
+      );
+      await tokenVault.connect(user1).setDepositFee(200);
+      expect(await tokenVault.depositFee()).to.equal(200n);
+    });
+
+    it("should let the admin cancel a pending transfer", async function () {
+      await tokenVault.beginDefaultAdminTransfer(user1.address);
+      await expect(tokenVault.connect(user1).cancelDefaultAdminTransfer()).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(tokenVault.cancelDefaultAdminTransfer()).to.emit(
+        tokenVault,
+        "DefaultAdminTransferCanceled"
+      );
+
+      await time.increase(DELAY + 1);
+      await expect(tokenVault.connect(user1).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(tokenVault, "AccessControlInvalidDefaultAdmin")
+        .withArgs(user1.address);
+      expect(await tokenVault.defaultAdmin()).to.equal(admin.address);
+    });
+
+    it("should refuse granting or revoking the admin role directly", async function () {
+      await expect(tokenVault.grantRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlEnforcedDefaultAdminRules"
+      );
+      await expect(tokenVault.revokeRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlEnforcedDefaultAdminRules"
+      );
+
+      // Other roles are still granted and revoked by the admin
+      await tokenVault.grantRole(UPGRADER_ROLE, user1.address);
+      expect(await tokenVault.hasRole(UPGRADER_ROLE, user1.address)).to.be.true;
+    });
+  });
+
+  describe("Admin Tooling", function () {
+    let dir;
+    let deployment;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-admin-"));
+      deployment = await deployVault(hre, { depositFee: 0, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      for (const to of ["v2", "v3", "v4", "v5", "v6", "v7", "v8", "v9", "v10", "v11", "v12"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+    });
+
+    afterEach(function () {
+      delete process.env.VAULT_ADMIN;
+      delete process.env.VAULT_ADMIN_DELAY;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function adminEntries() {
+      return readManifest(hre, { dir }).history.filter((entry) => entry.action.endsWith("-admin-transfer"));
+    }
+
+    it("should migrate the admin with the configured delay during the upgrade", async function () {
+      process.env.VAULT_ADMIN_DELAY = "3600";
+
+      const { result, diff } = await performUpgrade(hre, "v13", { dir, ...silent });
+
+      expect(diff.ok).to.be.true;
+      expect(await result.vault.defaultAdmin()).to.equal(admin.address);
+      expect(await result.vault.defaultAdminDelay()).to.equal(3600n);
+      const entry = readManifest(hre, { dir }).history.at(-1);
+      expect(entry.initializer.fn).to.equal("initializeV13");
+      expect(entry.initializer.args).to.deep.equal([admin.address, [], 3600]);
+    });
+
+    it("should refuse the upgrade while several accounts hold the admin role", async function () {
+      await grantRole(hre, deployment.proxy, "admin", user1.address, { dir, ...silent });
+
+      await expect(performUpgrade(hre, "v13", { dir, ...silent })).to.be.rejectedWith(
+        "V13 needs exactly one DEFAULT_ADMIN_ROLE holder, found 2"
+      );
+      process.env.VAULT_ADMIN = user2.address;
+      await expect(performUpgrade(hre, "v13", { dir, ...silent })).to.be.rejectedWith(
+        "V13 needs exactly one DEFAULT_ADMIN_ROLE holder, found 2"
+      );
+    });
+
+    it("should keep the configured admin and revoke the other holders during the upgrade", async function () {
+      await grantRole(hre, deployment.proxy, "admin", user1.address, { dir, ...silent });
+      process.env.VAULT_ADMIN = admin.address;
+
+      const { result } = await performUpgrade(hre, "v13", { dir, ...silent });
+
+      expect(await result.vault.defaultAdmin()).to.equal(admin.address);
+      expect(await result.vault.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.false;
+      expect(readManifest(hre, { dir }).history.at(-1).initializer.args).to.deep.equal([
+        admin.address,
+        [user1.address],
+        DELAY,
+      ]);
+    });
+
+    it("should begin, accept and cancel admin transfers and log them to the manifest", async function () {
+      await performUpgrade(hre, "v13", { dir, ...silent });
+      const options = { dir, ...silent };
+
+      await expect(transferRole(hre, deployment.proxy, "admin", user1.address, options)).to.be.rejectedWith(
+        "DEFAULT_ADMIN_ROLE changes hands in two steps on v13"
+      );
+
+      // Begin and cancel
+      await runRoles(hre, { beginAdminTransfer: user2.address, ...options });
+      const lines = [];
+      const { report } = await runRoles(hre, {
+        cancelAdminTransfer: true,
+        dir,
+        log: (line) => lines.push(line),
+      });
+      expect(report.adminTransfer).to.deep.equal({
+        defaultAdmin: admin.address,
+        delay: DELAY,
+        pendingAdmin: null,
+        schedule: 0,
+      });
+      expect(lines.join("\n")).to.include(`Default admin: ${admin.address} (transfer delay: ${DELAY}s)`);
+
+      // Begin and accept once the delay has passed
+      const [{ txHash }] = await beginAdminTransfer(hre, deployment.proxy, user1.address, options);
+      const vault = await ethers.getContractAt("TokenVaultV13", deployment.proxy);
+      const [, schedule] = await vault.pendingDefaultAdmin();
+      await expect(runRoles(hre, { acceptAdminTransfer: true, ...options })).to.be.rejectedWith(
+        `${admin.address} is not the pending admin (${user1.address})`
+      );
+      await expect(
+        acceptAdminTransfer(hre, deployment.proxy, { signer: user1, ...options })
+      ).to.be.rejectedWith(`The admin transfer to ${user1.address} can be accepted after`);
+      await time.increaseTo(schedule);
+      await acceptAdminTransfer(hre, deployment.proxy, { signer: user1, ...options });
+
+      expect(await vault.defaultAdmin()).to.equal(user1.address);
+      await expect(cancelAdminTransfer(hre, deployment.proxy, options)).to.be.rejectedWith(
+        `${admin.address} is not the default admin (${user1.address})`
+      );
+      expect(adminEntries().map((entry) => [entry.action, entry.account])).to.deep.equal([
+        ["begin-admin-transfer", user2.address],
+        ["cancel-admin-transfer", user2.address],
+        ["begin-admin-transfer", user1.address],
+        ["accept-admin-transfer", user1.address],
+      ]);
+      expect(adminEntries()[2]).to.include({ version: "v13", txHash, schedule: Number(schedule) });
+    });
+
+    it("should refuse admin transfer steps before V13", async function () {
+      await expect(
+        beginAdminTransfer(hre, deployment.proxy, user1.address, { dir, ...silent })
+      ).to.be.rejectedWith("v12 has no two-step admin transfer; upgrade to v13 first");
+      await expect(
+        runRoles(hre, {
+          grant: "upgrader",
+          account: user1.address,
+          cancelAdminTransfer: true,
+          dir,
+          ...silent,
+        })
+      ).to.be.rejectedWith("Only one role change or admin transfer step can be given at a time");
+    });
+  });
+});
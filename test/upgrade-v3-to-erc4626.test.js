@@ -0,0 +1,384 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment, upgradeVault, getVaultStatus } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { rollbackVault } = require("../scripts/lib/rollback");
+
+describe("Upgrade V3 to ERC-4626", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+  let user3;
+
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 1000; // 10% annual
+  const YEAR = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [admin, user1, user2, user3] = await ethers.getSigners();
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    for (const user of [user1, user2, user3]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000"));
+    }
+
+    // Deploy V1 and upgrade to V3
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    for (const [contract, fn] of [
+      ["TokenVaultV2", "initializeV2"],
+      ["TokenVaultV3", "initializeV3"],
+    ]) {
+      const factory = await ethers.getContractFactory(contract);
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), factory, {
+        call: { fn },
+      });
+    }
+
+    // Setup approvals and deposits
+    for (const user of [user1, user2, user3]) {
+      await mockToken.connect(user).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    }
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+    await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+  });
+
+  async function upgradeToERC4626(users = [user1.address, user2.address]) {
+    const TokenVaultERC4626 = await ethers.getContractFactory("TokenVaultERC4626");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultERC4626, {
+      call: { fn: "initializeERC4626", args: [users] },
+    });
+  }
+
+  async function fundYield(amount) {
+    await mockToken.transfer(await tokenVault.getAddress(), ethers.parseEther(amount));
+  }
+
+  describe("Conversion", function () {
+    it("should convert every balance into the same number of shares", async function () {
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+
+      await upgradeToERC4626();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(ethers.parseEther("1900"));
+      expect(await tokenVault.totalSupply()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.totalAssets()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.convertToAssets(ethers.parseEther("950"))).to.equal(
+        ethers.parseEther("950")
+      );
+      expect(await tokenVault.getImplementationVersion()).to.equal("erc4626-v1.0.0");
+    });
+
+    it("should expose the vault token as the ERC-4626 asset", async function () {
+      await upgradeToERC4626();
+
+      expect(await tokenVault.asset()).to.equal(await mockToken.getAddress());
+      expect(await tokenVault.token()).to.equal(await mockToken.getAddress());
+      expect(await tokenVault.name()).to.equal("TokenVault Shares");
+      expect(await tokenVault.symbol()).to.equal("tvSHARE");
+      expect(await tokenVault.decimals()).to.equal(18);
+    });
+
+    it("should pay out unclaimed V3 yield", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await time.increase(30 * 24 * 60 * 60);
+      const pending = await tokenVault.getUserYield(user1.address);
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+
+      await upgradeToERC4626();
+
+      const paid = (await mockToken.balanceOf(user1.address)) - tokensBefore;
+      expect(paid).to.be.greaterThanOrEqual(pending);
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+    });
+
+    it("should cap the V3 yield payout by the tokens beyond the deposits", async function () {
+      await tokenVault.setYieldRate(10000);
+      await time.increase(YEAR);
+
+      await upgradeToERC4626();
+
+      // Only the 150 tokens of fees were held beyond the deposits
+      expect(await mockToken.balanceOf(await tokenVault.getAddress())).to.equal(
+        await tokenVault.totalAssets()
+      );
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("9150"));
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("8000"));
+    });
+
+    it("should refuse the upgrade when a depositor is missing", async function () {
+      await expect(upgradeToERC4626([user1.address])).to.be.rejectedWith(
+        "Unconverted balances remain"
+      );
+    });
+
+    it("should ignore duplicate and empty accounts", async function () {
+      await upgradeToERC4626([user1.address, user3.address, user2.address, user1.address]);
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(0);
+    });
+
+    it("should not run the conversion twice", async function () {
+      await upgradeToERC4626();
+
+      await expect(tokenVault.initializeERC4626([user1.address])).to.be.revertedWithCustomError(
+        tokenVault,
+        "InvalidInitialization"
+      );
+    });
+  });
+
+  describe("Share Price", function () {
+    beforeEach(async function () {
+      await upgradeToERC4626();
+      await fundYield("1000");
+    });
+
+    it("should fold yield into the share price", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await time.increase(YEAR);
+
+      // 10% of 2850 over a year
+      expect(await tokenVault.totalAssets()).to.be.closeTo(
+        ethers.parseEther("3135"),
+        ethers.parseEther("0.01")
+      );
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+      expect(await tokenVault.convertToAssets(ethers.parseEther("950"))).to.be.closeTo(
+        ethers.parseEther("1045"),
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("should pay the accrued yield on redeem", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await time.increase(YEAR);
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+
+      await tokenVault
+        .connect(user1)
+        .redeem(ethers.parseEther("950"), user1.address, user1.address);
+
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.be.closeTo(
+        ethers.parseEther("1045"),
+        ethers.parseEther("0.01")
+      );
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("should cap yield by the tokens held beyond the assets", async function () {
+      await tokenVault.setYieldRate(10000);
+      await time.increase(YEAR);
+
+      // 2850 of yield accrued, only 1150 (fees and funding) available
+      expect(await tokenVault.totalAssets()).to.equal(
+        await mockToken.balanceOf(await tokenVault.getAddress())
+      );
+    });
+
+    it("should accrue at the previous rate before a rate change", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await time.increase(YEAR);
+      await tokenVault.setYieldRate(0);
+      const assets = await tokenVault.totalAssets();
+
+      await time.increase(YEAR);
+
+      expect(await tokenVault.totalAssets()).to.equal(assets);
+      expect(assets).to.be.closeTo(ethers.parseEther("3135"), ethers.parseEther("0.01"));
+    });
+
+    it("should mint fewer shares per token once the price has risen", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await time.increase(YEAR);
+      await tokenVault.setYieldRate(0);
+
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"), user3.address);
+
+      expect(await tokenVault.balanceOf(user3.address)).to.be.lessThan(ethers.parseEther("950"));
+      expect(await tokenVault.maxWithdraw(user3.address)).to.be.closeTo(
+        ethers.parseEther("950"),
+        ethers.parseEther("0.000001")
+      );
+    });
+  });
+
+  describe("Deposits and Withdrawals", function () {
+    beforeEach(async function () {
+      await upgradeToERC4626();
+    });
+
+    it("should charge the deposit fee on deposit", async function () {
+      await expect(tokenVault.connect(user3).deposit(ethers.parseEther("100"), user3.address))
+        .to.emit(tokenVault, "Deposited")
+        .withArgs(user3.address, ethers.parseEther("95"), ethers.parseEther("5"));
+
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(ethers.parseEther("95"));
+      expect(await tokenVault.totalAssets()).to.equal(ethers.parseEther("2945"));
+    });
+
+    it("should charge the deposit fee on mint", async function () {
+      expect(await tokenVault.previewMint(ethers.parseEther("95"))).to.equal(ethers.parseEther("100"));
+
+      await tokenVault.connect(user3).mint(ethers.parseEther("95"), user3.address);
+
+      expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("9900"));
+    });
+
+    it("should withdraw instantly regardless of the withdrawal delay", async function () {
+      await tokenVault
+        .connect(user1)
+        .withdraw(ethers.parseEther("500"), user1.address, user1.address);
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("9500"));
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("450"));
+    });
+
+    it("should let approved accounts redeem on behalf of the owner", async function () {
+      await tokenVault.connect(user1).approve(user3.address, ethers.parseEther("100"));
+
+      await tokenVault
+        .connect(user3)
+        .redeem(ethers.parseEther("100"), user3.address, user1.address);
+
+      expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("10100"));
+      await expect(
+        tokenVault.connect(user3).redeem(1, user3.address, user1.address)
+      ).to.be.revertedWithCustomError(tokenVault, "ERC20InsufficientAllowance");
+    });
+
+    it("should transfer shares", async function () {
+      await tokenVault.connect(user1).transfer(user3.address, ethers.parseEther("450"));
+
+      expect(await tokenVault.maxRedeem(user3.address)).to.equal(ethers.parseEther("450"));
+    });
+
+    it("should block deposits and mints while paused", async function () {
+      await tokenVault.pauseDeposits();
+
+      expect(await tokenVault.maxDeposit(user3.address)).to.equal(0);
+      expect(await tokenVault.maxMint(user3.address)).to.equal(0);
+      await expect(
+        tokenVault.connect(user3).deposit(ethers.parseEther("100"), user3.address)
+      ).to.be.revertedWith("Deposits are paused");
+      await expect(
+        tokenVault.connect(user3).mint(ethers.parseEther("100"), user3.address)
+      ).to.be.revertedWith("Deposits are paused");
+
+      // Withdrawals are not affected
+      await tokenVault.connect(user1).redeem(ethers.parseEther("950"), user1.address, user1.address);
+    });
+  });
+
+  describe("Access Control", function () {
+    beforeEach(async function () {
+      await upgradeToERC4626();
+    });
+
+    it("should restrict the yield rate to the admin", async function () {
+      await expect(
+        tokenVault.connect(user1).setYieldRate(YIELD_RATE)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should restrict pausing to PAUSER_ROLE", async function () {
+      await expect(tokenVault.connect(user1).pauseDeposits()).to.be.revertedWithCustomError(
+        tokenVault,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("should restrict upgrades to UPGRADER_ROLE", async function () {
+      const TokenVaultERC4626 = await ethers.getContractFactory("TokenVaultERC4626", user1);
+
+      await expect(
+        upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultERC4626)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Upgrade Path", function () {
+    let dir;
+    let proxy;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-erc4626-"));
+      const deployment = await deployVault(hre, { depositFee: DEPOSIT_FEE, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      proxy = deployment.proxy;
+      const token = await ethers.getContractAt("MockERC20", deployment.token);
+      for (const user of [user1, user2]) {
+        await token.mint(user.address, ethers.parseEther("1000"));
+        await token.connect(user).approve(proxy, ethers.MaxUint256);
+        await deployment.vault.connect(user).deposit(ethers.parseEther("1000"));
+      }
+      await performUpgrade(hre, "v2", { dir, ...silent });
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should convert the depositors found through events", async function () {
+      await performUpgrade(hre, "v3", { dir, ...silent });
+      expect((await getVaultStatus(hre, proxy)).branches.map((v) => v.id)).to.deep.equal([
+        "erc4626",
+      ]);
+
+      const { result, diff } = await performUpgrade(hre, "erc4626", { dir, ...silent });
+
+      expect(result.initializer.args).to.deep.equal([[user1.address, user2.address]]);
+      expect(readManifest(hre, { dir }).history.at(-1).version).to.equal("erc4626");
+      // Balances and total deposits are preserved; V3-only values are dropped
+      expect(diff.ok).to.be.true;
+      expect(diff.changes.filter((c) => c.kind === "changed")).to.be.empty;
+      expect(diff.changes.map((c) => c.path)).to.include(`users.${user1.address}.yield`);
+
+      const status = await getVaultStatus(hre, proxy);
+      expect(status.pending).to.be.empty;
+      expect(status.branches).to.be.empty;
+    });
+
+    it("should only be reached from V3", async function () {
+      await expect(upgradeVault(hre, proxy, "erc4626", silent)).to.be.rejectedWith(
+        "erc4626 can only be upgraded to from v3; proxy is at v2"
+      );
+    });
+
+    it("should have no further upgrades or rollbacks", async function () {
+      await performUpgrade(hre, "v3", { dir, ...silent });
+      await performUpgrade(hre, "erc4626", { dir, ...silent });
+
+      await expect(upgradeVault(hre, proxy, "v4", silent)).to.be.rejectedWith(
+        "Proxy is at erc4626, which has no further upgrades"
+      );
+      await expect(rollbackVault(hre, "v3", { dir, ...silent })).to.be.rejectedWith(
+        "erc4626 converts the state of v3 and cannot be rolled back"
+      );
+    });
+  });
+});
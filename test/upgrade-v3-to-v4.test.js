@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Upgrade V3 to V4", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+  let treasury;
+
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 1000; // 10% annual
+
+  beforeEach(async function () {
+    [admin, user1, user2, treasury] = await ethers.getSigners();
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.mint(user2.address, ethers.parseEther("10000"));
+
+    // Deploy V1 and upgrade to V3
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2, {
+      call: { fn: "initializeV2" },
+    });
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV3, {
+      call: { fn: "initializeV3" },
+    });
+
+    // Setup approvals and deposits
+    await mockToken.connect(user1).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    await mockToken.connect(user2).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+  });
+
+  async function upgradeToV4() {
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV4);
+  }
+
+  async function vaultBalance() {
+    return mockToken.balanceOf(await tokenVault.getAddress());
+  }
+
+  describe("State Preservation", function () {
+    it("should preserve all V3 state after upgrade", async function () {
+      await tokenVault.setYieldRate(YIELD_RATE);
+      await tokenVault.setWithdrawalDelay(2 * 24 * 60 * 60);
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+
+      const user1BalanceBefore = await tokenVault.balanceOf(user1.address);
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+      const requestBefore = await tokenVault.getWithdrawalRequest(user1.address);
+
+      await upgradeToV4();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(user1BalanceBefore);
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.getDepositFee()).to.equal(DEPOSIT_FEE);
+      expect(await tokenVault.getYieldRate()).to.equal(YIELD_RATE);
+      expect(await tokenVault.getWithdrawalDelay()).to.equal(2 * 24 * 60 * 60);
+      expect(await tokenVault.getWithdrawalRequest(user1.address)).to.deep.equal(requestBefore);
+    });
+
+    it("should start without a treasury or accrued fees", async function () {
+      await upgradeToV4();
+
+      expect(await tokenVault.treasury()).to.equal(ethers.ZeroAddress);
+      expect(await tokenVault.getAccruedFees()).to.equal(0);
+    });
+
+    it("should return V4 version after upgrade", async function () {
+      await upgradeToV4();
+
+      expect(await tokenVault.getImplementationVersion()).to.equal("v4.0.0");
+    });
+  });
+
+  describe("Deposit Fee", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should allow admin to set the deposit fee", async function () {
+      await expect(tokenVault.setDepositFee(100))
+        .to.emit(tokenVault, "DepositFeeUpdated")
+        .withArgs(100);
+
+      expect(await tokenVault.getDepositFee()).to.equal(100);
+    });
+
+    it("should bound the deposit fee", async function () {
+      expect(await tokenVault.MAX_DEPOSIT_FEE()).to.equal(1000);
+      await tokenVault.setDepositFee(1000);
+      await expect(tokenVault.setDepositFee(1001)).to.be.revertedWith("Fee exceeds maximum");
+    });
+
+    it("should only allow admin to set the deposit fee", async function () {
+      await expect(
+        tokenVault.connect(user1).setDepositFee(0)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should apply the new fee to later deposits", async function () {
+      await tokenVault.setDepositFee(100);
+
+      await expect(tokenVault.connect(user1).deposit(ethers.parseEther("1000")))
+        .to.emit(tokenVault, "Deposited")
+        .withArgs(user1.address, ethers.parseEther("990"), ethers.parseEther("10"));
+    });
+  });
+
+  describe("Treasury", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should allow admin to set the treasury", async function () {
+      await expect(tokenVault.setTreasury(treasury.address))
+        .to.emit(tokenVault, "TreasuryUpdated")
+        .withArgs(ethers.ZeroAddress, treasury.address);
+
+      expect(await tokenVault.treasury()).to.equal(treasury.address);
+    });
+
+    it("should reject the zero address", async function () {
+      await expect(tokenVault.setTreasury(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid treasury address"
+      );
+    });
+
+    it("should only allow admin to set the treasury", async function () {
+      await expect(
+        tokenVault.connect(user1).setTreasury(user1.address)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Fee Accounting", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+      await tokenVault.setTreasury(treasury.address);
+    });
+
+    it("should track fees separately from total deposits", async function () {
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      expect(await tokenVault.getAccruedFees()).to.equal(ethers.parseEther("50"));
+      expect(await tokenVault.totalDeposits()).to.equal(
+        totalDepositsBefore + ethers.parseEther("950")
+      );
+    });
+
+    it("should sweep accrued fees to the treasury", async function () {
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      await expect(tokenVault.sweepFees())
+        .to.emit(tokenVault, "FeesSwept")
+        .withArgs(treasury.address, ethers.parseEther("50"));
+
+      expect(await mockToken.balanceOf(treasury.address)).to.equal(ethers.parseEther("50"));
+      expect(await tokenVault.getAccruedFees()).to.equal(0);
+    });
+
+    it("should not sweep fees collected before V4", async function () {
+      // 150 in fees were collected by the V3 deposits in beforeEach
+      await expect(tokenVault.sweepFees()).to.be.revertedWith("No fees to sweep");
+    });
+
+    it("should require a treasury", async function () {
+      const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4");
+      const fresh = await upgrades.deployProxy(
+        TokenVaultV4,
+        [await mockToken.getAddress(), admin.address, DEPOSIT_FEE],
+        { initializer: "initialize", kind: "uups" }
+      );
+
+      await expect(fresh.sweepFees()).to.be.revertedWith("Treasury not set");
+    });
+
+    it("should only allow admin to sweep", async function () {
+      await expect(
+        tokenVault.connect(user1).sweepFees()
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Principal Safety", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+      await tokenVault.setTreasury(treasury.address);
+    });
+
+    it("should cap sweeps at the balance exceeding total deposits", async function () {
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+      // Unfunded yield is paid out of the vault balance; user2's 33 days of yield at 100%
+      // consumes the 150 pre-V4 fees and part of the 50 accrued since the upgrade
+      await tokenVault.setYieldRate(10000);
+      await time.increase(33 * 24 * 60 * 60);
+      await tokenVault.connect(user2).claimYield();
+
+      const surplus = (await vaultBalance()) - (await tokenVault.totalDeposits());
+      expect(surplus).to.be.greaterThan(0);
+      expect(surplus).to.be.lessThan(await tokenVault.getAccruedFees());
+      expect(await tokenVault.getSweepableFees()).to.equal(surplus);
+
+      await expect(tokenVault.sweepFees())
+        .to.emit(tokenVault, "FeesSwept")
+        .withArgs(treasury.address, surplus);
+      expect(await vaultBalance()).to.equal(await tokenVault.totalDeposits());
+    });
+
+    it("should refuse to sweep when the balance only covers principal", async function () {
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+      await tokenVault.setYieldRate(10000);
+      await time.increase(365 * 24 * 60 * 60);
+      await tokenVault.connect(user2).claimYield();
+
+      const balanceBefore = await vaultBalance();
+      expect(balanceBefore).to.be.lessThan(await tokenVault.totalDeposits());
+      expect(await tokenVault.getSweepableFees()).to.equal(0);
+
+      await expect(tokenVault.sweepFees()).to.be.revertedWith("No fees to sweep");
+      expect(await vaultBalance()).to.equal(balanceBefore);
+    });
+
+    it("should let every user withdraw their principal after sweeps", async function () {
+      const users = [user1, user2];
+
+      for (let round = 0; round < 5; round++) {
+        await tokenVault.setDepositFee(round * 200);
+        for (const user of users) {
+          await tokenVault.connect(user).deposit(ethers.parseEther(String(100 * (round + 1))));
+        }
+        await tokenVault.connect(user1).withdraw(ethers.parseEther("10"));
+        if ((await tokenVault.getSweepableFees()) > 0n) {
+          await tokenVault.sweepFees();
+        }
+        expect(await vaultBalance()).to.be.at.least(await tokenVault.totalDeposits());
+      }
+
+      for (const user of users) {
+        await tokenVault.connect(user).withdraw(await tokenVault.balanceOf(user.address));
+      }
+      expect(await tokenVault.totalDeposits()).to.equal(0);
+      // Only the pre-V4 fees are left in the vault
+      expect(await vaultBalance()).to.equal(ethers.parseEther("150"));
+    });
+  });
+});
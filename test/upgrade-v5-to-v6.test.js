@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Upgrade V5 to V6", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+  let user3;
+
+  const YIELD_RATE = 1000; // 10% annual
+  const YEAR = 365 * 24 * 60 * 60;
+  const TOLERANCE = ethers.parseEther("0.01");
+
+  beforeEach(async function () {
+    [admin, user1, user2, user3] = await ethers.getSigners();
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    for (const account of [admin, user1, user2, user3]) {
+      await mockToken.mint(account.address, ethers.parseEther("100000"));
+    }
+
+    // Deploy V1 without a deposit fee to keep the yield numbers round
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+
+    for (const account of [admin, user1, user2, user3]) {
+      await mockToken.connect(account).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    }
+
+    // user1 deposits in V1 and never gets a claim time
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    // Upgrade to V5
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2, {
+      call: { fn: "initializeV2" },
+    });
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV3, {
+      call: { fn: "initializeV3" },
+    });
+    for (const contract of ["TokenVaultV4", "TokenVaultV5"]) {
+      const factory = await ethers.getContractFactory(contract);
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), factory);
+    }
+
+    // user2 deposits in V5
+    await tokenVault.connect(user2).deposit(ethers.parseEther("1000"));
+    await tokenVault.setYieldRate(YIELD_RATE);
+    await tokenVault.fundYieldReserve(ethers.parseEther("10000"));
+  });
+
+  async function upgradeToV6() {
+    const TokenVaultV6 = await ethers.getContractFactory("TokenVaultV6");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV6);
+  }
+
+  async function claimed(user, action) {
+    const before = await mockToken.balanceOf(user.address);
+    await action();
+    return (await mockToken.balanceOf(user.address)) - before;
+  }
+
+  describe("State Preservation", function () {
+    it("should preserve all V5 state after upgrade", async function () {
+      await time.increase(YEAR);
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+      const reserveBefore = await tokenVault.getYieldReserve();
+
+      await upgradeToV6();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.getYieldReserve()).to.equal(reserveBefore);
+      expect(await tokenVault.getYieldRate()).to.equal(YIELD_RATE);
+    });
+
+    it("should keep the yield accrued before the upgrade", async function () {
+      await time.increase(YEAR);
+      const yieldBefore = await tokenVault.getUserYield(user2.address);
+
+      await upgradeToV6();
+
+      expect(await tokenVault.getUserYield(user2.address)).to.be.at.least(yieldBefore);
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+      expect(paid).to.be.closeTo(ethers.parseEther("100"), TOLERANCE);
+    });
+
+    it("should return V6 version after upgrade", async function () {
+      await upgradeToV6();
+
+      expect(await tokenVault.getImplementationVersion()).to.equal("v6.0.0");
+    });
+  });
+
+  describe("Checkpoints", function () {
+    beforeEach(async function () {
+      await upgradeToV6();
+    });
+
+    it("should not pay yield on deposits made right before claiming", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await time.increase(YEAR);
+      await tokenVault.connect(user3).deposit(ethers.parseEther("9000"));
+
+      const paid = await claimed(user3, () => tokenVault.connect(user3).claimYield());
+
+      // 10% of 1000 for a year, not 10% of 10000
+      expect(paid).to.be.closeTo(ethers.parseEther("100"), TOLERANCE);
+    });
+
+    it("should accrue on each balance for the time it was held", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await time.increase(YEAR / 2);
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await time.increase(YEAR / 2);
+
+      const paid = await claimed(user3, () => tokenVault.connect(user3).claimYield());
+
+      // 50 on 1000 for half a year plus 100 on 2000 for half a year
+      expect(paid).to.be.closeTo(ethers.parseEther("150"), TOLERANCE);
+    });
+
+    it("should keep accrued yield after a withdrawal", async function () {
+      await time.increase(YEAR);
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("1000"));
+
+      expect(await tokenVault.getUserYield(user2.address)).to.be.closeTo(
+        ethers.parseEther("100"),
+        TOLERANCE
+      );
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+      expect(paid).to.be.closeTo(ethers.parseEther("100"), TOLERANCE);
+    });
+
+    it("should accrue only on the remaining balance after a partial withdrawal", async function () {
+      await time.increase(YEAR);
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("500"));
+      await time.increase(YEAR);
+
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+
+      expect(paid).to.be.closeTo(ethers.parseEther("150"), TOLERANCE);
+    });
+
+    it("should keep accrued yield after executing a withdrawal request", async function () {
+      await time.increase(YEAR);
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("1000"));
+      await time.increase(24 * 60 * 60);
+      await tokenVault.connect(user2).executeWithdrawal();
+      await time.increase(YEAR);
+
+      // A year on 1000 plus the day of the withdrawal delay, nothing afterwards
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+      expect(paid).to.be.closeTo(
+        ethers.parseEther("100") + ethers.parseEther("1000") / 3650n,
+        TOLERANCE
+      );
+    });
+
+    it("should keep accrued yield after an emergency withdrawal", async function () {
+      await time.increase(YEAR);
+      await tokenVault.connect(user2).emergencyWithdraw();
+
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+
+      expect(paid).to.be.closeTo(ethers.parseEther("100"), TOLERANCE);
+    });
+
+    it("should keep the unpaid rest when the reserve falls short", async function () {
+      const TokenVaultV6 = await ethers.getContractFactory("TokenVaultV6");
+      const fresh = await upgrades.deployProxy(
+        TokenVaultV6,
+        [await mockToken.getAddress(), admin.address, 0],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await mockToken.connect(user3).approve(await fresh.getAddress(), ethers.MaxUint256);
+      await mockToken.connect(admin).approve(await fresh.getAddress(), ethers.MaxUint256);
+      await fresh.connect(user3).deposit(ethers.parseEther("1000"));
+      await fresh.setYieldRate(YIELD_RATE);
+      await fresh.fundYieldReserve(ethers.parseEther("40"));
+      await time.increase(YEAR);
+
+      await expect(fresh.connect(user3).claimYield())
+        .to.emit(fresh, "YieldClaimed")
+        .withArgs(user3.address, ethers.parseEther("40"));
+
+      const [accrued] = await fresh.getYieldCheckpoint(user3.address);
+      expect(accrued).to.be.closeTo(ethers.parseEther("60"), TOLERANCE);
+    });
+  });
+
+  describe("Rate Changes", function () {
+    beforeEach(async function () {
+      await upgradeToV6();
+    });
+
+    it("should apply a new rate only from when it is set", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await time.increase(YEAR / 2);
+      await tokenVault.setYieldRate(2000);
+      await time.increase(YEAR / 2);
+
+      const paid = await claimed(user3, () => tokenVault.connect(user3).claimYield());
+
+      // 50 at 10% for the first half year plus 100 at 20% for the second
+      expect(paid).to.be.closeTo(ethers.parseEther("150"), TOLERANCE);
+    });
+
+    it("should stop accruing when the rate is set to 0", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await time.increase(YEAR / 2);
+      await tokenVault.setYieldRate(0);
+      const accrued = await tokenVault.getUserYield(user3.address);
+      await time.increase(YEAR);
+
+      expect(accrued).to.be.closeTo(ethers.parseEther("50"), TOLERANCE);
+      expect(await tokenVault.getUserYield(user3.address)).to.equal(accrued);
+    });
+
+    it("should apply the rate in force before V6 to checkpoints made before V6", async function () {
+      // user2's last checkpoint was the deposit on V5
+      await time.increase(YEAR);
+      await tokenVault.setYieldRate(3000);
+      await time.increase(YEAR);
+      await tokenVault.setYieldRate(500);
+
+      const paid = await claimed(user2, () => tokenVault.connect(user2).claimYield());
+
+      // 100 at 10% for the first year plus 300 at 30% for the second
+      expect(paid).to.be.closeTo(ethers.parseEther("400"), TOLERANCE);
+    });
+  });
+
+  describe("Migration", function () {
+    beforeEach(async function () {
+      await upgradeToV6();
+    });
+
+    it("should start accruing for pre-V2 depositors once checkpointed", async function () {
+      expect((await tokenVault.getYieldCheckpoint(user1.address)).checkpointTime).to.equal(0);
+      await time.increase(YEAR);
+      expect(await tokenVault.getUserYield(user1.address)).to.equal(0);
+
+      await tokenVault.checkpointUsers([user1.address, user2.address]);
+      await time.increase(YEAR);
+
+      expect(await tokenVault.getUserYield(user1.address)).to.be.closeTo(
+        ethers.parseEther("100"),
+        TOLERANCE
+      );
+      // user2 keeps both years
+      expect(await tokenVault.getUserYield(user2.address)).to.be.closeTo(
+        ethers.parseEther("200"),
+        TOLERANCE
+      );
+    });
+
+    it("should not change yield when checkpointing repeatedly", async function () {
+      await time.increase(YEAR);
+      await tokenVault.checkpointUsers([user2.address]);
+      await tokenVault.checkpointUsers([user2.address]);
+
+      const [accrued] = await tokenVault.getYieldCheckpoint(user2.address);
+      expect(accrued).to.be.closeTo(ethers.parseEther("100"), TOLERANCE);
+    });
+
+    it("should only allow the upgrader to checkpoint users", async function () {
+      await expect(
+        tokenVault.connect(user1).checkpointUsers([user1.address])
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
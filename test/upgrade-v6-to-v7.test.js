@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Upgrade V6 to V7", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+
+  const DELAY = 24 * 60 * 60; // initializeV3 default
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.mint(user2.address, ethers.parseEther("10000"));
+
+    // Deploy V1 without a deposit fee and upgrade to V6
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV2, {
+      call: { fn: "initializeV2" },
+    });
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV3, {
+      call: { fn: "initializeV3" },
+    });
+    for (const contract of ["TokenVaultV4", "TokenVaultV5", "TokenVaultV6"]) {
+      const factory = await ethers.getContractFactory(contract);
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), factory);
+    }
+
+    // Setup approvals and deposits
+    await mockToken.connect(user1).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    await mockToken.connect(user2).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+
+    // Pending request made before V7
+    await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("300"));
+  });
+
+  async function upgradeToV7() {
+    const TokenVaultV7 = await ethers.getContractFactory("TokenVaultV7");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV7);
+  }
+
+  async function vaultBalance() {
+    return mockToken.balanceOf(await tokenVault.getAddress());
+  }
+
+  describe("State Preservation", function () {
+    it("should preserve all V6 state after upgrade", async function () {
+      const requestBefore = await tokenVault.getWithdrawalRequest(user1.address);
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+
+      await upgradeToV7();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.getWithdrawalRequest(user1.address)).to.deep.equal(requestBefore);
+      expect(await tokenVault.getWithdrawalDelay()).to.equal(DELAY);
+      expect(await tokenVault.emergencyMode()).to.be.false;
+    });
+
+    it("should lock requests made before the upgrade", async function () {
+      await upgradeToV7();
+
+      expect(await tokenVault.getAvailableBalance(user1.address)).to.equal(ethers.parseEther("700"));
+      await expect(
+        tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("701"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("should return V7 version after upgrade", async function () {
+      await upgradeToV7();
+
+      expect(await tokenVault.getImplementationVersion()).to.equal("v7.0.0");
+    });
+  });
+
+  describe("Delay Enforcement", function () {
+    beforeEach(async function () {
+      await upgradeToV7();
+    });
+
+    it("should route withdraw through the delay", async function () {
+      const balanceBefore = await vaultBalance();
+
+      await expect(tokenVault.connect(user2).withdraw(ethers.parseEther("500")))
+        .to.emit(tokenVault, "WithdrawalRequested")
+        .and.not.to.emit(tokenVault, "WithdrawalExecuted");
+
+      expect(await vaultBalance()).to.equal(balanceBefore);
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(ethers.parseEther("2000"));
+      expect((await tokenVault.getWithdrawalRequest(user2.address)).amount).to.equal(
+        ethers.parseEther("500")
+      );
+    });
+
+    it("should not execute a withdrawal before the delay", async function () {
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("500"));
+      await time.increase(DELAY - 10);
+
+      await expect(tokenVault.connect(user2).executeWithdrawal()).to.be.revertedWith(
+        "Withdrawal delay not met"
+      );
+
+      await time.increase(10);
+      await expect(tokenVault.connect(user2).executeWithdrawal())
+        .to.emit(tokenVault, "WithdrawalExecuted")
+        .withArgs(user2.address, ethers.parseEther("500"));
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("8500"));
+    });
+
+    it("should not let locked amounts be requested twice", async function () {
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("2000"));
+
+      await expect(
+        tokenVault.connect(user2).withdraw(ethers.parseEther("1"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("1"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+
+      await time.increase(DELAY);
+      await tokenVault.connect(user2).executeWithdrawal();
+      await expect(tokenVault.connect(user2).executeWithdrawal()).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("should restart the delay when adding to a pending request", async function () {
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("500"));
+      await time.increase(DELAY - 60);
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("500"));
+      await time.increase(60);
+
+      await expect(tokenVault.connect(user2).executeWithdrawal()).to.be.revertedWith(
+        "Withdrawal delay not met"
+      );
+      expect((await tokenVault.getWithdrawalRequest(user2.address)).amount).to.equal(
+        ethers.parseEther("1000")
+      );
+    });
+
+    it("should only unlock new deposits", async function () {
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("2000"));
+      await tokenVault.connect(user2).deposit(ethers.parseEther("100"));
+
+      expect(await tokenVault.getAvailableBalance(user2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should pay out right away when the delay is 0", async function () {
+      await tokenVault.setWithdrawalDelay(0);
+
+      await expect(tokenVault.connect(user2).withdraw(ethers.parseEther("500")))
+        .to.emit(tokenVault, "Withdrawn")
+        .withArgs(user2.address, ethers.parseEther("500"))
+        .and.not.to.emit(tokenVault, "WithdrawalExecuted");
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("8500"));
+    });
+
+    it("should pay exactly the amount and keep a pending request when the delay is 0", async function () {
+      await tokenVault.setWithdrawalDelay(0);
+
+      // user1 has 300 locked in a request made before V7
+      await expect(tokenVault.connect(user1).withdraw(ethers.parseEther("100")))
+        .to.emit(tokenVault, "Withdrawn")
+        .withArgs(user1.address, ethers.parseEther("100"));
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("9100"));
+      expect((await tokenVault.getWithdrawalRequest(user1.address)).amount).to.equal(
+        ethers.parseEther("300")
+      );
+      await expect(
+        tokenVault.connect(user1).withdraw(ethers.parseEther("601"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("should reject emergency withdrawals without an emergency", async function () {
+      await expect(tokenVault.connect(user2).emergencyWithdraw()).to.be.revertedWith(
+        "No emergency declared"
+      );
+    });
+  });
+
+  describe("Requests Made Before V7", function () {
+    let user3;
+
+    // On V3 to V6, withdraw ignores a pending request, which can then exceed the balance:
+    // 100 deposited, 100 requested, 50 withdrawn leaves a balance of 50 and a request of 100
+    beforeEach(async function () {
+      user3 = (await ethers.getSigners())[3];
+      await mockToken.mint(user3.address, ethers.parseEther("1000"));
+      await mockToken.connect(user3).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+      await tokenVault.connect(user3).deposit(ethers.parseEther("100"));
+      await tokenVault.connect(user3).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault.connect(user3).withdraw(ethers.parseEther("50"));
+      await upgradeToV7();
+    });
+
+    it("should execute a request exceeding the balance up to the balance", async function () {
+      expect(await tokenVault.getAvailableBalance(user3.address)).to.equal(0n);
+
+      await time.increase(DELAY);
+      await expect(tokenVault.connect(user3).executeWithdrawal())
+        .to.emit(tokenVault, "WithdrawalExecuted")
+        .withArgs(user3.address, ethers.parseEther("50"));
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(0n);
+      expect(await mockToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("should let new requests and withdrawals through once the request is executed", async function () {
+      await tokenVault.setWithdrawalDelay(0);
+
+      await tokenVault.connect(user3).executeWithdrawal();
+      await tokenVault.connect(user3).deposit(ethers.parseEther("100"));
+      await expect(tokenVault.connect(user3).withdraw(ethers.parseEther("40")))
+        .to.emit(tokenVault, "Withdrawn")
+        .withArgs(user3.address, ethers.parseEther("40"));
+      await tokenVault.connect(user3).requestWithdrawal(ethers.parseEther("60"));
+    });
+
+    it("should cap the request at the balance before adding to it or depositing", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("200"));
+      expect(await tokenVault.getAvailableBalance(user3.address)).to.equal(ethers.parseEther("200"));
+
+      await tokenVault.connect(user3).requestWithdrawal(ethers.parseEther("20"));
+      expect((await tokenVault.getWithdrawalRequest(user3.address)).amount).to.equal(
+        ethers.parseEther("70")
+      );
+    });
+  });
+
+  describe("Emergency State", function () {
+    beforeEach(async function () {
+      await upgradeToV7();
+    });
+
+    it("should allow admin to declare and resolve an emergency", async function () {
+      await expect(tokenVault.declareEmergency())
+        .to.emit(tokenVault, "EmergencyDeclared")
+        .withArgs(admin.address);
+      expect(await tokenVault.emergencyMode()).to.be.true;
+      await expect(tokenVault.declareEmergency()).to.be.revertedWith("Emergency already declared");
+
+      await expect(tokenVault.resolveEmergency())
+        .to.emit(tokenVault, "EmergencyResolved")
+        .withArgs(admin.address);
+      expect(await tokenVault.emergencyMode()).to.be.false;
+      await expect(tokenVault.resolveEmergency()).to.be.revertedWith("No emergency declared");
+    });
+
+    it("should only allow admin to declare an emergency", async function () {
+      await expect(
+        tokenVault.connect(user1).declareEmergency()
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should pay the full balance once during an emergency", async function () {
+      await tokenVault.declareEmergency();
+
+      await expect(tokenVault.connect(user1).emergencyWithdraw())
+        .to.emit(tokenVault, "EmergencyWithdrawal")
+        .withArgs(user1.address, ethers.parseEther("1000"));
+
+      // The locked request is cleared with the balance
+      await expect(tokenVault.connect(user1).executeWithdrawal()).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+      await expect(tokenVault.connect(user1).emergencyWithdraw()).to.be.revertedWith(
+        "No balance to withdraw"
+      );
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("should enforce the delay again once resolved", async function () {
+      await tokenVault.declareEmergency();
+      await tokenVault.resolveEmergency();
+
+      await expect(tokenVault.connect(user2).emergencyWithdraw()).to.be.revertedWith(
+        "No emergency declared"
+      );
+    });
+  });
+});
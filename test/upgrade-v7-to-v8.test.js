@@ -0,0 +1,345 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+
+describe("Upgrade V7 to V8", function () {
+  let tokenVault;
+  let mockToken;
+  let admin;
+  let user1;
+  let user2;
+  let legacyRequestTime;
+
+  const DELAY = 24 * 60 * 60; // initializeV3 default
+
+  async function upgradeThrough(vault, contracts) {
+    for (const contract of contracts) {
+      const factory = await ethers.getContractFactory(contract);
+      const fn = { TokenVaultV2: "initializeV2", TokenVaultV3: "initializeV3" }[contract];
+      vault = await upgrades.upgradeProxy(await vault.getAddress(), factory, fn ? { call: { fn } } : {});
+    }
+    return vault;
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    // Deploy MockERC20
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+
+    // Mint tokens
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.mint(user2.address, ethers.parseEther("10000"));
+
+    // Deploy V1 without a deposit fee and upgrade to V7
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    tokenVault = await upgradeThrough(tokenVault, [
+      "TokenVaultV2",
+      "TokenVaultV3",
+      "TokenVaultV4",
+      "TokenVaultV5",
+      "TokenVaultV6",
+      "TokenVaultV7",
+    ]);
+
+    // Setup approvals and deposits
+    await mockToken.connect(user1).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    await mockToken.connect(user2).approve(await tokenVault.getAddress(), ethers.MaxUint256);
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+
+    // Single request made before V8
+    await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("300"));
+    legacyRequestTime = await time.latest();
+  });
+
+  async function upgradeToV8(users = [user1.address]) {
+    const TokenVaultV8 = await ethers.getContractFactory("TokenVaultV8");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV8, {
+      call: { fn: "initializeV8", args: [users] },
+    });
+  }
+
+  async function requestId(tx) {
+    const receipt = await tx.wait();
+    return receipt.logs
+      .map((log) => tokenVault.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "WithdrawalQueued").args.requestId;
+  }
+
+  describe("Migration", function () {
+    it("should preserve all V7 state after upgrade", async function () {
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+      const requestBefore = await tokenVault.getWithdrawalRequest(user1.address);
+
+      await upgradeToV8();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.getWithdrawalRequest(user1.address)).to.deep.equal(requestBefore);
+      expect(await tokenVault.getImplementationVersion()).to.equal("v8.0.0");
+    });
+
+    it("should move single requests into the queue with their request time", async function () {
+      await upgradeToV8();
+
+      const [request] = await tokenVault.getPendingWithdrawals(user1.address, 0, 10);
+      expect(request.id).to.equal(1);
+      expect(request.user).to.equal(user1.address);
+      expect(request.amount).to.equal(ethers.parseEther("300"));
+      expect(request.requestTime).to.equal(legacyRequestTime);
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("300"));
+    });
+
+    it("should keep the timer of migrated requests running", async function () {
+      await upgradeToV8();
+      await time.increaseTo(legacyRequestTime + DELAY);
+
+      await expect(tokenVault.connect(user1).executeWithdrawal(1))
+        .to.emit(tokenVault, "WithdrawalExecuted")
+        .withArgs(user1.address, ethers.parseEther("300"));
+    });
+
+    it("should migrate requests missed by the upgrade", async function () {
+      await upgradeToV8([]);
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(0);
+
+      await tokenVault.migrateWithdrawalRequests([user1.address, user2.address]);
+
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(1);
+      expect(await tokenVault.getPendingWithdrawalCount(user2.address)).to.equal(0);
+
+      // Migrating again is a no-op
+      await tokenVault.migrateWithdrawalRequests([user1.address]);
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("300"));
+    });
+
+    it("should restrict the migration to the upgrader", async function () {
+      await upgradeToV8([]);
+
+      await expect(
+        tokenVault.connect(user1).migrateWithdrawalRequests([user1.address])
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      await expect(tokenVault.initializeV8([user1.address])).to.be.revertedWithCustomError(
+        tokenVault,
+        "InvalidInitialization"
+      );
+    });
+  });
+
+  describe("Request Queue", function () {
+    beforeEach(async function () {
+      await upgradeToV8();
+    });
+
+    it("should give every request its own ID and delay", async function () {
+      const first = await requestId(
+        await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("500"))
+      );
+      await time.increase(DELAY / 2);
+      const second = await requestId(
+        await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("700"))
+      );
+      expect(second).to.equal(first + 1n);
+      expect(await tokenVault.getLockedBalance(user2.address)).to.equal(ethers.parseEther("1200"));
+      expect(await tokenVault.getAvailableBalance(user2.address)).to.equal(ethers.parseEther("800"));
+
+      await time.increase(DELAY / 2);
+      await tokenVault.connect(user2).executeWithdrawal(first);
+      await expect(tokenVault.connect(user2).executeWithdrawal(second)).to.be.revertedWith(
+        "Withdrawal delay not met"
+      );
+
+      await time.increase(DELAY / 2);
+      await tokenVault.connect(user2).executeWithdrawal(second);
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("9200"));
+      expect(await tokenVault.getLockedBalance(user2.address)).to.equal(0);
+    });
+
+    it("should not lock more than the balance", async function () {
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("1500"));
+
+      await expect(
+        tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("501"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("should queue withdrawals made through withdraw", async function () {
+      const id = await requestId(await tokenVault.connect(user2).withdraw(ethers.parseEther("500")));
+
+      expect((await tokenVault.getQueuedWithdrawal(id)).amount).to.equal(ethers.parseEther("500"));
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("should pay withdraw right away when the delay is 0", async function () {
+      await tokenVault.setWithdrawalDelay(0);
+
+      await tokenVault.connect(user2).withdraw(ethers.parseEther("500"));
+
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseEther("8500"));
+      expect(await tokenVault.getPendingWithdrawalCount(user2.address)).to.equal(0);
+    });
+
+    it("should only execute the caller's own requests", async function () {
+      await time.increase(DELAY);
+
+      await expect(tokenVault.connect(user2).executeWithdrawal(1)).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+    });
+  });
+
+  describe("Cancellation", function () {
+    beforeEach(async function () {
+      await upgradeToV8();
+    });
+
+    it("should cancel a request and unlock its amount", async function () {
+      await expect(tokenVault.connect(user1).cancelWithdrawal(1))
+        .to.emit(tokenVault, "WithdrawalCancelled")
+        .withArgs(1, user1.address, ethers.parseEther("300"));
+
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(0);
+      expect(await tokenVault.getAvailableBalance(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect((await tokenVault.getQueuedWithdrawal(1)).amount).to.equal(0);
+    });
+
+    it("should not execute or cancel a cancelled request", async function () {
+      await tokenVault.connect(user1).cancelWithdrawal(1);
+      await time.increase(DELAY);
+
+      await expect(tokenVault.connect(user1).executeWithdrawal(1)).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+      await expect(tokenVault.connect(user1).cancelWithdrawal(1)).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+    });
+
+    it("should not cancel another user's request", async function () {
+      await expect(tokenVault.connect(user2).cancelWithdrawal(1)).to.be.revertedWith(
+        "No pending withdrawal"
+      );
+    });
+
+    it("should leave the other requests pending", async function () {
+      const second = await requestId(
+        await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"))
+      );
+      await tokenVault.connect(user1).cancelWithdrawal(1);
+      await time.increase(DELAY);
+
+      await tokenVault.connect(user1).executeWithdrawal(second);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("9100"));
+    });
+
+    it("should cancel all requests on emergency withdrawal", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault.declareEmergency();
+
+      await expect(tokenVault.connect(user1).emergencyWithdraw())
+        .to.emit(tokenVault, "WithdrawalCancelled")
+        .withArgs(1, user1.address, ethers.parseEther("300"));
+
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(0);
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(0);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("10000"));
+    });
+  });
+
+  describe("Pagination", function () {
+    beforeEach(async function () {
+      await upgradeToV8([]);
+      for (let i = 1; i <= 5; i++) {
+        await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther(String(i * 10)));
+      }
+    });
+
+    it("should list pending requests page by page", async function () {
+      const pages = [];
+      for (let offset = 0; offset < 6; offset += 2) {
+        pages.push(await tokenVault.getPendingWithdrawals(user2.address, offset, 2));
+      }
+
+      expect(pages.map((page) => page.length)).to.deep.equal([2, 2, 1]);
+      expect(pages.flat().map((request) => request.amount)).to.have.members(
+        [10, 20, 30, 40, 50].map((n) => ethers.parseEther(String(n)))
+      );
+      expect(await tokenVault.getPendingWithdrawalCount(user2.address)).to.equal(5);
+    });
+
+    it("should return an empty page past the end", async function () {
+      expect(await tokenVault.getPendingWithdrawals(user2.address, 5, 2)).to.be.empty;
+      expect(await tokenVault.getPendingWithdrawals(user1.address, 0, 10)).to.be.empty;
+    });
+
+    it("should drop removed requests from the list", async function () {
+      const [first] = await tokenVault.getPendingWithdrawals(user2.address, 0, 1);
+      await tokenVault.connect(user2).cancelWithdrawal(first.id);
+
+      const requests = await tokenVault.getPendingWithdrawals(user2.address, 0, 10);
+      expect(requests).to.have.lengthOf(4);
+      expect(requests.map((request) => request.id)).to.not.include(first.id);
+    });
+  });
+
+  describe("Migration Tooling", function () {
+    let dir;
+
+    const silent = { log: () => {} };
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should pass the request holders to initializeV8 during the upgrade", async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-queue-"));
+      const deployment = await deployVault(hre, { depositFee: 0, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      const token = await ethers.getContractAt("MockERC20", deployment.token);
+      for (const user of [user1, user2]) {
+        await token.mint(user.address, ethers.parseEther("1000"));
+        await token.connect(user).approve(deployment.proxy, ethers.MaxUint256);
+        await deployment.vault.connect(user).deposit(ethers.parseEther("1000"));
+      }
+
+      for (const to of ["v2", "v3"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+      const v3 = await ethers.getContractAt("TokenVaultV3", deployment.proxy);
+      await v3.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await v3.connect(user2).requestWithdrawal(ethers.parseEther("200"));
+      for (const to of ["v4", "v5", "v6", "v7"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+
+      const { result, diff } = await performUpgrade(hre, "v8", { dir, ...silent });
+
+      expect(result.initializer.fn).to.equal("initializeV8");
+      expect(result.initializer.args).to.deep.equal([[user1.address, user2.address]]);
+      expect(diff.ok).to.be.true;
+      expect(readManifest(hre, { dir }).history.at(-1).initializer.args).to.deep.equal([
+        [user1.address, user2.address],
+      ]);
+
+      const v8 = await ethers.getContractAt("TokenVaultV8", deployment.proxy);
+      expect(await v8.getLockedBalance(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await v8.getLockedBalance(user2.address)).to.equal(ethers.parseEther("200"));
+    });
+  });
+});
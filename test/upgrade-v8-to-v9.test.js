@@ -0,0 +1,524 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { rollbackVault } = require("../scripts/lib/rollback");
+const { runAssets } = require("../scripts/lib/assets");
+
+describe("Upgrade V8 to V9", function () {
+  let tokenVault;
+  let mockToken;
+  let usdc;
+  let wbtc;
+  let admin;
+  let user1;
+  let user2;
+  let treasury;
+
+  const YEAR = 365 * 24 * 60 * 60;
+  const DELAY = 24 * 60 * 60; // initializeV3 default
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+  const btc = (amount) => ethers.parseUnits(amount, 8);
+
+  async function upgradeThrough(vault, contracts) {
+    for (const contract of contracts) {
+      const factory = await ethers.getContractFactory(contract);
+      const call = {
+        TokenVaultV2: { fn: "initializeV2" },
+        TokenVaultV3: { fn: "initializeV3" },
+        TokenVaultV8: { fn: "initializeV8", args: [[]] },
+      }[contract];
+      vault = await upgrades.upgradeProxy(await vault.getAddress(), factory, call ? { call } : {});
+    }
+    return vault;
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2, treasury] = await ethers.getSigners();
+
+    // Deploy the vault token and two assets with fewer decimals
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    await mockToken.waitForDeployment();
+    const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+    usdc = await MockERC20Decimals.deploy("Mock USD", "mUSD", 6);
+    wbtc = await MockERC20Decimals.deploy("Mock BTC", "mBTC", 8);
+
+    // Deploy V1 without a deposit fee and upgrade to V8
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    tokenVault = await upgradeThrough(tokenVault, [
+      "TokenVaultV2",
+      "TokenVaultV3",
+      "TokenVaultV4",
+      "TokenVaultV5",
+      "TokenVaultV6",
+      "TokenVaultV7",
+      "TokenVaultV8",
+    ]);
+
+    // Mint tokens and setup approvals
+    const vaultAddress = await tokenVault.getAddress();
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseEther("10000"));
+      await usdc.mint(user.address, usd("10000"));
+      await wbtc.mint(user.address, btc("10"));
+      for (const token of [mockToken, usdc, wbtc]) {
+        await token.connect(user).approve(vaultAddress, ethers.MaxUint256);
+      }
+    }
+    for (const token of [mockToken, usdc, wbtc]) {
+      await token.approve(vaultAddress, ethers.MaxUint256);
+    }
+
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.connect(user2).deposit(ethers.parseEther("2000"));
+    await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("300"));
+  });
+
+  async function upgradeToV9(assets = [], fees = [], rates = []) {
+    const TokenVaultV9 = await ethers.getContractFactory("TokenVaultV9");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV9, {
+      call: { fn: "initializeV9", args: [assets, fees, rates] },
+    });
+  }
+
+  // Upgrades with mUSD at a 1% fee and 10% yield and mBTC at a 2% fee and no yield
+  async function upgradeWithAssets() {
+    await upgradeToV9([await usdc.getAddress(), await wbtc.getAddress()], [100, 200], [1000, 0]);
+  }
+
+  async function requestId(tx) {
+    const receipt = await (await tx).wait();
+    return receipt.logs
+      .map((log) => tokenVault.interface.parseLog(log))
+      .find((parsed) => parsed && /WithdrawalQueued$/.test(parsed.name)).args.requestId;
+  }
+
+  describe("Migration", function () {
+    it("should preserve all V8 state after upgrade", async function () {
+      const totalDepositsBefore = await tokenVault.totalDeposits();
+      const requestsBefore = await tokenVault.getPendingWithdrawals(user1.address, 0, 10);
+
+      await upgradeWithAssets();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(totalDepositsBefore);
+      expect(await tokenVault.getPendingWithdrawals(user1.address, 0, 10)).to.deep.equal(
+        requestsBefore
+      );
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("300"));
+      expect(await tokenVault.getImplementationVersion()).to.equal("v9.0.0");
+    });
+
+    it("should keep the vault token as the first asset", async function () {
+      await upgradeWithAssets();
+
+      expect(await tokenVault.getAssets()).to.deep.equal([
+        await mockToken.getAddress(),
+        await usdc.getAddress(),
+        await wbtc.getAddress(),
+      ]);
+
+      const info = await tokenVault.getAssetInfo(await mockToken.getAddress());
+      expect(info.depositFee).to.equal(await tokenVault.getDepositFee());
+      expect(info.totalDeposits).to.equal(ethers.parseEther("3000"));
+      const position = await tokenVault.getAssetPosition(await mockToken.getAddress(), user1.address);
+      expect(position.balance).to.equal(ethers.parseEther("1000"));
+      expect(position.locked).to.equal(ethers.parseEther("300"));
+      expect(position.available).to.equal(ethers.parseEther("700"));
+    });
+
+    it("should register the assets passed to initializeV9", async function () {
+      await upgradeWithAssets();
+
+      const info = await tokenVault.getAssetInfo(await usdc.getAddress());
+      expect(info.depositFee).to.equal(100);
+      expect(info.yieldRate).to.equal(1000);
+      expect(info.totalDeposits).to.equal(0);
+      expect(await tokenVault.isAssetSupported(await wbtc.getAddress())).to.be.true;
+    });
+
+    it("should reject initializer arrays of different lengths", async function () {
+      const TokenVaultV9 = await ethers.getContractFactory("TokenVaultV9");
+      tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV9);
+
+      await expect(
+        tokenVault.initializeV9([await usdc.getAddress()], [100], [])
+      ).to.be.revertedWith("Array length mismatch");
+    });
+  });
+
+  describe("Asset Management", function () {
+    beforeEach(async function () {
+      await upgradeToV9();
+    });
+
+    it("should add assets with their own fee and yield rate", async function () {
+      await expect(tokenVault.addAsset(await usdc.getAddress(), 100, 500))
+        .to.emit(tokenVault, "AssetAdded")
+        .withArgs(await usdc.getAddress(), 100, 500);
+
+      expect((await tokenVault.getAssets()).length).to.equal(2);
+    });
+
+    it("should validate added assets", async function () {
+      const asset = await usdc.getAddress();
+      await expect(tokenVault.addAsset(ethers.ZeroAddress, 0, 0)).to.be.revertedWith(
+        "Invalid token address"
+      );
+      await expect(tokenVault.addAsset(user1.address, 0, 0)).to.be.revertedWith(
+        "Invalid token address"
+      );
+      await expect(tokenVault.addAsset(await mockToken.getAddress(), 0, 0)).to.be.revertedWith(
+        "Asset already supported"
+      );
+      await expect(tokenVault.addAsset(asset, 1001, 0)).to.be.revertedWith("Fee exceeds maximum");
+      await expect(tokenVault.addAsset(asset, 0, 10001)).to.be.revertedWith(
+        "Yield rate cannot exceed 100%"
+      );
+
+      await tokenVault.addAsset(asset, 0, 0);
+      await expect(tokenVault.addAsset(asset, 0, 0)).to.be.revertedWith("Asset already supported");
+    });
+
+    it("should restrict asset settings to the admin", async function () {
+      await tokenVault.addAsset(await usdc.getAddress(), 0, 0);
+
+      await expect(
+        tokenVault.connect(user1).addAsset(await wbtc.getAddress(), 0, 0)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      await expect(
+        tokenVault.connect(user1).setAssetDepositFee(await usdc.getAddress(), 0)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      await expect(
+        tokenVault.connect(user1).setAssetYieldRate(await usdc.getAddress(), 0)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+      await expect(
+        tokenVault.connect(user1).fundAssetYieldReserve(await usdc.getAddress(), 1)
+      ).to.be.revertedWithCustomError(tokenVault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should reject unsupported assets", async function () {
+      const asset = await usdc.getAddress();
+      await expect(tokenVault.connect(user1).depositAsset(asset, usd("1"))).to.be.revertedWith(
+        "Unsupported asset"
+      );
+      await expect(tokenVault.setAssetDepositFee(asset, 0)).to.be.revertedWith("Unsupported asset");
+      await expect(tokenVault.getAssetInfo(asset)).to.be.revertedWith("Unsupported asset");
+    });
+
+    it("should update the settings of an asset only", async function () {
+      await tokenVault.addAsset(await usdc.getAddress(), 100, 500);
+
+      await expect(tokenVault.setAssetDepositFee(await usdc.getAddress(), 300))
+        .to.emit(tokenVault, "AssetDepositFeeUpdated")
+        .withArgs(await usdc.getAddress(), 300);
+      await expect(tokenVault.setAssetYieldRate(await usdc.getAddress(), 700))
+        .to.emit(tokenVault, "AssetYieldRateSet")
+        .withArgs(await usdc.getAddress(), 700);
+
+      expect(await tokenVault.getDepositFee()).to.equal(0);
+      expect(await tokenVault.getYieldRate()).to.equal(0);
+      await expect(tokenVault.setAssetDepositFee(await mockToken.getAddress(), 200))
+        .to.emit(tokenVault, "DepositFeeUpdated")
+        .withArgs(200);
+      expect(await tokenVault.getDepositFee()).to.equal(200);
+    });
+  });
+
+  describe("Assets With Different Decimals", function () {
+    beforeEach(async function () {
+      await upgradeWithAssets();
+    });
+
+    it("should account deposits per asset in its own units", async function () {
+      await expect(tokenVault.connect(user1).depositAsset(await usdc.getAddress(), usd("1000")))
+        .to.emit(tokenVault, "AssetDeposited")
+        .withArgs(await usdc.getAddress(), user1.address, usd("990"), usd("10"));
+      await tokenVault.connect(user2).depositAsset(await wbtc.getAddress(), btc("0.5"));
+
+      const usdPosition = await tokenVault.getAssetPosition(await usdc.getAddress(), user1.address);
+      expect(usdPosition.balance).to.equal(usd("990"));
+      const btcInfo = await tokenVault.getAssetInfo(await wbtc.getAddress());
+      expect(btcInfo.totalDeposits).to.equal(btc("0.49"));
+      expect(btcInfo.accruedFees).to.equal(btc("0.01"));
+
+      // The vault token balances and totals are untouched
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(ethers.parseEther("3000"));
+    });
+
+    it("should accrue and pay yield in each asset", async function () {
+      await tokenVault.fundAssetYieldReserve(await usdc.getAddress(), usd("1000"));
+      await tokenVault.setYieldRate(1000);
+      await tokenVault.checkpointUsers([user1.address]);
+      await tokenVault.setAssetDepositFee(await usdc.getAddress(), 0);
+      await tokenVault.connect(user1).depositAsset(await usdc.getAddress(), usd("1000"));
+      await tokenVault.connect(user1).depositAsset(await wbtc.getAddress(), btc("1"));
+
+      await time.increase(YEAR);
+
+      const usdPosition = await tokenVault.getAssetPosition(await usdc.getAddress(), user1.address);
+      expect(usdPosition.yield).to.be.closeTo(usd("100"), usd("0.01"));
+      expect(
+        (await tokenVault.getAssetPosition(await wbtc.getAddress(), user1.address)).yield
+      ).to.equal(0);
+      expect(await tokenVault.getUserYield(user1.address)).to.be.closeTo(
+        ethers.parseEther("100"),
+        ethers.parseEther("0.01")
+      );
+
+      const before = await usdc.balanceOf(user1.address);
+      await expect(tokenVault.connect(user1).claimAssetYield(await usdc.getAddress())).to.emit(
+        tokenVault,
+        "AssetYieldClaimed"
+      );
+      expect((await usdc.balanceOf(user1.address)) - before).to.be.closeTo(usd("100"), usd("0.01"));
+      expect((await tokenVault.getAssetInfo(await usdc.getAddress())).yieldReserve).to.be.closeTo(
+        usd("900"),
+        usd("0.01")
+      );
+
+      // The vault token yield reserve is empty
+      await expect(tokenVault.connect(user1).claimYield()).to.be.revertedWith("Yield reserve empty");
+    });
+
+    it("should apply an asset's new yield rate only from when it is set", async function () {
+      const asset = await usdc.getAddress();
+      await tokenVault.setAssetDepositFee(asset, 0);
+      await tokenVault.connect(user1).depositAsset(asset, usd("1000"));
+
+      await time.increase(YEAR / 2);
+      await tokenVault.setAssetYieldRate(asset, 3000);
+      await time.increase(YEAR / 2);
+
+      // 50 at 10% for the first half year plus 150 at 30% for the second
+      const position = await tokenVault.getAssetPosition(asset, user1.address);
+      expect(position.yield).to.be.closeTo(usd("200"), usd("0.01"));
+    });
+
+    it("should sweep the fees of each asset to the treasury", async function () {
+      await tokenVault.setTreasury(treasury.address);
+      await tokenVault.connect(user1).depositAsset(await usdc.getAddress(), usd("1000"));
+      await tokenVault.connect(user1).depositAsset(await wbtc.getAddress(), btc("1"));
+
+      await expect(tokenVault.sweepAssetFees(await usdc.getAddress()))
+        .to.emit(tokenVault, "AssetFeesSwept")
+        .withArgs(await usdc.getAddress(), treasury.address, usd("10"));
+
+      expect(await usdc.balanceOf(treasury.address)).to.equal(usd("10"));
+      expect(await wbtc.balanceOf(treasury.address)).to.equal(0);
+      expect((await tokenVault.getAssetInfo(await wbtc.getAddress())).sweepableFees).to.equal(
+        btc("0.02")
+      );
+      await expect(tokenVault.sweepFees()).to.be.revertedWith("No fees to sweep");
+    });
+
+    it("should not count the other assets' funds as sweepable", async function () {
+      await tokenVault.setTreasury(treasury.address);
+      await tokenVault.connect(user1).depositAsset(await usdc.getAddress(), usd("1000"));
+      await tokenVault.fundAssetYieldReserve(await usdc.getAddress(), usd("500"));
+
+      expect((await tokenVault.getAssetInfo(await usdc.getAddress())).sweepableFees).to.equal(
+        usd("10")
+      );
+      expect(await tokenVault.getSweepableFees()).to.equal(0);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    let asset;
+
+    beforeEach(async function () {
+      await upgradeWithAssets();
+      asset = await usdc.getAddress();
+      await tokenVault.setAssetDepositFee(asset, 0);
+      await tokenVault.connect(user1).depositAsset(asset, usd("1000"));
+    });
+
+    it("should queue and execute requests in their own asset", async function () {
+      const id = await requestId(
+        tokenVault.connect(user1).requestAssetWithdrawal(asset, usd("400"))
+      );
+      expect(await tokenVault.getWithdrawalAsset(id)).to.equal(asset);
+      expect((await tokenVault.getAssetPosition(asset, user1.address)).locked).to.equal(usd("400"));
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("300"));
+
+      await time.increase(DELAY);
+      const tokenBefore = await mockToken.balanceOf(user1.address);
+      await expect(tokenVault.connect(user1).executeWithdrawal(id))
+        .to.emit(tokenVault, "AssetWithdrawalExecuted")
+        .withArgs(id, asset, user1.address, usd("400"));
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(usd("9400"));
+      expect(await mockToken.balanceOf(user1.address)).to.equal(tokenBefore);
+      expect((await tokenVault.getAssetPosition(asset, user1.address)).balance).to.equal(usd("600"));
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("should only lock the balance of the requested asset", async function () {
+      await expect(
+        tokenVault.connect(user1).requestAssetWithdrawal(asset, usd("1001"))
+      ).to.be.revertedWith("Insufficient unlocked balance");
+      await expect(
+        tokenVault.connect(user1).requestAssetWithdrawal(await wbtc.getAddress(), 1)
+      ).to.be.revertedWith("Insufficient unlocked balance");
+    });
+
+    it("should pay withdrawAsset right away when the delay is 0", async function () {
+      await tokenVault.setWithdrawalDelay(0);
+
+      await expect(tokenVault.connect(user1).withdrawAsset(asset, usd("1000")))
+        .to.emit(tokenVault, "AssetWithdrawalExecuted");
+      expect(await usdc.balanceOf(user1.address)).to.equal(usd("10000"));
+      expect((await tokenVault.getAssetInfo(asset)).totalDeposits).to.equal(0);
+    });
+
+    it("should cancel requests of an asset", async function () {
+      const id = await requestId(
+        tokenVault.connect(user1).requestAssetWithdrawal(asset, usd("400"))
+      );
+
+      await expect(tokenVault.connect(user1).cancelWithdrawal(id))
+        .to.emit(tokenVault, "AssetWithdrawalCancelled")
+        .withArgs(id, asset, user1.address, usd("400"));
+      expect((await tokenVault.getAssetPosition(asset, user1.address)).locked).to.equal(0);
+      expect(await tokenVault.getWithdrawalAsset(id)).to.equal(await mockToken.getAddress());
+    });
+
+    it("should keep the legacy request view to the vault token", async function () {
+      const [amountBefore, timeBefore] = await tokenVault.getWithdrawalRequest(user1.address);
+      await tokenVault.connect(user1).requestAssetWithdrawal(asset, usd("400"));
+
+      expect(await tokenVault.getWithdrawalRequest(user1.address)).to.deep.equal([
+        amountBefore,
+        timeBefore,
+      ]);
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(2);
+    });
+
+    it("should only cancel the requests of the withdrawn asset in an emergency", async function () {
+      const id = await requestId(
+        tokenVault.connect(user1).requestAssetWithdrawal(asset, usd("400"))
+      );
+      await tokenVault.declareEmergency();
+
+      await expect(tokenVault.connect(user1).emergencyWithdrawAsset(asset))
+        .to.emit(tokenVault, "AssetWithdrawalCancelled")
+        .withArgs(id, asset, user1.address, usd("400"))
+        .and.to.emit(tokenVault, "AssetEmergencyWithdrawal")
+        .withArgs(asset, user1.address, usd("1000"));
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(usd("10000"));
+      expect(await tokenVault.getPendingWithdrawalCount(user1.address)).to.equal(1);
+      expect(await tokenVault.getLockedBalance(user1.address)).to.equal(ethers.parseEther("300"));
+    });
+  });
+
+  describe("Asset Tooling", function () {
+    let dir;
+    let deployment;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-assets-"));
+      deployment = await deployVault(hre, { depositFee: 0, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      const token = await ethers.getContractAt("MockERC20", deployment.token);
+      await token.mint(user1.address, ethers.parseEther("1000"));
+      await token.connect(user1).approve(deployment.proxy, ethers.MaxUint256);
+      await deployment.vault.connect(user1).deposit(ethers.parseEther("1000"));
+      for (const to of ["v2", "v3", "v4", "v5", "v6", "v7", "v8"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+    });
+
+    afterEach(function () {
+      delete process.env.VAULT_ASSETS;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should register the configured assets during the upgrade", async function () {
+      process.env.VAULT_ASSETS = JSON.stringify([
+        { token: await usdc.getAddress(), depositFee: 100, yieldRate: 500 },
+        { token: await wbtc.getAddress() },
+      ]);
+
+      const { result, diff } = await performUpgrade(hre, "v9", { dir, ...silent });
+
+      const args = [[await usdc.getAddress(), await wbtc.getAddress()], [100, 0], [500, 0]];
+      expect(result.initializer.fn).to.equal("initializeV9");
+      expect(result.initializer.args).to.deep.equal(args);
+      expect(diff.ok).to.be.true;
+      expect(readManifest(hre, { dir }).history.at(-1).initializer.args).to.deep.equal(args);
+      expect(await result.vault.getAssets()).to.deep.equal([deployment.token, ...args[0]]);
+    });
+
+    it("should refuse invalid asset configurations before upgrading", async function () {
+      process.env.VAULT_ASSETS = JSON.stringify([{ token: deployment.token }]);
+
+      await expect(performUpgrade(hre, "v9", { dir, ...silent })).to.be.rejectedWith(
+        "is listed twice or is the vault token"
+      );
+      expect(await deployment.vault.getImplementationVersion()).to.equal("v8.0.0");
+    });
+
+    it("should register assets configured after the upgrade", async function () {
+      await performUpgrade(hre, "v9", { dir, ...silent });
+      const env = {
+        VAULT_ASSETS: JSON.stringify([{ token: await usdc.getAddress(), depositFee: 100 }]),
+      };
+
+      const { added, report } = await runAssets(hre, { register: true, dir, env, ...silent });
+      expect(added.map((asset) => asset.token)).to.deep.equal([await usdc.getAddress()]);
+      expect(report.assets.map((asset) => [asset.symbol, asset.decimals])).to.deep.equal([
+        ["MTK", 18],
+        ["mUSD", 6],
+      ]);
+      expect(readManifest(hre, { dir }).history.at(-1)).to.include({
+        action: "add-asset",
+        asset: await usdc.getAddress(),
+        depositFee: 100,
+      });
+
+      // Registered assets are skipped
+      const again = await runAssets(hre, { register: true, dir, env, ...silent });
+      expect(again.added).to.deep.equal([]);
+    });
+
+    it("should refuse to list assets before V9", async function () {
+      await expect(runAssets(hre, { dir, ...silent })).to.be.rejectedWith(
+        "multi-asset support requires v9 or later"
+      );
+    });
+
+    it("should refuse to roll back while added assets hold deposits", async function () {
+      process.env.VAULT_ASSETS = JSON.stringify([{ token: await usdc.getAddress() }]);
+      const { result } = await performUpgrade(hre, "v9", { dir, ...silent });
+      await usdc.connect(user1).approve(deployment.proxy, ethers.MaxUint256);
+      await result.vault.connect(user1).depositAsset(await usdc.getAddress(), usd("100"));
+
+      await expect(rollbackVault(hre, "v8", { dir, ...silent })).to.be.rejectedWith(
+        "still hold deposits"
+      );
+
+      await result.vault.setWithdrawalDelay(0);
+      await result.vault.connect(user1).withdrawAsset(await usdc.getAddress(), usd("100"));
+      const rollback = await rollbackVault(hre, "v8", { dir, ...silent });
+      expect(rollback.diff.ok).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,311 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { runReconcile } = require("../scripts/lib/reconcile");
+
+describe("Upgrade V9 to V10", function () {
+  let tokenVault;
+  let mockToken;
+  let feeToken;
+  let rebasingToken;
+  let admin;
+  let user1;
+  let user2;
+
+  const ONE = ethers.parseEther("1");
+
+  async function upgradeThrough(vault, contracts) {
+    for (const contract of contracts) {
+      const factory = await ethers.getContractFactory(contract);
+      const call = {
+        TokenVaultV2: { fn: "initializeV2" },
+        TokenVaultV3: { fn: "initializeV3" },
+        TokenVaultV8: { fn: "initializeV8", args: [[]] },
+        TokenVaultV9: {
+          fn: "initializeV9",
+          args: [[await feeToken.getAddress(), await rebasingToken.getAddress()], [0, 0], [0, 0]],
+        },
+      }[contract];
+      vault = await upgrades.upgradeProxy(await vault.getAddress(), factory, call ? { call } : {});
+    }
+    return vault;
+  }
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+
+    // Deploy the vault token, a token charging 1% per transfer and a rebasing token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("Mock Token", "MTK");
+    const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+    feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 100);
+    const MockRebasingERC20 = await ethers.getContractFactory("MockRebasingERC20");
+    rebasingToken = await MockRebasingERC20.deploy("Rebasing Token", "REB");
+
+    // Deploy V1 without a deposit fee and upgrade to V9 with both tokens as assets
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [await mockToken.getAddress(), admin.address, 0],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await tokenVault.waitForDeployment();
+    tokenVault = await upgradeThrough(tokenVault, [
+      "TokenVaultV2",
+      "TokenVaultV3",
+      "TokenVaultV4",
+      "TokenVaultV5",
+      "TokenVaultV6",
+      "TokenVaultV7",
+      "TokenVaultV8",
+      "TokenVaultV9",
+    ]);
+    await tokenVault.setWithdrawalDelay(0);
+
+    // Mint tokens and setup approvals
+    const vaultAddress = await tokenVault.getAddress();
+    for (const token of [mockToken, feeToken, rebasingToken]) {
+      for (const user of [user1, user2]) {
+        await token.mint(user.address, ethers.parseEther("10000"));
+        await token.connect(user).approve(vaultAddress, ethers.MaxUint256);
+      }
+      await token.approve(vaultAddress, ethers.MaxUint256);
+    }
+
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  async function upgradeToV10() {
+    const TokenVaultV10 = await ethers.getContractFactory("TokenVaultV10");
+    tokenVault = await upgrades.upgradeProxy(await tokenVault.getAddress(), TokenVaultV10);
+  }
+
+  describe("Migration", function () {
+    it("should preserve all V9 state after upgrade", async function () {
+      const assetsBefore = await tokenVault.getAssets();
+
+      await upgradeToV10();
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.totalDeposits()).to.equal(ethers.parseEther("1000"));
+      expect(await tokenVault.getAssets()).to.deep.equal(assetsBefore);
+      expect(await tokenVault.getImplementationVersion()).to.equal("v10.0.0");
+    });
+
+    it("should reveal deposits V9 credited beyond what arrived", async function () {
+      const asset = await feeToken.getAddress();
+      await tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000"));
+      expect((await tokenVault.getAssetInfo(asset)).totalDeposits).to.equal(
+        ethers.parseEther("1000")
+      );
+
+      await upgradeToV10();
+
+      const reconciliation = await tokenVault.getReconciliation(asset);
+      expect(reconciliation.balance).to.equal(ethers.parseEther("990"));
+      expect(reconciliation.liabilities).to.equal(ethers.parseEther("1000"));
+      expect(reconciliation.deficit).to.equal(ethers.parseEther("10"));
+      expect(reconciliation.surplus).to.equal(0);
+    });
+  });
+
+  describe("Fee-on-Transfer Tokens", function () {
+    let asset;
+
+    beforeEach(async function () {
+      await upgradeToV10();
+      asset = await feeToken.getAddress();
+    });
+
+    it("should credit the tokens that arrived", async function () {
+      await expect(tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000")))
+        .to.emit(tokenVault, "AssetDeposited")
+        .withArgs(asset, user1.address, ethers.parseEther("990"), 0);
+
+      expect((await tokenVault.getAssetPosition(asset, user1.address)).balance).to.equal(
+        ethers.parseEther("990")
+      );
+      expect((await tokenVault.getReconciliation(asset)).deficit).to.equal(0);
+    });
+
+    it("should charge the deposit fee on the tokens that arrived", async function () {
+      await tokenVault.setAssetDepositFee(asset, 100);
+
+      await expect(tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000")))
+        .to.emit(tokenVault, "AssetDeposited")
+        .withArgs(asset, user1.address, ethers.parseEther("980.1"), ethers.parseEther("9.9"));
+
+      const info = await tokenVault.getAssetInfo(asset);
+      expect(info.totalDeposits).to.equal(ethers.parseEther("980.1"));
+      expect(info.accruedFees).to.equal(ethers.parseEther("9.9"));
+      expect(info.sweepableFees).to.equal(ethers.parseEther("9.9"));
+    });
+
+    it("should credit the yield reserve with the tokens that arrived", async function () {
+      await expect(tokenVault.fundAssetYieldReserve(asset, ethers.parseEther("500")))
+        .to.emit(tokenVault, "AssetYieldReserveFunded")
+        .withArgs(asset, admin.address, ethers.parseEther("495"));
+
+      expect((await tokenVault.getAssetInfo(asset)).yieldReserve).to.equal(ethers.parseEther("495"));
+    });
+
+    it("should stay balanced when paying out", async function () {
+      await tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000"));
+      await tokenVault.connect(user2).depositAsset(asset, ethers.parseEther("500"));
+      const before = await feeToken.balanceOf(user1.address);
+
+      await tokenVault.connect(user1).withdrawAsset(asset, ethers.parseEther("990"));
+
+      // The token charges its fee on the way out as well
+      expect((await feeToken.balanceOf(user1.address)) - before).to.equal(ethers.parseEther("980.1"));
+      const reconciliation = await tokenVault.getReconciliation(asset);
+      expect(reconciliation.liabilities).to.equal(ethers.parseEther("495"));
+      expect(reconciliation.balance).to.equal(ethers.parseEther("495"));
+    });
+
+    it("should reject deposits of which nothing arrives", async function () {
+      await feeToken.setTransferFee(10000);
+
+      await expect(
+        tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1"))
+      ).to.be.revertedWith("No tokens received");
+    });
+  });
+
+  describe("Rebasing Tokens", function () {
+    let asset;
+
+    beforeEach(async function () {
+      await upgradeToV10();
+      asset = await rebasingToken.getAddress();
+      await tokenVault.connect(user1).depositAsset(asset, ethers.parseEther("1000"));
+    });
+
+    it("should report a positive rebase as surplus", async function () {
+      await rebasingToken.rebase((ONE * 110n) / 100n);
+
+      const reconciliation = await tokenVault.getReconciliation(asset);
+      expect(reconciliation.balance).to.equal(ethers.parseEther("1100"));
+      expect(reconciliation.surplus).to.equal(ethers.parseEther("100"));
+      expect(reconciliation.deficit).to.equal(0);
+    });
+
+    it("should report a negative rebase as deficit", async function () {
+      await rebasingToken.rebase((ONE * 90n) / 100n);
+
+      const reconciliation = await tokenVault.getReconciliation(asset);
+      expect(reconciliation.liabilities).to.equal(ethers.parseEther("1000"));
+      expect(reconciliation.deficit).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should credit deposits after a rebase with the balance increase", async function () {
+      await rebasingToken.rebase(3n * ONE);
+
+      await tokenVault.connect(user2).depositAsset(asset, ethers.parseEther("100"));
+
+      const position = await tokenVault.getAssetPosition(asset, user2.address);
+      const reconciliation = await tokenVault.getReconciliation(asset);
+      expect(position.balance).to.be.lte(ethers.parseEther("100"));
+      expect(position.balance).to.be.closeTo(ethers.parseEther("100"), 3n);
+      expect(reconciliation.balance - reconciliation.liabilities).to.equal(
+        reconciliation.surplus
+      );
+      expect(reconciliation.surplus).to.be.closeTo(ethers.parseEther("2000"), 3n);
+    });
+  });
+
+  describe("Vault Token", function () {
+    beforeEach(async function () {
+      await upgradeToV10();
+    });
+
+    it("should count deposits, accrued fees and the yield reserve as liabilities", async function () {
+      await tokenVault.setDepositFee(100);
+      await tokenVault.connect(user2).deposit(ethers.parseEther("1000"));
+      await tokenVault.fundYieldReserve(ethers.parseEther("500"));
+
+      const reconciliation = await tokenVault.getReconciliation(await mockToken.getAddress());
+      expect(reconciliation.liabilities).to.equal(ethers.parseEther("2500"));
+      expect(reconciliation.balance).to.equal(ethers.parseEther("2500"));
+      expect(reconciliation.surplus).to.equal(0);
+      expect(reconciliation.deficit).to.equal(0);
+    });
+
+    it("should reject unsupported assets", async function () {
+      await expect(tokenVault.getReconciliation(user1.address)).to.be.revertedWith(
+        "Unsupported asset"
+      );
+    });
+  });
+
+  describe("Reconciliation Tooling", function () {
+    let dir;
+    let deployment;
+
+    const silent = { log: () => {} };
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-reconcile-"));
+      deployment = await deployVault(hre, { depositFee: 500, ...silent });
+      await recordDeployment(hre, "deploy", deployment, { dir });
+      const token = await ethers.getContractAt("MockERC20", deployment.token);
+      await token.mint(user1.address, ethers.parseEther("1000"));
+      await token.connect(user1).approve(deployment.proxy, ethers.MaxUint256);
+      await deployment.vault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      process.env.VAULT_ASSETS = JSON.stringify([{ token: await feeToken.getAddress() }]);
+      for (const to of ["v2", "v3", "v4", "v5", "v6", "v7", "v8", "v9"]) {
+        await performUpgrade(hre, to, { dir, ...silent });
+      }
+    });
+
+    afterEach(function () {
+      delete process.env.VAULT_ASSETS;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should upgrade without changing the preserved state", async function () {
+      const { diff } = await performUpgrade(hre, "v10", { dir, ...silent });
+
+      expect(diff.ok).to.be.true;
+    });
+
+    it("should report every asset and flag deficits", async function () {
+      const { result } = await performUpgrade(hre, "v10", { dir, ...silent });
+      await feeToken.connect(user1).approve(deployment.proxy, ethers.MaxUint256);
+      await result.vault.connect(user1).depositAsset(await feeToken.getAddress(), ethers.parseEther("100"));
+
+      const lines = [];
+      const report = await runReconcile(hre, { dir, log: (line) => lines.push(line) });
+
+      // The V1 deposit fee was collected before fees were tracked and shows up as surplus
+      expect(report.assets.map((asset) => asset.symbol)).to.deep.equal(["MTK", "FEE"]);
+      expect(report.assets[0].surplus).to.equal(ethers.parseEther("50"));
+      expect(report.assets[1].balance).to.equal(report.assets[1].liabilities);
+      expect(report.balanced).to.be.true;
+
+      // Tokens leaving the vault outside of its accounting create a deficit
+      await feeToken.setTransferFee(0);
+      await setBalance(deployment.proxy, ONE);
+      const vaultSigner = await ethers.getImpersonatedSigner(deployment.proxy);
+      await feeToken.connect(vaultSigner).transfer(admin.address, ethers.parseEther("10"));
+
+      const after = await runReconcile(hre, { dir, ...silent });
+      expect(after.balanced).to.be.false;
+      expect(after.assets[1].deficit).to.equal(ethers.parseEther("10"));
+      expect(lines.join("\n")).to.include("Surplus: 50.0");
+    });
+
+    it("should refuse to reconcile before V10", async function () {
+      await expect(runReconcile(hre, { dir, ...silent })).to.be.rejectedWith(
+        "reconciliation requires v10 or later"
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { VERSIONS, getVersion } = require("../scripts/lib/versions");
+const { deployVault, upgradeVault, getVaultStatus } = require("../scripts/lib/vault");
+
+describe("Vault Tasks", function () {
+  let proxy;
+  let admin;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    [admin] = await ethers.getSigners();
+
+    ({ proxy } = await deployVault(hre, { depositFee: 500, ...silent }));
+  });
+
+  describe("Version Registry", function () {
+    it("should resolve versions by id, number and contract name", async function () {
+      expect(getVersion("v2").contract).to.equal("TokenVaultV2");
+      expect(getVersion("3").contract).to.equal("TokenVaultV3");
+      expect(getVersion("TokenVaultV1").id).to.equal("v1");
+    });
+
+    it("should reject unknown versions", async function () {
+      expect(() => getVersion("v99")).to.throw('Unknown TokenVault version "v99"');
+    });
+
+    it("should register the tasks under the vault scope", async function () {
+      const tasks = hre.scopes.vault.tasks;
+      expect(tasks).to.have.all.keys("deploy", "upgrade", "verify", "rollback", "status", "fees", "reserve", "assets", "reconcile", "caps", "audit", "roles", "checkpoint", "gas", "layout");
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("should upgrade to the next version and call its reinitializer", async function () {
+      const PAUSER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE"));
+
+      const result = await upgradeVault(hre, proxy, "v2", silent);
+
+      expect(result.from.id).to.equal("v1");
+      expect(result.version.id).to.equal("v2");
+      expect(await result.vault.getImplementationVersion()).to.equal("v2.0.0");
+      // initializeV2 grants PAUSER_ROLE to the caller
+      expect(await result.vault.hasRole(PAUSER_ROLE, admin.address)).to.be.true;
+
+      await expect(result.vault.initializeV2()).to.be.revertedWithCustomError(
+        result.vault,
+        "InvalidInitialization"
+      );
+    });
+
+    it("should walk the whole upgrade path", async function () {
+      for (const version of VERSIONS.slice(1)) {
+        const result = await upgradeVault(hre, proxy, version.id, silent);
+        expect(await result.vault.getImplementationVersion()).to.equal(version.tag);
+      }
+    });
+
+    it("should refuse to skip versions", async function () {
+      await expect(upgradeVault(hre, proxy, "v3", silent)).to.be.rejectedWith(
+        "Cannot skip versions: proxy is at v1, upgrade to v2 first"
+      );
+    });
+
+    it("should refuse to re-run an upgrade that already happened", async function () {
+      await upgradeVault(hre, proxy, "v2", silent);
+
+      await expect(upgradeVault(hre, proxy, "v2", silent)).to.be.rejectedWith(
+        "Proxy is already at v2 (v2.0.0); refusing to upgrade to v2"
+      );
+    });
+  });
+
+  describe("Status", function () {
+    it("should report the current version and pending upgrades", async function () {
+      const status = await getVaultStatus(hre, proxy);
+
+      expect(status.version.id).to.equal("v1");
+      expect(status.pending.map((v) => v.id)).to.deep.equal(["v2", "v3", "v4", "v5", "v6", "v7", "v8", "v9", "v10", "v11", "v12", "v13"]);
+      expect(status.state.map(([label]) => label)).to.deep.equal([
+        "Token",
+        "Deposit Fee",
+        "Total Deposits",
+      ]);
+    });
+
+    it("should expose version-specific state after upgrading", async function () {
+      await upgradeVault(hre, proxy, "v2", silent);
+      await upgradeVault(hre, proxy, "v3", silent);
+
+      const status = await getVaultStatus(hre, proxy);
+
+      expect(status.version.id).to.equal("v3");
+      expect(status.pending.map((v) => v.id)).to.deep.equal(["v4", "v5", "v6", "v7", "v8", "v9", "v10", "v11", "v12", "v13"]);
+      expect(Object.fromEntries(status.state)["Withdrawal Delay"]).to.equal(24n * 60n * 60n);
+    });
+  });
+});
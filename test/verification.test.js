@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const {
+  createEtherscanVerifier,
+  verifyDeployment,
+  assertVerified,
+} = require("../scripts/lib/verify");
+
+/**
+ * Local stand-in for the block explorer API. Fails the first `failures` requests and
+ * answers "already verified" for known addresses, like Etherscan does.
+ */
+function createStandInVerifier({ failures = 0, verified = [] } = {}) {
+  const known = new Set(verified);
+  const calls = [];
+  let remaining = failures;
+
+  const request = (address) => {
+    if (remaining > 0) {
+      remaining--;
+      throw new Error("Failed to send contract verification request: timeout");
+    }
+    if (known.has(address)) {
+      throw new Error(`The contract ${address} has already been verified`);
+    }
+    known.add(address);
+  };
+
+  return {
+    calls,
+    async verifyContract(args) {
+      calls.push({ method: "verifyContract", ...args });
+      request(args.address);
+      return "verified";
+    },
+    async linkProxy(args) {
+      calls.push({ method: "linkProxy", ...args });
+      request(`${args.proxy}:${args.implementation}`);
+      return "linked";
+    },
+  };
+}
+
+describe("Verification", function () {
+  let dir;
+  let deployment;
+
+  const silent = { log: () => {} };
+  const verify = (verifier, options = {}) =>
+    verifyDeployment(hre, { verifier, delayMs: 0, dir, ...silent, ...options });
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-verify-"));
+    deployment = await deployVault(hre, { depositFee: 500, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Deploy", function () {
+    it("should verify the implementation with arguments from the manifest", async function () {
+      const verifier = createStandInVerifier();
+
+      const results = await verify(verifier);
+
+      expect(results.map((r) => [r.target, r.status])).to.deep.equal([
+        ["implementation", "verified"],
+        ["proxy", "linked"],
+      ]);
+      expect(verifier.calls[0]).to.deep.equal({
+        method: "verifyContract",
+        address: deployment.implementation,
+        contract: "contracts/TokenVaultV1.sol:TokenVaultV1",
+        constructorArguments: [],
+      });
+    });
+
+    it("should link the proxy with its constructor arguments", async function () {
+      const verifier = createStandInVerifier();
+      const V1 = await ethers.getContractFactory("TokenVaultV1");
+
+      await verify(verifier);
+
+      expect(verifier.calls[1]).to.deep.equal({
+        method: "linkProxy",
+        proxy: deployment.proxy,
+        implementation: deployment.implementation,
+        constructorArguments: [
+          deployment.implementation,
+          V1.interface.encodeFunctionData("initialize", [
+            deployment.token,
+            deployment.admin,
+            500,
+          ]),
+        ],
+      });
+    });
+
+    it("should write the verification status to the manifest", async function () {
+      await verify(createStandInVerifier());
+
+      const entries = readManifest(hre, { dir }).history.filter((e) => e.action === "verify");
+      expect(entries).to.have.length(2);
+      expect(entries[0]).to.include({
+        target: "implementation",
+        address: deployment.implementation,
+        contract: "TokenVaultV1",
+        status: "verified",
+        attempts: 1,
+      });
+      expect(entries[1]).to.include({
+        target: "proxy",
+        address: deployment.proxy,
+        implementation: deployment.implementation,
+        status: "linked",
+      });
+    });
+  });
+
+  describe("Retries", function () {
+    it("should retry failed requests", async function () {
+      const results = await verify(createStandInVerifier({ failures: 2 }));
+
+      expect(results[0]).to.include({ status: "verified", attempts: 3 });
+      expect(results[1]).to.include({ status: "linked", attempts: 1 });
+    });
+
+    it("should record failures after the last attempt and retry them later", async function () {
+      const results = await verify(createStandInVerifier({ failures: 3 }), { attempts: 3 });
+
+      expect(results[0]).to.include({ status: "failed", attempts: 3 });
+      expect(results[0].error).to.include("timeout");
+      expect(() => assertVerified(results)).to.throw(
+        `Verification failed for TokenVaultV1 at ${deployment.implementation}`
+      );
+
+      // Only the failed step is retried, the proxy was linked in the first run
+      const retry = await verify(createStandInVerifier());
+      expect(retry.map((r) => [r.target, r.status])).to.deep.equal([["implementation", "verified"]]);
+    });
+
+    it("should treat already verified contracts as verified", async function () {
+      const verifier = createStandInVerifier({ verified: [deployment.implementation] });
+
+      const results = await verify(verifier);
+
+      expect(results[0]).to.include({ status: "already-verified", attempts: 1 });
+      expect(() => assertVerified(results)).to.not.throw();
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("should only verify new implementations and relink the proxy", async function () {
+      await verify(createStandInVerifier());
+      const { result } = await performUpgrade(hre, "v2", { dir, ...silent });
+      const verifier = createStandInVerifier();
+
+      const results = await verify(verifier);
+
+      expect(results.map((r) => [r.contract, r.address])).to.deep.equal([
+        ["TokenVaultV2", result.implementation],
+        ["ERC1967Proxy", deployment.proxy],
+      ]);
+      expect(verifier.calls[1].implementation).to.equal(result.implementation);
+      expect(await verify(createStandInVerifier())).to.be.empty;
+    });
+  });
+
+  describe("Block Explorer", function () {
+    it("should refuse to verify on local networks", function () {
+      expect(() => createEtherscanVerifier(hre)).to.throw(
+        'Contract verification is not available on the local "hardhat" network'
+      );
+    });
+  });
+});
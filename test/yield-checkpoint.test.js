@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { readManifest } = require("../scripts/lib/manifest");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { checkpointYield } = require("../scripts/lib/checkpoint");
+
+describe("Yield Checkpoint Migration", function () {
+  let dir;
+  let tokenVault;
+  let proxy;
+  let users;
+
+  const silent = { log: () => {} };
+
+  beforeEach(async function () {
+    const [, ...others] = await ethers.getSigners();
+    users = others.slice(0, 3);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-checkpoint-"));
+
+    const deployment = await deployVault(hre, { depositFee: 0, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+
+    const mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    for (const user of users) {
+      await mockToken.mint(user.address, ethers.parseEther("1000"));
+      await mockToken.connect(user).approve(proxy, ethers.MaxUint256);
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+    }
+    // The last user leaves before the migration
+    await tokenVault.connect(users[2]).withdraw(ethers.parseEther("1000"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should refuse versions without yield checkpoints", async function () {
+    await expect(checkpointYield(hre, { dir, ...silent })).to.be.rejectedWith(
+      "Proxy is at v1; yield checkpoints require v6 or later"
+    );
+  });
+
+  it("should checkpoint every depositor with a balance in batches", async function () {
+    for (const to of ["v2", "v3", "v4", "v5", "v6"]) {
+      await performUpgrade(hre, to, { dir, ...silent });
+    }
+    const vault = await ethers.getContractAt("TokenVaultV6", proxy);
+
+    const result = await checkpointYield(hre, { batchSize: 1, dir, ...silent });
+
+    expect(result.users).to.have.members([users[0].address, users[1].address]);
+    expect(result.txHashes).to.have.lengthOf(2);
+    expect((await vault.getYieldCheckpoint(users[0].address)).checkpointTime).to.not.equal(0);
+    expect((await vault.getYieldCheckpoint(users[2].address)).checkpointTime).to.equal(0);
+
+    const entry = readManifest(hre, { dir }).history.at(-1);
+    expect(entry).to.include({ action: "migrate", migration: "yield-checkpoints", version: "v6", users: 2 });
+    expect(entry.txHashes).to.deep.equal(result.txHashes);
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault, recordDeployment } = require("../scripts/lib/vault");
+const { performUpgrade } = require("../scripts/lib/upgrade-script");
+const { getReserveHealth, formatReserveHealth, runReserve } = require("../scripts/lib/reserve");
+
+describe("Yield Reserve", function () {
+  let dir;
+  let tokenVault;
+  let mockToken;
+  let proxy;
+  let admin;
+  let user1;
+
+  const silent = { log: () => {} };
+  const YEAR = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [admin, user1] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-reserve-"));
+
+    const deployment = await deployVault(hre, { depositFee: 0, ...silent });
+    await recordDeployment(hre, "deploy", deployment, { dir });
+    tokenVault = deployment.vault;
+    proxy = deployment.proxy;
+
+    mockToken = await ethers.getContractAt("MockERC20", deployment.token);
+    await mockToken.mint(admin.address, ethers.parseEther("10000"));
+    await mockToken.mint(user1.address, ethers.parseEther("10000"));
+    await mockToken.connect(user1).approve(proxy, ethers.MaxUint256);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function upgradeToV5() {
+    for (const to of ["v2", "v3", "v4", "v5"]) {
+      await performUpgrade(hre, to, { dir, ...silent });
+    }
+    tokenVault = await ethers.getContractAt("TokenVaultV5", proxy);
+  }
+
+  it("should refuse versions without a yield reserve", async function () {
+    await expect(getReserveHealth(hre, proxy)).to.be.rejectedWith(
+      "Proxy is at v1; the yield reserve requires v5 or later"
+    );
+  });
+
+  it("should fund the reserve and report its health", async function () {
+    await upgradeToV5();
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.setYieldRate(1000);
+
+    const { health, funding } = await runReserve(hre, { fund: "200", dir, ...silent });
+
+    expect(funding.amount).to.equal(ethers.parseEther("200"));
+    expect(health.reserve).to.equal(ethers.parseEther("200"));
+    expect(health.funded).to.equal(ethers.parseEther("200"));
+    // 1000 at 10% yields 100 per year
+    expect(health.runway).to.equal(BigInt(2 * YEAR));
+    expect(health.covered).to.be.true;
+    expect(health.backed).to.be.true;
+    expect(formatReserveHealth(health, ethers)).to.include("Runway: 2.0 years");
+  });
+
+  it("should warn when unclaimed yield exceeds the reserve", async function () {
+    await upgradeToV5();
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    await tokenVault.setYieldRate(1000);
+    await runReserve(hre, { fund: "50", dir, ...silent });
+    await time.increase(YEAR);
+
+    const { health } = await runReserve(hre, { dir, ...silent });
+
+    expect(health.outstanding).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("0.01"));
+    expect(health.covered).to.be.false;
+    expect(formatReserveHealth(health, ethers)).to.include("[WARNING] exceeds the reserve");
+  });
+
+  it("should report an unlimited runway without yield", async function () {
+    await upgradeToV5();
+
+    const { health } = await runReserve(hre, { dir, ...silent });
+
+    expect(health.runway).to.be.null;
+    expect(formatReserveHealth(health, ethers)).to.include("Runway: unlimited");
+  });
+});